@@ -0,0 +1,511 @@
+/**
+ * Psychrometric Calculator - Batch Export Formats
+ *
+ * Turns the results CSV of a batch into the other formats it can be
+ * downloaded in, built without a server: an Excel workbook (XLSX) with
+ * numeric cells, units in the header row and the errors and warnings on a
+ * sheet of their own, JSON (an array of objects with numeric values) and a
+ * print-styled HTML report with the minimum, maximum and mean of each
+ * property. Each format is built from the table read back from the results
+ * CSV, so it holds exactly the rows and columns the CSV does.
+ *
+ * @author HVAC Calculator Team
+ */
+
+// In Node.js the unit labels come from units.js; in the browser they are globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { unitLabel } = require('./units.js');
+}
+
+/**
+ * Most rows of an Excel worksheet, including the header row
+ */
+const XLSX_MAX_ROWS = 1048576;
+
+/**
+ * Namespace of the SpreadsheetML parts of a workbook
+ */
+const XLSX_NAMESPACE = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+
+/**
+ * Namespace of the relationships of a workbook
+ */
+const XLSX_RELATIONSHIPS_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Rows of a worksheet written per part of its XML
+ */
+const XLSX_ROWS_PER_PART = 1000;
+
+/**
+ * CRC-32 of each byte value, for the ZIP container of a workbook
+ */
+const CRC32_TABLE = Array.from({ length: 256 }, (value, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xEDB88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+/**
+ * Read the results CSV of a batch into a table
+ * @param {string|Array<string>} output - Results CSV, or its parts in order
+ * @param {CSVProcessor} processor - Processor whose record parser reads the CSV
+ * @returns {Object} headers (Array<string>) and rows (Array<Array<string>>, in header order)
+ */
+function readBatchTable(output, processor) {
+    const parser = processor.createRecordParser(',');
+    const records = [];
+    (Array.isArray(output) ? output : [output]).forEach(part => {
+        records.push(...parser.write(part));
+    });
+    records.push(...parser.end());
+
+    const fields = records
+        .filter(record => !(record.fields.length === 1 && record.fields[0] === ''))
+        .map(record => record.fields);
+    return { headers: fields.length > 0 ? fields[0] : [], rows: fields.slice(1) };
+}
+
+/**
+ * Describe the columns of a results table with their units
+ *
+ * Units come from the quantity of the matching output column in the given
+ * unit system; columns whose unit depends on the row (Value1, Value2) or
+ * that hold no quantity have none. Without a unit system (a batch that
+ * mixes SI and IP rows) no units are given.
+ *
+ * @param {Array<string>} headers - Column headers
+ * @param {CSVProcessor} processor - Processor with the output columns
+ * @param {string|null} unitSystem - Unit system of every row ('SI' or 'IP'), or null if it varies
+ * @returns {Array<Object>} header, unit, label (header with unit) and property (whether the column holds
+ *     a property to summarize) of each column
+ */
+function describeBatchColumns(headers, processor, unitSystem) {
+    const outputColumns = processor.getOutputColumns();
+    return headers.map(header => {
+        const column = outputColumns.find(item => item.header.toLowerCase() === header.toLowerCase());
+        const property = Boolean(column) && (column.quantity !== undefined || column.unit !== undefined);
+        let unit = '';
+        if (column && unitSystem) {
+            unit = column.quantity ? unitLabel(column.quantity, unitSystem) : column.unit || '';
+        }
+        return { header, unit, label: unit ? `${header} (${unit})` : header, property };
+    });
+}
+
+/**
+ * Read a value of a results table as a number where it is one
+ *
+ * Numbers with leading zeros (such as an ID of '007' passed through from the
+ * input) stay text.
+ *
+ * @param {string} text - Value as written to the results CSV
+ * @returns {number|string|null} Number, text, or null for an empty value
+ */
+function parseBatchValue(text) {
+    if (text === '') {
+        return null;
+    }
+    return /^[-+]?(0|[1-9]\d*)(\.\d+)?(e[-+]?\d+)?$/i.test(text) ? parseFloat(text) : text;
+}
+
+/**
+ * Write a results table as JSON: an array with one object per row, keyed by
+ * the column headers, with numeric values as numbers and empty values as null
+ * @param {Object} table - Table from readBatchTable
+ * @returns {Array<string>} Parts of the JSON text, in order
+ */
+function generateBatchJSON(table) {
+    const parts = table.rows.map((row, index) => {
+        const item = {};
+        table.headers.forEach((header, column) => {
+            item[header] = parseBatchValue(row[column] !== undefined ? row[column] : '');
+        });
+        return `${index === 0 ? '' : ',\n'}  ${JSON.stringify(item)}`;
+    });
+    return ['[\n', ...parts, '\n]\n'];
+}
+
+/**
+ * Summarize the property columns of a results table
+ *
+ * Only numeric values count, so failed rows of a lenient batch and rows
+ * without comfort inputs are left out. The mean is given to the largest
+ * number of decimals of the column's values.
+ *
+ * @param {Object} table - Table from readBatchTable
+ * @param {Array<Object>} columns - Columns from describeBatchColumns
+ * @param {Function} [includeRow] - Takes a row and tells whether it counts; every row if omitted
+ * @returns {Array<Object>} header, unit, count, min, max, mean and decimals of each property column with values
+ */
+function summarizeBatchTable(table, columns, includeRow = () => true) {
+    const stats = columns.map(column => ({ header: column.header, unit: column.unit, count: 0, min: Infinity, max: -Infinity, sum: 0, decimals: 0 }));
+    table.rows.forEach(row => {
+        if (!includeRow(row)) {
+            return;
+        }
+        columns.forEach((column, index) => {
+            const value = column.property ? parseBatchValue(row[index] || '') : null;
+            if (typeof value !== 'number') {
+                return;
+            }
+            const stat = stats[index];
+            stat.count++;
+            stat.min = Math.min(stat.min, value);
+            stat.max = Math.max(stat.max, value);
+            stat.sum += value;
+            const fraction = row[index].split('.')[1];
+            stat.decimals = Math.max(stat.decimals, fraction ? fraction.length : 0);
+        });
+    });
+
+    return stats
+        .filter(stat => stat.count > 0)
+        .map(({ sum, ...stat }) => ({ ...stat, mean: sum / stat.count }));
+}
+
+/**
+ * Escape text for XML and HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text, without characters XML does not allow
+ */
+function escapeMarkup(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Column letters of a worksheet column
+ * @param {number} index - Column index from 0
+ * @returns {string} 'A' to 'Z', then 'AA' and on
+ */
+function xlsxColumnName(index) {
+    let name = '';
+    for (let column = index + 1; column > 0; column = Math.floor((column - 1) / 26)) {
+        name = String.fromCharCode(65 + (column - 1) % 26) + name;
+    }
+    return name;
+}
+
+/**
+ * Write the rows of a worksheet
+ *
+ * Numbers are written as numeric cells and everything else as inline
+ * strings; empty values are left out. The first row is bold and frozen.
+ *
+ * @param {Array<Array>} rows - Values of each row, the first row being the header
+ * @returns {Array<string>} Parts of the worksheet XML, in order
+ */
+function generateWorksheet(rows) {
+    const parts = [
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<worksheet xmlns="${XLSX_NAMESPACE}">` +
+        '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+        '<sheetData>'
+    ];
+    for (let start = 0; start < rows.length; start += XLSX_ROWS_PER_PART) {
+        parts.push(rows.slice(start, start + XLSX_ROWS_PER_PART).map((row, offset) => {
+            const rowNumber = start + offset + 1;
+            const style = rowNumber === 1 ? ' s="1"' : '';
+            const cells = row.map((value, column) => {
+                const reference = `${xlsxColumnName(column)}${rowNumber}`;
+                if (value === null || value === undefined || value === '') {
+                    return '';
+                }
+                return typeof value === 'number'
+                    ? `<c r="${reference}"${style}><v>${value}</v></c>`
+                    : `<c r="${reference}"${style} t="inlineStr"><is><t xml:space="preserve">${escapeMarkup(value)}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowNumber}">${cells}</row>`;
+        }).join(''));
+    }
+    parts.push('</sheetData></worksheet>');
+    return parts;
+}
+
+/**
+ * Update a CRC-32 with more bytes
+ * @param {Uint8Array} bytes - Bytes
+ * @param {number} [crc=0] - CRC-32 of the bytes before
+ * @returns {number} CRC-32 of all bytes
+ */
+function crc32(bytes, crc = 0) {
+    let value = ~crc >>> 0;
+    for (let index = 0; index < bytes.length; index++) {
+        value = CRC32_TABLE[(value ^ bytes[index]) & 0xFF] ^ (value >>> 8);
+    }
+    return ~value >>> 0;
+}
+
+/**
+ * Pack files into a ZIP archive without compression
+ * @param {Array<Object>} files - name and parts (strings, written as UTF-8) of each file
+ * @returns {Array<Uint8Array>} Parts of the archive, in order
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    const header = (length, fill) => {
+        const bytes = new Uint8Array(length);
+        fill(new DataView(bytes.buffer));
+        return bytes;
+    };
+
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const content = file.parts.map(part => encoder.encode(part));
+        const crc = content.reduce((value, bytes) => crc32(bytes, value), 0);
+        const size = content.reduce((total, bytes) => total + bytes.length, 0);
+        // Entries are stored, with UTF-8 names (flag bit 11)
+        const fields = (view, start) => {
+            view.setUint16(start, 20, true);
+            view.setUint16(start + 2, 0x0800, true);
+            view.setUint16(start + 4, 0, true);
+            view.setUint16(start + 6, time, true);
+            view.setUint16(start + 8, date, true);
+            view.setUint32(start + 10, crc, true);
+            view.setUint32(start + 14, size, true);
+            view.setUint32(start + 18, size, true);
+            view.setUint16(start + 22, name.length, true);
+        };
+
+        parts.push(header(30, view => {
+            view.setUint32(0, 0x04034B50, true);
+            fields(view, 4);
+        }), name, ...content);
+        directory.push(header(46, view => {
+            view.setUint32(0, 0x02014B50, true);
+            view.setUint16(4, 20, true);
+            fields(view, 6);
+            view.setUint32(42, offset, true);
+        }), name);
+        offset += 30 + name.length + size;
+    });
+
+    const directorySize = directory.reduce((total, bytes) => total + bytes.length, 0);
+    return [...parts, ...directory, header(22, view => {
+        view.setUint32(0, 0x06054B50, true);
+        view.setUint16(8, files.length, true);
+        view.setUint16(10, files.length, true);
+        view.setUint32(12, directorySize, true);
+        view.setUint32(16, offset, true);
+    })];
+}
+
+/**
+ * Write a results table as an Excel workbook
+ *
+ * The Results sheet has the units in its header row and numeric cells for
+ * numeric values; the Errors sheet lists the errors and warnings with their
+ * row numbers.
+ *
+ * @param {Object} table - Table from readBatchTable
+ * @param {Array<Object>} columns - Columns from describeBatchColumns
+ * @param {Object} messages - errors ({ row, error }), errorCount, warnings and warningCount of the batch
+ * @returns {Array<Uint8Array>} Parts of the XLSX file, in order
+ * @throws {Error} If the results have more rows than a worksheet holds
+ */
+function generateBatchXLSX(table, columns, messages) {
+    if (table.rows.length + 1 > XLSX_MAX_ROWS) {
+        throw new Error(`An Excel sheet holds at most ${(XLSX_MAX_ROWS - 1).toLocaleString()} rows; download the ${table.rows.length.toLocaleString()} results as CSV`);
+    }
+
+    const results = [columns.map(column => column.label), ...table.rows.map(row => row.map(parseBatchValue))];
+    const warningRow = warning => {
+        const match = /^Row (\d+): (.*)$/s.exec(warning);
+        return match ? ['Warning', parseInt(match[1], 10), match[2]] : ['Warning', null, warning];
+    };
+    const errors = [
+        ['Type', 'Row', 'Message'],
+        ...messages.errors.map(({ row, error }) => ['Error', typeof row === 'number' ? row : null, error]),
+        ...(messages.errorCount > messages.errors.length ? [['Error', null, `... and ${messages.errorCount - messages.errors.length} more errors`]] : []),
+        ...messages.warnings.map(warningRow),
+        ...(messages.warningCount > messages.warnings.length ? [['Warning', null, `... and ${messages.warningCount - messages.warnings.length} more warnings`]] : [])
+    ];
+
+    const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            parts: [`${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet2.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                '</Types>']
+        },
+        {
+            name: '_rels/.rels',
+            parts: [`${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                `<Relationship Id="rId1" Type="${XLSX_RELATIONSHIPS_NAMESPACE}/officeDocument" Target="xl/workbook.xml"/>` +
+                '</Relationships>']
+        },
+        {
+            name: 'xl/workbook.xml',
+            parts: [`${xml}<workbook xmlns="${XLSX_NAMESPACE}" xmlns:r="${XLSX_RELATIONSHIPS_NAMESPACE}"><sheets>` +
+                '<sheet name="Results" sheetId="1" r:id="rId1"/><sheet name="Errors" sheetId="2" r:id="rId2"/>' +
+                '</sheets></workbook>']
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            parts: [`${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+                `<Relationship Id="rId1" Type="${XLSX_RELATIONSHIPS_NAMESPACE}/worksheet" Target="worksheets/sheet1.xml"/>` +
+                `<Relationship Id="rId2" Type="${XLSX_RELATIONSHIPS_NAMESPACE}/worksheet" Target="worksheets/sheet2.xml"/>` +
+                `<Relationship Id="rId3" Type="${XLSX_RELATIONSHIPS_NAMESPACE}/styles" Target="styles.xml"/>` +
+                '</Relationships>']
+        },
+        {
+            name: 'xl/styles.xml',
+            parts: [`${xml}<styleSheet xmlns="${XLSX_NAMESPACE}">` +
+                '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+                '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+                '</styleSheet>']
+        },
+        { name: 'xl/worksheets/sheet1.xml', parts: generateWorksheet(results) },
+        { name: 'xl/worksheets/sheet2.xml', parts: generateWorksheet(errors) }
+    ]);
+}
+
+/**
+ * Write a printable HTML report of a batch
+ *
+ * The report gives the batch totals, the minimum, maximum and mean of each
+ * property over the calculated rows (one table per unit system when the
+ * batch mixes SI and IP rows and the results have a Units column) and the
+ * errors and warnings.
+ *
+ * @param {Object} table - Table from readBatchTable
+ * @param {CSVProcessor} processor - Processor with the output columns
+ * @param {Object} details - Details of the batch
+ * @param {string} [details.fileName] - Name of the input file
+ * @param {Array<string>} details.unitSystems - Unit systems of the calculated rows
+ * @param {Object} details.summary - Summary from runCSVBatch (rows, results, errors, errorCount,
+ *     warnings, warningCount)
+ * @returns {string} HTML document
+ */
+function generateBatchReport(table, processor, { fileName = '', unitSystems, summary }) {
+    // Failed rows of a lenient batch only have their input values
+    const unitsIndex = table.headers.findIndex(header => header.toLowerCase() === 'units');
+    const statusIndex = table.headers.indexOf('Status');
+    const isCalculated = row => statusIndex < 0 || row[statusIndex] === 'OK';
+    const groups = unitSystems.length === 1
+        ? [{ unitSystem: unitSystems[0], includeRow: isCalculated }]
+        : (unitsIndex >= 0 ? unitSystems : []).map(unitSystem => ({
+            unitSystem,
+            includeRow: row => isCalculated(row) && String(row[unitsIndex]).toUpperCase() === unitSystem
+        }));
+
+    const statisticsTables = groups.map(({ unitSystem, includeRow }) => {
+        const columns = describeBatchColumns(table.headers, processor, unitSystem);
+        const rows = summarizeBatchTable(table, columns, includeRow).map(stat => `
+            <tr>
+                <td>${escapeMarkup(stat.header)}</td>
+                <td>${escapeMarkup(stat.unit)}</td>
+                <td class="number">${stat.count.toLocaleString()}</td>
+                <td class="number">${stat.min.toFixed(stat.decimals)}</td>
+                <td class="number">${stat.max.toFixed(stat.decimals)}</td>
+                <td class="number">${stat.mean.toFixed(stat.decimals)}</td>
+            </tr>`).join('');
+        return `
+        ${groups.length > 1 ? `<h3>${unitSystem} rows</h3>` : ''}
+        <table>
+            <thead><tr><th>Property</th><th>Unit</th><th>Rows</th><th>Minimum</th><th>Maximum</th><th>Mean</th></tr></thead>
+            <tbody>${rows || '<tr><td colspan="6">No calculated values</td></tr>'}
+            </tbody>
+        </table>`;
+    }).join('');
+
+    const list = (items, count, noun) => {
+        if (count === 0) {
+            return `<p>No ${noun}.</p>`;
+        }
+        const more = count > items.length ? `<li>... and ${(count - items.length).toLocaleString()} more ${noun}</li>` : '';
+        return `<ul>${items.map(item => `<li>${escapeMarkup(item)}</li>`).join('')}${more}</ul>`;
+    };
+    const errors = summary.errors.map(({ row, error }) => `Row ${row}: ${error}`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Psychrometric Batch Report${fileName ? ` - ${escapeMarkup(fileName)}` : ''}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #2c3e50; margin: 30px; }
+        h1 { font-size: 1.6rem; margin-bottom: 4px; }
+        h2 { font-size: 1.2rem; border-bottom: 2px solid #3498db; padding-bottom: 4px; margin-top: 28px; }
+        h3 { font-size: 1rem; }
+        table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+        th, td { border: 1px solid #ddd; padding: 5px 8px; text-align: left; }
+        th { background-color: #f2f6f9; }
+        .number { text-align: right; font-variant-numeric: tabular-nums; }
+        .meta { color: #7f8c8d; margin-top: 0; }
+        li { margin-bottom: 2px; }
+        .print-btn { background-color: #3498db; color: white; border: none; padding: 8px 16px; border-radius: 5px; cursor: pointer; }
+        @page { margin: 15mm; }
+        @media print {
+            body { margin: 0; }
+            .print-btn { display: none; }
+            tr, li { break-inside: avoid; }
+            th { background-color: #f2f6f9; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        }
+    </style>
+</head>
+<body>
+    <button class="print-btn" onclick="window.print()">🖨️ Print</button>
+    <h1>Psychrometric Batch Report</h1>
+    <p class="meta">${fileName ? `${escapeMarkup(fileName)} · ` : ''}${escapeMarkup(new Date().toLocaleString())}</p>
+
+    <h2>Summary</h2>
+    <table>
+        <tbody>
+            <tr><th>Rows read</th><td class="number">${summary.rows.toLocaleString()}</td></tr>
+            <tr><th>Calculated</th><td class="number">${summary.results.toLocaleString()}</td></tr>
+            <tr><th>Errors</th><td class="number">${summary.errorCount.toLocaleString()}</td></tr>
+            <tr><th>Warnings</th><td class="number">${summary.warningCount.toLocaleString()}</td></tr>
+            <tr><th>Unit system</th><td>${unitSystems.length > 0 ? unitSystems.join(', ') : '-'}</td></tr>
+        </tbody>
+    </table>
+
+    <h2>Properties</h2>${statisticsTables || '\n    <p>Statistics need a Units column when SI and IP rows are mixed.</p>'}
+
+    <h2>Errors</h2>
+    ${list(errors, summary.errorCount, 'errors')}
+
+    <h2>Warnings</h2>
+    ${list(summary.warnings, summary.warningCount, 'warnings')}
+</body>
+</html>
+`;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        XLSX_MAX_ROWS,
+        readBatchTable,
+        describeBatchColumns,
+        parseBatchValue,
+        generateBatchJSON,
+        summarizeBatchTable,
+        crc32,
+        generateBatchXLSX,
+        generateBatchReport
+    };
+}
@@ -0,0 +1,16 @@
+/**
+ * Psychrometric Calculator - Batch Worker
+ *
+ * Web Worker running CSV batches off the page, so large files do not freeze
+ * it. Messages are those of createBatchRunner in batch.js.
+ *
+ * @author HVAC Calculator Team
+ */
+
+importScripts('units.js', 'psychrometrics.js', 'comfort.js', 'csv-mapping.js', 'csv-processor.js', 'batch.js');
+
+const runBatchRequest = createBatchRunner(new CSVProcessor(), message => self.postMessage(message));
+
+self.addEventListener('message', event => {
+    runBatchRequest(event.data);
+});
@@ -0,0 +1,410 @@
+/**
+ * Psychrometric Calculator - Batch Engine
+ *
+ * Runs a CSV file through a CSVProcessor in chunks, so files of any size are
+ * never held in memory as a whole: a first pass checks the file as
+ * validateCSVData does, a second calculates every row and streams the output
+ * CSV in parts. Both passes report progress and throughput and can be paused,
+ * resumed and cancelled between chunks. batch-worker.js runs the engine in a
+ * Web Worker; pages that cannot start a worker (opened from disk in some
+ * browsers) run it on the page itself through the same messages.
+ *
+ * @author HVAC Calculator Team
+ */
+
+// In Node.js the unit conversions come from units.js; in the browser and in
+// the worker they are globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { convertToSI } = require('./units.js');
+}
+
+/**
+ * Bytes of the file read per chunk
+ */
+const BATCH_CHUNK_SIZE = 1024 * 1024;
+
+/**
+ * Most errors and most warnings kept for display; further ones are only counted
+ */
+const BATCH_MESSAGE_LIMIT = 1000;
+
+/**
+ * Most result points passed on for the psychrometric chart; larger batches
+ * are sampled evenly
+ */
+const BATCH_CHART_POINT_LIMIT = 5000;
+
+/**
+ * Create the control of a batch run
+ *
+ * The run calls checkpoint() between chunks, which lets other work (such as
+ * the messages that pause or cancel it) run, waits while the run is paused
+ * and tells whether to carry on.
+ *
+ * @returns {Object} Control with pause(), resume(), cancel(), checkpoint(), cancelled and pausedTime (ms)
+ */
+function createBatchControl() {
+    let resumeRun = null;
+    const control = {
+        paused: false,
+        cancelled: false,
+        pausedTime: 0,
+        pause() {
+            control.paused = true;
+        },
+        resume() {
+            control.paused = false;
+            if (resumeRun) {
+                resumeRun();
+                resumeRun = null;
+            }
+        },
+        cancel() {
+            control.cancelled = true;
+            control.resume();
+        },
+        async checkpoint() {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (control.paused && !control.cancelled) {
+                const start = Date.now();
+                await new Promise(resolve => {
+                    resumeRun = resolve;
+                });
+                control.pausedTime += Date.now() - start;
+            }
+            return !control.cancelled;
+        }
+    };
+    return control;
+}
+
+/**
+ * Read a file as text in chunks
+ * @param {Blob} file - File to read
+ * @param {number} [chunkSize] - Bytes per chunk
+ * @returns {AsyncGenerator<Object>} text of each chunk and bytesRead so far
+ */
+async function* readBatchFile(file, chunkSize = BATCH_CHUNK_SIZE) {
+    // A streaming decoder keeps characters split between chunks whole
+    const decoder = new TextDecoder('utf-8');
+    for (let offset = 0; offset < file.size; offset += chunkSize) {
+        const bytes = await file.slice(offset, offset + chunkSize).arrayBuffer();
+        const bytesRead = Math.min(offset + chunkSize, file.size);
+        yield { text: decoder.decode(bytes, { stream: bytesRead < file.size }), bytesRead };
+    }
+}
+
+/**
+ * Run a file through the row parser of a processor, one chunk of rows at a time
+ * @param {Blob} file - CSV file
+ * @param {CSVProcessor} processor - Processor parsing the file
+ * @param {Object} control - Control from createBatchControl
+ * @param {Function} onRows - Called with the rows of each chunk, their index in the file and bytesRead
+ * @param {number} [chunkSize] - Bytes per chunk
+ * @returns {Promise<boolean>} Whether the file was read to the end (not cancelled)
+ */
+async function readBatchRows(file, processor, control, onRows, chunkSize = BATCH_CHUNK_SIZE) {
+    const parser = processor.createRowParser();
+    let index = 0;
+    for await (const { text, bytesRead } of readBatchFile(file, chunkSize)) {
+        // A run cancelled while a chunk was read leaves the processor to the next run
+        if (control.cancelled) {
+            return false;
+        }
+        const rows = parser.write(text);
+        onRows(rows, index, bytesRead);
+        index += rows.length;
+        if (!await control.checkpoint()) {
+            return false;
+        }
+    }
+    if (control.cancelled) {
+        return false;
+    }
+    onRows(parser.end(), index, file.size);
+    return true;
+}
+
+/**
+ * Create the tally of a batch pass, keeping the first BATCH_MESSAGE_LIMIT
+ * errors and warnings
+ * @param {Object} control - Control from createBatchControl
+ * @returns {Object} Tally
+ */
+function createBatchTally(control) {
+    const start = Date.now();
+    const tally = {
+        rows: 0,
+        errors: [],
+        errorCount: 0,
+        warnings: [],
+        warningCount: 0,
+        addError(message) {
+            tally.errorCount++;
+            if (tally.errors.length < BATCH_MESSAGE_LIMIT) {
+                tally.errors.push(message);
+            }
+        },
+        addWarnings(messages) {
+            tally.warningCount += messages.length;
+            tally.warnings.push(...messages.slice(0, BATCH_MESSAGE_LIMIT - tally.warnings.length));
+        },
+        progress(phase, bytesRead, totalBytes) {
+            const seconds = Math.max(Date.now() - start - control.pausedTime, 1) / 1000;
+            return {
+                phase,
+                bytesRead,
+                totalBytes,
+                rows: tally.rows,
+                errorCount: tally.errorCount,
+                rowsPerSecond: Math.round(tally.rows / seconds)
+            };
+        }
+    };
+    return tally;
+}
+
+/**
+ * Check a CSV file before it is processed
+ *
+ * Applies the checks of validateCSVData to the file chunk by chunk. The
+ * summary tells runCSVBatch how many rows to expect and whether the output
+ * needs the comfort columns. In lenient mode only missing columns and an
+ * empty file make it invalid; rows with errors are counted in rowErrorCount
+ * and written as failed rows.
+ *
+ * @param {Blob} file - CSV file
+ * @param {CSVProcessor} processor - Processor with the unit system and input format of the file
+ * @param {Object} [options] - control (from createBatchControl), onProgress, called after each chunk,
+ *     and chunkSize (bytes per chunk)
+ * @returns {Promise<Object>} isValid, rows, errors, errorCount, rowErrorCount, warnings, warningCount,
+ *     hasComfort, format, columns (the file's headers) and cancelled
+ */
+async function validateCSVBatch(file, processor, { control = createBatchControl(), onProgress, chunkSize } = {}) {
+    const tally = createBatchTally(control);
+    let hasComfort = false;
+    let fileErrorCount = 0;
+    let rowErrorCount = 0;
+
+    const completed = await readBatchRows(file, processor, control, (rows, index, bytesRead) => {
+        processor.warnings = [];
+        rows.forEach((row, offset) => {
+            if (index + offset === 0) {
+                const columnErrors = processor.validateCSVColumns(Object.keys(row));
+                fileErrorCount += columnErrors.length;
+                columnErrors.forEach(tally.addError);
+            }
+            const rowErrors = processor.validateCSVRow(row, processor.getRowNumber(row, index + offset));
+            rowErrorCount += rowErrors.length > 0 ? 1 : 0;
+            rowErrors.forEach(tally.addError);
+            try {
+                const mapped = processor.mapRow(row);
+                hasComfort = hasComfort || processor.getRowComfort(mapped, processor.getRowUnitSystem(mapped)) !== null;
+            } catch (error) {
+                // Reported by validateCSVRow
+            }
+        });
+        tally.rows += rows.length;
+        tally.addWarnings([...processor.parseWarnings.splice(0), ...processor.warnings]);
+        if (onProgress) {
+            onProgress(tally.progress('validate', bytesRead, file.size));
+        }
+    }, chunkSize);
+
+    if (completed && tally.rows === 0) {
+        fileErrorCount++;
+        tally.addError('CSV file is empty or contains only headers');
+    }
+    return {
+        isValid: processor.lenient ? fileErrorCount === 0 : tally.errorCount === 0,
+        rows: tally.rows,
+        errors: tally.errors,
+        errorCount: tally.errorCount,
+        rowErrorCount,
+        warnings: tally.warnings,
+        warningCount: tally.warningCount,
+        hasComfort,
+        format: processor.format,
+        columns: processor.inputColumns,
+        cancelled: !completed
+    };
+}
+
+/**
+ * Calculate every row of a CSV file, streaming the output CSV
+ *
+ * The output is passed to onOutput in parts that together are the
+ * generateOutputCSV output of all successful rows (of every row in lenient
+ * mode), so it never has to be held as one string. Rows that cannot be
+ * calculated are counted as errors.
+ *
+ * @param {Blob} file - CSV file
+ * @param {CSVProcessor} processor - Processor with the unit system, input format and output columns
+ * @param {Object} [options] - Options
+ * @param {number} [options.rows] - Rows expected, from validateCSVBatch, to sample the chart points
+ * @param {boolean} [options.hasComfort] - Whether to write the comfort columns, from validateCSVBatch
+ * @param {Object} [options.control] - Control from createBatchControl
+ * @param {Function} [options.onOutput] - Called with each part of the output CSV
+ * @param {Function} [options.onPoints] - Called with SI chart points (dbt, humidityRatio) of each chunk
+ * @param {Function} [options.onProgress] - Called after each chunk
+ * @param {number} [options.chunkSize] - Bytes per chunk
+ * @returns {Promise<Object>} rows, results (rows calculated), written (rows in the output), errors
+ *     ({ row, error }), errorCount, warnings, warningCount, unitSystems (of the rows calculated)
+ *     and cancelled
+ */
+async function runCSVBatch(file, processor, { rows = 0, hasComfort = false, control = createBatchControl(), onOutput, onPoints, onProgress, chunkSize } = {}) {
+    const tally = createBatchTally(control);
+    const columns = processor.getExportColumns(hasComfort);
+    const pointStep = Math.max(1, Math.ceil(rows / BATCH_CHART_POINT_LIMIT));
+    let results = 0;
+    let written = 0;
+    const unitSystems = new Set();
+
+    const completed = await readBatchRows(file, processor, control, (chunkRows, index, bytesRead) => {
+        processor.warnings = [];
+        const chunkOutput = [];
+        const chunkResults = [];
+        chunkRows.forEach((row, offset) => {
+            const rowNum = processor.getRowNumber(row, index + offset);
+            if (processor.lenient) {
+                const result = processor.processRowWithStatus(row, rowNum);
+                chunkOutput.push(result);
+                if (result.status === 'OK') {
+                    chunkResults.push(result);
+                } else {
+                    tally.addError({ row: rowNum, error: result.errorMessage });
+                }
+                return;
+            }
+            try {
+                chunkResults.push(processor.processRow(row, rowNum));
+            } catch (error) {
+                tally.addError({ row: rowNum, error: error.message });
+            }
+        });
+        tally.rows += chunkRows.length;
+        tally.addWarnings([...processor.parseWarnings.splice(0), ...processor.warnings]);
+
+        const outputRows = processor.lenient ? chunkOutput : chunkResults;
+        if (outputRows.length > 0 && onOutput) {
+            const lines = processor.generateOutputRows(outputRows, columns);
+            onOutput(written === 0 ? [processor.generateOutputHeader(columns), ...lines].join('\n') : `\n${lines.join('\n')}`);
+        }
+        written += outputRows.length;
+        if (onPoints) {
+            const points = chunkResults
+                .filter((result, offset) => (results + offset) % pointStep === 0)
+                .map(result => ({
+                    dbt: convertToSI('temperature', parseFloat(result.dbt), result.units),
+                    humidityRatio: convertToSI('humidityRatio', parseFloat(result.humidityRatio), result.units)
+                }));
+            if (points.length > 0) {
+                onPoints(points);
+            }
+        }
+        chunkResults.forEach(result => unitSystems.add(result.units));
+        results += chunkResults.length;
+        if (onProgress) {
+            onProgress(tally.progress('process', bytesRead, file.size));
+        }
+    }, chunkSize);
+
+    return {
+        rows: tally.rows,
+        results,
+        written,
+        errors: tally.errors,
+        errorCount: tally.errorCount,
+        warnings: tally.warnings,
+        warningCount: tally.warningCount,
+        unitSystems: [...unitSystems],
+        cancelled: !completed
+    };
+}
+
+/**
+ * Create a batch runner answering the messages of batch-worker.js
+ *
+ * Requests are { type: 'validate', file, settings }, { type: 'process',
+ * file, settings, rows, hasComfort } and { type: 'pause' | 'resume' |
+ * 'cancel' }, with settings holding the unitSystem, delimiter,
+ * decimalSeparator, outputColumns, lenient and columnMapping settings of the
+ * processor. The runner posts
+ * 'progress', 'output' (text) and 'points' messages while it runs, then
+ * 'validated' or 'processed' with the summary of the pass, or 'error' with
+ * a message. A new validate or process request cancels the run in progress.
+ *
+ * @param {CSVProcessor} processor - Processor used for every run
+ * @param {Function} post - Receives the runner's messages
+ * @returns {Function} Takes a request
+ */
+function createBatchRunner(processor, post) {
+    let control = null;
+
+    return async request => {
+        if (request.type === 'pause' || request.type === 'resume' || request.type === 'cancel') {
+            if (control) {
+                control[request.type]();
+            }
+            return;
+        }
+        if (request.type !== 'validate' && request.type !== 'process') {
+            post({ type: 'error', message: `Unknown batch request '${request.type}'` });
+            return;
+        }
+
+        if (control) {
+            control.cancel();
+        }
+        const runControl = createBatchControl();
+        control = runControl;
+        const onProgress = progress => post({ type: 'progress', ...progress });
+
+        try {
+            const { unitSystem, delimiter, decimalSeparator, outputColumns, lenient, columnMapping } = request.settings;
+            processor.reset();
+            processor.unitSystem = unitSystem;
+            processor.lenient = Boolean(lenient);
+            processor.setInputFormat({ delimiter, decimalSeparator });
+            processor.setOutputColumns(outputColumns);
+            processor.setColumnMapping(columnMapping);
+
+            if (request.type === 'validate') {
+                post({ type: 'validated', ...await validateCSVBatch(request.file, processor, { control: runControl, onProgress }) });
+            } else {
+                post({
+                    type: 'processed',
+                    ...await runCSVBatch(request.file, processor, {
+                        rows: request.rows,
+                        hasComfort: request.hasComfort,
+                        control: runControl,
+                        onProgress,
+                        onOutput: text => post({ type: 'output', text }),
+                        onPoints: points => post({ type: 'points', points })
+                    })
+                });
+            }
+        } catch (error) {
+            post({ type: 'error', message: error.message });
+        }
+
+        if (control === runControl) {
+            control = null;
+        }
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        BATCH_CHUNK_SIZE,
+        BATCH_MESSAGE_LIMIT,
+        BATCH_CHART_POINT_LIMIT,
+        createBatchControl,
+        readBatchFile,
+        readBatchRows,
+        validateCSVBatch,
+        runCSVBatch,
+        createBatchRunner
+    };
+}
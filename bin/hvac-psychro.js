@@ -0,0 +1,432 @@
+#!/usr/bin/env node
+/**
+ * Psychrometric Calculator - Command-line tool
+ *
+ * Computes a single psychrometric state from two property flags,
+ * batch-processes a CSV file (or stdin) to CSV on stdout using the same
+ * CSVProcessor as the web calculator, or verifies the calculator against the
+ * bundled ASHRAE reference data.
+ *
+ * @author HVAC Calculator Team
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { parseArgs } = require('util');
+const {
+    INPUT_PROPERTIES,
+    CSVProcessor,
+    getInputDefinitions,
+    getDerivedPropertyDefinitions,
+    calculatePsychrometricProperties,
+    validatePsychrometricInputs,
+    validateSiteInputs,
+    convertToSI,
+    convertPressureToKPa,
+    normalizeUnitSystem,
+    unitLabel,
+    runVerification,
+    formatVerificationReport,
+    createBatchControl,
+    validateCSVBatch,
+    runCSVBatch
+} = require('../index.js');
+
+/**
+ * Exit codes
+ */
+const EXIT_OK = 0;
+const EXIT_CALCULATION_ERROR = 1;
+const EXIT_USAGE_ERROR = 2;
+
+const USAGE = `Usage:
+  hvac-psychro --<property> <value> --<property> <value> [site options] [--units SI|IP] [--json]
+  hvac-psychro --csv <file|-> [--units SI|IP] [--columns <list>] [--delimiter <d>] [--decimal <s>] [--lenient] [--mapping <file>]
+  hvac-psychro --verify [--json]
+
+Single state:
+  Give exactly two of the input properties:
+    --dbt   Dry bulb temperature (°C or °F)
+    --wbt   Wet bulb temperature (°C or °F)
+    --rh    Relative humidity (%)
+    --dpt   Dew point temperature (°C or °F)
+    --w     Humidity ratio (kg/kg or gr/lb)
+    --h     Enthalpy (kJ/kg or Btu/lb)
+
+Site options (default: sea level):
+  --altitude <value>            Altitude (m or ft), may be negative
+  --local-temperature <value>   Local air temperature for the altitude model (°C or °F)
+  --pressure <value>            Measured barometric pressure; takes priority over altitude
+  --pressure-unit <unit>        kPa, hPa, inHg or psia (default: kPa for SI, inHg for IP)
+
+Batch:
+  --csv <file>    Process a CSV file in the calculator's format; use - to read stdin.
+                  Results are written to stdout, warnings and errors to stderr.
+  --columns <list>  Comma-separated output columns, e.g. RowNumber,DBT,RH,Density
+                  (default: all columns)
+  --delimiter <d>   Field delimiter: , ; | or tab (default: detected from the header)
+  --decimal <s>     Decimal separator: . or , (default: detected from the data)
+  --lenient       Process every valid row and write failed rows too, with
+                  Status, ErrorMessage and Warnings columns after every input
+                  column; only missing columns stop the batch
+  --mapping <file>  JSON column mapping for files without the InputType,
+                  Value1, Value2 and Altitude columns, as a bare mapping or
+                  a { name, mapping } template
+
+Verification:
+  --verify        Compare the calculator with the bundled ASHRAE Fundamentals
+                  reference data and print the deviation per property. Exits
+                  with status 1 if any check is outside its tolerance.
+
+Other options:
+  --units <SI|IP>   Unit system of inputs and results (default: SI)
+  --json            Print the single state or verification report as JSON
+  --help            Show this help
+  --version         Show the version
+
+Examples:
+  hvac-psychro --dbt 25 --wbt 20
+  hvac-psychro --dbt 95 --rh 40 --altitude 5280 --units IP
+  hvac-psychro --csv site-survey.csv > results.csv
+  cat site-survey.csv | hvac-psychro --csv -
+  hvac-psychro --csv export.csv --delimiter ';' --decimal ,
+  hvac-psychro --csv logger.csv --mapping logger-mapping.json --lenient
+  hvac-psychro --verify`;
+
+/**
+ * Result properties printed for a single state, with their quantity
+ */
+const OUTPUT_PROPERTIES = [
+    ['dbt', 'Dry Bulb Temperature', 'temperature'],
+    ['wbt', 'Wet Bulb Temperature', 'temperature'],
+    ['rh', 'Relative Humidity', 'relativeHumidity'],
+    ['dpt', 'Dew Point Temperature', 'temperature'],
+    ['humidityRatio', 'Humidity Ratio', 'humidityRatio'],
+    ['enthalpy', 'Enthalpy', 'enthalpy'],
+    ['specificVolume', 'Specific Volume', 'specificVolume'],
+    ['vaporPressure', 'Vapor Pressure', 'pressure'],
+    ['pressure', 'Atmospheric Pressure', 'pressure'],
+    ...getDerivedPropertyDefinitions().map(({ key, name, quantity }) => [key, name, quantity])
+];
+
+/**
+ * Error raised for invalid command-line usage
+ */
+class UsageError extends Error {}
+
+/**
+ * Attach negative numbers to the preceding option (--dbt -5 becomes --dbt=-5),
+ * since parseArgs would otherwise read them as options
+ * @param {Array<string>} args - Command-line arguments
+ * @returns {Array<string>} Arguments with negative values joined
+ */
+function joinNegativeValues(args) {
+    const joined = [];
+    for (let i = 0; i < args.length; i++) {
+        const next = args[i + 1];
+        if (args[i].startsWith('--') && !args[i].includes('=') && next !== undefined && /^-\d|^-\.\d/.test(next)) {
+            joined.push(`${args[i]}=${next}`);
+            i++;
+        } else {
+            joined.push(args[i]);
+        }
+    }
+    return joined;
+}
+
+/**
+ * Parse a numeric option value
+ * @param {string} name - Option name
+ * @param {string} value - Option value
+ * @returns {number} Parsed value
+ * @throws {UsageError} If the value is not a number
+ */
+function parseNumber(name, value) {
+    const number = Number(value);
+    if (value === undefined || value.trim() === '' || isNaN(number)) {
+        throw new UsageError(`--${name} must be a number (got '${value}')`);
+    }
+    return number;
+}
+
+/**
+ * Compute and print a single state
+ * @param {Object} values - Parsed option values
+ * @param {string} units - Unit system
+ * @param {Array<string>} args - Command-line arguments, for the order of the input properties
+ * @returns {number} Exit code
+ */
+function runSingleState(values, units, args) {
+    const keys = Object.keys(INPUT_PROPERTIES).filter(key => values[key] !== undefined);
+    if (keys.length !== 2) {
+        throw new UsageError(`Give exactly two input properties (got ${keys.length === 0 ? 'none' : keys.map(key => `--${key}`).join(', ')})`);
+    }
+
+    // Input type in the order the properties appear on the command line
+    const position = key => args.findIndex(arg => arg === `--${key}` || arg.startsWith(`--${key}=`));
+    const [key1, key2] = keys.sort((a, b) => position(a) - position(b));
+    const inputType = `${key1}_${key2}`;
+    const value1 = parseNumber(key1, values[key1]);
+    const value2 = parseNumber(key2, values[key2]);
+
+    const altitude = values.altitude !== undefined ? parseNumber('altitude', values.altitude) : 0;
+    const options = { units };
+    if (values.pressure !== undefined) {
+        options.pressure = parseNumber('pressure', values.pressure);
+        options.pressureUnit = values['pressure-unit'] || unitLabel('pressure', units);
+    }
+    if (values['local-temperature'] !== undefined) {
+        options.localTemperature = parseNumber('local-temperature', values['local-temperature']);
+    }
+
+    let inputs;
+    try {
+        inputs = getInputDefinitions(inputType);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+
+    // Validate with the same limits as the web calculator
+    const site = options.pressure !== undefined
+        ? { pressure: convertPressureToKPa(options.pressure, options.pressureUnit) }
+        : {
+            altitude: convertToSI('altitude', altitude, units),
+            localTemperature: options.localTemperature !== undefined ? convertToSI('temperature', options.localTemperature, units) : undefined
+        };
+    const errors = [
+        ...validatePsychrometricInputs(inputType, convertToSI(inputs[0].quantity, value1, units), convertToSI(inputs[1].quantity, value2, units), units),
+        ...validateSiteInputs(site, units)
+    ];
+    if (errors.length > 0) {
+        errors.forEach(message => console.error(`Error: ${message}`));
+        return EXIT_CALCULATION_ERROR;
+    }
+
+    const results = calculatePsychrometricProperties(inputType, value1, value2, altitude, options);
+
+    if (values.json) {
+        const output = { inputType, units };
+        OUTPUT_PROPERTIES.forEach(([key]) => {
+            output[key] = results[key] !== '' ? Number(results[key]) : null;
+        });
+        output.saturationModel = results.saturationModel;
+        output.isFrostPoint = results.isFrostPoint;
+        console.log(JSON.stringify(output, null, 2));
+        return EXIT_OK;
+    }
+
+    const width = Math.max(...OUTPUT_PROPERTIES.map(([, label]) => label.length)) + 2;
+    OUTPUT_PROPERTIES.forEach(([key, label, quantity]) => {
+        const name = key === 'dpt' && results.isFrostPoint ? 'Frost Point Temperature' : label;
+        const unit = unitLabel(quantity, units);
+        const separator = quantity === 'temperature' || quantity === 'relativeHumidity' || unit === '' ? '' : ' ';
+        const value = results[key] !== '' ? `${results[key]}${separator}${unit}` : 'n/a';
+        console.log(`${`${name}:`.padEnd(width)}${value}`);
+    });
+    console.log(`${'Saturation Model:'.padEnd(width)}${results.saturationModel}`);
+    return EXIT_OK;
+}
+
+/**
+ * Batch-process a CSV file or stdin to stdout
+ * @param {string} file - CSV file path, or '-' for stdin
+ * @param {string} units - Default unit system for rows without a Units column
+ * @param {string} [columns] - Comma-separated output columns; all if omitted
+ * @param {Object} [format] - delimiter and decimalSeparator of the input; detected if omitted
+ * @param {boolean} [lenient=false] - Keep failed rows in the output
+ * @param {string} [mappingFile] - JSON file with the column mapping of the input
+ * @returns {Promise<number>} Exit code
+ */
+async function runBatch(file, units, columns, format, lenient = false, mappingFile) {
+    const processor = new CSVProcessor();
+    processor.unitSystem = units;
+    processor.lenient = lenient;
+    try {
+        if (columns !== undefined) {
+            processor.setOutputColumns(columns.split(',').filter(column => column.trim() !== ''));
+        }
+        processor.setInputFormat(format);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+    if (mappingFile !== undefined) {
+        try {
+            const mapping = JSON.parse(fs.readFileSync(path.resolve(mappingFile), 'utf8'));
+            processor.setColumnMapping(mapping.mapping || mapping);
+        } catch (error) {
+            throw new UsageError(`Column mapping ${mappingFile}: ${error.message}`);
+        }
+    }
+
+    // The batch engine reads the file twice, validating it before any output
+    // is written, so stdin is first copied to a temporary file
+    const input = await openBatchInput(file);
+    try {
+        const validation = await validateCSVBatch(input.file, processor);
+        validation.warnings.forEach(message => console.error(`Warning: ${message}`));
+        if (validation.warningCount > validation.warnings.length) {
+            console.error(`Warning: ${validation.warningCount - validation.warnings.length} more warnings not shown`);
+        }
+
+        if (!validation.isValid) {
+            printBatchErrors(validation.errors, validation.errorCount);
+            return EXIT_CALCULATION_ERROR;
+        }
+
+        // Output is written chunk by chunk; the run waits while stdout is full
+        // and stops if stdout is closed (as by head)
+        const control = createBatchControl();
+        process.stdout.once('error', control.cancel);
+        const summary = await runCSVBatch(input.file, processor, {
+            rows: validation.rows,
+            hasComfort: validation.hasComfort,
+            control,
+            onOutput: part => {
+                if (!process.stdout.write(part)) {
+                    control.pause();
+                    process.stdout.once('drain', control.resume);
+                }
+            }
+        });
+        if (summary.cancelled) {
+            return EXIT_CALCULATION_ERROR;
+        }
+        process.stdout.removeListener('error', control.cancel);
+        if (summary.written > 0) {
+            process.stdout.write('\n');
+        }
+        printBatchErrors(summary.errors.map(({ row, error }) => `Row ${row}: ${error}`), summary.errorCount);
+
+        return summary.errorCount > 0 ? EXIT_CALCULATION_ERROR : EXIT_OK;
+    } finally {
+        await input.close();
+    }
+}
+
+/**
+ * Open the batch input as a file the batch engine can read in chunks
+ *
+ * Only size and slice(start, end).arrayBuffer() of a Blob are needed, which
+ * are read from the file as they are asked for.
+ *
+ * @param {string} file - CSV file path, or '-' for stdin
+ * @returns {Promise<Object>} file (Blob-like) and close(), which also removes a copy of stdin
+ */
+async function openBatchInput(file) {
+    let copy = null;
+    if (file === '-') {
+        const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'hvac-psychro-'));
+        copy = path.join(directory, 'stdin.csv');
+        await pipeline(process.stdin, fs.createWriteStream(copy));
+    }
+
+    const handle = await fs.promises.open(copy || path.resolve(file), 'r');
+    const { size } = await handle.stat();
+    const slice = (start, end) => ({
+        arrayBuffer: async () => {
+            const buffer = Buffer.alloc(Math.max(0, Math.min(end, size) - start));
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+            return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + bytesRead);
+        }
+    });
+
+    return {
+        file: { size, slice },
+        close: async () => {
+            await handle.close();
+            if (copy) {
+                await fs.promises.rm(path.dirname(copy), { recursive: true, force: true });
+            }
+        }
+    };
+}
+
+/**
+ * Print batch errors to stderr, with the number of errors not kept
+ * @param {Array<string>} errors - Errors kept by the batch engine
+ * @param {number} errorCount - Number of errors found
+ */
+function printBatchErrors(errors, errorCount) {
+    errors.forEach(message => console.error(`Error: ${message}`));
+    if (errorCount > errors.length) {
+        console.error(`Error: ${errorCount - errors.length} more errors not shown`);
+    }
+}
+
+/**
+ * Verify the calculator against the bundled reference data
+ * @param {boolean} json - Print the full report as JSON instead of a text table
+ * @returns {number} Exit code
+ */
+function runVerify(json) {
+    const report = runVerification();
+    console.log(json ? JSON.stringify(report, null, 2) : formatVerificationReport(report));
+    return report.passed ? EXIT_OK : EXIT_CALCULATION_ERROR;
+}
+
+/**
+ * Run the command-line tool
+ * @param {Array<string>} args - Command-line arguments (without node and script)
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    const options = {
+        csv: { type: 'string' },
+        columns: { type: 'string' },
+        delimiter: { type: 'string', default: 'auto' },
+        decimal: { type: 'string', default: 'auto' },
+        lenient: { type: 'boolean', default: false },
+        mapping: { type: 'string' },
+        verify: { type: 'boolean', default: false },
+        altitude: { type: 'string' },
+        pressure: { type: 'string' },
+        'pressure-unit': { type: 'string' },
+        'local-temperature': { type: 'string' },
+        units: { type: 'string', default: 'SI' },
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', default: false },
+        version: { type: 'boolean', default: false }
+    };
+    Object.keys(INPUT_PROPERTIES).forEach(key => {
+        options[key] = { type: 'string' };
+    });
+
+    try {
+        const { values } = parseArgs({ args: joinNegativeValues(args), options, strict: true });
+
+        if (values.help || args.length === 0) {
+            console.log(USAGE);
+            return EXIT_OK;
+        }
+        if (values.version) {
+            console.log(require('../package.json').version);
+            return EXIT_OK;
+        }
+
+        if (values.verify) {
+            return runVerify(values.json);
+        }
+
+        const units = normalizeUnitSystem(values.units);
+        if (values.csv !== undefined) {
+            return await runBatch(values.csv, units, values.columns, {
+                delimiter: values.delimiter,
+                decimalSeparator: values.decimal
+            }, values.lenient, values.mapping);
+        }
+        return runSingleState(values, units, args);
+    } catch (error) {
+        if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' || error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE') {
+            console.error(`${error.message}\n\nRun 'hvac-psychro --help' for usage.`);
+            return EXIT_USAGE_ERROR;
+        }
+        console.error(`Error: ${error.message}`);
+        return EXIT_CALCULATION_ERROR;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
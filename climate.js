@@ -0,0 +1,207 @@
+/**
+ * Psychrometric Calculator - Climatic Design Conditions
+ *
+ * Reads a station database chosen by the user, searches it by station name,
+ * country or WMO number and turns a station's design condition into
+ * calculator inputs. No station data is bundled: design values must come
+ * from a published dataset such as the ASHRAE Climatic Design Conditions, so
+ * every station names its source. Stations follow the layout of the climatic
+ * design conditions tables of ASHRAE Handbook—Fundamentals, Chapter 14:
+ * cooling dry bulb with mean coincident wet bulb, evaporation wet bulb with
+ * mean coincident dry bulb and dehumidification dew point with humidity ratio
+ * at 0.4, 1 and 2%, heating dry bulb at 99.6 and 99% and elevation. All
+ * values are in SI units.
+ *
+ * @author HVAC Calculator Team
+ */
+
+/**
+ * Design conditions a station can be loaded at. Each gives the calculator
+ * input combination and reads its two values from a station.
+ *
+ * Heating conditions have no coincident humidity, so they are paired with
+ * the 99.6% humidification dew point, limited to the heating dry bulb.
+ */
+const CLIMATE_DESIGN_CONDITIONS = {
+    'cooling-0.4': {
+        label: 'Cooling 0.4% DB / MCWB',
+        inputType: 'dbt_wbt',
+        values: station => [station.cooling['0.4'].db, station.cooling['0.4'].mcwb]
+    },
+    'cooling-1.0': {
+        label: 'Cooling 1% DB / MCWB',
+        inputType: 'dbt_wbt',
+        values: station => [station.cooling['1.0'].db, station.cooling['1.0'].mcwb]
+    },
+    'cooling-2.0': {
+        label: 'Cooling 2% DB / MCWB',
+        inputType: 'dbt_wbt',
+        values: station => [station.cooling['2.0'].db, station.cooling['2.0'].mcwb]
+    },
+    'evaporation-0.4': {
+        label: 'Evaporation 0.4% WB / MCDB',
+        inputType: 'dbt_wbt',
+        values: station => [station.evaporation['0.4'].mcdb, station.evaporation['0.4'].wb]
+    },
+    'evaporation-1.0': {
+        label: 'Evaporation 1% WB / MCDB',
+        inputType: 'dbt_wbt',
+        values: station => [station.evaporation['1.0'].mcdb, station.evaporation['1.0'].wb]
+    },
+    'evaporation-2.0': {
+        label: 'Evaporation 2% WB / MCDB',
+        inputType: 'dbt_wbt',
+        values: station => [station.evaporation['2.0'].mcdb, station.evaporation['2.0'].wb]
+    },
+    'dehumidification-0.4': {
+        label: 'Dehumidification 0.4% DP / MCDB',
+        inputType: 'dbt_dpt',
+        values: station => [station.dehumidification['0.4'].mcdb, station.dehumidification['0.4'].dp]
+    },
+    'dehumidification-1.0': {
+        label: 'Dehumidification 1% DP / MCDB',
+        inputType: 'dbt_dpt',
+        values: station => [station.dehumidification['1.0'].mcdb, station.dehumidification['1.0'].dp]
+    },
+    'dehumidification-2.0': {
+        label: 'Dehumidification 2% DP / MCDB',
+        inputType: 'dbt_dpt',
+        values: station => [station.dehumidification['2.0'].mcdb, station.dehumidification['2.0'].dp]
+    },
+    'heating-99.6': {
+        label: 'Heating 99.6% DB',
+        inputType: 'dbt_dpt',
+        values: station => [station.heating['99.6'], Math.min(station.humidification['99.6'].dp, station.heating['99.6'])]
+    },
+    'heating-99.0': {
+        label: 'Heating 99% DB',
+        inputType: 'dbt_dpt',
+        values: station => [station.heating['99.0'], Math.min(station.humidification['99.6'].dp, station.heating['99.0'])]
+    }
+};
+
+/**
+ * Check a station database and return its stations
+ *
+ * Every station needs a name, the source of its values, an elevation and
+ * the values read by every design condition, so a hand-edited file fails
+ * here rather than when a station is picked.
+ *
+ * @param {Object|string} data - Parsed database or its JSON text
+ * @returns {Object} Database with source and stations
+ * @throws {Error} If the database is not valid
+ */
+function parseClimateDatabase(data) {
+    const database = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!database || !Array.isArray(database.stations) || database.stations.length === 0) {
+        throw new Error('Climate database must have a non-empty "stations" array');
+    }
+
+    database.stations.forEach((station, index) => {
+        const name = station && station.name ? station.name : `Station ${index + 1}`;
+        if (!station || typeof station.name !== 'string' || station.name.trim() === '') {
+            throw new Error(`${name}: missing name`);
+        }
+        if (typeof station.source !== 'string' || station.source.trim() === '') {
+            throw new Error(`${name}: missing source of the design values`);
+        }
+        if (typeof station.elevation !== 'number' || isNaN(station.elevation)) {
+            throw new Error(`${name}: elevation must be a number`);
+        }
+        Object.entries(CLIMATE_DESIGN_CONDITIONS).forEach(([key, condition]) => {
+            let values;
+            try {
+                values = condition.values(station);
+            } catch (error) {
+                values = [];
+            }
+            if (values.length !== 2 || values.some(value => typeof value !== 'number' || isNaN(value))) {
+                throw new Error(`${name}: missing or invalid ${condition.label} (${key})`);
+            }
+        });
+    });
+
+    return {
+        source: database.source || '',
+        stations: database.stations
+    };
+}
+
+/**
+ * Load the station database
+ *
+ * In the browser the file is fetched relative to the page, which needs the
+ * page to be served over HTTP; in Node.js it is read relative to the current
+ * directory.
+ *
+ * @param {string} location - Database file location
+ * @returns {Promise<Object>} Database with source and stations
+ * @throws {Error} If the file cannot be read or is not valid
+ */
+async function loadClimateDatabase(location) {
+    if (typeof window !== 'undefined') {
+        const response = await fetch(location);
+        if (!response.ok) {
+            throw new Error(`Could not load ${location} (HTTP ${response.status})`);
+        }
+        return parseClimateDatabase(await response.json());
+    }
+
+    const fs = require('fs');
+    const path = require('path');
+    return parseClimateDatabase(await fs.promises.readFile(path.resolve(location), 'utf8'));
+}
+
+/**
+ * Search stations by name, country or WMO station number
+ *
+ * Every word of the query must appear (case-insensitive) in the station's
+ * name, country or id; an empty query matches every station.
+ *
+ * @param {Array<Object>} stations - Stations from the database
+ * @param {string} query - Search text
+ * @returns {Array<Object>} Matching stations, sorted by name
+ */
+function searchClimateStations(stations, query) {
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(word => word !== '');
+    return stations
+        .filter(station => {
+            const text = `${station.name} ${station.country || ''} ${station.id || ''}`.toLowerCase();
+            return words.every(word => text.includes(word));
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the calculator inputs of a station at a design condition
+ * @param {Object} station - Station from the database
+ * @param {string} conditionKey - Key of CLIMATE_DESIGN_CONDITIONS
+ * @returns {Object} label, inputType, value1 and value2 (SI) and altitude (m)
+ * @throws {Error} If the design condition is unknown
+ */
+function getClimateDesignInputs(station, conditionKey) {
+    const condition = CLIMATE_DESIGN_CONDITIONS[conditionKey];
+    if (!condition) {
+        throw new Error(`Unknown design condition '${conditionKey}'. Must be one of: ${Object.keys(CLIMATE_DESIGN_CONDITIONS).join(', ')}`);
+    }
+
+    const [value1, value2] = condition.values(station);
+    return {
+        label: condition.label,
+        inputType: condition.inputType,
+        value1,
+        value2,
+        altitude: station.elevation
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CLIMATE_DESIGN_CONDITIONS,
+        parseClimateDatabase,
+        loadClimateDatabase,
+        searchClimateStations,
+        getClimateDesignInputs
+    };
+}
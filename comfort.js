@@ -0,0 +1,409 @@
+/**
+ * Psychrometric Calculator - Thermal Comfort
+ *
+ * Comfort indices for a psychrometric state: PMV and PPD (ISO 7730),
+ * operative temperature, standard effective temperature (SET, Gagge two-node
+ * model as published in ASHRAE 55 Appendix D) and the ASHRAE 55 PMV comfort
+ * zone, including the elevated air speed cooling effect. All values are in
+ * SI units; the vapor pressure of the air is taken from the state.
+ *
+ * @author HVAC Calculator Team
+ */
+
+// In Node.js the engine comes from psychrometrics.js; in the browser its
+// functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { findRoot } = require('./psychrometrics.js');
+}
+
+/**
+ * Metabolic rate of one met (W/m²)
+ */
+const MET_TO_W_PER_M2 = 58.15;
+
+/**
+ * Thermal resistance of one clo (m²·K/W)
+ */
+const CLO_TO_M2K_PER_W = 0.155;
+
+/**
+ * Still air speed of ASHRAE 55 (m/s); above it the SET cooling effect applies
+ */
+const STILL_AIR_SPEED = 0.1;
+
+/**
+ * PMV limits of the ASHRAE 55 comfort zone (80% acceptability)
+ */
+const COMFORT_PMV_LIMIT = 0.5;
+
+/**
+ * Input ranges over which the comfort models are defined; outside them
+ * results are reported with a warning. Temperatures in °C, air speed in m/s.
+ */
+const COMFORT_LIMITS = {
+    met: { min: 0.8, max: 4, name: 'Metabolic rate', unit: 'met' },
+    clo: { min: 0, max: 2, name: 'Clothing insulation', unit: 'clo' },
+    airSpeed: { min: 0, max: 2, name: 'Air speed', unit: 'm/s' },
+    dbt: { min: 10, max: 40, name: 'Air temperature', unit: '°C' },
+    mrt: { min: 10, max: 40, name: 'Mean radiant temperature', unit: '°C' }
+};
+
+/**
+ * Saturated vapor pressure used by the SET model (Torr)
+ * @param {number} temp - Temperature in Celsius
+ * @returns {number} Saturated vapor pressure in Torr
+ */
+function saturatedVaporPressureTorr(temp) {
+    return Math.exp(18.6686 - 4030.183 / (temp + 235));
+}
+
+/**
+ * Calculate the operative temperature (ASHRAE 55)
+ *
+ * t_o = A × t_a + (1 - A) × t_r, with A = 0.5 below 0.2 m/s, 0.6 up to
+ * 0.6 m/s and 0.7 up to 1 m/s
+ *
+ * @param {number} dbt - Air temperature in Celsius
+ * @param {number} mrt - Mean radiant temperature in Celsius
+ * @param {number} airSpeed - Relative air speed in m/s
+ * @returns {number} Operative temperature in Celsius
+ */
+function calculateOperativeTemperature(dbt, mrt, airSpeed) {
+    let weight = 0.5;
+    if (airSpeed >= 0.6) {
+        weight = 0.7;
+    } else if (airSpeed >= 0.2) {
+        weight = 0.6;
+    }
+    return weight * dbt + (1 - weight) * mrt;
+}
+
+/**
+ * Calculate the predicted mean vote (ISO 7730, Annex D)
+ * @param {Object} conditions - Comfort conditions
+ * @param {number} conditions.dbt - Air temperature in Celsius
+ * @param {number} conditions.mrt - Mean radiant temperature in Celsius
+ * @param {number} conditions.airSpeed - Relative air speed in m/s
+ * @param {number} conditions.vaporPressure - Partial vapor pressure in kPa
+ * @param {number} conditions.met - Metabolic rate in met
+ * @param {number} conditions.clo - Clothing insulation in clo
+ * @param {number} [conditions.work=0] - External work in met
+ * @returns {number} PMV on the seven-point thermal sensation scale
+ * @throws {Error} If the clothing surface temperature does not converge
+ */
+function calculatePMV({ dbt, mrt, airSpeed, vaporPressure, met, clo, work = 0 }) {
+    const pa = vaporPressure * 1000; // Pa
+    const icl = CLO_TO_M2K_PER_W * clo;
+    const m = met * MET_TO_W_PER_M2;
+    const mw = m - work * MET_TO_W_PER_M2;
+    const fcl = icl <= 0.078 ? 1 + 1.29 * icl : 1.05 + 0.645 * icl;
+    const hcf = 12.1 * Math.sqrt(airSpeed);
+    const taa = dbt + 273;
+    const tra = mrt + 273;
+
+    // Clothing surface temperature by fixed-point iteration
+    const p1 = icl * fcl;
+    const p2 = p1 * 3.96;
+    const p3 = p1 * 100;
+    const p4 = p1 * taa;
+    const p5 = 308.7 - 0.028 * mw + p2 * Math.pow(tra / 100, 4);
+    let xn = (taa + (35.5 - dbt) / (3.5 * icl + 0.1)) / 100;
+    let xf = xn * 2;
+    let hc = hcf;
+    for (let iteration = 0; Math.abs(xn - xf) > 0.00015; iteration++) {
+        if (iteration >= 150) {
+            throw new Error('Clothing surface temperature did not converge');
+        }
+        xf = (xf + xn) / 2;
+        hc = Math.max(hcf, 2.38 * Math.pow(Math.abs(100 * xf - taa), 0.25));
+        xn = (p5 + p4 * hc - p2 * Math.pow(xf, 4)) / (100 + p3 * hc);
+    }
+    const tcl = 100 * xn - 273;
+
+    // Heat losses (W/m²)
+    const skinDiffusion = 3.05e-3 * (5733 - 6.99 * mw - pa);
+    const sweating = mw > MET_TO_W_PER_M2 ? 0.42 * (mw - MET_TO_W_PER_M2) : 0;
+    const latentRespiration = 1.7e-5 * m * (5867 - pa);
+    const dryRespiration = 0.0014 * m * (34 - dbt);
+    const radiation = 3.96 * fcl * (Math.pow(xn, 4) - Math.pow(tra / 100, 4));
+    const convection = fcl * hc * (tcl - dbt);
+
+    const sensitivity = 0.303 * Math.exp(-0.036 * m) + 0.028;
+    return sensitivity * (mw - skinDiffusion - sweating - latentRespiration - dryRespiration - radiation - convection);
+}
+
+/**
+ * Calculate the predicted percentage of dissatisfied (ISO 7730)
+ * @param {number} pmv - Predicted mean vote
+ * @returns {number} PPD in percent (5 to 100)
+ */
+function calculatePPD(pmv) {
+    return 100 - 95 * Math.exp(-0.03353 * Math.pow(pmv, 4) - 0.2179 * Math.pow(pmv, 2));
+}
+
+/**
+ * Calculate the standard effective temperature (SET)
+ *
+ * Gagge two-node model run for one hour of exposure, as in ASHRAE 55
+ * Appendix D: SET is the temperature of an isothermal environment at 50% RH
+ * and still air in which a person in standard clothing has the same skin
+ * temperature and skin wettedness.
+ *
+ * @param {Object} conditions - Comfort conditions (see calculatePMV)
+ * @param {number} [pressure=101.325] - Atmospheric pressure in kPa
+ * @returns {number} SET in Celsius
+ */
+function calculateSET({ dbt, mrt, airSpeed, vaporPressure, met, clo, work = 0 }, pressure = 101.325) {
+    const bodyWeight = 69.9; // kg
+    const bodySurfaceArea = 1.8258; // m²
+    const stefanBoltzmann = 5.6697e-8;
+    const sweatCoefficient = 170;
+    const dilationCoefficient = 120;
+    const constrictionCoefficient = 0.5;
+    const skinNeutral = 33.7;
+    const coreNeutral = 36.8;
+    const bodyNeutral = 36.49;
+    const skinBloodFlowNeutral = 6.3;
+
+    const metFactor = 58.2; // W/m² per met in the published model
+    const vaporPressureTorr = vaporPressure * 760 / 101.325;
+    const speed = Math.max(airSpeed, STILL_AIR_SPEED);
+    const atmospheres = pressure / 101.325;
+    const rcl = CLO_TO_M2K_PER_W * clo;
+    const facl = 1 + 0.15 * clo;
+    const lewisRatio = 2.2 / atmospheres;
+    const restingMetabolism = met * metFactor;
+    const externalWork = work * metFactor;
+    const criticalWettedness = clo <= 0 ? 0.38 * Math.pow(speed, -0.29) : 0.59 * Math.pow(speed, -0.08);
+    const clothingPermeability = clo <= 0 ? 1 : 0.45;
+    const hc = Math.max(3 * Math.pow(atmospheres, 0.53), 8.600001 * Math.pow(speed * atmospheres, 0.53));
+
+    let tSkin = skinNeutral;
+    let tCore = coreNeutral;
+    let skinBloodFlow = skinBloodFlowNeutral;
+    let alpha = 0.1;
+    let metabolism = restingMetabolism;
+    let skinEvaporation = 0.1 * met;
+    let hr = 4.7;
+    let operative = (hr * mrt + hc * dbt) / (hr + hc);
+    let ra = 1 / (facl * (hr + hc));
+    let tcl = operative + (tSkin - operative) / ((hr + hc) * (ra + rcl));
+    let dry = 0;
+    let wettedness = 0;
+    let maxEvaporation = 0;
+
+    for (let minute = 0; minute < 60; minute++) {
+        // Clothing temperature and radiative coefficient
+        let previous;
+        do {
+            previous = tcl;
+            hr = 4 * 0.72 * stefanBoltzmann * Math.pow((tcl + mrt) / 2 + 273.15, 3);
+            ra = 1 / (facl * (hr + hc));
+            operative = (hr * mrt + hc * dbt) / (hr + hc);
+            tcl = (ra * tSkin + rcl * operative) / (ra + rcl);
+        } while (Math.abs(tcl - previous) > 0.01);
+
+        // Heat balance of the core and skin nodes
+        dry = (tSkin - operative) / (ra + rcl);
+        const coreToSkin = (tCore - tSkin) * (5.28 + 1.163 * skinBloodFlow);
+        const latentRespiration = 0.0023 * metabolism * (44 - vaporPressureTorr);
+        const dryRespiration = 0.0014 * metabolism * (34 - dbt);
+        const coreStorage = metabolism - coreToSkin - latentRespiration - dryRespiration - externalWork;
+        const skinStorage = coreToSkin - dry - skinEvaporation;
+        tSkin += (skinStorage * bodySurfaceArea) / (0.97 * alpha * bodyWeight * 60);
+        tCore += (coreStorage * bodySurfaceArea) / (0.97 * (1 - alpha) * bodyWeight * 60);
+        const tBody = alpha * tSkin + (1 - alpha) * tCore;
+
+        // Thermoregulation signals
+        const warmSkin = Math.max(0, tSkin - skinNeutral);
+        const coldSkin = Math.max(0, skinNeutral - tSkin);
+        const warmCore = Math.max(0, tCore - coreNeutral);
+        const coldCore = Math.max(0, coreNeutral - tCore);
+        const warmBody = Math.max(0, tBody - bodyNeutral);
+
+        skinBloodFlow = Math.min(90, Math.max(0.5, (skinBloodFlowNeutral + dilationCoefficient * warmCore) / (1 + constrictionCoefficient * coldSkin)));
+        const regulatorySweat = Math.min(500, sweatCoefficient * warmBody * Math.exp(warmSkin / 10.7));
+
+        // Evaporation from the skin
+        let sweatEvaporation = 0.68 * regulatorySweat;
+        const rea = 1 / (lewisRatio * facl * hc);
+        const recl = rcl / (lewisRatio * clothingPermeability);
+        maxEvaporation = (saturatedVaporPressureTorr(tSkin) - vaporPressureTorr) / (rea + recl);
+        let sweatFraction = sweatEvaporation / maxEvaporation;
+        wettedness = 0.06 + 0.94 * sweatFraction;
+        let diffusion = wettedness * maxEvaporation - sweatEvaporation;
+        if (wettedness > criticalWettedness) {
+            wettedness = criticalWettedness;
+            sweatFraction = criticalWettedness / 0.94;
+            sweatEvaporation = sweatFraction * maxEvaporation;
+            diffusion = 0.06 * (1 - sweatFraction) * maxEvaporation;
+        }
+        if (maxEvaporation < 0) {
+            diffusion = 0;
+            sweatEvaporation = 0;
+            wettedness = criticalWettedness;
+        }
+        skinEvaporation = sweatEvaporation + diffusion;
+
+        metabolism = restingMetabolism + 19.4 * coldSkin * coldCore;
+        alpha = 0.0417737 + 0.7451833 / (skinBloodFlow + 0.585417);
+    }
+
+    // Standard environment: standard clothing for the activity, still air
+    const skinHeatLoss = dry + skinEvaporation;
+    const hcStandard = met < 0.85 ? 3 : Math.max(3, 5.66 * Math.pow(met - 0.85, 0.39));
+    const hStandard = hcStandard + hr;
+    const cloStandard = 1.52 / ((met - work) + 0.6944) - 0.1835;
+    const rclStandard = CLO_TO_M2K_PER_W * cloStandard;
+    const faclStandard = 1 + 0.25 * cloStandard;
+    const fclStandard = 1 / (1 + 0.155 * faclStandard * hStandard * cloStandard);
+    const permeabilityStandard = 0.45 * hcStandard / hStandard * (1 - fclStandard) / (hcStandard / hStandard - fclStandard * 0.45);
+    const dryConductance = 1 / (1 / (faclStandard * hStandard) + rclStandard);
+    const evaporativeConductance = 1 / (1 / (lewisRatio * faclStandard * hcStandard) + rclStandard / (lewisRatio * permeabilityStandard));
+    const skinSaturation = saturatedVaporPressureTorr(tSkin);
+
+    // Temperature of the standard environment with the same skin heat loss
+    const balance = set => skinHeatLoss - dryConductance * (tSkin - set)
+        - wettedness * evaporativeConductance * (skinSaturation - 0.5 * saturatedVaporPressureTorr(set));
+    let set = tSkin - skinHeatLoss / dryConductance;
+    for (let step = 100; Math.abs(step) > 0.01;) {
+        const error = balance(set);
+        step = -0.0001 * error / (balance(set + 0.0001) - error);
+        set += step;
+    }
+    return set;
+}
+
+/**
+ * Calculate the ASHRAE 55 cooling effect of elevated air speed
+ *
+ * The cooling effect is the temperature drop of air and mean radiant
+ * temperature that gives the same SET in still air as the actual conditions.
+ *
+ * @param {Object} conditions - Comfort conditions (see calculatePMV)
+ * @param {number} [pressure=101.325] - Atmospheric pressure in kPa
+ * @returns {number} Cooling effect in K; 0 in still air
+ */
+function calculateCoolingEffect(conditions, pressure = 101.325) {
+    if (conditions.airSpeed <= STILL_AIR_SPEED) {
+        return 0;
+    }
+
+    const target = calculateSET(conditions, pressure);
+    const difference = coolingEffect => calculateSET({
+        ...conditions,
+        dbt: conditions.dbt - coolingEffect,
+        mrt: conditions.mrt - coolingEffect,
+        airSpeed: STILL_AIR_SPEED
+    }, pressure) - target;
+
+    if (difference(0) <= 0) {
+        return 0;
+    }
+    return findRoot(difference, 0, 40, 0.001);
+}
+
+/**
+ * Validate comfort inputs
+ * @param {Object} conditions - Comfort conditions in SI units (dbt, mrt, airSpeed, met, clo)
+ * @returns {Object} errors that prevent the calculation and warnings for inputs outside the model ranges
+ */
+function validateComfortInputs(conditions) {
+    const errors = [];
+    const warnings = [];
+
+    ['mrt', 'airSpeed', 'met', 'clo'].forEach(key => {
+        if (typeof conditions[key] !== 'number' || isNaN(conditions[key])) {
+            errors.push(`${COMFORT_LIMITS[key].name} must be a number`);
+        }
+    });
+    if (errors.length > 0) {
+        return { errors, warnings };
+    }
+    if (conditions.met <= 0) {
+        errors.push('Metabolic rate must be greater than zero');
+    }
+    if (conditions.clo < 0) {
+        errors.push('Clothing insulation cannot be negative');
+    }
+    if (conditions.airSpeed < 0) {
+        errors.push('Air speed cannot be negative');
+    }
+
+    Object.entries(COMFORT_LIMITS).forEach(([key, { min, max, name, unit }]) => {
+        const value = conditions[key];
+        if (value < min || value > max) {
+            const separator = unit.startsWith('°') ? '' : ' ';
+            warnings.push(`${name} (${Number(value.toFixed(2))}${separator}${unit}) is outside the comfort model range of ${min}${separator}${unit} to ${max}${separator}${unit}`);
+        }
+    });
+
+    return { errors, warnings };
+}
+
+/**
+ * Calculate the comfort indices of a psychrometric state
+ *
+ * PMV and PPD follow ISO 7730 at the actual air speed. The ASHRAE 55
+ * comfort zone is judged on the PMV at still air after subtracting the
+ * cooling effect of air speeds above 0.1 m/s (ASHRAE 55 SET method).
+ *
+ * @param {Object} state - State from calculatePsychrometricState (dbt, vaporPressure, pressure)
+ * @param {Object} options - Comfort inputs in SI units
+ * @param {number} [options.mrt] - Mean radiant temperature in Celsius; defaults to the dry bulb temperature
+ * @param {number} [options.airSpeed] - Relative air speed in m/s; defaults to still air
+ * @param {number} options.met - Metabolic rate in met
+ * @param {number} options.clo - Clothing insulation in clo
+ * @returns {Object} pmv, ppd (%), operativeTemperature and set (°C), coolingEffect (K), ashrae55Pmv, inComfortZone and warnings
+ * @throws {Error} If the comfort inputs are invalid
+ */
+function calculateComfort(state, { mrt, airSpeed = STILL_AIR_SPEED, met, clo }) {
+    const conditions = {
+        dbt: state.dbt,
+        mrt: mrt !== undefined && mrt !== null ? mrt : state.dbt,
+        airSpeed,
+        vaporPressure: state.vaporPressure,
+        met,
+        clo
+    };
+
+    const { errors, warnings } = validateComfortInputs(conditions);
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    const pmv = calculatePMV(conditions);
+    const coolingEffect = calculateCoolingEffect(conditions, state.pressure);
+    const ashrae55Pmv = coolingEffect > 0
+        ? calculatePMV({ ...conditions, dbt: conditions.dbt - coolingEffect, mrt: conditions.mrt - coolingEffect, airSpeed: STILL_AIR_SPEED })
+        : pmv;
+
+    return {
+        pmv,
+        ppd: calculatePPD(pmv),
+        operativeTemperature: calculateOperativeTemperature(conditions.dbt, conditions.mrt, airSpeed),
+        set: calculateSET(conditions, state.pressure),
+        coolingEffect,
+        ashrae55Pmv,
+        inComfortZone: Math.abs(ashrae55Pmv) <= COMFORT_PMV_LIMIT,
+        warnings
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MET_TO_W_PER_M2,
+        CLO_TO_M2K_PER_W,
+        STILL_AIR_SPEED,
+        COMFORT_PMV_LIMIT,
+        COMFORT_LIMITS,
+        calculateOperativeTemperature,
+        calculatePMV,
+        calculatePPD,
+        calculateSET,
+        calculateCoolingEffect,
+        validateComfortInputs,
+        calculateComfort
+    };
+}
@@ -0,0 +1,249 @@
+/**
+ * Psychrometric Calculator - Cooling Tower
+ *
+ * Counterflow cooling tower performance from the ambient wet bulb
+ * temperature: range, approach, liquid-to-gas ratio, the Merkel number
+ * (KaV/L) integrated over the air enthalpy, evaporation, drift, blowdown and
+ * make-up water, and the cold water temperature at an off-design wet bulb for
+ * the same tower characteristic. All values are in SI units; water is taken
+ * at 1 kg per litre.
+ *
+ * @author HVAC Calculator Team
+ */
+
+// In Node.js the engine comes from psychrometrics.js; in the browser its
+// functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    var {
+        barometricPressure,
+        calculateEnthalpy,
+        calculateHumidityRatioFromDewPoint,
+        calculatePsychrometricState,
+        findRoot
+    } = require('./psychrometrics.js');
+}
+
+/**
+ * Specific heat of water in kJ/(kg·K)
+ */
+const CP_WATER = 4.186;
+
+/**
+ * Number of Simpson intervals for the Merkel integral (even)
+ */
+const MERKEL_INTERVALS = 20;
+
+/**
+ * Default drift loss as a fraction of the circulating water flow (0.02%)
+ */
+const DEFAULT_DRIFT_RATE = 0.0002;
+
+/**
+ * Enthalpy of saturated air at a temperature
+ * @param {number} temperature - Temperature in Celsius
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Enthalpy in kJ/kg dry air
+ */
+function saturatedAirEnthalpy(temperature, pressure) {
+    return calculateEnthalpy(temperature, calculateHumidityRatioFromDewPoint(temperature, pressure));
+}
+
+/**
+ * Calculate the Merkel number of a counterflow tower
+ *
+ * KaV/L = ∫ c_pw dT / (h_s(T) - h_a(T)) from the cold to the hot water
+ * temperature, where h_s is the enthalpy of saturated air at the water
+ * temperature and h_a the air enthalpy on the operating line
+ * h_a = h_in + (L/G) × c_pw × (T - T_cold). Integrated with Simpson's rule.
+ *
+ * @param {number} hotWater - Hot (entering) water temperature in Celsius
+ * @param {number} coldWater - Cold (leaving) water temperature in Celsius
+ * @param {number} enteringAirEnthalpy - Enthalpy of the entering air in kJ/kg dry air
+ * @param {number} lg - Liquid-to-gas mass flow ratio
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Merkel number KaV/L
+ * @throws {Error} If the operating line reaches the saturation curve
+ */
+function calculateMerkelNumber(hotWater, coldWater, enteringAirEnthalpy, lg, pressure) {
+    const step = (hotWater - coldWater) / MERKEL_INTERVALS;
+    let sum = 0;
+
+    for (let i = 0; i <= MERKEL_INTERVALS; i++) {
+        const temperature = coldWater + i * step;
+        const airEnthalpy = enteringAirEnthalpy + lg * CP_WATER * (temperature - coldWater);
+        const drivingForce = saturatedAirEnthalpy(temperature, pressure) - airEnthalpy;
+        if (drivingForce <= 0) {
+            throw new Error('L/G is too high: the air saturates before it leaves the tower');
+        }
+
+        const weight = i === 0 || i === MERKEL_INTERVALS ? 1 : (i % 2 === 1 ? 4 : 2);
+        sum += weight * CP_WATER / drivingForce;
+    }
+
+    return sum * step / 3;
+}
+
+/**
+ * Solve the entering air of a tower
+ * @param {number} wbt - Ambient wet bulb temperature in Celsius
+ * @param {number} [dbt] - Ambient dry bulb temperature in Celsius; saturated air at the wet bulb if omitted
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {Object} Entering air state
+ */
+function enteringTowerAir(wbt, dbt, pressure) {
+    return calculatePsychrometricState('dbt_wbt', dbt !== undefined ? dbt : wbt, wbt, pressure);
+}
+
+/**
+ * Calculate cooling tower performance at design conditions
+ *
+ * The air flow is given either as a dry-air mass flow or directly as L/G.
+ * The air is assumed to leave saturated. Evaporation follows from the
+ * moisture picked up by the air, blowdown from the cycles of concentration:
+ *   B = E / (C - 1) - D
+ *
+ * @param {Object} design - Design conditions in SI units
+ * @param {number} design.wbt - Ambient wet bulb temperature in Celsius
+ * @param {number} [design.dbt] - Ambient dry bulb temperature in Celsius; saturated air at the wet bulb if omitted
+ * @param {number} design.hotWater - Hot (entering) water temperature in Celsius
+ * @param {number} design.coldWater - Cold (leaving) water temperature in Celsius
+ * @param {number} design.waterFlow - Circulating water flow in kg/s (L/s)
+ * @param {number} [design.airFlow] - Dry-air mass flow in kg/s; give this or lg
+ * @param {number} [design.lg] - Liquid-to-gas mass flow ratio; give this or airFlow
+ * @param {number} [design.cycles=4] - Cycles of concentration (greater than 1)
+ * @param {number} [design.driftRate=0.0002] - Drift loss as a fraction of the water flow
+ * @param {number} [design.pressure] - Atmospheric pressure in kPa; defaults to sea level
+ * @returns {Object} range and approach (K), lg, airFlow (kg/s), merkelNumber, heatRejected (kW),
+ *     leavingAirTemperature (°C) and evaporation, drift, blowdown and makeup (kg/s)
+ * @throws {Error} If the conditions are not physically consistent
+ */
+function calculateCoolingTower(design) {
+    const {
+        wbt,
+        dbt,
+        hotWater,
+        coldWater,
+        waterFlow,
+        airFlow,
+        cycles = 4,
+        driftRate = DEFAULT_DRIFT_RATE,
+        pressure = barometricPressure(0)
+    } = design;
+
+    [['Wet bulb temperature', wbt], ['Hot water temperature', hotWater], ['Cold water temperature', coldWater]].forEach(([name, value]) => {
+        if (typeof value !== 'number' || isNaN(value)) {
+            throw new Error(`${name} must be a number`);
+        }
+    });
+    if (hotWater <= coldWater) {
+        throw new Error('Hot water temperature must be above the cold water temperature');
+    }
+    if (coldWater <= wbt) {
+        throw new Error('Cold water temperature must be above the ambient wet bulb temperature');
+    }
+    if (!(waterFlow > 0)) {
+        throw new Error('Water flow must be greater than zero');
+    }
+    if ((airFlow === undefined) === (design.lg === undefined)) {
+        throw new Error('Give either the air flow or the L/G ratio');
+    }
+    const lg = airFlow !== undefined ? waterFlow / airFlow : design.lg;
+    if (!(lg > 0)) {
+        throw new Error('Air flow and L/G must be greater than zero');
+    }
+    if (!(cycles > 1)) {
+        throw new Error('Cycles of concentration must be greater than 1');
+    }
+    if (!(driftRate >= 0)) {
+        throw new Error('Drift rate cannot be negative');
+    }
+
+    const entering = enteringTowerAir(wbt, dbt, pressure);
+    const range = hotWater - coldWater;
+    const merkelNumber = calculateMerkelNumber(hotWater, coldWater, entering.enthalpy, lg, pressure);
+
+    // Leaving air is saturated at the enthalpy reached on the operating line
+    const leavingEnthalpy = entering.enthalpy + lg * CP_WATER * range;
+    const leavingAirTemperature = findRoot(
+        temperature => saturatedAirEnthalpy(temperature, pressure) - leavingEnthalpy,
+        wbt,
+        hotWater
+    );
+
+    const dryAirFlow = waterFlow / lg;
+    const evaporation = dryAirFlow * (calculateHumidityRatioFromDewPoint(leavingAirTemperature, pressure) - entering.humidityRatio);
+    const drift = driftRate * waterFlow;
+    const blowdown = Math.max(0, evaporation / (cycles - 1) - drift);
+
+    return {
+        range,
+        approach: coldWater - wbt,
+        lg,
+        airFlow: dryAirFlow,
+        merkelNumber,
+        heatRejected: waterFlow * CP_WATER * range,
+        leavingAirTemperature,
+        evaporation,
+        drift,
+        blowdown,
+        makeup: evaporation + drift + blowdown,
+        cycles,
+        pressure
+    };
+}
+
+/**
+ * Find the cold water temperature of a tower at an off-design wet bulb
+ *
+ * The tower characteristic (KaV/L at the design L/G) and the range are kept,
+ * so the same water flow and heat load are rejected; the cold water
+ * temperature is solved so that the Merkel number matches the design value.
+ *
+ * @param {Object} design - Design conditions as for calculateCoolingTower
+ * @param {number} wbt - Off-design ambient wet bulb temperature in Celsius
+ * @param {number} [dbt] - Off-design ambient dry bulb temperature in Celsius
+ * @returns {Object} Off-design performance as calculateCoolingTower, with the solved hot and cold water temperatures
+ * @throws {Error} If the design conditions are invalid
+ */
+function calculateCoolingTowerOffDesign(design, wbt, dbt) {
+    const performance = calculateCoolingTower(design);
+    const pressure = performance.pressure;
+    const enteringEnthalpy = enteringTowerAir(wbt, dbt, pressure).enthalpy;
+    const merkelDifference = coldWater => {
+        try {
+            return calculateMerkelNumber(coldWater + performance.range, coldWater, enteringEnthalpy, performance.lg, pressure) - performance.merkelNumber;
+        } catch (error) {
+            // Air saturates inside the tower: the approach is too small, so
+            // return a large positive value that keeps the root bracketed
+            return 1000;
+        }
+    };
+
+    // KaV/L falls as the approach widens; 60 K of approach brackets any practical tower
+    const coldWater = findRoot(merkelDifference, wbt + 0.01, wbt + 60);
+
+    return {
+        ...calculateCoolingTower({
+            ...design,
+            wbt,
+            dbt,
+            coldWater,
+            hotWater: coldWater + performance.range,
+            airFlow: undefined,
+            lg: performance.lg
+        }),
+        coldWater,
+        hotWater: coldWater + performance.range
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CP_WATER,
+        DEFAULT_DRIFT_RATE,
+        calculateMerkelNumber,
+        calculateCoolingTower,
+        calculateCoolingTowerOffDesign
+    };
+}
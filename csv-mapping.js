@@ -0,0 +1,318 @@
+/**
+ * Psychrometric Calculator - CSV Column Mapping
+ *
+ * Maps the columns of CSV files that are not in the calculator's layout, such
+ * as data logger exports with a timestamp, a temperature and a humidity
+ * column, onto the InputType, Value1, Value2, Altitude (or Pressure), Units
+ * and comfort columns the CSV processor reads. Each of these is taken from a
+ * file column or given one value for the whole file, so a file without an
+ * InputType or Altitude column can use a fixed input pair and a constant
+ * altitude or pressure. Mappings are kept in browser storage as named
+ * templates, to be reused for every file of the same layout.
+ *
+ * A mapping is an object keyed by the fields of CSV_MAPPING_FIELDS, each
+ * { column: 'Temp_F' } or { value: 'dbt_rh' }, for example:
+ *
+ *   {
+ *       inputType: { value: 'dbt_rh' },
+ *       value1: { column: 'Temp_F' },
+ *       value2: { column: 'RH_pct' },
+ *       units: { value: 'IP' },
+ *       altitude: { value: 650 }
+ *   }
+ *
+ * @author HVAC Calculator Team
+ */
+
+// In Node.js the engine and unit conversions are loaded as modules; in the
+// browser and in the batch worker they are globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { getInputTypes, parseInputType } = require('./psychrometrics.js');
+    var { normalizeUnitSystem, normalizePressureUnit } = require('./units.js');
+}
+
+/**
+ * Fields a mapping can set, with the CSV column each one stands for. value
+ * tells what a value for the whole file is: an input type, a unit system, a
+ * pressure unit or a number (in the unit system of the row); fields without
+ * it must come from a column.
+ */
+const CSV_MAPPING_FIELDS = {
+    inputType: { header: 'InputType', label: 'Input Pair', value: 'inputType', required: true },
+    value1: { header: 'Value1', label: 'Value 1', required: true },
+    value2: { header: 'Value2', label: 'Value 2', required: true },
+    units: { header: 'Units', label: 'Units', value: 'units' },
+    altitude: { header: 'Altitude', label: 'Altitude', value: 'number' },
+    pressure: { header: 'Pressure', label: 'Pressure', value: 'number' },
+    pressureUnit: { header: 'PressureUnit', label: 'Pressure Unit', value: 'pressureUnit' },
+    mrt: { header: 'MRT', label: 'Mean Radiant Temperature', value: 'number' },
+    airSpeed: { header: 'AirSpeed', label: 'Air Speed', value: 'number' },
+    met: { header: 'Met', label: 'Metabolic Rate (met)', value: 'number' },
+    clo: { header: 'Clo', label: 'Clothing (clo)', value: 'number' }
+};
+
+/**
+ * Browser storage key of the mapping templates
+ */
+const MAPPING_TEMPLATES_STORAGE_KEY = 'psychrometricCsvMappings';
+
+/**
+ * Check a column mapping and return it in the stored form
+ *
+ * The input pair and both values are required, and so is an altitude or a
+ * pressure; as in a CSV file, a pressure takes priority over the altitude.
+ *
+ * @param {Object} mapping - Mapping keyed by the fields of CSV_MAPPING_FIELDS
+ * @returns {Object} Mapping with only the fields that are set
+ * @throws {Error} If the mapping is not valid
+ */
+function normalizeColumnMapping(mapping) {
+    if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        throw new Error('Column mapping must be an object');
+    }
+    const unknown = Object.keys(mapping).filter(key => !CSV_MAPPING_FIELDS[key]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown mapping field: ${unknown.join(', ')}`);
+    }
+
+    const normalized = {};
+    Object.entries(CSV_MAPPING_FIELDS).forEach(([key, field]) => {
+        const source = mapping[key];
+        if (source === undefined || source === null) {
+            if (field.required) {
+                throw new Error(`Map a column to ${field.label}`);
+            }
+            return;
+        }
+
+        if (typeof source.column === 'string' && source.column.trim() !== '') {
+            normalized[key] = { column: source.column.trim() };
+            return;
+        }
+        if (!field.value || source.value === undefined || source.value === null || String(source.value).trim() === '') {
+            throw new Error(`${field.label} must be ${field.value ? 'a column or a value' : 'a column'}`);
+        }
+
+        let value = source.value;
+        if (field.value === 'inputType') {
+            parseInputType(value);
+        } else if (field.value === 'units') {
+            value = normalizeUnitSystem(value);
+        } else if (field.value === 'pressureUnit') {
+            value = normalizePressureUnit(value);
+        } else {
+            value = typeof value === 'number' ? value : parseFloat(value);
+            if (!isFinite(value)) {
+                throw new Error(`${field.label} must be a number`);
+            }
+        }
+        normalized[key] = { value };
+    });
+
+    if (!normalized.altitude && !normalized.pressure) {
+        throw new Error('Map a column or give a value for the Altitude or the Pressure');
+    }
+    return normalized;
+}
+
+/**
+ * List the file columns a mapping reads
+ * @param {Object} mapping - Normalized mapping
+ * @returns {Array<string>} Column headers, each once
+ */
+function getMappedColumns(mapping) {
+    return [...new Set(Object.values(mapping).filter(source => source.column).map(source => source.column))];
+}
+
+/**
+ * Turn a parsed CSV row into a row of the calculator's columns
+ *
+ * Values for the whole file are written as text, as if read from the file.
+ * The row's symbol keys (its line number and parse error) are kept.
+ *
+ * @param {Object} row - Parsed CSV row
+ * @param {Object} mapping - Normalized mapping
+ * @returns {Object} Row with the InputType, Value1, Value2 and other mapped columns
+ */
+function applyColumnMapping(row, mapping) {
+    const mapped = {};
+    Object.entries(mapping).forEach(([key, source]) => {
+        const value = source.column !== undefined ? row[source.column] : String(source.value);
+        mapped[CSV_MAPPING_FIELDS[key].header] = value === undefined ? '' : value;
+    });
+    Object.getOwnPropertySymbols(row).forEach(key => {
+        mapped[key] = row[key];
+    });
+    return mapped;
+}
+
+/**
+ * Guess a mapping from a file's column headers
+ *
+ * Headers are matched on words such as 'temp', 'rh', 'dew' or 'elevation';
+ * the first two properties found that fix a state give the input pair, and
+ * a unit suffix such as '_F' or '(°C)' on them gives the units. Without an
+ * altitude or pressure column the altitude is set to sea level. The guess
+ * is a starting point for the user and may be incomplete.
+ *
+ * @param {Array<string>} headers - Column headers
+ * @returns {Object} Mapping keyed by the fields of CSV_MAPPING_FIELDS
+ */
+function suggestColumnMapping(headers) {
+    const has = (words, ...names) => names.some(name => words.includes(name));
+    const patterns = [
+        ['wbt', words => has(words, 'wbt', 'twb', 'wetbulb') || has(words, 'wet')],
+        ['dpt', words => has(words, 'dpt', 'tdp', 'dp', 'dewpoint') || has(words, 'dew')],
+        ['w', words => has(words, 'w', 'hr', 'mixing') || (has(words, 'humidity') && has(words, 'ratio'))],
+        ['h', words => has(words, 'h', 'enthalpy')],
+        ['rh', words => has(words, 'rh', 'humidity', 'relhum', 'hum')],
+        ['dbt', words => has(words, 'dbt', 'tdb', 't', 'temp', 'temperature', 'drybulb', 'dry')],
+        ['altitude', words => has(words, 'altitude', 'alt', 'elevation', 'elev')],
+        ['pressure', words => has(words, 'pressure', 'press', 'baro', 'barometric', 'p')],
+        ['units', words => has(words, 'units', 'unitsystem')]
+    ];
+
+    const found = {};
+    const unitHints = {};
+    headers.forEach(header => {
+        const words = header.toLowerCase().split(/[^a-z°]+/).filter(word => word !== '');
+        const match = patterns.find(([key, test]) => !found[key] && test(words));
+        if (match) {
+            found[match[0]] = header;
+            if (has(words, 'f', '°f', 'degf')) {
+                unitHints[match[0]] = 'IP';
+            } else if (has(words, 'c', '°c', 'degc')) {
+                unitHints[match[0]] = 'SI';
+            }
+        }
+    });
+
+    const mapping = {};
+    const inputType = getInputTypes().find(type => type.split('_').every(key => found[key]));
+    if (inputType) {
+        const keys = parseInputType(inputType);
+        mapping.inputType = { value: inputType };
+        mapping.value1 = { column: found[keys[0]] };
+        mapping.value2 = { column: found[keys[1]] };
+        const units = keys.map(key => unitHints[key]).find(hint => hint);
+        if (units && !found.units) {
+            mapping.units = { value: units };
+        }
+    }
+    if (found.units) {
+        mapping.units = { column: found.units };
+    }
+    if (found.pressure) {
+        mapping.pressure = { column: found.pressure };
+    } else {
+        mapping.altitude = found.altitude ? { column: found.altitude } : { value: 0 };
+    }
+    return mapping;
+}
+
+/**
+ * Check a list of mapping templates
+ *
+ * Template names are compared case-insensitively and must be unique.
+ *
+ * @param {Array|string} data - Templates ({ name, mapping }) or their JSON text
+ * @returns {Array<Object>} Templates with normalized mappings, sorted by name
+ * @throws {Error} If a template is not valid
+ */
+function parseMappingTemplates(data) {
+    const templates = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!Array.isArray(templates)) {
+        throw new Error('Mapping templates must be an array');
+    }
+
+    const names = new Set();
+    return templates.map((template, index) => {
+        const name = template && typeof template.name === 'string' ? template.name.trim() : '';
+        if (name === '') {
+            throw new Error(`Mapping template ${index + 1} needs a name`);
+        }
+        if (names.has(name.toLowerCase())) {
+            throw new Error(`Duplicate mapping template '${name}'`);
+        }
+        names.add(name.toLowerCase());
+        try {
+            return { name, mapping: normalizeColumnMapping(template.mapping) };
+        } catch (error) {
+            throw new Error(`${name}: ${error.message}`);
+        }
+    }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Add a mapping template, replacing the template of the same name
+ * @param {Array<Object>} templates - Current templates
+ * @param {string} name - Template name
+ * @param {Object} mapping - Column mapping
+ * @returns {Array<Object>} Updated templates, sorted by name
+ * @throws {Error} If the name or the mapping is not valid
+ */
+function saveMappingTemplate(templates, name, mapping) {
+    const key = String(name || '').trim().toLowerCase();
+    return parseMappingTemplates([
+        ...templates.filter(template => template.name.toLowerCase() !== key),
+        { name, mapping }
+    ]);
+}
+
+/**
+ * Remove a mapping template
+ * @param {Array<Object>} templates - Current templates
+ * @param {string} name - Template name
+ * @returns {Array<Object>} Updated templates
+ */
+function deleteMappingTemplate(templates, name) {
+    return templates.filter(template => template.name.toLowerCase() !== name.toLowerCase());
+}
+
+/**
+ * Load the mapping templates from browser storage
+ *
+ * Stored templates that are no longer valid are ignored rather than stopping
+ * the page from loading.
+ *
+ * @returns {Array<Object>} Stored templates, empty if there are none
+ */
+function loadMappingTemplates() {
+    try {
+        const stored = localStorage.getItem(MAPPING_TEMPLATES_STORAGE_KEY);
+        return stored ? parseMappingTemplates(stored) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Store the mapping templates in browser storage
+ * @param {Array<Object>} templates - Templates
+ * @returns {boolean} Whether the templates could be stored
+ */
+function saveMappingTemplates(templates) {
+    try {
+        localStorage.setItem(MAPPING_TEMPLATES_STORAGE_KEY, JSON.stringify(templates));
+        return true;
+    } catch (error) {
+        // Storage may be unavailable (private browsing, file:// URLs)
+        return false;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        CSV_MAPPING_FIELDS,
+        normalizeColumnMapping,
+        getMappedColumns,
+        applyColumnMapping,
+        suggestColumnMapping,
+        parseMappingTemplates,
+        saveMappingTemplate,
+        deleteMappingTemplate,
+        loadMappingTemplates,
+        saveMappingTemplates
+    };
+}
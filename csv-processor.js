@@ -1,11 +1,115 @@
 // CSV Processor - Handle CSV input/output for batch psychrometric calculations
 
+// In Node.js the engine, comfort model, unit conversions and column mapping
+// are loaded as modules; in the browser they are globals defined by
+// psychrometrics.js, comfort.js, units.js and csv-mapping.js
+if (typeof module !== 'undefined' && module.exports) {
+    var {
+        calculatePsychrometricProperties,
+        calculatePsychrometricState,
+        calculateSitePressure,
+        getInputDefinitions,
+        getDerivedPropertyDefinitions,
+        parseInputType,
+        validatePsychrometricInputs,
+        validateSiteInputs
+    } = require('./psychrometrics.js');
+    var {
+        normalizeUnitSystem,
+        normalizePressureUnit,
+        convertToSI,
+        convertPressureToKPa,
+        unitLabel,
+        formatQuantity
+    } = require('./units.js');
+    var { calculateComfort } = require('./comfort.js');
+    var { normalizeColumnMapping, getMappedColumns, applyColumnMapping } = require('./csv-mapping.js');
+}
+
+/**
+ * Field delimiters recognised when a file's delimiter is detected, in order
+ * of preference when the header has as many of each
+ */
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Decimal separators a file's numbers may use
+ */
+const CSV_DECIMAL_SEPARATORS = ['.', ','];
+
+/**
+ * Characters read from the start of a file to detect its format
+ */
+const CSV_SAMPLE_LENGTH = 64 * 1024;
+
+/**
+ * Key of the file line number kept on every parsed row. A symbol, so it is
+ * not one of the row's columns but is copied with the row.
+ */
+const CSV_LINE_NUMBER = Symbol('csvLineNumber');
+
+/**
+ * Key of the parse error kept on a row that was read in lenient mode
+ * although its number of fields does not match the header
+ */
+const CSV_ROW_ERROR = Symbol('csvRowError');
+
 class CSVProcessor {
     constructor() {
         this.processing = false;
         this.results = [];
         this.errors = [];
         this.warnings = [];
+        this.unitSystem = 'SI'; // File-level default, overridden per row by a Units column
+        this.outputColumns = null; // Headers of the exported columns; null for all
+        this.delimiter = 'auto'; // Field delimiter of parsed files; 'auto' to detect
+        this.decimalSeparator = 'auto'; // Decimal separator of parsed files; 'auto' to detect
+        this.format = null; // Delimiter and decimal separator of the last parsed file
+        this.parseWarnings = []; // Rows skipped while parsing the last file
+        this.inputColumns = []; // Headers of the last parsed file, in file order
+        this.lenient = false; // Keep failed rows in the output instead of rejecting the file
+        this.columnMapping = null; // Mapping of the file's columns (see csv-mapping.js); null for the standard columns
+    }
+
+    /**
+     * Choose how the columns of parsed files are read
+     * @param {Object|null} mapping - Column mapping (see normalizeColumnMapping), or null
+     *     for files with the InputType, Value1, Value2 and Altitude columns
+     * @throws {Error} If the mapping is not valid
+     */
+    setColumnMapping(mapping) {
+        this.columnMapping = mapping ? normalizeColumnMapping(mapping) : null;
+    }
+
+    /**
+     * Read a parsed row through the column mapping
+     * @param {Object} row - Parsed CSV row
+     * @returns {Object} Row with the calculator's columns; the row itself without a mapping
+     */
+    mapRow(row) {
+        return this.columnMapping ? applyColumnMapping(row, this.columnMapping) : row;
+    }
+
+    /**
+     * Choose the delimiter and decimal separator of parsed files
+     * @param {Object} format - delimiter (',', ';', '\t' or 'tab', '|') and decimalSeparator ('.' or ','),
+     *     each 'auto' (the default) to detect it from the file
+     * @throws {Error} If a delimiter or decimal separator is not supported
+     */
+    setInputFormat({ delimiter = 'auto', decimalSeparator = 'auto' } = {}) {
+        const normalizedDelimiter = String(delimiter).toLowerCase() === 'tab' ? '\t' : delimiter;
+        if (normalizedDelimiter !== 'auto' && !CSV_DELIMITERS.includes(normalizedDelimiter)) {
+            throw new Error(`Unsupported delimiter '${delimiter}'. Must be one of: auto, comma (,), semicolon (;), tab, pipe (|)`);
+        }
+        if (decimalSeparator !== 'auto' && !CSV_DECIMAL_SEPARATORS.includes(decimalSeparator)) {
+            throw new Error(`Unsupported decimal separator '${decimalSeparator}'. Must be one of: auto, point (.), comma (,)`);
+        }
+        if (normalizedDelimiter === ',' && decimalSeparator === ',') {
+            throw new Error('A decimal comma needs a delimiter other than comma');
+        }
+
+        this.delimiter = normalizedDelimiter;
+        this.decimalSeparator = decimalSeparator;
     }
 
     /**
@@ -14,73 +118,459 @@ class CSVProcessor {
      * @returns {Array} Parsed data
      */
     parseCSV(csvContent) {
-        const lines = csvContent.trim().split('\n');
-        const headers = this.parseCSVLine(lines[0]);
-        const data = [];
-
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            
-            // Skip empty lines
-            if (line === '') {
-                continue;
-            }
-            
-            const values = this.parseCSVLine(lines[i]);
-            if (values.length === headers.length) {
+        const parser = this.createRowParser();
+        return [...parser.write(csvContent), ...parser.end()];
+    }
+
+    /**
+     * Create a streaming parser turning CSV text into row objects
+     *
+     * Text is given in chunks of any size. The first chunks are held until
+     * enough of the file has been read to detect its format (see
+     * detectCSVFormat; the delimiter and decimalSeparator settings take
+     * priority), which is then kept in format. A byte order mark is dropped,
+     * the first record gives the column headers and blank records are
+     * skipped. Records with a different number of fields than the header are
+     * skipped with a warning in parseWarnings, or in lenient mode kept as a
+     * failed row with the fields there are. Fields are returned as written,
+     * so numbers with a decimal comma are read with parseNumber. Every row
+     * keeps the file line it starts on (see getRowNumber).
+     *
+     * @returns {Object} Parser with write(chunk) and end(), each returning the rows completed
+     */
+    createRowParser() {
+        this.format = null;
+        this.parseWarnings = [];
+        this.inputColumns = [];
+        let sample = '';
+        let records = null;
+        let headers = null;
+
+        const toRows = list => {
+            const rows = [];
+            list.forEach(record => {
+                if (record.fields.length === 1 && record.fields[0].trim() === '') {
+                    return;
+                }
+                if (record.unterminated) {
+                    this.parseWarnings.push(`Row ${record.line}: Quoted field is not closed before the end of the file.`);
+                }
+                if (!headers) {
+                    headers = record.fields.map(header => header.trim());
+                    this.inputColumns = headers;
+                    return;
+                }
                 const row = {};
+                if (record.fields.length !== headers.length) {
+                    const message = `Expected ${headers.length} columns but found ${record.fields.length}`;
+                    if (!this.lenient) {
+                        this.parseWarnings.push(`Row ${record.line}: ${message}. Row skipped.`);
+                        return;
+                    }
+                    row[CSV_ROW_ERROR] = message;
+                }
+
                 headers.forEach((header, index) => {
-                    row[header.trim()] = values[index].trim();
+                    row[header] = (record.fields[index] || '').trim();
                 });
-                data.push(row);
-            } else if (values.length > 0) {
-                // Log warning for malformed rows
-                this.warnings.push(`Row ${i + 2}: Expected ${headers.length} columns but found ${values.length}. Row skipped.`);
+                row[CSV_LINE_NUMBER] = record.line;
+                rows.push(row);
+            });
+            return rows;
+        };
+
+        const start = complete => {
+            const text = sample.replace(/^\uFEFF/, '');
+            sample = '';
+            const detected = this.detectCSVFormat(text, complete);
+            this.format = {
+                delimiter: this.delimiter !== 'auto' ? this.delimiter : detected.delimiter,
+                decimalSeparator: this.decimalSeparator !== 'auto' ? this.decimalSeparator : detected.decimalSeparator
+            };
+            records = this.createRecordParser(this.format.delimiter);
+            return toRows(records.write(text));
+        };
+
+        return {
+            write: chunk => {
+                if (records) {
+                    return toRows(records.write(chunk));
+                }
+                sample += chunk;
+                return sample.length >= CSV_SAMPLE_LENGTH ? start(false) : [];
+            },
+            end: () => {
+                const rows = records ? [] : start(true);
+                return [...rows, ...toRows(records.end())];
+            }
+        };
+    }
+
+    /**
+     * Create a streaming RFC 4180 record parser
+     *
+     * A field starting with a double quote runs to the closing quote and may
+     * hold delimiters, line breaks and doubled quotes standing for one quote.
+     * Records end at CRLF, LF or CR; line breaks inside a quoted field are
+     * returned as LF. Chunks may split a record anywhere, including between
+     * CR and LF.
+     *
+     * @param {string} [delimiter=','] - Field delimiter
+     * @returns {Object} Parser with write(chunk) and end(), each returning the records completed
+     *     as { fields, line } with line the file line (from 1) the record starts on, and
+     *     unterminated set on a last record whose quoted field is not closed
+     */
+    createRecordParser(delimiter = ',') {
+        let fields = [];
+        let field = '';
+        let quoted = false; // Inside a quoted field
+        let closed = false; // Just after the closing quote of a quoted field
+        let fieldQuoted = false; // The current field has had a quoted part
+        let skipLineFeed = false; // Last character was a CR
+        let line = 1;
+        let recordLine = 1;
+
+        const endField = () => {
+            fields.push(field);
+            field = '';
+            fieldQuoted = false;
+        };
+
+        return {
+            write: chunk => {
+                const records = [];
+                for (const char of chunk) {
+                    if (skipLineFeed) {
+                        skipLineFeed = false;
+                        if (char === '\n') {
+                            continue;
+                        }
+                    }
+
+                    if (quoted) {
+                        if (char === '"') {
+                            quoted = false;
+                            closed = true;
+                        } else if (char === '\r' || char === '\n') {
+                            field += '\n';
+                            line++;
+                            skipLineFeed = char === '\r';
+                        } else {
+                            field += char;
+                        }
+                        continue;
+                    }
+
+                    if (closed && char === '"') {
+                        // Doubled quote inside a quoted field
+                        field += '"';
+                        quoted = true;
+                        closed = false;
+                        continue;
+                    }
+                    closed = false;
+
+                    if (char === '"' && !fieldQuoted && field.trim() === '') {
+                        field = '';
+                        quoted = true;
+                        fieldQuoted = true;
+                    } else if (char === delimiter) {
+                        endField();
+                    } else if (char === '\r' || char === '\n') {
+                        endField();
+                        records.push({ fields, line: recordLine });
+                        fields = [];
+                        line++;
+                        recordLine = line;
+                        skipLineFeed = char === '\r';
+                    } else {
+                        field += char;
+                    }
+                }
+                return records;
+            },
+            end: () => {
+                if (fields.length === 0 && field === '' && !fieldQuoted) {
+                    return [];
+                }
+                endField();
+                const record = { fields, line: recordLine };
+                if (quoted) {
+                    record.unterminated = true;
+                }
+                fields = [];
+                quoted = false;
+                return [record];
             }
+        };
+    }
+
+    /**
+     * Detect the delimiter and decimal separator of a CSV file
+     *
+     * The delimiter is the candidate (comma, semicolon, tab or pipe) found
+     * most often outside quotes in the header line, comma if there is none.
+     * Numbers are read with a decimal comma when the delimiter is not a comma
+     * and the data has numbers written with a comma but none with a point.
+     *
+     * @param {string} sample - Start of the file
+     * @param {boolean} [complete=false] - Whether the sample is the whole file, so its last line is complete
+     * @returns {Object} delimiter and decimalSeparator
+     */
+    detectCSVFormat(sample, complete = false) {
+        const text = sample.replace(/^\uFEFF/, '').replace(/^[\r\n]+/, '');
+        const counts = new Map(CSV_DELIMITERS.map(candidate => [candidate, 0]));
+        let inQuotes = false;
+        for (const char of text) {
+            if (char === '"') {
+                inQuotes = !inQuotes;
+            } else if (!inQuotes && (char === '\r' || char === '\n')) {
+                break;
+            } else if (!inQuotes && counts.has(char)) {
+                counts.set(char, counts.get(char) + 1);
+            }
+        }
+        const delimiter = CSV_DELIMITERS.reduce((best, candidate) => (counts.get(candidate) > counts.get(best) ? candidate : best));
+        if (delimiter === ',') {
+            return { delimiter, decimalSeparator: '.' };
         }
 
-        return data;
+        const parser = this.createRecordParser(delimiter);
+        const records = [...parser.write(text), ...(complete ? parser.end() : [])];
+        const values = records.slice(1).flatMap(record => record.fields.map(field => field.trim()));
+        const commaNumbers = values.some(value => /^[-+]?\d*,\d+$/.test(value));
+        const pointNumbers = values.some(value => /^[-+]?\d*\.\d+$/.test(value));
+        return { delimiter, decimalSeparator: commaNumbers && !pointNumbers ? ',' : '.' };
+    }
+
+    /**
+     * Get the number of a parsed row as reported in errors and warnings
+     *
+     * This is the file line the row starts on, which counts the header,
+     * blank lines, skipped rows and line breaks inside quoted fields.
+     *
+     * @param {Object} row - Row from parseCSV or createRowParser
+     * @param {number} index - Index of the row in the parsed data
+     * @returns {number} File line of the row, or index + 2 for rows not read from a file
+     */
+    getRowNumber(row, index) {
+        return row[CSV_LINE_NUMBER] !== undefined ? row[CSV_LINE_NUMBER] : index + 2;
     }
 
     /**
      * Parse a single CSV line handling quoted fields
      * @param {string} line - CSV line to parse
+     * @param {string} [delimiter=','] - Field delimiter
      * @returns {Array} Array of values
      */
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        let i = 0;
+    parseCSVLine(line, delimiter = ',') {
+        const parser = this.createRecordParser(delimiter);
+        const [record] = [...parser.write(line), ...parser.end()];
+        return record ? record.fields : [''];
+    }
 
-        while (i < line.length) {
-            const char = line[i];
-            const nextChar = line[i + 1];
+    /**
+     * Parse an hourly weather file into rows for processData
+     *
+     * EnergyPlus EPW files are recognised by their LOCATION header; anything
+     * else is read as a TMY3 CSV file. Every hour becomes a dbt_dpt row in SI
+     * at the recorded station pressure, or at the station elevation where the
+     * pressure is missing, with its Month, Day and Hour. Missing temperatures
+     * are left empty so the hour is reported as a row error. A dew point
+     * recorded above the dry bulb is taken as saturated air.
+     *
+     * @param {string} content - Raw EPW or TMY3 file content
+     * @returns {Object} location (name, country, id, latitude, longitude, elevation) and data rows
+     * @throws {Error} If the file is not a recognisable EPW or TMY3 file
+     */
+    parseWeatherFile(content) {
+        const lines = content.replace(/^\uFEFF/, '').replace(/\r/g, '').split('\n').filter(line => line.trim() !== '');
+        const number = (text, missing) => {
+            const value = parseFloat(text);
+            return isNaN(value) || value >= missing || value <= -9900 ? NaN : value;
+        };
+        const hourRow = (month, day, hour, dbt, dpt, pressure, elevation) => ({
+            InputType: 'dbt_dpt',
+            Value1: isNaN(dbt) ? '' : String(dbt),
+            Value2: isNaN(dbt) || isNaN(dpt) ? '' : String(Math.min(dpt, dbt)),
+            Pressure: isNaN(pressure) ? '' : String(pressure),
+            PressureUnit: 'kPa',
+            Altitude: String(elevation),
+            Units: 'SI',
+            Month: month,
+            Day: day,
+            Hour: hour
+        });
 
-            if (char === '"') {
-                if (inQuotes && nextChar === '"') {
-                    // Escaped quote
-                    current += '"';
-                    i += 2;
-                } else {
-                    // Toggle quote state
-                    inQuotes = !inQuotes;
-                    i++;
-                }
-            } else if (char === ',' && !inQuotes) {
-                // Field separator
-                result.push(current);
-                current = '';
-                i++;
-            } else {
-                current += char;
-                i++;
-            }
+        if (lines.length > 0 && lines[0].toUpperCase().startsWith('LOCATION')) {
+            // LOCATION,City,State,Country,Source,WMO,Latitude,Longitude,TimeZone,Elevation
+            const header = this.parseCSVLine(lines[0]);
+            const location = {
+                name: header[1] || '',
+                country: header[3] || '',
+                id: header[5] || '',
+                latitude: parseFloat(header[6]),
+                longitude: parseFloat(header[7]),
+                elevation: parseFloat(header[9]) || 0
+            };
+
+            // Eight header records, then Year,Month,Day,Hour,Minute,Flags,DBT,DPT,RH,Pressure (Pa),...
+            const data = lines.slice(8).map(line => {
+                const fields = line.split(',');
+                return hourRow(
+                    parseInt(fields[1], 10),
+                    parseInt(fields[2], 10),
+                    parseInt(fields[3], 10),
+                    number(fields[6], 99.9),
+                    number(fields[7], 99.9),
+                    number(fields[9], 999999) / 1000,
+                    location.elevation
+                );
+            });
+            return { location, data };
+        }
+
+        // TMY3: station record (USAF,Name,State,TimeZone,Latitude,Longitude,Elevation),
+        // then a header row naming the hourly columns
+        if (lines.length < 3) {
+            throw new Error('Not a recognisable EPW or TMY3 weather file');
+        }
+        const station = this.parseCSVLine(lines[0]);
+        const headers = this.parseCSVLine(lines[1]).map(header => header.trim());
+        const column = name => headers.findIndex(header => header.startsWith(name));
+        const columns = {
+            date: column('Date'),
+            time: column('Time'),
+            dbt: column('Dry-bulb (C)'),
+            dpt: column('Dew-point (C)'),
+            pressure: column('Pressure (mbar)')
+        };
+        const missingColumns = Object.entries(columns).filter(([, index]) => index < 0).map(([name]) => name);
+        if (missingColumns.length > 0) {
+            throw new Error(`Not a recognisable EPW or TMY3 weather file (missing ${missingColumns.join(', ')} columns)`);
+        }
+
+        const location = {
+            name: station[1] || '',
+            country: station[2] || '',
+            id: station[0] || '',
+            latitude: parseFloat(station[4]),
+            longitude: parseFloat(station[5]),
+            elevation: parseFloat(station[6]) || 0
+        };
+        const data = lines.slice(2).map(line => {
+            const fields = this.parseCSVLine(line);
+            const [month, day] = fields[columns.date].split('/').map(part => parseInt(part, 10));
+            return hourRow(
+                month,
+                day,
+                parseInt(fields[columns.time], 10),
+                number(fields[columns.dbt], 9999),
+                number(fields[columns.dpt], 9999),
+                number(fields[columns.pressure], 9999) / 10,
+                location.elevation
+            );
+        });
+        return { location, data };
+    }
+
+    /**
+     * Resolve the unit system of a row from its Units column or the file-level default
+     * @param {Object} row - Parsed CSV row
+     * @returns {string} 'SI' or 'IP'
+     * @throws {Error} If the Units value is not a supported unit system
+     */
+    getRowUnitSystem(row) {
+        const units = row.Units || row.units || row.UnitSystem;
+        return normalizeUnitSystem(units || this.unitSystem);
+    }
+
+    /**
+     * Read a number from a field of the parsed file
+     *
+     * With a decimal comma a value such as '20,5' is read as 20.5; the row
+     * itself keeps the text as written, for the lenient output.
+     *
+     * @param {string} text - Field text
+     * @returns {number} Value, NaN if the text is not a number
+     */
+    parseNumber(text) {
+        const value = String(text === undefined || text === null ? '' : text).trim();
+        if (this.format && this.format.decimalSeparator === ',' && /^[-+]?\d*,\d+(e[-+]?\d+)?$/i.test(value)) {
+            return parseFloat(value.replace(',', '.'));
+        }
+        return parseFloat(value);
+    }
+
+    /**
+     * Read the site columns of a row
+     * 
+     * A non-empty Pressure value takes priority over Altitude. Pressure is in
+     * the row's PressureUnit, or in the unit system's pressure unit (kPa for
+     * SI, inHg for IP) if no PressureUnit is given.
+     * 
+     * @param {Object} row - Parsed CSV row
+     * @param {string} units - Unit system of the row ('SI' or 'IP')
+     * @returns {Object} altitude and pressure as given (NaN if absent), hasPressure and pressureUnit
+     * @throws {Error} If the PressureUnit value is not supported
+     */
+    getRowSite(row, units) {
+        const pressureText = row.Pressure || row.pressure || '';
+        const pressureUnit = row.PressureUnit || row.pressureunit || row['Pressure Unit'];
+
+        return {
+            altitude: this.parseNumber(row.Altitude || row.altitude || row['Alt']),
+            pressure: this.parseNumber(pressureText),
+            hasPressure: String(pressureText).trim() !== '',
+            pressureUnit: pressureUnit ? normalizePressureUnit(pressureUnit) : unitLabel('pressure', units)
+        };
+    }
+
+    /**
+     * Read the comfort columns of a row
+     * 
+     * Comfort is calculated for rows that give both Met and Clo. MRT is in the
+     * row's temperature unit and defaults to the dry bulb temperature;
+     * AirSpeed is in m/s (SI) or fpm (IP) and defaults to still air.
+     * 
+     * @param {Object} row - Parsed CSV row
+     * @param {string} units - Unit system of the row ('SI' or 'IP')
+     * @returns {Object|null} Comfort inputs in SI units for calculateComfort, or null if the row has none
+     * @throws {Error} If a comfort column is not a number or only one of Met and Clo is given
+     */
+    getRowComfort(row, units) {
+        const text = names => String(names.map(name => row[name]).find(value => value !== undefined) || '').trim();
+        const columns = {
+            mrt: { name: 'MRT', text: text(['MRT', 'mrt']) },
+            airSpeed: { name: 'AirSpeed', text: text(['AirSpeed', 'airspeed', 'Air Speed']) },
+            met: { name: 'Met', text: text(['Met', 'met', 'MET']) },
+            clo: { name: 'Clo', text: text(['Clo', 'clo', 'CLO']) }
+        };
+
+        if (columns.met.text === '' && columns.clo.text === '') {
+            return null;
         }
+        if (columns.met.text === '' || columns.clo.text === '') {
+            throw new Error('Comfort needs both Met and Clo');
+        }
+
+        const values = {};
+        Object.entries(columns).forEach(([key, column]) => {
+            if (column.text === '') {
+                return;
+            }
+            values[key] = this.parseNumber(column.text);
+            if (isNaN(values[key])) {
+                throw new Error(`Invalid ${column.name} - must be a number`);
+            }
+        });
 
-        // Add the last field
-        result.push(current);
-        return result;
+        return {
+            mrt: values.mrt !== undefined ? convertToSI('temperature', values.mrt, units) : undefined,
+            airSpeed: values.airSpeed !== undefined ? convertToSI('airSpeed', values.airSpeed, units) : undefined,
+            met: values.met,
+            clo: values.clo
+        };
     }
 
     /**
@@ -90,8 +580,7 @@ class CSVProcessor {
      */
     validateCSVData(data) {
         const errors = [];
-        const validInputTypes = ['dbt_wbt', 'dbt_rh', 'dbt_dpt', 'wbt_rh'];
-        this.warnings = []; // Reset warnings
+        this.warnings = [...this.parseWarnings]; // Rows skipped while parsing
 
         // Check if data is empty
         if (data.length === 0) {
@@ -99,119 +588,171 @@ class CSVProcessor {
             return { isValid: false, errors, warnings: this.warnings };
         }
 
-        // Check required columns
-        const requiredColumns = ['InputType', 'Value1', 'Value2', 'Altitude'];
-        if (data.length > 0) {
-            const headers = Object.keys(data[0]);
-            
-            requiredColumns.forEach(col => {
-                if (!headers.some(h => h.toLowerCase() === col.toLowerCase())) {
-                    errors.push(`Missing required column: ${col}`);
-                }
+        const columnErrors = this.validateCSVColumns(Object.keys(data[0]));
+        errors.push(...columnErrors);
+        data.forEach((row, index) => {
+            errors.push(...this.validateCSVRow(row, this.getRowNumber(row, index)));
+        });
+
+        // In lenient mode rows with errors are written as failed rows
+        return {
+            isValid: this.lenient ? columnErrors.length === 0 : errors.length === 0,
+            errors,
+            warnings: this.warnings
+        };
+    }
+
+    /**
+     * Check the columns of a CSV file, adding a warning for columns that are not used
+     *
+     * With a column mapping, the columns it reads are required instead of the
+     * standard ones.
+     *
+     * @param {Array<string>} headers - Column headers
+     * @returns {Array<string>} Errors for missing required or mapped columns
+     */
+    validateCSVColumns(headers) {
+        const errors = [];
+        if (this.columnMapping) {
+            const mappedColumns = getMappedColumns(this.columnMapping);
+            mappedColumns.filter(col => !headers.includes(col)).forEach(col => {
+                errors.push(`Mapped column not found: ${col}`);
             });
-            
-            // Warn about extra columns
-            const extraColumns = headers.filter(h => 
-                !requiredColumns.some(req => h.toLowerCase() === req.toLowerCase())
-            );
-            if (extraColumns.length > 0) {
-                this.warnings.push(`Extra columns found and will be ignored: ${extraColumns.join(', ')}`);
+            const unusedColumns = headers.filter(h => !mappedColumns.includes(h));
+            if (unusedColumns.length > 0) {
+                this.warnings.push(`Unmapped columns will be ${this.lenient ? 'passed through to the output' : 'ignored'}: ${unusedColumns.join(', ')}`);
             }
+            return errors;
         }
 
-        // Validate each row
-        data.forEach((row, index) => {
-            const rowNum = index + 2; // Account for header row
-
-            // Validate InputType
-            const inputType = row.InputType || row.inputtype || row['Input Type'];
-            if (!inputType) {
-                errors.push(`Row ${rowNum}: Missing InputType`);
-            } else if (!validInputTypes.includes(inputType)) {
-                errors.push(`Row ${rowNum}: Invalid InputType '${inputType}'. Must be one of: ${validInputTypes.join(', ')}`);
-            } else if (inputType !== inputType.toLowerCase()) {
-                this.warnings.push(`Row ${rowNum}: InputType '${inputType}' should be lowercase. Consider using '${inputType.toLowerCase()}'.`);
+        const requiredColumns = ['InputType', 'Value1', 'Value2', 'Altitude'];
+        const hasColumn = col => headers.some(h => h.toLowerCase() === col.toLowerCase());
+        
+        requiredColumns.forEach(col => {
+            // Altitude is not needed when every row can use a Pressure column
+            if (col === 'Altitude' && hasColumn('Pressure')) {
+                return;
+            }
+            if (!hasColumn(col)) {
+                errors.push(`Missing required column: ${col}`);
             }
+        });
+        
+        // Warn about extra columns
+        const optionalColumns = ['Units', 'UnitSystem', 'Pressure', 'PressureUnit', 'MRT', 'AirSpeed', 'Met', 'Clo'];
+        const extraColumns = headers.filter(h => 
+            ![...requiredColumns, ...optionalColumns].some(col => h.toLowerCase() === col.toLowerCase())
+        );
+        if (extraColumns.length > 0) {
+            this.warnings.push(`Extra columns found and will be ${this.lenient ? 'passed through to the output' : 'ignored'}: ${extraColumns.join(', ')}`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check the values of a CSV row, adding warnings for doubtful values
+     * @param {Object} parsedRow - Parsed CSV row, read through the column mapping
+     * @param {number} rowNum - Row number for errors and warnings
+     * @returns {Array<string>} Errors of the row
+     */
+    validateCSVRow(parsedRow, rowNum) {
+        const errors = [];
+        if (parsedRow[CSV_ROW_ERROR]) {
+            return [`Row ${rowNum}: ${parsedRow[CSV_ROW_ERROR]}`];
+        }
+        const row = this.mapRow(parsedRow);
 
-            // Validate numeric values
-            const value1 = parseFloat(row.Value1 || row.value1 || row['Value 1']);
-            const value2 = parseFloat(row.Value2 || row.value2 || row['Value 2']);
-            const altitude = parseFloat(row.Altitude || row.altitude || row['Alt']);
-
-            if (isNaN(value1)) {
-                errors.push(`Row ${rowNum}: Invalid Value1 - must be a number`);
-            } else if (value1 < -273.15) {
-                errors.push(`Row ${rowNum}: Value1 cannot be below absolute zero (-273.15°C)`);
-            } else if (Math.abs(value1) > 1000) {
-                this.warnings.push(`Row ${rowNum}: Value1 (${value1}°C) is extremely high. Please verify.`);
+        // Validate InputType
+        const inputType = row.InputType || row.inputtype || row['Input Type'];
+        let inputs = null;
+        if (!inputType) {
+            errors.push(`Row ${rowNum}: Missing InputType`);
+        } else {
+            try {
+                inputs = getInputDefinitions(inputType);
+            } catch (error) {
+                errors.push(`Row ${rowNum}: Invalid InputType - ${error.message}`);
             }
+        }
+
+        // Validate unit system
+        let units;
+        try {
+            units = this.getRowUnitSystem(row);
+        } catch (error) {
+            errors.push(`Row ${rowNum}: ${error.message}`);
+            return errors;
+        }
+        const tempUnit = unitLabel('temperature', units);
+
+        // Validate numeric values
+        const value1 = this.parseNumber(row.Value1 || row.value1 || row['Value 1']);
+        const value2 = this.parseNumber(row.Value2 || row.value2 || row['Value 2']);
+        let site;
+        try {
+            site = this.getRowSite(row, units);
+        } catch (error) {
+            errors.push(`Row ${rowNum}: ${error.message}`);
+            return errors;
+        }
 
-            if (isNaN(value2)) {
-                errors.push(`Row ${rowNum}: Invalid Value2 - must be a number`);
+        // Limits below are checked in SI
+        const v1 = inputs ? convertToSI(inputs[0].quantity, value1, units) : value1;
+        const v2 = inputs ? convertToSI(inputs[1].quantity, value2, units) : value2;
+
+        if (isNaN(value1)) {
+            errors.push(`Row ${rowNum}: Invalid Value1 - must be a number`);
+        } else if (inputs && inputs[0].quantity === 'temperature') {
+            if (v1 < -273.15) {
+                errors.push(`Row ${rowNum}: Value1 cannot be below absolute zero (${formatQuantity('temperature', -273.15, units)}${tempUnit})`);
+            } else if (Math.abs(v1) > 1000) {
+                this.warnings.push(`Row ${rowNum}: Value1 (${value1}${tempUnit}) is extremely high. Please verify.`);
             }
+        }
+
+        if (isNaN(value2)) {
+            errors.push(`Row ${rowNum}: Invalid Value2 - must be a number`);
+        }
 
-            if (isNaN(altitude)) {
-                errors.push(`Row ${rowNum}: Invalid Altitude - must be a number`);
-            } else if (altitude < -500) {
-                errors.push(`Row ${rowNum}: Altitude cannot be negative (minimum: 0 meters)`);
-            } else if (altitude > 20000) {
-                errors.push(`Row ${rowNum}: Altitude exceeds maximum supported (20,000 meters)`);
+        if (site.hasPressure) {
+            if (isNaN(site.pressure)) {
+                errors.push(`Row ${rowNum}: Invalid Pressure - must be a number`);
+            } else {
+                validateSiteInputs({ pressure: convertPressureToKPa(site.pressure, site.pressureUnit) }, units).forEach(message => {
+                    errors.push(`Row ${rowNum}: ${message}`);
+                });
             }
+        } else if (isNaN(site.altitude)) {
+            errors.push(`Row ${rowNum}: Invalid Altitude - must be a number`);
+        } else {
+            validateSiteInputs({ altitude: convertToSI('altitude', site.altitude, units) }, units).forEach(message => {
+                errors.push(`Row ${rowNum}: ${message}`);
+            });
+        }
 
-            // Input-specific validations
-            if (!isNaN(value1) && !isNaN(value2) && inputType) {
-                switch (inputType) {
-                    case 'dbt_wbt':
-                        if (value2 > value1 + 0.5) { // Allow small measurement tolerance
-                            errors.push(`Row ${rowNum}: Wet bulb temperature (${value2}°C) cannot be greater than dry bulb temperature (${value1}°C)`);
-                        }
-                        if (value1 < -100 || value1 > 100) {
-                            errors.push(`Row ${rowNum}: Dry bulb temperature must be between -100°C and 100°C`);
-                        }
-                        if (value2 < -100 || value2 > 100) {
-                            errors.push(`Row ${rowNum}: Wet bulb temperature must be between -100°C and 100°C`);
-                        }
-                        break;
-                    case 'dbt_rh':
-                        if (value2 < 0 || value2 > 100) {
-                            errors.push(`Row ${rowNum}: Relative humidity must be between 0% and 100%`);
-                        }
-                        if (value1 < -100 || value1 > 100) {
-                            errors.push(`Row ${rowNum}: Dry bulb temperature must be between -100°C and 100°C`);
-                        }
-                        break;
-                    case 'dbt_dpt':
-                        if (value2 > value1 + 0.5) { // Allow small measurement tolerance
-                            errors.push(`Row ${rowNum}: Dew point temperature (${value2}°C) cannot be greater than dry bulb temperature (${value1}°C)`);
-                        }
-                        if (value1 < -100 || value1 > 100) {
-                            errors.push(`Row ${rowNum}: Dry bulb temperature must be between -100°C and 100°C`);
-                        }
-                        if (value2 < -100 || value2 > 100) {
-                            errors.push(`Row ${rowNum}: Dew point temperature must be between -100°C and 100°C`);
-                        }
-                        break;
-                    case 'wbt_rh':
-                        if (value2 < 0 || value2 > 100) {
-                            errors.push(`Row ${rowNum}: Relative humidity must be between 0% and 100%`);
-                        }
-                        if (value1 < -100 || value1 > 100) {
-                            errors.push(`Row ${rowNum}: Wet bulb temperature must be between -100°C and 100°C`);
-                        }
-                        // Additional warning for wbt_rh extreme values
-                        if (value1 > 50) {
-                            this.warnings.push(`Row ${rowNum}: Wet bulb temperature (${value1}°C) is very high for RH calculation. Results may be less accurate.`);
-                        }
-                        break;
-                }
+        try {
+            this.getRowComfort(row, units);
+        } catch (error) {
+            errors.push(`Row ${rowNum}: ${error.message}`);
+        }
+
+        // Input-specific validations
+        if (!isNaN(value1) && !isNaN(value2) && inputs) {
+            // Allow small measurement tolerance between temperatures
+            validatePsychrometricInputs(inputType, v1, v2, units, 0.5).forEach(message => {
+                errors.push(`Row ${rowNum}: ${message}`);
+            });
+
+            // Additional warning for wet bulb + RH extreme values
+            const keys = parseInputType(inputType);
+            const wbtValue = keys[0] === 'wbt' ? value1 : value2;
+            if (keys.includes('wbt') && keys.includes('rh') && convertToSI('temperature', wbtValue, units) > 50) {
+                this.warnings.push(`Row ${rowNum}: Wet bulb temperature (${wbtValue}${tempUnit}) is very high for RH calculation. Results may be less accurate.`);
             }
-        });
+        }
 
-        return {
-            isValid: errors.length === 0,
-            errors,
-            warnings: this.warnings
-        };
+        return errors;
     }
 
     /**
@@ -227,27 +768,19 @@ class CSVProcessor {
 
         for (let i = 0; i < data.length; i++) {
             const row = data[i];
-            const rowNum = i + 2; // Account for header row
+            const rowNum = this.getRowNumber(row, i);
 
             try {
-                // Extract values with flexible column names
-                const inputType = row.InputType || row.inputtype || row['Input Type'];
-                const value1 = parseFloat(row.Value1 || row.value1 || row['Value 1']);
-                const value2 = parseFloat(row.Value2 || row.value2 || row['Value 2']);
-                const altitude = parseFloat(row.Altitude || row.altitude || row['Alt']);
-
-                // Calculate psychrometric properties
-                const results = calculatePsychrometricProperties(inputType, value1, value2, altitude);
-                
-                // Add original input data to results
-                this.results.push({
-                    rowNumber: rowNum,
-                    inputType,
-                    value1,
-                    value2,
-                    altitude,
-                    ...results
-                });
+                if (this.lenient) {
+                    // Failed rows are kept in the results and also reported as errors
+                    const result = this.processRowWithStatus(row, rowNum);
+                    this.results.push(result);
+                    if (result.status !== 'OK') {
+                        this.errors.push({ row: rowNum, error: result.errorMessage });
+                    }
+                } else {
+                    this.results.push(this.processRow(row, rowNum));
+                }
 
                 // Update progress
                 if (progressCallback) {
@@ -271,63 +804,257 @@ class CSVProcessor {
         return this.results;
     }
 
+    /**
+     * Calculate the psychrometric properties of a row
+     * @param {Object} parsedRow - Parsed CSV row, read through the column mapping
+     * @param {number} rowNum - Row number for the results and warnings
+     * @returns {Object} Input values and formatted results in the row's unit system
+     * @throws {Error} If the row cannot be calculated
+     */
+    processRow(parsedRow, rowNum) {
+        // Extract values with flexible column names
+        const row = this.mapRow(parsedRow);
+        const inputType = row.InputType || row.inputtype || row['Input Type'];
+        const value1 = this.parseNumber(row.Value1 || row.value1 || row['Value 1']);
+        const value2 = this.parseNumber(row.Value2 || row.value2 || row['Value 2']);
+        const units = this.getRowUnitSystem(row);
+        const site = this.getRowSite(row, units);
+
+        // Calculate psychrometric properties in the row's unit system;
+        // a measured pressure takes priority over altitude
+        const options = { units };
+        if (site.hasPressure) {
+            options.pressure = site.pressure;
+            options.pressureUnit = site.pressureUnit;
+        }
+        const results = calculatePsychrometricProperties(inputType, value1, value2, site.hasPressure ? 0 : site.altitude, options);
+        const comfort = this.calculateRowComfort(row, rowNum, inputType, value1, value2, units, site);
+        
+        // Add original input data to results
+        return {
+            rowNumber: rowNum,
+            inputType,
+            value1,
+            value2,
+            altitude: site.hasPressure || isNaN(site.altitude) ? '' : site.altitude,
+            ...results,
+            ...comfort
+        };
+    }
+
+    /**
+     * Check and calculate a row for lenient mode, keeping it if it fails
+     *
+     * The row's errors and warnings (without their row number) are joined
+     * with '; ' into errorMessage and warnings; a failed row has only its
+     * input values.
+     *
+     * @param {Object} row - Parsed CSV row
+     * @param {number} rowNum - Row number for the results and warnings
+     * @returns {Object} Result of processRow, or rowNumber only for a failed row, with the
+     *     input row, status ('OK' or 'Error'), errorMessage and warnings
+     */
+    processRowWithStatus(row, rowNum) {
+        const firstWarning = this.warnings.length;
+        const errors = this.validateCSVRow(row, rowNum);
+        let result = { rowNumber: rowNum };
+        if (errors.length === 0) {
+            try {
+                result = this.processRow(row, rowNum);
+            } catch (error) {
+                errors.push(error.message);
+            }
+        }
+
+        const prefix = `Row ${rowNum}: `;
+        const message = text => (text.startsWith(prefix) ? text.slice(prefix.length) : text);
+        return {
+            ...result,
+            input: row,
+            status: errors.length === 0 ? 'OK' : 'Error',
+            errorMessage: errors.map(message).join('; '),
+            warnings: this.warnings.slice(firstWarning).map(message).join('; ')
+        };
+    }
+
+    /**
+     * Calculate the comfort columns of a row
+     * @param {Object} row - Parsed CSV row
+     * @param {number} rowNum - Row number for warnings
+     * @param {string} inputType - Input type of the row
+     * @param {number} value1 - First input in the row's unit system
+     * @param {number} value2 - Second input in the row's unit system
+     * @param {string} units - Unit system of the row ('SI' or 'IP')
+     * @param {Object} site - Site columns from getRowSite
+     * @returns {Object} Formatted comfort results, empty if the row has no comfort inputs
+     * @throws {Error} If the comfort inputs are invalid
+     */
+    calculateRowComfort(row, rowNum, inputType, value1, value2, units, site) {
+        const options = this.getRowComfort(row, units);
+        if (!options) {
+            return {};
+        }
+
+        const inputs = getInputDefinitions(inputType);
+        const pressure = calculateSitePressure(site.hasPressure
+            ? { pressure: convertPressureToKPa(site.pressure, site.pressureUnit) }
+            : { altitude: convertToSI('altitude', site.altitude, units) });
+        const state = calculatePsychrometricState(
+            inputType,
+            convertToSI(inputs[0].quantity, value1, units),
+            convertToSI(inputs[1].quantity, value2, units),
+            pressure
+        );
+        const comfort = calculateComfort(state, options);
+        comfort.warnings.forEach(message => this.warnings.push(`Row ${rowNum}: ${message}`));
+
+        return {
+            pmv: comfort.pmv.toFixed(2),
+            ppd: comfort.ppd.toFixed(1),
+            operativeTemperature: formatQuantity('temperature', comfort.operativeTemperature, units),
+            set: formatQuantity('temperature', comfort.set, units),
+            coolingEffect: formatQuantity('temperatureDifference', comfort.coolingEffect, units),
+            comfortZone: comfort.inComfortZone ? 'Yes' : 'No'
+        };
+    }
+
+    /**
+     * Get every column available in the output CSV, in export order
+     * @returns {Array<Object>} Columns with header, the result key they are read from, the quantity
+     *     (or fixed unit) of property values and a comfort flag
+     */
+    getOutputColumns() {
+        return [
+            { header: 'RowNumber', key: 'rowNumber' },
+            { header: 'InputType', key: 'inputType' },
+            { header: 'Value1', key: 'value1' },
+            { header: 'Value2', key: 'value2' },
+            { header: 'Altitude', key: 'altitude', quantity: 'altitude' },
+            { header: 'Units', key: 'units' },
+            { header: 'Pressure', key: 'pressure', quantity: 'pressure' },
+            { header: 'DBT', key: 'dbt', quantity: 'temperature' },
+            { header: 'WBT', key: 'wbt', quantity: 'temperature' },
+            { header: 'RH', key: 'rh', quantity: 'relativeHumidity' },
+            { header: 'DPT', key: 'dpt', quantity: 'temperature' },
+            { header: 'HumidityRatio', key: 'humidityRatio', quantity: 'humidityRatio' },
+            { header: 'Enthalpy', key: 'enthalpy', quantity: 'enthalpy' },
+            { header: 'SpecificVolume', key: 'specificVolume', quantity: 'specificVolume' },
+            { header: 'VaporPressure', key: 'vaporPressure', quantity: 'pressure' },
+            ...getDerivedPropertyDefinitions().map(({ key, column, quantity }) => ({ header: column, key, quantity })),
+            { header: 'PMV', key: 'pmv', unit: '', comfort: true },
+            { header: 'PPD', key: 'ppd', unit: '%', comfort: true },
+            { header: 'OperativeTemperature', key: 'operativeTemperature', quantity: 'temperature', comfort: true },
+            { header: 'SET', key: 'set', quantity: 'temperature', comfort: true },
+            { header: 'CoolingEffect', key: 'coolingEffect', quantity: 'temperatureDifference', comfort: true },
+            { header: 'ComfortZone', key: 'comfortZone', comfort: true }
+        ];
+    }
+
+    /**
+     * Choose the columns of the output CSV
+     * @param {Array<string>|null} headers - Column headers to export (case-insensitive), or null for all
+     * @throws {Error} If no column or an unknown column is given
+     */
+    setOutputColumns(headers) {
+        if (headers === null) {
+            this.outputColumns = null;
+            return;
+        }
+
+        const available = this.getOutputColumns().map(column => column.header);
+        const matches = (name, header) => name.toLowerCase() === header.trim().toLowerCase();
+        const unknown = headers.filter(header => !available.some(name => matches(name, header)));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown output column(s): ${unknown.join(', ')}. Must be one of: ${available.join(', ')}`);
+        }
+        if (headers.length === 0) {
+            throw new Error('Select at least one output column');
+        }
+
+        // Keep the export order regardless of the order given
+        this.outputColumns = available.filter(name => headers.some(header => matches(name, header)));
+    }
+
     /**
      * Generate CSV output from results
      * @param {Array} results - Processed results
+     * @param {Array<string>|null} [columns] - Headers of the columns to export; defaults to outputColumns
+     *     (all if null, with the comfort columns only when a row has comfort inputs)
      * @returns {string} CSV content
      */
-    generateOutputCSV(results) {
+    generateOutputCSV(results, columns = this.outputColumns) {
         if (results.length === 0) {
             return '';
         }
 
-        // Define CSV headers
-        const headers = [
-            'RowNumber',
-            'InputType', 
-            'Value1',
-            'Value2', 
-            'Altitude',
-            'DBT',
-            'WBT',
-            'RH',
-            'DPT',
-            'HumidityRatio',
-            'Enthalpy',
-            'SpecificVolume',
-            'VaporPressure'
+        const selected = this.getExportColumns(results.some(result => result.pmv !== undefined), columns);
+
+        // Combine headers and rows
+        return [this.generateOutputHeader(selected), ...this.generateOutputRows(results, selected)].join('\n');
+    }
+
+    /**
+     * Get the columns written to the output CSV
+     *
+     * In lenient mode every input column comes first, in file order, then
+     * Status, ErrorMessage and Warnings, then the selected result columns
+     * that do not repeat an input column.
+     *
+     * @param {boolean} hasComfort - Whether any row has comfort inputs
+     * @param {Array<string>|null} [columns] - Headers of the columns to export; defaults to outputColumns
+     *     (all if null, with the comfort columns only when hasComfort)
+     * @returns {Array<Object>} Columns from getOutputColumns, in export order; input columns have the input flag
+     */
+    getExportColumns(hasComfort, columns = this.outputColumns) {
+        const selected = this.getOutputColumns().filter(column => (columns ? columns.includes(column.header) : !column.comfort || hasComfort));
+        if (!this.lenient) {
+            return selected;
+        }
+
+        const isInput = header => this.inputColumns.some(input => input.toLowerCase() === header.toLowerCase());
+        return [
+            ...this.inputColumns.map(header => ({ header, key: header, input: true })),
+            { header: 'Status', key: 'status' },
+            { header: 'ErrorMessage', key: 'errorMessage' },
+            { header: 'Warnings', key: 'warnings' },
+            ...selected.filter(column => !isInput(column.header))
         ];
+    }
 
-        // Convert results to CSV rows
-        const rows = results.map(result => {
-            return [
-                result.rowNumber,
-                result.inputType,
-                result.value1,
-                result.value2,
-                result.altitude,
-                result.dbt,
-                result.wbt,
-                result.rh,
-                result.dpt,
-                result.humidityRatio,
-                result.enthalpy,
-                result.specificVolume,
-                result.vaporPressure
-            ].map(value => `"${value}"`).join(',');
-        });
+    /**
+     * Generate the header line of the output CSV
+     * @param {Array<Object>} columns - Columns from getExportColumns
+     * @returns {string} Header line
+     */
+    generateOutputHeader(columns) {
+        // Input column headers may need quoting
+        return columns.map(({ header }) => (/[",\r\n]/.test(header) ? `"${header.replace(/"/g, '""')}"` : header)).join(',');
+    }
 
-        // Combine headers and rows
-        return [headers.join(','), ...rows].join('\n');
+    /**
+     * Generate the CSV lines of results, without the header line
+     * @param {Array} results - Processed results
+     * @param {Array<Object>} columns - Columns from getExportColumns
+     * @returns {Array<string>} One line per result
+     */
+    generateOutputRows(results, columns) {
+        // Rows without comfort inputs, and failed rows, leave the result columns empty
+        return results.map(result => {
+            return columns
+                .map(column => (column.input ? result.input : result)[column.key])
+                .map(value => `"${String(value !== undefined ? value : '').replace(/"/g, '""')}"`)
+                .join(',');
+        });
     }
 
     /**
      * Download CSV file
-     * @param {string} content - CSV content
+     * @param {string|Array<string|Uint8Array>} content - CSV content, or its parts in order
      * @param {string} filename - Download filename
+     * @param {string} [type] - MIME type, for the other batch export formats
      */
-    downloadCSV(content, filename = 'psychrometric_results.csv') {
-        const blob = new Blob([content], { type: 'text/csv;charset=utf-8;' });
+    downloadCSV(content, filename = 'psychrometric_results.csv', type = 'text/csv;charset=utf-8;') {
+        const blob = new Blob(Array.isArray(content) ? content : [content], { type });
         const link = document.createElement('a');
         
         if (link.download !== undefined) {
@@ -348,16 +1075,21 @@ class CSVProcessor {
      */
     generateSampleCSV() {
         const sampleData = [
-            { InputType: 'dbt_wbt', Value1: '25.0', Value2: '20.0', Altitude: '0' },
-            { InputType: 'dbt_rh', Value1: '30.0', Value2: '65.0', Altitude: '500' },
-            { InputType: 'dbt_dpt', Value1: '22.0', Value2: '15.0', Altitude: '100' },
-            { InputType: 'wbt_rh', Value1: '18.0', Value2: '70.0', Altitude: '0' },
-            { InputType: 'dbt_wbt', Value1: '35.0', Value2: '28.0', Altitude: '1000' }
+            { InputType: 'dbt_wbt', Value1: '25.0', Value2: '20.0', Altitude: '0', Units: 'SI', AirSpeed: '0.1', Met: '1.1', Clo: '0.5' },
+            { InputType: 'dbt_rh', Value1: '30.0', Value2: '65.0', Altitude: '500', Units: 'SI' },
+            { InputType: 'dbt_dpt', Value1: '22.0', Value2: '15.0', Altitude: '100', Units: 'SI' },
+            { InputType: 'wbt_rh', Value1: '18.0', Value2: '70.0', Altitude: '0', Units: 'SI' },
+            { InputType: 'dbt_wbt', Value1: '95.0', Value2: '78.0', Altitude: '5280', Units: 'IP' },
+            { InputType: 'dbt_w', Value1: '24.0', Value2: '0.0093', Altitude: '0', Units: 'SI' },
+            { InputType: 'rh_h', Value1: '50.0', Value2: '50.0', Altitude: '0', Units: 'SI' },
+            { InputType: 'wbt_dpt', Value1: '20.0', Value2: '16.0', Altitude: '0', Units: 'SI' },
+            { InputType: 'dbt_rh', Value1: '28.0', Value2: '45.0', Altitude: '-400', Units: 'SI', MRT: '29.0', AirSpeed: '0.8', Met: '1.2', Clo: '0.5' },
+            { InputType: 'dbt_wbt', Value1: '24.0', Value2: '17.0', Altitude: '', Units: 'SI', Pressure: '84.5' }
         ];
 
-        const headers = ['InputType', 'Value1', 'Value2', 'Altitude'];
+        const headers = ['InputType', 'Value1', 'Value2', 'Altitude', 'Units', 'Pressure', 'MRT', 'AirSpeed', 'Met', 'Clo'];
         const rows = sampleData.map(row => 
-            headers.map(header => `"${row[header]}"`).join(',')
+            headers.map(header => `"${row[header] || ''}"`).join(',')
         );
 
         return [headers.join(','), ...rows].join('\n');
@@ -386,6 +1118,7 @@ class CSVProcessor {
         this.results = [];
         this.errors = [];
         this.warnings = [];
+        this.parseWarnings = [];
     }
 }
 
@@ -0,0 +1,48 @@
+/**
+ * Psychrometric Calculator - Node.js entry point
+ *
+ * Collects the DOM-free modules of the calculator: unit conversions, the
+ * psychrometric engine, climatic design conditions, the site library,
+ * air-conditioning processes, airflow loads, cooling towers, condensation
+ * and insulation, thermal comfort, the CSV processor with its column mapping,
+ * chunked batch engine and export formats, hourly weather file analysis and
+ * the verification against ASHRAE reference data.
+ *
+ * @author HVAC Calculator Team
+ */
+
+const units = require('./units.js');
+const psychrometrics = require('./psychrometrics.js');
+const climate = require('./climate.js');
+const sites = require('./sites.js');
+const processes = require('./processes.js');
+const loads = require('./loads.js');
+const coolingTower = require('./cooling-tower.js');
+const insulation = require('./insulation.js');
+const comfort = require('./comfort.js');
+const csvMapping = require('./csv-mapping.js');
+const CSVProcessor = require('./csv-processor.js');
+const batch = require('./batch.js');
+const batchExport = require('./batch-export.js');
+const weather = require('./weather.js');
+const referenceData = require('./reference-data.js');
+const verification = require('./verification.js');
+
+module.exports = {
+    ...units,
+    ...psychrometrics,
+    ...climate,
+    ...sites,
+    ...processes,
+    ...loads,
+    ...coolingTower,
+    ...insulation,
+    ...comfort,
+    ...csvMapping,
+    CSVProcessor,
+    ...batch,
+    ...batchExport,
+    ...weather,
+    ...referenceData,
+    ...verification
+};
@@ -0,0 +1,201 @@
+/**
+ * Psychrometric Calculator - ES module entry point
+ *
+ * Re-exports the CommonJS entry point (index.js) with named exports.
+ *
+ * @author HVAC Calculator Team
+ */
+
+import psychrometrics from './index.js';
+
+export const {
+    UNIT_SYSTEMS,
+    QUANTITIES,
+    PRESSURE_UNITS,
+    normalizeUnitSystem,
+    normalizePressureUnit,
+    convertPressureToKPa,
+    convertPressureFromKPa,
+    convertToSI,
+    convertFromSI,
+    unitLabel,
+    unitDecimals,
+    formatQuantity,
+    loadUnitSystem,
+    saveUnitSystem,
+    R_AIR,
+    R_WATER,
+    CP_AIR,
+    HVAP,
+    HW_ICE,
+    HW_WATER,
+    MIN_SATURATION_TEMP,
+    MAX_SATURATION_TEMP,
+    MW_RATIO,
+    STANDARD_PRESSURE,
+    LAPSE_RATE,
+    STANDARD_TEMP_K,
+    PRESSURE_EXPONENT,
+    MIN_ALTITUDE,
+    MAX_ALTITUDE,
+    MIN_PRESSURE,
+    MAX_PRESSURE,
+    MIN_LOCAL_TEMP,
+    MAX_LOCAL_TEMP,
+    CP_VAPOR,
+    JOULE_TO_KILOJOULE,
+    PA_TO_KPA,
+    KELVIN_OFFSET,
+    ROOT_TOLERANCE,
+    ROOT_MAX_ITERATIONS,
+    INPUT_PROPERTIES,
+    DEPENDENT_INPUT_PAIRS,
+    INPUT_TYPES,
+    findRoot,
+    saturatedVaporPressure,
+    saturationModelName,
+    barometricPressure,
+    calculateSitePressure,
+    validateSiteInputs,
+    calculateHumidityRatio,
+    calculateRelativeHumidity,
+    calculateDewPoint,
+    calculateEnthalpy,
+    calculateSpecificVolume,
+    calculateHumidityRatioFromEnthalpy,
+    calculateHumidityRatioFromSpecificVolume,
+    calculateWetBulb,
+    calculateWetBulbFromDBTRH,
+    calculateHumidityRatioFromDBTRH,
+    calculateWetBulbFromDBTDewPoint,
+    calculateHumidityRatioFromDewPoint,
+    calculateRelativeHumidityFromDewPoint,
+    solveDBTFromWBTRH,
+    solveDBTFromWBTHumidityRatio,
+    solveDBTFromRHHumidityRatio,
+    solveDBTFromEnthalpyRH,
+    formatNumber,
+    calculateDryBulbFromEnthalpy,
+    calculateStateFromHumidityRatio,
+    parseInputType,
+    getInputDefinitions,
+    getInputTypes,
+    solveDryBulbAndHumidityRatio,
+    calculatePsychrometricState,
+    DERIVED_PROPERTIES,
+    MIN_HEAT_INDEX_TEMP,
+    MAX_HEAT_INDEX_TEMP,
+    MIN_HUMIDEX_TEMP,
+    MAX_HUMIDEX_TEMP,
+    getDerivedPropertyDefinitions,
+    calculateHeatIndex,
+    calculateHumidex,
+    calculateWBGTIndoor,
+    calculateDerivedProperties,
+    formatRange,
+    validatePsychrometricInputs,
+    calculatePsychrometricProperties,
+    CLIMATE_DESIGN_CONDITIONS,
+    parseClimateDatabase,
+    loadClimateDatabase,
+    searchClimateStations,
+    getClimateDesignInputs,
+    SITE_LIBRARY_FORMAT,
+    SITE_LIBRARY_VERSION,
+    normalizeSite,
+    parseSiteLibrary,
+    serializeSiteLibrary,
+    mergeSiteLibraries,
+    saveSiteCondition,
+    deleteSiteCondition,
+    loadSiteLibrary,
+    saveSiteLibrary,
+    sensibleProcess,
+    coolingCoilProcess,
+    mixingProcess,
+    directEvaporativeProcess,
+    indirectEvaporativeProcess,
+    twoStageEvaporativeProcess,
+    steamHumidifierProcess,
+    adiabaticHumidifierProcess,
+    calculateWaterConsumption,
+    calculateProcessLoads,
+    KW_PER_TON,
+    STANDARD_AIR_DENSITY,
+    STANDARD_AIR_FACTORS,
+    LOAD_CONVENTIONS,
+    calculateAirflowLoads,
+    CP_WATER,
+    DEFAULT_DRIFT_RATE,
+    calculateMerkelNumber,
+    calculateCoolingTower,
+    calculateCoolingTowerOffDesign,
+    INSULATION_LINE_TYPES,
+    DEFAULT_INSULATION_CONDUCTIVITY,
+    DEFAULT_SURFACE_COEFFICIENT,
+    DEFAULT_CONDENSATION_MARGIN,
+    calculateInsulationSurfaceTemperature,
+    calculateInsulation,
+    parseInsulationLineListRow,
+    processInsulationLineList,
+    generateInsulationLineListCSV,
+    generateSampleLineListCSV,
+    MET_TO_W_PER_M2,
+    CLO_TO_M2K_PER_W,
+    STILL_AIR_SPEED,
+    COMFORT_PMV_LIMIT,
+    COMFORT_LIMITS,
+    calculateOperativeTemperature,
+    calculatePMV,
+    calculatePPD,
+    calculateSET,
+    calculateCoolingEffect,
+    validateComfortInputs,
+    calculateComfort,
+    CSV_MAPPING_FIELDS,
+    normalizeColumnMapping,
+    getMappedColumns,
+    applyColumnMapping,
+    suggestColumnMapping,
+    parseMappingTemplates,
+    saveMappingTemplate,
+    deleteMappingTemplate,
+    loadMappingTemplates,
+    saveMappingTemplates,
+    CSVProcessor,
+    BATCH_CHUNK_SIZE,
+    BATCH_MESSAGE_LIMIT,
+    BATCH_CHART_POINT_LIMIT,
+    createBatchControl,
+    readBatchFile,
+    readBatchRows,
+    validateCSVBatch,
+    runCSVBatch,
+    createBatchRunner,
+    XLSX_MAX_ROWS,
+    readBatchTable,
+    describeBatchColumns,
+    parseBatchValue,
+    generateBatchJSON,
+    summarizeBatchTable,
+    crc32,
+    generateBatchXLSX,
+    generateBatchReport,
+    WEATHER_BIN_PROPERTIES,
+    DEFAULT_WEATHER_BIN_SIZES,
+    WEATHER_THRESHOLD_PROPERTIES,
+    getWeatherHours,
+    calculateWeatherBins,
+    summarizeWeatherByMonth,
+    countHoursAboveThresholds,
+    analyzeWeatherHours,
+    generateWeatherReportCSV,
+    generateWeatherHoursCSV,
+    ASHRAE_REFERENCE_DATA,
+    getAshraeReferenceData,
+    VERIFICATION_PROPERTIES,
+    runVerification,
+    formatVerificationReport
+} = psychrometrics;
+
+export default psychrometrics;
@@ -0,0 +1,371 @@
+/**
+ * Psychrometric Calculator - Condensation and Insulation
+ *
+ * Outer surface temperature of insulated chilled pipes and ducts in a humid
+ * space, and the minimum insulation thickness that keeps the surface above
+ * the ambient dew point by a safety margin. Pipes and round ducts are
+ * modelled as cylinders, rectangular ducts as flat walls. The resistance of
+ * the inner film and of the pipe or duct wall is neglected, which is
+ * conservative. Temperatures are in Celsius, dimensions and thicknesses in mm
+ * and heat gains in W per metre run. Line lists (one line per CSV row) are
+ * processed in batch.
+ *
+ * @author HVAC Calculator Team
+ */
+
+// In Node.js the engine and unit conversions come from their modules; in the
+// browser their functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { barometricPressure, calculatePsychrometricState, findRoot } = require('./psychrometrics.js');
+    var { convertToSI, formatQuantity, normalizeUnitSystem } = require('./units.js');
+}
+
+/**
+ * Line types with the name used in results
+ */
+const INSULATION_LINE_TYPES = {
+    pipe: 'Pipe',
+    roundDuct: 'Round duct',
+    rectangularDuct: 'Rectangular duct'
+};
+
+/**
+ * Default insulation thermal conductivity in W/(m·K) (closed-cell elastomeric foam)
+ */
+const DEFAULT_INSULATION_CONDUCTIVITY = 0.035;
+
+/**
+ * Default outer surface heat transfer coefficient in W/(m²·K) (still air,
+ * high-emissivity finish)
+ */
+const DEFAULT_SURFACE_COEFFICIENT = 9;
+
+/**
+ * Default margin of the surface temperature above the dew point in K
+ */
+const DEFAULT_CONDENSATION_MARGIN = 1;
+
+/**
+ * Largest insulation thickness searched for in mm
+ */
+const MAX_INSULATION_THICKNESS = 500;
+
+/**
+ * Validate a line and fill in its defaults
+ * @param {Object} line - Line description (see calculateInsulation)
+ * @returns {Object} Line with defaults applied
+ * @throws {Error} If the line is not valid
+ */
+function normalizeInsulationLine(line) {
+    const {
+        type = 'pipe',
+        diameter,
+        width,
+        height,
+        fluidTemperature,
+        conductivity = DEFAULT_INSULATION_CONDUCTIVITY,
+        surfaceCoefficient = DEFAULT_SURFACE_COEFFICIENT,
+        safetyMargin = DEFAULT_CONDENSATION_MARGIN,
+        thickness
+    } = line;
+
+    if (!INSULATION_LINE_TYPES[type]) {
+        throw new Error(`Unsupported line type '${type}'. Must be one of: ${Object.keys(INSULATION_LINE_TYPES).join(', ')}`);
+    }
+    if (typeof fluidTemperature !== 'number' || isNaN(fluidTemperature)) {
+        throw new Error('Fluid temperature must be a number');
+    }
+    if (type === 'rectangularDuct') {
+        if (!(width > 0) || !(height > 0)) {
+            throw new Error('Duct width and height must be greater than zero');
+        }
+    } else if (!(diameter > 0)) {
+        throw new Error(`${INSULATION_LINE_TYPES[type]} diameter must be greater than zero`);
+    }
+    if (!(conductivity > 0)) {
+        throw new Error('Insulation conductivity must be greater than zero');
+    }
+    if (!(surfaceCoefficient > 0)) {
+        throw new Error('Surface heat transfer coefficient must be greater than zero');
+    }
+    if (!(safetyMargin >= 0)) {
+        throw new Error('Safety margin cannot be negative');
+    }
+    if (thickness !== undefined && !(thickness >= 0)) {
+        throw new Error('Insulation thickness cannot be negative');
+    }
+
+    return { type, diameter, width, height, fluidTemperature, conductivity, surfaceCoefficient, safetyMargin, thickness };
+}
+
+/**
+ * Calculate the outer surface temperature of an insulated line
+ *
+ * Cylinders (per metre run, r₁ the bare and r₂ the insulated radius):
+ *   R_ins = ln(r₂/r₁) / (2πk), R_s = 1 / (2π r₂ h)
+ * Flat walls (per m²): R_ins = t/k, R_s = 1/h
+ * The heat gain is q = (T_a - T_f) / (R_ins + R_s) and the surface sits at
+ * T_s = T_a - q R_s. A rectangular duct's gain per metre is the flat-wall
+ * flux times the bare duct perimeter.
+ *
+ * @param {Object} line - Line description (see calculateInsulation)
+ * @param {number} ambientTemperature - Ambient dry bulb temperature in Celsius
+ * @param {number} thickness - Insulation thickness in mm
+ * @returns {Object} surfaceTemperature (°C) and heatGain (W/m, positive into the fluid)
+ * @throws {Error} If the line is not valid
+ */
+function calculateInsulationSurfaceTemperature(line, ambientTemperature, thickness) {
+    const { type, diameter, width, height, fluidTemperature, conductivity, surfaceCoefficient } = normalizeInsulationLine(line);
+    const temperatureDifference = ambientTemperature - fluidTemperature;
+    const insulation = thickness / 1000;
+
+    if (type === 'rectangularDuct') {
+        const surfaceResistance = 1 / surfaceCoefficient;
+        const flux = temperatureDifference / (insulation / conductivity + surfaceResistance);
+        return {
+            surfaceTemperature: ambientTemperature - flux * surfaceResistance,
+            heatGain: flux * 2 * (width + height) / 1000
+        };
+    }
+
+    const innerRadius = diameter / 2000;
+    const outerRadius = innerRadius + insulation;
+    const insulationResistance = Math.log(outerRadius / innerRadius) / (2 * Math.PI * conductivity);
+    const surfaceResistance = 1 / (2 * Math.PI * outerRadius * surfaceCoefficient);
+    const heatGain = temperatureDifference / (insulationResistance + surfaceResistance);
+
+    return {
+        surfaceTemperature: ambientTemperature - heatGain * surfaceResistance,
+        heatGain
+    };
+}
+
+/**
+ * Calculate the condensation risk and minimum insulation thickness of a line
+ *
+ * The surface temperature rises monotonically with thickness towards the
+ * ambient temperature, so the minimum thickness is the root of
+ * T_s(t) = T_dp + margin. A line whose fluid is already at or above that
+ * temperature needs no insulation.
+ *
+ * @param {Object} ambient - Ambient air state in SI units with dbt and dpt (calculatePsychrometricState)
+ * @param {Object} line - Line description in SI units
+ * @param {string} [line.type='pipe'] - 'pipe', 'roundDuct' or 'rectangularDuct'
+ * @param {number} [line.diameter] - Outside diameter of a pipe or round duct in mm
+ * @param {number} [line.width] - Width of a rectangular duct in mm
+ * @param {number} [line.height] - Height of a rectangular duct in mm
+ * @param {number} line.fluidTemperature - Fluid (water or supply air) temperature in Celsius
+ * @param {number} [line.conductivity=0.035] - Insulation thermal conductivity in W/(m·K)
+ * @param {number} [line.surfaceCoefficient=9] - Outer surface heat transfer coefficient in W/(m²·K)
+ * @param {number} [line.safetyMargin=1] - Required margin of the surface above the dew point in K
+ * @param {number} [line.thickness] - Installed insulation thickness in mm to check; the minimum thickness if omitted
+ * @returns {Object} type, dewPoint and requiredSurfaceTemperature (°C), minimumThickness (mm),
+ *     and at the installed (or minimum) thickness: thickness (mm), surfaceTemperature (°C), heatGain (W/m),
+ *     condensation (surface below the dew point) and adequate (thickness at least the minimum)
+ * @throws {Error} If the line is not valid or no thickness up to 500 mm keeps the surface dry
+ */
+function calculateInsulation(ambient, line) {
+    const normalized = normalizeInsulationLine(line);
+    const dewPoint = ambient.dpt;
+    const requiredSurfaceTemperature = dewPoint + normalized.safetyMargin;
+
+    let minimumThickness = 0;
+    if (normalized.fluidTemperature < requiredSurfaceTemperature) {
+        if (requiredSurfaceTemperature >= ambient.dbt) {
+            throw new Error('The dew point plus the safety margin is at or above the ambient dry bulb temperature; no insulation thickness keeps the surface dry');
+        }
+
+        const surfaceExcess = thickness => calculateInsulationSurfaceTemperature(normalized, ambient.dbt, thickness).surfaceTemperature - requiredSurfaceTemperature;
+        if (surfaceExcess(MAX_INSULATION_THICKNESS) < 0) {
+            throw new Error(`More than ${MAX_INSULATION_THICKNESS} mm of insulation would be needed to keep the surface dry`);
+        }
+        minimumThickness = findRoot(surfaceExcess, 0, MAX_INSULATION_THICKNESS);
+    }
+
+    const thickness = normalized.thickness !== undefined ? normalized.thickness : minimumThickness;
+    const { surfaceTemperature, heatGain } = calculateInsulationSurfaceTemperature(normalized, ambient.dbt, thickness);
+
+    return {
+        type: normalized.type,
+        dewPoint,
+        requiredSurfaceTemperature,
+        minimumThickness,
+        thickness,
+        surfaceTemperature,
+        heatGain,
+        condensation: surfaceTemperature < dewPoint,
+        adequate: thickness >= minimumThickness
+    };
+}
+
+/**
+ * Read a line list row
+ *
+ * Dimensions, thicknesses, temperatures, conductivity and surface coefficient
+ * are in the row's unit system (Units column, or the file default). Empty
+ * optional columns take the defaults. AmbientDBT and AmbientRH override the
+ * ambient state of the whole list for that row.
+ *
+ * @param {Object} row - Parsed CSV row
+ * @param {string} [defaultUnits='SI'] - Unit system of rows without a Units column
+ * @param {Function} [parseNumber=parseFloat] - Reads a number from field text, NaN if it is not
+ *     one; pass the CSV processor's parseNumber to read its decimal separator
+ * @returns {Object} tag, units, line in SI units and ambient ({ dbt, rh } in SI, or null)
+ * @throws {Error} If a column is not valid
+ */
+function parseInsulationLineListRow(row, defaultUnits = 'SI', parseNumber = parseFloat) {
+    const units = normalizeUnitSystem(row.Units || defaultUnits);
+    const text = name => String(row[name] !== undefined ? row[name] : '').trim();
+    const number = (name, quantity) => {
+        if (text(name) === '') {
+            return undefined;
+        }
+        const value = parseNumber(text(name));
+        if (isNaN(value)) {
+            throw new Error(`Invalid ${name} - must be a number`);
+        }
+        return quantity ? convertToSI(quantity, value, units) : value;
+    };
+
+    const typeText = text('Type') || 'pipe';
+    const type = Object.keys(INSULATION_LINE_TYPES).find(key => key.toLowerCase() === typeText.toLowerCase());
+    if (!type) {
+        throw new Error(`Unsupported Type '${typeText}'. Must be one of: ${Object.keys(INSULATION_LINE_TYPES).join(', ')}`);
+    }
+
+    const ambientDbt = number('AmbientDBT', 'temperature');
+    const ambientRh = number('AmbientRH');
+    if ((ambientDbt === undefined) !== (ambientRh === undefined)) {
+        throw new Error('Give both AmbientDBT and AmbientRH, or neither');
+    }
+
+    return {
+        tag: text('Tag'),
+        units,
+        line: {
+            type,
+            diameter: number('Diameter', 'length'),
+            width: number('Width', 'length'),
+            height: number('Height', 'length'),
+            fluidTemperature: number('FluidTemperature', 'temperature'),
+            conductivity: number('Conductivity', 'conductivity'),
+            surfaceCoefficient: number('SurfaceCoefficient', 'heatTransferCoefficient'),
+            safetyMargin: number('SafetyMargin', 'temperatureDifference'),
+            thickness: number('Thickness', 'length')
+        },
+        ambient: ambientDbt !== undefined ? { dbt: ambientDbt, rh: ambientRh } : null
+    };
+}
+
+/**
+ * Calculate every line of a line list
+ * @param {Array<Object>} rows - Parsed CSV rows
+ * @param {Object|null} ambient - Ambient state in SI units for rows without their own; its pressure
+ *     (sea level if null) also applies to rows with AmbientDBT and AmbientRH
+ * @param {string} [defaultUnits='SI'] - Unit system of rows without a Units column
+ * @param {Function} [rowNumber] - Gives the number reported for a row from the row and its index;
+ *     by default the index + 2, counting the header row
+ * @param {Function} [parseNumber=parseFloat] - Reads a number from field text (see parseInsulationLineListRow)
+ * @returns {Object} results (tag, units and calculateInsulation results per row) and errors ({ row, error })
+ */
+function processInsulationLineList(rows, ambient, defaultUnits = 'SI', rowNumber = (row, index) => index + 2, parseNumber = parseFloat) {
+    const results = [];
+    const errors = [];
+
+    rows.forEach((row, index) => {
+        const rowNum = rowNumber(row, index);
+        try {
+            const { tag, units, line, ambient: rowAmbient } = parseInsulationLineListRow(row, defaultUnits, parseNumber);
+            let state = ambient;
+            if (rowAmbient) {
+                state = calculatePsychrometricState('dbt_rh', rowAmbient.dbt, rowAmbient.rh, ambient ? ambient.pressure : barometricPressure(0));
+            }
+            if (!state) {
+                throw new Error('No ambient conditions: give AmbientDBT and AmbientRH or calculate the input conditions first');
+            }
+
+            results.push({
+                rowNumber: rowNum,
+                tag,
+                units,
+                fluidTemperature: line.fluidTemperature,
+                ambientDbt: state.dbt,
+                ...calculateInsulation(state, line)
+            });
+        } catch (error) {
+            errors.push({ row: rowNum, error: error.message });
+        }
+    });
+
+    return { results, errors };
+}
+
+/**
+ * Generate the output CSV of a processed line list, each row in its own units
+ * @param {Array<Object>} results - Results from processInsulationLineList
+ * @returns {string} CSV content
+ */
+function generateInsulationLineListCSV(results) {
+    const headers = ['RowNumber', 'Tag', 'Type', 'Units', 'FluidTemperature', 'AmbientDBT', 'DewPoint', 'RequiredSurfaceTemperature',
+        'MinimumThickness', 'Thickness', 'SurfaceTemperature', 'HeatGain', 'Condensation', 'Adequate'];
+    const rows = results.map(result => {
+        const format = (quantity, value) => formatQuantity(quantity, value, result.units);
+        return [
+            result.rowNumber,
+            result.tag,
+            result.type,
+            result.units,
+            format('temperature', result.fluidTemperature),
+            format('temperature', result.ambientDbt),
+            format('temperature', result.dewPoint),
+            format('temperature', result.requiredSurfaceTemperature),
+            format('length', result.minimumThickness),
+            format('length', result.thickness),
+            format('temperature', result.surfaceTemperature),
+            format('heatGainPerLength', result.heatGain),
+            result.condensation ? 'Yes' : 'No',
+            result.adequate ? 'Yes' : 'No'
+        ].map(value => `"${value}"`).join(',');
+    });
+
+    return [headers.join(','), ...rows].join('\n');
+}
+
+/**
+ * Generate a sample line list
+ * @returns {string} Sample CSV content
+ */
+function generateSampleLineListCSV() {
+    const sampleData = [
+        { Tag: 'CHW-101', Type: 'pipe', Diameter: '60.3', FluidTemperature: '6', Units: 'SI' },
+        { Tag: 'CHW-102', Type: 'pipe', Diameter: '114.3', FluidTemperature: '6', Conductivity: '0.040', Thickness: '19', Units: 'SI' },
+        { Tag: 'CHW-103', Type: 'pipe', Diameter: '168.3', FluidTemperature: '6', SafetyMargin: '2', AmbientDBT: '35', AmbientRH: '80', Units: 'SI' },
+        { Tag: 'SA-201', Type: 'rectangularDuct', Width: '800', Height: '400', FluidTemperature: '13', SurfaceCoefficient: '6', Units: 'SI' },
+        { Tag: 'SA-202', Type: 'roundDuct', Diameter: '400', FluidTemperature: '13', Units: 'SI' },
+        { Tag: 'CHW-301', Type: 'pipe', Diameter: '4.5', FluidTemperature: '44', Conductivity: '0.25', Thickness: '1', Units: 'IP' }
+    ];
+
+    const headers = ['Tag', 'Type', 'Diameter', 'Width', 'Height', 'FluidTemperature', 'Conductivity', 'SurfaceCoefficient',
+        'SafetyMargin', 'Thickness', 'AmbientDBT', 'AmbientRH', 'Units'];
+    const rows = sampleData.map(row =>
+        headers.map(header => `"${row[header] || ''}"`).join(',')
+    );
+
+    return [headers.join(','), ...rows].join('\n');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        INSULATION_LINE_TYPES,
+        DEFAULT_INSULATION_CONDUCTIVITY,
+        DEFAULT_SURFACE_COEFFICIENT,
+        DEFAULT_CONDENSATION_MARGIN,
+        calculateInsulationSurfaceTemperature,
+        calculateInsulation,
+        parseInsulationLineListRow,
+        processInsulationLineList,
+        generateInsulationLineListCSV,
+        generateSampleLineListCSV
+    };
+}
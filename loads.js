@@ -0,0 +1,164 @@
+/**
+ * Psychrometric Calculator - Airflow Load Calculator
+ *
+ * Coil capacity between an entering and a leaving air state for a given
+ * airflow: sensible, latent and total load in kW and tons of refrigeration,
+ * moisture removal and sensible heat ratio. Loads follow either the actual-air
+ * convention (dry-air mass flow from the actual specific volume and enthalpy
+ * differences) or the standard-air convention of ASHRAE Fundamentals
+ * (1.2 kg/m³ with the 1.23, 3010 and 1.20 factors). All values are in SI units.
+ *
+ * @author HVAC Calculator Team
+ */
+
+// In Node.js the engine and unit conversions come from their modules; in the
+// browser their functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { calculateProcessLoads } = require('./processes.js');
+    var { convertToSI, normalizeUnitSystem } = require('./units.js');
+}
+
+/**
+ * kW per ton of refrigeration (12 000 Btu/h)
+ */
+const KW_PER_TON = 3.516853;
+
+/**
+ * Density of standard air in kg/m³ (dry air at 20°C and 101.325 kPa)
+ */
+const STANDARD_AIR_DENSITY = 1.2;
+
+/**
+ * Standard-air load factors for airflow in m³/s: sensible in kW/K, latent in
+ * kW per kg/kg of humidity ratio and total in kW per kJ/kg of enthalpy
+ */
+const STANDARD_AIR_FACTORS = {
+    sensible: 1.23,
+    latent: 3010,
+    total: 1.2
+};
+
+/**
+ * Load conventions with the description reported with the results
+ */
+const LOAD_CONVENTIONS = {
+    actual: 'Actual air: dry-air mass flow from the actual specific volume; loads from enthalpy differences',
+    standard: 'Standard air: 1.2 kg/m³ with q_s = 1.23·Q·ΔT, q_l = 3010·Q·ΔW and q_t = 1.20·Q·Δh'
+};
+
+/**
+ * Bring a state to SI
+ *
+ * Accepts a state from calculatePsychrometricState, which is already in SI,
+ * or the formatted results of calculatePsychrometricProperties, which are
+ * converted back from their unit system (and so carry its display rounding).
+ *
+ * @param {Object} state - Psychrometric state or formatted properties
+ * @returns {Object} State with dbt, humidityRatio, enthalpy, specificVolume and pressure in SI
+ */
+function toLoadState(state) {
+    if (state.units === undefined) {
+        return state;
+    }
+
+    const units = normalizeUnitSystem(state.units);
+    const value = (quantity, key) => convertToSI(quantity, parseFloat(state[key]), units);
+    return {
+        dbt: value('temperature', 'dbt'),
+        humidityRatio: value('humidityRatio', 'humidityRatio'),
+        enthalpy: value('enthalpy', 'enthalpy'),
+        specificVolume: value('specificVolume', 'specificVolume'),
+        pressure: value('pressure', 'pressure')
+    };
+}
+
+/**
+ * Calculate the coil loads between two air states for a given airflow
+ *
+ * With the actual-air convention the dry-air mass flow is the volumetric
+ * airflow divided by the specific volume where it is measured, and the loads
+ * and moisture removal are those of calculateProcessLoads for that mass flow.
+ * With the standard-air convention the published standard-air factors are
+ * applied to the volumetric airflow; a mass flow is converted at 1.2 kg/m³.
+ * Positive loads are heat added to the air; negative loads are heat removed.
+ *
+ * @param {Object} entering - Entering air state (calculatePsychrometricState or calculatePsychrometricProperties)
+ * @param {Object} leaving - Leaving air state, in the same form
+ * @param {Object} airflow - Either { volumetric } in m³/s or { mass } in kg/s of dry air
+ * @param {Object} [options] - Load options
+ * @param {string} [options.convention='actual'] - 'actual' or 'standard'
+ * @param {string} [options.airflowAt='entering'] - State at which a volumetric airflow is measured: 'entering' or 'leaving'
+ * @returns {Object} convention and its description, massFlow (kg/s), volumetricFlow (m³/s),
+ *     sensible, latent and total loads in kW and tons, moistureRemoval (kg/h, zero when
+ *     the air is humidified) and shr
+ * @throws {Error} If the airflow or options are invalid
+ */
+function calculateAirflowLoads(entering, leaving, airflow, options = {}) {
+    const convention = options.convention || 'actual';
+    const airflowAt = options.airflowAt || 'entering';
+    if (!LOAD_CONVENTIONS[convention]) {
+        throw new Error(`Unsupported load convention '${convention}'. Must be one of: ${Object.keys(LOAD_CONVENTIONS).join(', ')}`);
+    }
+    if (airflowAt !== 'entering' && airflowAt !== 'leaving') {
+        throw new Error(`Airflow must be measured at 'entering' or 'leaving' conditions (got '${airflowAt}')`);
+    }
+
+    const hasVolumetric = airflow && airflow.volumetric !== undefined;
+    const hasMass = airflow && airflow.mass !== undefined;
+    if (hasVolumetric === hasMass) {
+        throw new Error('Give either a volumetric or a mass airflow');
+    }
+    const flow = hasVolumetric ? airflow.volumetric : airflow.mass;
+    if (typeof flow !== 'number' || isNaN(flow) || flow <= 0) {
+        throw new Error('Airflow must be greater than zero');
+    }
+
+    const stateIn = toLoadState(entering);
+    const stateOut = toLoadState(leaving);
+
+    let massFlow, volumetricFlow;
+    if (convention === 'standard') {
+        volumetricFlow = hasVolumetric ? flow : flow / STANDARD_AIR_DENSITY;
+        massFlow = volumetricFlow * STANDARD_AIR_DENSITY;
+    } else {
+        const specificVolume = (airflowAt === 'leaving' ? stateOut : stateIn).specificVolume;
+        massFlow = hasVolumetric ? flow / specificVolume : flow;
+        volumetricFlow = massFlow * specificVolume;
+    }
+
+    // calculateProcessLoads takes the airflow at entering conditions
+    const processLoads = calculateProcessLoads(stateIn, stateOut, massFlow * stateIn.specificVolume);
+    let { sensible, latent, total } = processLoads;
+    if (convention === 'standard') {
+        sensible = STANDARD_AIR_FACTORS.sensible * volumetricFlow * (stateOut.dbt - stateIn.dbt);
+        latent = STANDARD_AIR_FACTORS.latent * volumetricFlow * (stateOut.humidityRatio - stateIn.humidityRatio);
+        total = STANDARD_AIR_FACTORS.total * volumetricFlow * (stateOut.enthalpy - stateIn.enthalpy);
+    }
+
+    return {
+        convention,
+        conventionDescription: LOAD_CONVENTIONS[convention],
+        airflowAt,
+        massFlow,
+        volumetricFlow,
+        sensible,
+        latent,
+        total,
+        sensibleTons: sensible / KW_PER_TON,
+        latentTons: latent / KW_PER_TON,
+        totalTons: total / KW_PER_TON,
+        moistureRemoval: processLoads.condensate,
+        shr: total !== 0 ? sensible / total : 1
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        KW_PER_TON,
+        STANDARD_AIR_DENSITY,
+        STANDARD_AIR_FACTORS,
+        LOAD_CONVENTIONS,
+        calculateAirflowLoads
+    };
+}
@@ -0,0 +1,383 @@
+/**
+ * Psychrometric Calculator - Air-Conditioning Processes
+ *
+ * Process models for air handling unit design: sensible heating and cooling,
+ * cooling-coil dehumidification (apparatus dew point and bypass factor),
+ * adiabatic mixing of air streams, direct, indirect and two-stage evaporative
+ * cooling, and steam and adiabatic humidification. States are solved with the
+ * core psychrometric functions and all values are in SI units.
+ *
+ * @author HVAC Calculator Team
+ */
+
+// In Node.js the engine comes from psychrometrics.js; in the browser its
+// functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    var {
+        calculateEnthalpy,
+        calculateDryBulbFromEnthalpy,
+        calculateHumidityRatioFromDewPoint,
+        calculateRelativeHumidity,
+        calculatePsychrometricState,
+        calculateStateFromHumidityRatio,
+        findRoot
+    } = require('./psychrometrics.js');
+}
+
+/**
+ * Seconds per hour
+ */
+const SECONDS_PER_HOUR = 3600;
+
+/**
+ * Enthalpy of saturated steam at atmospheric pressure (100°C) in kJ/kg
+ */
+const STEAM_ENTHALPY = 2676;
+
+/**
+ * Latent heat of vaporization of water at 0°C in kJ/kg, and its decrease
+ * per kelvin, for the water evaporated by an indirect cooler
+ */
+const WATER_LATENT_HEAT_0C = 2501;
+const WATER_LATENT_HEAT_SLOPE = 2.361;
+
+/**
+ * Sensible heating or cooling at constant humidity ratio
+ * @param {Object} entering - Entering air state (from calculatePsychrometricState)
+ * @param {number} leavingDbt - Leaving dry bulb temperature in Celsius
+ * @returns {Object} Process with type, label and [entering, leaving] states
+ * @throws {Error} If cooling would take the air below its dew point
+ */
+function sensibleProcess(entering, leavingDbt) {
+    if (leavingDbt < entering.dpt) {
+        throw new Error('Leaving temperature is below the entering dew point; use the cooling coil process for dehumidification');
+    }
+
+    const leaving = calculateStateFromHumidityRatio(leavingDbt, entering.humidityRatio, entering.pressure);
+
+    return {
+        type: 'sensible',
+        label: leavingDbt >= entering.dbt ? 'Sensible heating' : 'Sensible cooling',
+        states: [entering, leaving]
+    };
+}
+
+/**
+ * Cooling-coil dehumidification using apparatus dew point and bypass factor
+ *
+ * The leaving state lies on the straight line between the entering state and
+ * the saturated apparatus dew point:
+ *   T_leaving = ADP + BF × (T_entering - ADP)
+ *   W_leaving = W_adp + BF × (W_entering - W_adp)
+ *
+ * @param {Object} entering - Entering air state (from calculatePsychrometricState)
+ * @param {number} adp - Apparatus dew point in Celsius
+ * @param {number} bypassFactor - Coil bypass factor (0 to less than 1)
+ * @returns {Object} Process with type, label, [entering, leaving] states and coil data
+ * @throws {Error} If the inputs do not describe a dehumidifying coil
+ */
+function coolingCoilProcess(entering, adp, bypassFactor) {
+    if (isNaN(bypassFactor) || bypassFactor < 0 || bypassFactor >= 1) {
+        throw new Error('Bypass factor must be at least 0 and less than 1');
+    }
+    if (adp >= entering.dpt) {
+        throw new Error('Apparatus dew point must be below the entering dew point for dehumidification');
+    }
+
+    const pressure = entering.pressure;
+    const adpState = calculateStateFromHumidityRatio(adp, calculateHumidityRatioFromDewPoint(adp, pressure), pressure);
+    const leavingDbt = adp + bypassFactor * (entering.dbt - adp);
+    const leavingW = adpState.humidityRatio + bypassFactor * (entering.humidityRatio - adpState.humidityRatio);
+    const leaving = calculateStateFromHumidityRatio(leavingDbt, leavingW, pressure);
+
+    return {
+        type: 'coolingCoil',
+        label: 'Cooling coil dehumidification',
+        states: [entering, leaving],
+        adp: adpState,
+        bypassFactor,
+        contactFactor: 1 - bypassFactor
+    };
+}
+
+/**
+ * Adiabatic mixing of two or more air streams by dry-air mass fraction
+ *
+ * Humidity ratio and enthalpy of the mixture are mass-weighted averages;
+ * the mixed dry bulb temperature follows from the enthalpy.
+ *
+ * @param {Array<Object>} streams - Streams as { state, massFraction }
+ * @returns {Object} Process with type, label, stream states and the mixed state
+ * @throws {Error} If fewer than two streams are given or fractions do not sum to 1
+ */
+function mixingProcess(streams) {
+    if (!streams || streams.length < 2) {
+        throw new Error('Mixing requires at least two air streams');
+    }
+
+    const totalFraction = streams.reduce((sum, stream) => sum + stream.massFraction, 0);
+    if (streams.some(stream => !(stream.massFraction >= 0)) || Math.abs(totalFraction - 1) > 0.001) {
+        throw new Error('Stream mass fractions must be non-negative and sum to 1');
+    }
+
+    const pressure = streams[0].state.pressure;
+    const humidityRatio = streams.reduce((sum, stream) => sum + stream.massFraction * stream.state.humidityRatio, 0);
+    const enthalpy = streams.reduce((sum, stream) => sum + stream.massFraction * stream.state.enthalpy, 0);
+    const mixed = calculateStateFromHumidityRatio(calculateDryBulbFromEnthalpy(enthalpy, humidityRatio), humidityRatio, pressure);
+
+    return {
+        type: 'mixing',
+        label: 'Adiabatic mixing',
+        states: streams.map(stream => stream.state),
+        streams,
+        mixed
+    };
+}
+
+/**
+ * Check a saturation effectiveness
+ * @param {number} effectiveness - Effectiveness (greater than 0, at most 1)
+ * @param {string} name - Name used in the error message
+ * @throws {Error} If the effectiveness is out of range
+ */
+function checkEffectiveness(effectiveness, name) {
+    if (isNaN(effectiveness) || effectiveness <= 0 || effectiveness > 1) {
+        throw new Error(`${name} must be greater than 0 and at most 1`);
+    }
+}
+
+/**
+ * Direct evaporative cooling along the entering wet bulb temperature
+ *
+ * The air is cooled and humidified at constant wet bulb; the saturation
+ * effectiveness sets how close the leaving dry bulb comes to the wet bulb:
+ *   T_leaving = T_entering - ε × (T_entering - T_wb)
+ *
+ * @param {Object} entering - Entering air state (from calculatePsychrometricState)
+ * @param {number} effectiveness - Saturation effectiveness (greater than 0, at most 1)
+ * @returns {Object} Process with [entering, leaving] states, water evaporated per kg of dry air
+ *     and the achievable supply temperature (the entering wet bulb)
+ * @throws {Error} If the effectiveness is out of range
+ */
+function directEvaporativeProcess(entering, effectiveness) {
+    checkEffectiveness(effectiveness, 'Saturation effectiveness');
+
+    const leavingDbt = entering.dbt - effectiveness * (entering.dbt - entering.wbt);
+    const leaving = calculatePsychrometricState('dbt_wbt', leavingDbt, entering.wbt, entering.pressure);
+
+    return {
+        type: 'directEvaporative',
+        label: 'Direct evaporative cooling',
+        states: [entering, leaving],
+        effectiveness,
+        waterPerKgAir: leaving.humidityRatio - entering.humidityRatio,
+        achievableSupplyTemperature: entering.wbt
+    };
+}
+
+/**
+ * Indirect evaporative cooling at constant humidity ratio
+ *
+ * The primary air is cooled sensibly through a heat exchanger by secondary
+ * air that is evaporatively cooled towards its wet bulb temperature:
+ *   T_leaving = T_entering - ε × (T_entering - T_wb,secondary)
+ * The water evaporated is the heat removed from the primary air divided by
+ * the latent heat at the secondary wet bulb temperature.
+ *
+ * @param {Object} entering - Entering primary air state (from calculatePsychrometricState)
+ * @param {number} effectiveness - Wet bulb depression effectiveness (greater than 0, at most 1)
+ * @param {number} [secondaryWbt] - Wet bulb temperature of the secondary air in Celsius; defaults to the entering wet bulb
+ * @returns {Object} Process with [entering, leaving] states, water evaporated per kg of primary dry air
+ *     and the achievable supply temperature (the secondary wet bulb)
+ * @throws {Error} If the effectiveness is out of range or the secondary air cannot cool the primary air
+ */
+function indirectEvaporativeProcess(entering, effectiveness, secondaryWbt = entering.wbt) {
+    checkEffectiveness(effectiveness, 'Indirect effectiveness');
+    if (isNaN(secondaryWbt) || secondaryWbt >= entering.dbt) {
+        throw new Error('Secondary air wet bulb temperature must be below the entering dry bulb temperature');
+    }
+
+    const leavingDbt = entering.dbt - effectiveness * (entering.dbt - secondaryWbt);
+    const leaving = calculateStateFromHumidityRatio(Math.max(leavingDbt, entering.dpt), entering.humidityRatio, entering.pressure);
+    const latentHeat = WATER_LATENT_HEAT_0C - WATER_LATENT_HEAT_SLOPE * secondaryWbt;
+
+    return {
+        type: 'indirectEvaporative',
+        label: 'Indirect evaporative cooling',
+        states: [entering, leaving],
+        effectiveness,
+        secondaryWbt,
+        waterPerKgAir: (entering.enthalpy - leaving.enthalpy) / latentHeat,
+        achievableSupplyTemperature: Math.max(secondaryWbt, entering.dpt)
+    };
+}
+
+/**
+ * Two-stage (indirect-direct) evaporative cooling
+ *
+ * An indirect stage pre-cools the air at constant humidity ratio, lowering
+ * its wet bulb, so the following direct stage can supply air below the
+ * entering wet bulb temperature.
+ *
+ * @param {Object} entering - Entering air state (from calculatePsychrometricState)
+ * @param {number} indirectEffectiveness - Effectiveness of the indirect stage
+ * @param {number} directEffectiveness - Saturation effectiveness of the direct stage
+ * @param {number} [secondaryWbt] - Wet bulb temperature of the indirect stage's secondary air; defaults to the entering wet bulb
+ * @returns {Object} Process with [entering, intermediate, leaving] states, water evaporated per kg of
+ *     dry air by both stages and the achievable supply temperature (the intermediate wet bulb)
+ * @throws {Error} If an effectiveness is out of range or the secondary air cannot cool the air
+ */
+function twoStageEvaporativeProcess(entering, indirectEffectiveness, directEffectiveness, secondaryWbt = entering.wbt) {
+    const indirect = indirectEvaporativeProcess(entering, indirectEffectiveness, secondaryWbt);
+    const direct = directEvaporativeProcess(indirect.states[1], directEffectiveness);
+
+    return {
+        type: 'twoStageEvaporative',
+        label: 'Two-stage evaporative cooling',
+        states: [entering, indirect.states[1], direct.states[1]],
+        indirectEffectiveness,
+        directEffectiveness,
+        secondaryWbt,
+        waterPerKgAir: indirect.waterPerKgAir + direct.waterPerKgAir,
+        achievableSupplyTemperature: direct.achievableSupplyTemperature
+    };
+}
+
+/**
+ * Check the target relative humidity of a humidifier
+ * @param {Object} entering - Entering air state
+ * @param {number} targetRh - Leaving relative humidity in percent
+ * @throws {Error} If the target is not above the entering relative humidity or above 100%
+ */
+function checkHumidifierTarget(entering, targetRh) {
+    if (isNaN(targetRh) || targetRh <= entering.rh || targetRh > 100) {
+        throw new Error(`Target relative humidity must be above the entering ${entering.rh.toFixed(1)}% and at most 100%`);
+    }
+}
+
+/**
+ * Steam humidification to a target relative humidity
+ *
+ * Injected steam raises the humidity ratio at nearly constant dry bulb: the
+ * enthalpy rises by the steam enthalpy per kg of water added,
+ *   h_leaving = h_entering + (W_leaving - W_entering) × h_steam
+ *
+ * @param {Object} entering - Entering air state (from calculatePsychrometricState)
+ * @param {number} targetRh - Leaving relative humidity in percent
+ * @param {number} [steamEnthalpy=2676] - Enthalpy of the steam in kJ/kg
+ * @returns {Object} Process with [entering, leaving] states, steam used per kg of dry air and the
+ *     achievable supply temperature (the leaving dry bulb, since steam does not cool the air)
+ * @throws {Error} If the target relative humidity cannot be reached by humidification
+ */
+function steamHumidifierProcess(entering, targetRh, steamEnthalpy = STEAM_ENTHALPY) {
+    checkHumidifierTarget(entering, targetRh);
+
+    const pressure = entering.pressure;
+    const leavingDbt = humidityRatio => calculateDryBulbFromEnthalpy(
+        entering.enthalpy + (humidityRatio - entering.humidityRatio) * steamEnthalpy,
+        humidityRatio
+    );
+    const rhDifference = humidityRatio => calculateRelativeHumidity(leavingDbt(humidityRatio), humidityRatio, pressure) - targetRh;
+
+    // Steam warms the air only slightly, so saturation 20 K above the entering temperature brackets the target
+    const root = findRoot(rhDifference, entering.humidityRatio, calculateHumidityRatioFromDewPoint(entering.dbt + 20, pressure), 1e-9);
+    const dbt = leavingDbt(root);
+    const leaving = calculateStateFromHumidityRatio(dbt, Math.min(root, calculateHumidityRatioFromDewPoint(dbt, pressure)), pressure);
+
+    return {
+        type: 'steamHumidifier',
+        label: 'Steam humidification',
+        states: [entering, leaving],
+        steamEnthalpy,
+        waterPerKgAir: leaving.humidityRatio - entering.humidityRatio,
+        achievableSupplyTemperature: leaving.dbt
+    };
+}
+
+/**
+ * Adiabatic (evaporative) humidification to a target relative humidity
+ *
+ * Atomising and wetted-media humidifiers follow the entering wet bulb
+ * temperature like a direct evaporative cooler; the saturation effectiveness
+ * needed to reach the target is reported.
+ *
+ * @param {Object} entering - Entering air state (from calculatePsychrometricState)
+ * @param {number} targetRh - Leaving relative humidity in percent
+ * @returns {Object} Process with [entering, leaving] states, water evaporated per kg of dry air, the
+ *     required effectiveness and the achievable supply temperature (the entering wet bulb)
+ * @throws {Error} If the target relative humidity cannot be reached by humidification
+ */
+function adiabaticHumidifierProcess(entering, targetRh) {
+    checkHumidifierTarget(entering, targetRh);
+
+    const leaving = calculatePsychrometricState('wbt_rh', entering.wbt, targetRh, entering.pressure);
+
+    return {
+        type: 'adiabaticHumidifier',
+        label: 'Adiabatic humidification',
+        states: [entering, leaving],
+        effectiveness: (entering.dbt - leaving.dbt) / (entering.dbt - entering.wbt),
+        waterPerKgAir: leaving.humidityRatio - entering.humidityRatio,
+        achievableSupplyTemperature: entering.wbt
+    };
+}
+
+/**
+ * Calculate the water used by an evaporative or humidification process
+ * @param {Object} process - Process with waterPerKgAir (kg water per kg dry air)
+ * @param {number} massFlow - Dry-air mass flow in kg/s
+ * @returns {number} Water consumption in kg/h
+ */
+function calculateWaterConsumption(process, massFlow) {
+    return process.waterPerKgAir * massFlow * SECONDS_PER_HOUR;
+}
+
+/**
+ * Calculate the loads of a process between an entering and a leaving state
+ *
+ * Dry-air mass flow is taken from the volumetric airflow at the entering
+ * specific volume. The enthalpy change is split at the entering temperature:
+ * the latent load is the moisture change at the entering temperature and the
+ * sensible load is the temperature change at the leaving humidity ratio, so
+ * sensible + latent = total.
+ * Positive loads are heat added to the air; negative loads are heat removed.
+ *
+ * @param {Object} entering - Entering air state
+ * @param {Object} leaving - Leaving air state
+ * @param {number} airflow - Volumetric airflow at entering conditions in m³/s
+ * @returns {Object} Loads in kW, sensible heat ratio and condensate in kg/h
+ */
+function calculateProcessLoads(entering, leaving, airflow) {
+    const massFlow = airflow / entering.specificVolume; // kg dry air/s
+    const intermediateEnthalpy = calculateEnthalpy(entering.dbt, leaving.humidityRatio);
+
+    const sensible = massFlow * (leaving.enthalpy - intermediateEnthalpy);
+    const latent = massFlow * (intermediateEnthalpy - entering.enthalpy);
+    const total = massFlow * (leaving.enthalpy - entering.enthalpy);
+    const moistureRemoved = Math.max(0, massFlow * (entering.humidityRatio - leaving.humidityRatio));
+
+    return {
+        massFlow,
+        sensible,
+        latent,
+        total,
+        shr: total !== 0 ? sensible / total : 1,
+        condensate: moistureRemoved * SECONDS_PER_HOUR
+    };
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        sensibleProcess,
+        coolingCoilProcess,
+        mixingProcess,
+        directEvaporativeProcess,
+        indirectEvaporativeProcess,
+        twoStageEvaporativeProcess,
+        steamHumidifierProcess,
+        adiabaticHumidifierProcess,
+        calculateWaterConsumption,
+        calculateProcessLoads
+    };
+}
@@ -0,0 +1,504 @@
+/**
+ * Psychrometric Calculator - Psychrometric Chart
+ *
+ * Renders an SVG psychrometric chart from the calculator's own property
+ * functions: saturation curve, relative humidity, wet bulb, enthalpy and
+ * specific volume lines, scaled to the current atmospheric pressure.
+ * Geometry is computed in SI; axis ticks and labels follow the unit system.
+ *
+ * @author HVAC Calculator Team
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/**
+ * Default chart ranges in SI units
+ */
+const CHART_DEFAULTS = {
+    minTemp: -10,
+    maxTemp: 50,
+    maxHumidityRatio: 0.03,
+    width: 800,
+    height: 500,
+    margin: { top: 20, right: 70, bottom: 45, left: 55 }
+};
+
+/**
+ * Line spacing per unit system (in display units)
+ */
+const CHART_SPACING = {
+    SI: { temperature: 5, humidityRatio: 0.005, enthalpy: 10, specificVolume: 0.02, wetBulb: 5 },
+    IP: { temperature: 10, humidityRatio: 20, enthalpy: 5, specificVolume: 0.5, wetBulb: 10 }
+};
+
+/**
+ * Number of samples used to draw each curve
+ */
+const CHART_SAMPLES = 120;
+
+class PsychrometricChart {
+    /**
+     * @param {HTMLElement} container - Element that will hold the chart SVG
+     * @param {Object} [options] - Chart options (see CHART_DEFAULTS)
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.options = { ...CHART_DEFAULTS, ...options };
+        this.pressure = STANDARD_PRESSURE;
+        this.unitSystem = 'SI';
+        this.state = null;
+        this.points = [];
+        this.processes = [];
+        this.onSelect = null;
+        this.svg = null;
+    }
+
+    /**
+     * Set the atmospheric pressure the chart is drawn for
+     * @param {number} pressure - Atmospheric pressure in kPa
+     */
+    setPressure(pressure) {
+        this.pressure = pressure;
+    }
+
+    /**
+     * Set the unit system used for axis ticks and labels
+     * @param {string} unitSystem - 'SI' or 'IP'
+     */
+    setUnitSystem(unitSystem) {
+        this.unitSystem = normalizeUnitSystem(unitSystem);
+    }
+
+    /**
+     * Set the highlighted state point
+     * @param {Object|null} state - State with dbt (°C) and humidityRatio (kg/kg), or null
+     */
+    setState(state) {
+        this.state = state;
+    }
+
+    /**
+     * Set a cloud of secondary points, e.g. CSV batch results
+     * @param {Array<Object>} points - States with dbt (°C) and humidityRatio (kg/kg)
+     */
+    setPoints(points) {
+        this.points = points || [];
+    }
+
+    /**
+     * Set the air-conditioning processes drawn as lines between their states
+     * @param {Array<Object>} processes - Processes from processes.js
+     */
+    setProcesses(processes) {
+        this.processes = processes || [];
+    }
+
+    /**
+     * Collect every state of the plotted processes, including coil apparatus
+     * dew points and mixed states
+     * @returns {Array<Object>} States with dbt (°C) and humidityRatio (kg/kg)
+     */
+    getProcessStates() {
+        return this.processes.flatMap(process => [
+            ...process.states,
+            ...(process.adp ? [process.adp] : []),
+            ...(process.mixed ? [process.mixed] : [])
+        ]);
+    }
+
+    /**
+     * Compute the drawing range, extended to include all plotted states
+     * @returns {Object} Range with minTemp, maxTemp and maxHumidityRatio in SI
+     */
+    getRange() {
+        let { minTemp, maxTemp, maxHumidityRatio } = this.options;
+        const states = [...this.points, ...this.getProcessStates(), ...(this.state ? [this.state] : [])];
+
+        states.forEach(state => {
+            if (!isFinite(state.dbt) || !isFinite(state.humidityRatio)) return;
+            minTemp = Math.min(minTemp, Math.floor((state.dbt - 2) / 10) * 10);
+            maxTemp = Math.max(maxTemp, Math.ceil((state.dbt + 2) / 10) * 10);
+            maxHumidityRatio = Math.max(maxHumidityRatio, Math.ceil((state.humidityRatio * 1.1) / 0.005) * 0.005);
+        });
+
+        return {
+            minTemp: Math.max(minTemp, MIN_SATURATION_TEMP),
+            maxTemp: Math.min(maxTemp, MAX_SATURATION_TEMP),
+            maxHumidityRatio
+        };
+    }
+
+    /**
+     * Map a dry bulb temperature (°C) to an x coordinate
+     * @param {number} dbt - Dry bulb temperature in Celsius
+     * @returns {number} x coordinate
+     */
+    x(dbt) {
+        const { width, margin } = this.options;
+        const plotWidth = width - margin.left - margin.right;
+        return margin.left + (dbt - this.range.minTemp) / (this.range.maxTemp - this.range.minTemp) * plotWidth;
+    }
+
+    /**
+     * Map a humidity ratio (kg/kg) to a y coordinate
+     * @param {number} humidityRatio - Humidity ratio in kg/kg
+     * @returns {number} y coordinate
+     */
+    y(humidityRatio) {
+        const { height, margin } = this.options;
+        const plotHeight = height - margin.top - margin.bottom;
+        return margin.top + plotHeight - humidityRatio / this.range.maxHumidityRatio * plotHeight;
+    }
+
+    /**
+     * Map chart coordinates back to dry bulb temperature and humidity ratio
+     * @param {number} px - x coordinate
+     * @param {number} py - y coordinate
+     * @returns {Object} { dbt, humidityRatio } in SI units
+     */
+    invert(px, py) {
+        const { width, height, margin } = this.options;
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        return {
+            dbt: this.range.minTemp + (px - margin.left) / plotWidth * (this.range.maxTemp - this.range.minTemp),
+            humidityRatio: (margin.top + plotHeight - py) / plotHeight * this.range.maxHumidityRatio
+        };
+    }
+
+    /**
+     * Saturation humidity ratio at a temperature, or Infinity above the boiling point
+     * @param {number} dbt - Dry bulb temperature in Celsius
+     * @returns {number} Saturation humidity ratio in kg/kg
+     */
+    saturationHumidityRatio(dbt) {
+        if (saturatedVaporPressure(dbt) >= this.pressure) {
+            return Infinity;
+        }
+        return calculateHumidityRatioFromDewPoint(dbt, this.pressure);
+    }
+
+    /**
+     * Sample a curve W = fn(t) over the temperature range, keeping the
+     * points that lie between dry air and saturation
+     * @param {Function} fn - Humidity ratio as a function of dry bulb temperature
+     * @param {number} [from] - Start temperature (defaults to range minimum)
+     * @param {number} [to] - End temperature (defaults to range maximum)
+     * @returns {string} SVG path data
+     */
+    curvePath(fn, from = this.range.minTemp, to = this.range.maxTemp) {
+        const segments = [];
+        let current = [];
+
+        for (let i = 0; i <= CHART_SAMPLES; i++) {
+            const t = from + (to - from) * i / CHART_SAMPLES;
+            let w;
+            try {
+                w = fn(t);
+            } catch (error) {
+                w = NaN;
+            }
+
+            if (isFinite(w) && w >= 0 && w <= this.saturationHumidityRatio(t) * 1.0001) {
+                current.push(`${this.x(t).toFixed(1)},${this.y(w).toFixed(1)}`);
+            } else if (current.length > 0) {
+                segments.push(current);
+                current = [];
+            }
+        }
+        if (current.length > 0) {
+            segments.push(current);
+        }
+
+        return segments
+            .filter(segment => segment.length > 1)
+            .map(segment => `M${segment.join('L')}`)
+            .join(' ');
+    }
+
+    /**
+     * Generate tick values in display units that fall within an SI range
+     * @param {string} quantity - Quantity name
+     * @param {number} minSI - Range minimum in SI
+     * @param {number} maxSI - Range maximum in SI
+     * @param {number} step - Tick spacing in display units
+     * @returns {Array<Object>} Ticks with display value and SI value
+     */
+    ticks(quantity, minSI, maxSI, step) {
+        const lo = convertFromSI(quantity, minSI, this.unitSystem);
+        const hi = convertFromSI(quantity, maxSI, this.unitSystem);
+        const ticks = [];
+        for (let value = Math.ceil(lo / step) * step; value <= hi + 1e-9; value += step) {
+            const rounded = parseFloat(value.toFixed(6));
+            ticks.push({ value: rounded, si: convertToSI(quantity, rounded, this.unitSystem) });
+        }
+        return ticks;
+    }
+
+    /**
+     * Build the SVG markup of the chart
+     * @returns {string} SVG markup
+     */
+    buildMarkup() {
+        this.range = this.getRange();
+        const { width, height, margin } = this.options;
+        const { minTemp, maxTemp, maxHumidityRatio } = this.range;
+        const spacing = CHART_SPACING[this.unitSystem];
+        const p = this.pressure;
+        const plotRight = width - margin.right;
+        const plotBottom = height - margin.bottom;
+        const parts = [];
+
+        parts.push(`<defs><clipPath id="chart-clip"><rect x="${margin.left}" y="${margin.top}" width="${plotRight - margin.left}" height="${plotBottom - margin.top}"/></clipPath></defs>`);
+        parts.push(`<rect x="0" y="0" width="${width}" height="${height}" fill="#ffffff"/>`);
+
+        // Axes grid and ticks
+        const grid = [];
+        const labels = [];
+        this.ticks('temperature', minTemp, maxTemp, spacing.temperature).forEach(tick => {
+            const x = this.x(tick.si).toFixed(1);
+            grid.push(`<line x1="${x}" y1="${this.y(0)}" x2="${x}" y2="${this.y(this.saturationHumidityRatio(tick.si))}" class="chart-grid"/>`);
+            labels.push(`<text x="${x}" y="${plotBottom + 16}" text-anchor="middle" class="chart-tick">${tick.value}</text>`);
+        });
+        this.ticks('humidityRatio', 0, maxHumidityRatio, spacing.humidityRatio).forEach(tick => {
+            const y = this.y(tick.si).toFixed(1);
+            grid.push(`<line x1="${margin.left}" y1="${y}" x2="${plotRight}" y2="${y}" class="chart-grid"/>`);
+            labels.push(`<text x="${plotRight + 6}" y="${y}" dominant-baseline="middle" class="chart-tick">${tick.value}</text>`);
+        });
+
+        // Relative humidity lines
+        const rhLines = [];
+        for (let rh = 10; rh < 100; rh += 10) {
+            rhLines.push(`<path d="${this.curvePath(t => calculateHumidityRatioFromDBTRH(t, rh, p))}" class="chart-rh"/>`);
+            const labelTemp = maxTemp - (maxTemp - minTemp) * 0.06;
+            let w;
+            try {
+                w = calculateHumidityRatioFromDBTRH(labelTemp, rh, p);
+            } catch (error) {
+                w = Infinity;
+            }
+            if (w < maxHumidityRatio) {
+                labels.push(`<text x="${this.x(labelTemp).toFixed(1)}" y="${(this.y(w) - 3).toFixed(1)}" class="chart-label chart-rh-label">${rh}%</text>`);
+            }
+        }
+
+        // Wet bulb lines (from saturation down to dry air)
+        const wbLines = [];
+        this.ticks('temperature', minTemp, maxTemp, spacing.wetBulb).forEach(tick => {
+            wbLines.push(`<path d="${this.curvePath(t => calculateHumidityRatio(t, tick.si, p), tick.si, maxTemp)}" class="chart-wb"/>`);
+        });
+
+        // Enthalpy lines, labelled where they meet saturation
+        const hLines = [];
+        const hMin = calculateEnthalpy(minTemp, 0);
+        const hMax = calculateEnthalpy(maxTemp, Math.min(maxHumidityRatio, this.saturationHumidityRatio(maxTemp)));
+        this.ticks('enthalpy', hMin, hMax, spacing.enthalpy).forEach(tick => {
+            hLines.push(`<path d="${this.curvePath(t => calculateHumidityRatioFromEnthalpy(t, tick.si))}" class="chart-h"/>`);
+            try {
+                const tSat = findRoot(t => calculateHumidityRatioFromEnthalpy(t, tick.si) - this.saturationHumidityRatio(t), minTemp, maxTemp);
+                const wSat = this.saturationHumidityRatio(tSat);
+                if (wSat <= maxHumidityRatio) {
+                    labels.push(`<text x="${(this.x(tSat) - 4).toFixed(1)}" y="${(this.y(wSat) - 4).toFixed(1)}" text-anchor="end" class="chart-label chart-h-label">${tick.value}</text>`);
+                }
+            } catch (error) {
+                // Line does not meet saturation within the chart range
+            }
+        });
+
+        // Specific volume lines
+        const vLines = [];
+        const vMin = calculateSpecificVolume(minTemp, 0, p);
+        const vMax = calculateSpecificVolume(maxTemp, Math.min(maxHumidityRatio, this.saturationHumidityRatio(maxTemp)), p);
+        this.ticks('specificVolume', vMin, vMax, spacing.specificVolume).forEach(tick => {
+            vLines.push(`<path d="${this.curvePath(t => calculateHumidityRatioFromSpecificVolume(t, tick.si, p))}" class="chart-v"/>`);
+            try {
+                const tDry = findRoot(t => calculateSpecificVolume(t, 0, p) - tick.si, minTemp, maxTemp);
+                labels.push(`<text x="${this.x(tDry).toFixed(1)}" y="${plotBottom - 4}" text-anchor="middle" class="chart-label chart-v-label">${tick.value}</text>`);
+            } catch (error) {
+                // Line does not reach the dry-air axis within the chart range
+            }
+        });
+
+        // Saturation curve
+        const saturation = `<path d="${this.curvePath(t => this.saturationHumidityRatio(t))}" class="chart-saturation"/>`;
+
+        parts.push(`<g clip-path="url(#chart-clip)">${grid.join('')}${vLines.join('')}${hLines.join('')}${wbLines.join('')}${rhLines.join('')}${saturation}${this.buildOverlay()}</g>`);
+        parts.push(`<rect x="${margin.left}" y="${margin.top}" width="${plotRight - margin.left}" height="${plotBottom - margin.top}" class="chart-frame"/>`);
+        parts.push(labels.join(''));
+
+        // Axis titles
+        parts.push(`<text x="${(margin.left + plotRight) / 2}" y="${height - 8}" text-anchor="middle" class="chart-axis-title">Dry Bulb Temperature (${unitLabel('temperature', this.unitSystem)})</text>`);
+        parts.push(`<text transform="translate(${width - 12},${(margin.top + plotBottom) / 2}) rotate(90)" text-anchor="middle" class="chart-axis-title">Humidity Ratio (${unitLabel('humidityRatio', this.unitSystem)})</text>`);
+        parts.push(`<text x="${margin.left + 8}" y="${margin.top + 16}" class="chart-caption">${formatQuantity('pressure', p, this.unitSystem)} ${unitLabel('pressure', this.unitSystem)} · enthalpy ${unitLabel('enthalpy', this.unitSystem)} · volume ${unitLabel('specificVolume', this.unitSystem)}</text>`);
+
+        return `<svg xmlns="${SVG_NS}" viewBox="0 0 ${width} ${height}" class="psychro-chart-svg" font-family="Segoe UI, Tahoma, Geneva, Verdana, sans-serif">${this.buildStyle()}${parts.join('')}</svg>`;
+    }
+
+    /**
+     * Build the markup for plotted states (point cloud, processes and current state)
+     * @returns {string} SVG markup
+     */
+    buildOverlay() {
+        const parts = [];
+        const line = (from, to, className) => `<line x1="${this.x(from.dbt).toFixed(1)}" y1="${this.y(from.humidityRatio).toFixed(1)}" x2="${this.x(to.dbt).toFixed(1)}" y2="${this.y(to.humidityRatio).toFixed(1)}" class="${className}"/>`;
+        const marker = state => `<circle cx="${this.x(state.dbt).toFixed(1)}" cy="${this.y(state.humidityRatio).toFixed(1)}" r="4" class="chart-process-point"/>`;
+
+        this.points.forEach(point => {
+            if (!isFinite(point.dbt) || !isFinite(point.humidityRatio)) return;
+            parts.push(`<circle cx="${this.x(point.dbt).toFixed(1)}" cy="${this.y(point.humidityRatio).toFixed(1)}" r="2.5" class="chart-cloud-point"/>`);
+        });
+
+        if (this.processes.length > 0) {
+            parts.push('<defs><marker id="chart-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M0,0 L10,5 L0,10 z" class="chart-arrow"/></marker></defs>');
+        }
+
+        this.processes.forEach(process => {
+            if (process.mixed) {
+                process.states.forEach(state => parts.push(line(state, process.mixed, 'chart-process-line'), marker(state)));
+                parts.push(marker(process.mixed));
+                return;
+            }
+
+            // Multi-stage processes are drawn as consecutive segments
+            const leaving = process.states[process.states.length - 1];
+            if (process.adp) {
+                parts.push(line(leaving, process.adp, 'chart-process-guide'), marker(process.adp));
+            }
+            process.states.slice(1).forEach((state, index) => parts.push(line(process.states[index], state, 'chart-process-line')));
+            parts.push(...process.states.map(marker));
+        });
+
+        if (this.state) {
+            const cx = this.x(this.state.dbt).toFixed(1);
+            const cy = this.y(this.state.humidityRatio).toFixed(1);
+            parts.push(`<circle cx="${cx}" cy="${cy}" r="6" class="chart-state-point"><title>${formatQuantity('temperature', this.state.dbt, this.unitSystem)}${unitLabel('temperature', this.unitSystem)}, ${formatQuantity('humidityRatio', this.state.humidityRatio, this.unitSystem)} ${unitLabel('humidityRatio', this.unitSystem)}</title></circle>`);
+        }
+
+        return parts.join('');
+    }
+
+    /**
+     * Build the embedded style sheet, so exported files keep their styling
+     * @returns {string} SVG style element
+     */
+    buildStyle() {
+        return `<style>
+            .chart-grid { stroke: #ecf0f1; stroke-width: 1; }
+            .chart-frame { fill: none; stroke: #2c3e50; stroke-width: 1; }
+            .chart-saturation { fill: none; stroke: #2c3e50; stroke-width: 2; }
+            .chart-rh { fill: none; stroke: #3498db; stroke-width: 0.8; }
+            .chart-wb { fill: none; stroke: #27ae60; stroke-width: 0.7; stroke-dasharray: 4 3; }
+            .chart-h { fill: none; stroke: #f39c12; stroke-width: 0.7; }
+            .chart-v { fill: none; stroke: #9b59b6; stroke-width: 0.7; stroke-dasharray: 1 3; }
+            .chart-tick { font-size: 11px; fill: #7f8c8d; }
+            .chart-label { font-size: 10px; }
+            .chart-rh-label { fill: #3498db; }
+            .chart-h-label { fill: #e67e22; }
+            .chart-v-label { fill: #9b59b6; }
+            .chart-axis-title { font-size: 12px; font-weight: 600; fill: #2c3e50; }
+            .chart-caption { font-size: 11px; fill: #7f8c8d; }
+            .chart-state-point { fill: #e74c3c; stroke: #ffffff; stroke-width: 2; }
+            .chart-cloud-point { fill: #34495e; fill-opacity: 0.45; }
+            .chart-process-line { stroke: #8e44ad; stroke-width: 2.5; marker-end: url(#chart-arrow); }
+            .chart-process-guide { stroke: #8e44ad; stroke-width: 1.2; stroke-dasharray: 5 4; }
+            .chart-process-point { fill: #8e44ad; stroke: #ffffff; stroke-width: 1.5; }
+            .chart-arrow { fill: #8e44ad; }
+        </style>`;
+    }
+
+    /**
+     * Draw the chart into its container
+     */
+    render() {
+        this.container.innerHTML = this.buildMarkup();
+        this.svg = this.container.querySelector('svg');
+
+        this.svg.addEventListener('click', (e) => {
+            if (!this.onSelect) return;
+
+            // Convert the click position to SVG coordinates
+            const point = this.svg.createSVGPoint();
+            point.x = e.clientX;
+            point.y = e.clientY;
+            const svgPoint = point.matrixTransform(this.svg.getScreenCTM().inverse());
+            const { dbt, humidityRatio } = this.invert(svgPoint.x, svgPoint.y);
+
+            // Ignore clicks outside the plotted area (above saturation or below dry air)
+            if (dbt < this.range.minTemp || dbt > this.range.maxTemp || humidityRatio <= 0) return;
+            if (humidityRatio > this.saturationHumidityRatio(dbt)) return;
+
+            this.onSelect({ dbt, humidityRatio });
+        });
+    }
+
+    /**
+     * Serialise the chart as a standalone SVG document
+     * @returns {string} SVG document
+     */
+    toSVG() {
+        return `<?xml version="1.0" encoding="UTF-8"?>\n${this.buildMarkup()}`;
+    }
+
+    /**
+     * Download the chart as an SVG file
+     * @param {string} filename - Download filename
+     */
+    downloadSVG(filename = 'psychrometric_chart.svg') {
+        const blob = new Blob([this.toSVG()], { type: 'image/svg+xml;charset=utf-8' });
+        this.downloadBlob(blob, filename);
+    }
+
+    /**
+     * Download the chart as a PNG file
+     * @param {string} filename - Download filename
+     * @param {number} [scale=2] - Resolution multiplier
+     * @returns {Promise<void>}
+     */
+    downloadPNG(filename = 'psychrometric_chart.png', scale = 2) {
+        const { width, height } = this.options;
+        const url = URL.createObjectURL(new Blob([this.toSVG()], { type: 'image/svg+xml;charset=utf-8' }));
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = width * scale;
+                canvas.height = height * scale;
+                const context = canvas.getContext('2d');
+                context.drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => {
+                    this.downloadBlob(blob, filename);
+                    resolve();
+                }, 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to render chart image'));
+            };
+            image.src = url;
+        });
+    }
+
+    /**
+     * Trigger a browser download of a blob
+     * @param {Blob} blob - File content
+     * @param {string} filename - Download filename
+     */
+    downloadBlob(blob, filename) {
+        const link = document.createElement('a');
+        const url = URL.createObjectURL(blob);
+        link.setAttribute('href', url);
+        link.setAttribute('download', filename);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PsychrometricChart;
+}
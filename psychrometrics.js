@@ -0,0 +1,1269 @@
+/**
+ * Psychrometric Calculator - Core Functions
+ * 
+ * This file contains psychrometric calculation functions for HVAC applications.
+ * Based on ASHRAE Handbook - Fundamentals and standard thermodynamic equations.
+ * 
+ * The engine has no DOM dependencies: in the browser it defines globals, and
+ * in Node.js it is a CommonJS module (see index.js and index.mjs).
+ * 
+ * @version 2.0.0
+ * @author HVAC Calculator Team
+ */
+
+// In Node.js the unit conversions come from units.js; in the browser they are
+// globals defined by units.js, loaded before this file
+if (typeof module !== 'undefined' && module.exports) {
+    var { normalizeUnitSystem, convertToSI, unitLabel, formatQuantity, convertPressureToKPa } = require('./units.js');
+}
+
+// ============================================================================
+// PHYSICAL CONSTANTS
+// ============================================================================
+
+/**
+ * Gas constant for dry air (J/(kg·K))
+ * Standard value from CODATA 2018
+ */
+const R_AIR = 287.055;
+
+/**
+ * Gas constant for water vapor (J/(kg·K))
+ * Standard value from CODATA 2018
+ */
+const R_WATER = 461.523;
+
+/**
+ * Specific heat capacity of dry air at constant pressure (J/(kg·K))
+ * Approximate value at 20°C, 1 atm
+ */
+const CP_AIR = 1006;
+
+/**
+ * Latent heat of vaporization of water at 0°C (J/kg)
+ * Reference value for psychrometric calculations
+ */
+const HVAP = 2501000;
+
+// ============================================================================
+// HYLAND-WEXLER SATURATION PRESSURE COEFFICIENTS
+// ============================================================================
+
+/**
+ * Hyland-Wexler coefficients for saturation pressure over ice
+ * ASHRAE Handbook - Fundamentals (2017), Chapter 1, Eq. 5
+ * Valid for temperature range -100°C to 0°C
+ */
+const HW_ICE = {
+    C1: -5.6745359e3,
+    C2: 6.3925247,
+    C3: -9.6778430e-3,
+    C4: 6.2215701e-7,
+    C5: 2.0747825e-9,
+    C6: -9.4840240e-13,
+    C7: 4.1635019
+};
+
+/**
+ * Hyland-Wexler coefficients for saturation pressure over liquid water
+ * ASHRAE Handbook - Fundamentals (2017), Chapter 1, Eq. 6
+ * Valid for temperature range 0°C to 200°C
+ */
+const HW_WATER = {
+    C8: -5.8002206e3,
+    C9: 1.3914993,
+    C10: -4.8640239e-2,
+    C11: 4.1764768e-5,
+    C12: -1.4452093e-8,
+    C13: 6.5459673
+};
+
+/**
+ * Lower temperature limit of the saturation pressure model (°C)
+ */
+const MIN_SATURATION_TEMP = -100;
+
+/**
+ * Upper temperature limit of the saturation pressure model (°C)
+ */
+const MAX_SATURATION_TEMP = 200;
+
+// ============================================================================
+// CALCULATION CONSTANTS
+// ============================================================================
+
+/**
+ * Molecular weight ratio of water to dry air
+ * Used in humidity ratio calculations
+ */
+const MW_RATIO = 0.621945;
+
+/**
+ * Standard atmospheric pressure at sea level (kPa)
+ */
+const STANDARD_PRESSURE = 101.325;
+
+/**
+ * Temperature lapse rate in troposphere (K/m)
+ */
+const LAPSE_RATE = 0.0065;
+
+/**
+ * Standard temperature at sea level (K)
+ */
+const STANDARD_TEMP_K = 288.15;
+
+/**
+ * Pressure exponent for altitude correction
+ * Standard atmospheric value
+ */
+const PRESSURE_EXPONENT = 5.255;
+
+/**
+ * Supported site altitude range (m)
+ * Below sea level for mines and depressions, up to the top of the troposphere
+ * where the lapse-rate model applies
+ */
+const MIN_ALTITUDE = -5000;
+const MAX_ALTITUDE = 11000;
+
+/**
+ * Supported barometric pressure range (kPa)
+ */
+const MIN_PRESSURE = 20;
+const MAX_PRESSURE = 200;
+
+/**
+ * Supported local air temperature range for the altitude model (°C)
+ */
+const MIN_LOCAL_TEMP = -60;
+const MAX_LOCAL_TEMP = 60;
+
+/**
+ * Specific heat of water vapor (kJ/(kg·K))
+ * Used in enthalpy calculations
+ */
+const CP_VAPOR = 1.86;
+
+/**
+ * Conversion factor for enthalpy and specific heat calculations (J to kJ)
+ */
+const JOULE_TO_KILOJOULE = 0.001;
+
+/**
+ * Conversion factor for pressures (Pa to kPa)
+ */
+const PA_TO_KPA = 0.001;
+
+/**
+ * Offset between Celsius and Kelvin temperature scales
+ */
+const KELVIN_OFFSET = 273.15;
+
+/**
+ * Convergence tolerance for iterative temperature solutions (°C)
+ */
+const ROOT_TOLERANCE = 0.0001;
+
+/**
+ * Maximum number of iterations for the root finder
+ */
+const ROOT_MAX_ITERATIONS = 100;
+
+// ============================================================================
+// NUMERICAL METHODS
+// ============================================================================
+
+/**
+ * Find a root of a continuous function within a bracketing interval using
+ * Brent's method (inverse quadratic interpolation with bisection fallback)
+ * 
+ * All iterative psychrometric solutions in this file go through this solver.
+ * 
+ * @param {Function} fn - Function of one variable whose root is sought
+ * @param {number} lower - Lower bound of the bracketing interval
+ * @param {number} upper - Upper bound of the bracketing interval
+ * @param {number} [tolerance=ROOT_TOLERANCE] - Absolute tolerance on the root
+ * @returns {number} Value within the interval where fn changes sign
+ * @throws {Error} If fn does not change sign over the interval
+ */
+function findRoot(fn, lower, upper, tolerance = ROOT_TOLERANCE) {
+    let a = lower;
+    let b = upper;
+    let fa = fn(a);
+    let fb = fn(b);
+
+    if (fa === 0) return a;
+    if (fb === 0) return b;
+    if (fa * fb > 0) {
+        throw new Error(`No solution found between ${lower} and ${upper}`);
+    }
+
+    let c = a;
+    let fc = fa;
+    let d = b - a;
+    let e = d;
+
+    for (let i = 0; i < ROOT_MAX_ITERATIONS; i++) {
+        // Keep b as the best estimate and c on the opposite side of the root
+        if (fb * fc > 0) {
+            c = a;
+            fc = fa;
+            d = b - a;
+            e = d;
+        }
+        if (Math.abs(fc) < Math.abs(fb)) {
+            a = b; b = c; c = a;
+            fa = fb; fb = fc; fc = fa;
+        }
+
+        const tol = 2 * Number.EPSILON * Math.abs(b) + tolerance / 2;
+        const m = (c - b) / 2;
+
+        if (Math.abs(m) <= tol || fb === 0) {
+            return b;
+        }
+
+        if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+            // Attempt inverse quadratic interpolation (secant if only two points)
+            const s = fb / fa;
+            let p, q;
+            if (a === c) {
+                p = 2 * m * s;
+                q = 1 - s;
+            } else {
+                const r = fb / fc;
+                const t = fa / fc;
+                p = s * (2 * m * t * (t - r) - (b - a) * (r - 1));
+                q = (t - 1) * (r - 1) * (s - 1);
+            }
+            if (p > 0) {
+                q = -q;
+            } else {
+                p = -p;
+            }
+
+            if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))) {
+                e = d;
+                d = p / q;
+            } else {
+                d = m;
+                e = m;
+            }
+        } else {
+            d = m;
+            e = m;
+        }
+
+        a = b;
+        fa = fb;
+        b += Math.abs(d) > tol ? d : (m > 0 ? tol : -tol);
+        fb = fn(b);
+    }
+
+    return b;
+}
+
+/**
+ * Calculate saturated vapor pressure at given temperature using the
+ * Hyland-Wexler formulation
+ * 
+ * Over ice (-100°C to 0°C):
+ *   ln(P) = C1/T + C2 + C3×T + C4×T² + C5×T³ + C6×T⁴ + C7×ln(T)
+ * Over liquid water (0°C to 200°C):
+ *   ln(P) = C8/T + C9 + C10×T + C11×T² + C12×T³ + C13×ln(T)
+ * where T is absolute temperature (K) and P is in Pa
+ * 
+ * @param {number} temp - Temperature in Celsius
+ * @returns {number} Saturated vapor pressure in kPa
+ * @throws {Error} If temperature is outside the -100°C to 200°C range
+ */
+function saturatedVaporPressure(temp) {
+    if (temp < MIN_SATURATION_TEMP || temp > MAX_SATURATION_TEMP) {
+        throw new Error(`Temperature ${temp}°C is outside the saturation pressure model range (${MIN_SATURATION_TEMP}°C to ${MAX_SATURATION_TEMP}°C)`);
+    }
+
+    const T = temp + KELVIN_OFFSET;
+    let lnP;
+
+    if (temp < 0) {
+        lnP = HW_ICE.C1 / T + HW_ICE.C2 + HW_ICE.C3 * T + HW_ICE.C4 * T * T
+            + HW_ICE.C5 * Math.pow(T, 3) + HW_ICE.C6 * Math.pow(T, 4) + HW_ICE.C7 * Math.log(T);
+    } else {
+        lnP = HW_WATER.C8 / T + HW_WATER.C9 + HW_WATER.C10 * T + HW_WATER.C11 * T * T
+            + HW_WATER.C12 * Math.pow(T, 3) + HW_WATER.C13 * Math.log(T);
+    }
+
+    // Convert Pa to kPa
+    return Math.exp(lnP) * PA_TO_KPA;
+}
+
+/**
+ * Describe the saturation pressure model branch used at a given temperature
+ * @param {number} temp - Temperature in Celsius
+ * @returns {string} Human-readable model name
+ */
+function saturationModelName(temp) {
+    return temp < 0 ? 'Hyland-Wexler (over ice)' : 'Hyland-Wexler (over water)';
+}
+
+/**
+ * Calculate atmospheric pressure at given altitude using hypsometric equation
+ * 
+ * Based on standard atmosphere model:
+ * P = P₀ × (1 - L×h/T₀)^(g×M/(R×L))
+ * Simplified for standard atmosphere conditions
+ * 
+ * With a local air temperature T the same lapse rate is applied from the
+ * site instead of from the standard sea-level temperature:
+ * P = P₀ × (T / (T + L×h))^(g×M/(R×L))
+ * 
+ * @param {number} altitude - Altitude in meters (negative below sea level)
+ * @param {number} [localTemperature] - Local air temperature at the site in Celsius; standard atmosphere if omitted
+ * @returns {number} Atmospheric pressure in kPa
+ */
+function barometricPressure(altitude, localTemperature) {
+    if (localTemperature === undefined || localTemperature === null || isNaN(localTemperature)) {
+        // Standard atmosphere hypsometric equation
+        return STANDARD_PRESSURE * Math.pow(1 - (LAPSE_RATE * altitude) / STANDARD_TEMP_K, PRESSURE_EXPONENT);
+    }
+
+    const localTempK = localTemperature + KELVIN_OFFSET;
+    return STANDARD_PRESSURE * Math.pow(localTempK / (localTempK + LAPSE_RATE * altitude), PRESSURE_EXPONENT);
+}
+
+/**
+ * Determine the atmospheric pressure of a site
+ * 
+ * A measured barometric pressure takes priority over altitude.
+ * 
+ * @param {Object} site - Site conditions in SI units
+ * @param {number} [site.altitude=0] - Altitude in meters
+ * @param {number} [site.pressure] - Measured barometric pressure in kPa
+ * @param {number} [site.localTemperature] - Local air temperature for the altitude model in Celsius
+ * @returns {number} Atmospheric pressure in kPa
+ */
+function calculateSitePressure({ altitude = 0, pressure, localTemperature } = {}) {
+    if (pressure !== undefined && pressure !== null && !isNaN(pressure)) {
+        return pressure;
+    }
+    return barometricPressure(altitude, localTemperature);
+}
+
+/**
+ * Check site conditions against the supported ranges
+ * @param {Object} site - Site conditions in SI units (altitude, pressure, localTemperature; all optional)
+ * @param {string} unitSystem - Unit system used in the messages ('SI' or 'IP')
+ * @returns {Array<string>} Error messages, empty if the site is valid
+ */
+function validateSiteInputs({ altitude, pressure, localTemperature } = {}, unitSystem) {
+    const errors = [];
+    const isSet = value => value !== undefined && value !== null && !isNaN(value);
+
+    if (isSet(pressure)) {
+        if (pressure < MIN_PRESSURE || pressure > MAX_PRESSURE) {
+            errors.push(`Barometric pressure must be between ${formatRange('pressure', MIN_PRESSURE, MAX_PRESSURE, unitSystem)}`);
+        }
+        return errors;
+    }
+
+    if (isSet(altitude) && (altitude < MIN_ALTITUDE || altitude > MAX_ALTITUDE)) {
+        errors.push(`Altitude must be between ${formatRange('altitude', MIN_ALTITUDE, MAX_ALTITUDE, unitSystem)}`);
+    }
+    if (isSet(localTemperature) && (localTemperature < MIN_LOCAL_TEMP || localTemperature > MAX_LOCAL_TEMP)) {
+        errors.push(`Local air temperature must be between ${formatRange('temperature', MIN_LOCAL_TEMP, MAX_LOCAL_TEMP, unitSystem)}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Calculate humidity ratio from dry bulb and wet bulb temperatures
+ * 
+ * Uses the SI psychrometric wet-bulb relation from ASHRAE Handbook - Fundamentals
+ * (2017), Chapter 1, Eq. 33 (wet surface) and Eq. 35 (iced surface below 0°C).
+ * 
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} wbt - Wet bulb temperature in Celsius
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Humidity ratio in kg_water/kg_dry_air
+ */
+function calculateHumidityRatio(dbt, wbt, pressure) {
+    // Saturated humidity ratio at wet bulb temperature (over ice below 0°C)
+    const w_ws_wbt = calculateHumidityRatioFromDewPoint(wbt, pressure);
+
+    if (wbt >= 0) {
+        // W = [(2501 - 2.326×WBT) × Ws_wbt - 1.006 × (DBT - WBT)] / [2501 + 1.86×DBT - 4.186×WBT]
+        return ((2501 - 2.326 * wbt) * w_ws_wbt - 1.006 * (dbt - wbt)) /
+            (2501 + 1.86 * dbt - 4.186 * wbt);
+    }
+
+    // W = [(2830 - 0.24×WBT) × Ws_wbt - 1.006 × (DBT - WBT)] / [2830 + 1.86×DBT - 2.1×WBT]
+    return ((2830 - 0.24 * wbt) * w_ws_wbt - 1.006 * (dbt - wbt)) /
+        (2830 + 1.86 * dbt - 2.1 * wbt);
+}
+
+/**
+ * Calculate relative humidity from dry bulb temperature and humidity ratio
+ * 
+ * RH = (P_w / P_ws) × 100%
+ * where P_w is partial pressure of water vapor and P_ws is saturation pressure
+ * 
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} humidityRatio - Humidity ratio in kg_water/kg_dry_air
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Relative humidity in percent (0-100)
+ */
+function calculateRelativeHumidity(dbt, humidityRatio, pressure) {
+    const p_ws = saturatedVaporPressure(dbt); // Saturation pressure at DBT
+    const p_w = (humidityRatio * pressure) / (MW_RATIO + humidityRatio); // Partial pressure of water vapor
+    
+    // Calculate relative humidity and constrain to physical limits
+    return Math.min(100, Math.max(0, (p_w / p_ws) * 100));
+}
+
+/**
+ * Calculate dew point temperature from humidity ratio
+ * 
+ * Inverts the Hyland-Wexler saturation pressure equation numerically.
+ * Below 0°C the over-ice branch applies, so the result is the frost point.
+ * 
+ * @param {number} humidityRatio - Humidity ratio in kg/kg
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Dew point (or frost point below 0°C) temperature in Celsius
+ * @throws {Error} If the vapor pressure is outside the saturation model range
+ */
+function calculateDewPoint(humidityRatio, pressure) {
+    // Calculate partial pressure of water vapor
+    const p_w = (humidityRatio * pressure) / (MW_RATIO + humidityRatio);
+
+    if (!(p_w > 0)) {
+        throw new Error('Humidity ratio must be greater than zero to determine the dew point');
+    }
+    if (p_w < saturatedVaporPressure(MIN_SATURATION_TEMP)) {
+        throw new Error(`Dew point is below the saturation model minimum (${MIN_SATURATION_TEMP}°C)`);
+    }
+    if (p_w > saturatedVaporPressure(MAX_SATURATION_TEMP)) {
+        throw new Error(`Dew point is above the saturation model maximum (${MAX_SATURATION_TEMP}°C)`);
+    }
+
+    return findRoot(t => saturatedVaporPressure(t) - p_w, MIN_SATURATION_TEMP, MAX_SATURATION_TEMP);
+}
+
+/**
+ * Calculate specific enthalpy of moist air
+ * 
+ * h = c_pa × T + W × (h_fg + c_pv × T)
+ * where c_pa is specific heat of dry air, c_pv is specific heat of water vapor
+ * 
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} humidityRatio - Humidity ratio in kg_water/kg_dry_air
+ * @returns {number} Enthalpy in kJ/kg_dry_air
+ */
+function calculateEnthalpy(dbt, humidityRatio) {
+    // Enthalpy equation: h = c_pa × T + W × (h_fg/1000 + c_pv × T)
+    // HVAP is in J/kg, need to convert to kJ/kg
+    const hvap_kj = HVAP * JOULE_TO_KILOJOULE;
+    
+    return (CP_AIR * JOULE_TO_KILOJOULE) * dbt + humidityRatio * (hvap_kj + CP_VAPOR * dbt);
+}
+
+/**
+ * Calculate specific volume of moist air
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} humidityRatio - Humidity ratio in kg/kg
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Specific volume in m³/kg
+ */
+function calculateSpecificVolume(dbt, humidityRatio, pressure) {
+    // v = R_air * T / p_a = R_air * T / (p - p_w)
+    const tempK = dbt + KELVIN_OFFSET; // Convert to Kelvin
+    const p_w = (humidityRatio * pressure) / (MW_RATIO + humidityRatio); // Vapor pressure
+    const p_dry = pressure - p_w; // Dry air pressure
+    
+    return (R_AIR * tempK) / (p_dry * 1000); // Convert kPa to Pa
+}
+
+/**
+ * Calculate humidity ratio from dry bulb temperature and enthalpy
+ * 
+ * Inverse of calculateEnthalpy: W = (h - c_pa × T) / (h_fg + c_pv × T)
+ * 
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} enthalpy - Enthalpy in kJ/kg_dry_air
+ * @returns {number} Humidity ratio in kg_water/kg_dry_air
+ */
+function calculateHumidityRatioFromEnthalpy(dbt, enthalpy) {
+    const hvap_kj = HVAP * JOULE_TO_KILOJOULE;
+    return (enthalpy - (CP_AIR * JOULE_TO_KILOJOULE) * dbt) / (hvap_kj + CP_VAPOR * dbt);
+}
+
+/**
+ * Calculate humidity ratio from dry bulb temperature and specific volume
+ * 
+ * Inverse of calculateSpecificVolume: P_w = P - R_air × T / v
+ * 
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} specificVolume - Specific volume in m³/kg
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Humidity ratio in kg/kg
+ */
+function calculateHumidityRatioFromSpecificVolume(dbt, specificVolume, pressure) {
+    const tempK = dbt + KELVIN_OFFSET;
+    const p_dry = (R_AIR * tempK) / (specificVolume * 1000); // Dry air pressure in kPa
+    const p_w = pressure - p_dry;
+    return (MW_RATIO * p_w) / (pressure - p_w);
+}
+
+/**
+ * Calculate wet bulb temperature from dry bulb temperature and humidity ratio
+ * 
+ * Solves the wet-bulb relation of calculateHumidityRatio for WBT. The humidity
+ * ratio it yields rises monotonically with WBT, and equals the saturation value
+ * at WBT = DBT, so the root is bracketed between the model minimum and DBT
+ * (or the boiling point, when DBT is above it).
+ * 
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} humidityRatio - Humidity ratio in kg/kg
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Wet bulb temperature in Celsius
+ */
+function calculateWetBulb(dbt, humidityRatio, pressure) {
+    let upper = dbt;
+
+    if (saturatedVaporPressure(dbt) < pressure) {
+        // Saturated air: wet bulb equals dry bulb
+        if (humidityRatio >= calculateHumidityRatioFromDewPoint(dbt, pressure)) {
+            return dbt;
+        }
+    } else {
+        // Above the boiling point the wet bulb is limited by the boiling temperature
+        upper = findRoot(t => saturatedVaporPressure(t) - pressure, MIN_SATURATION_TEMP, dbt) - ROOT_TOLERANCE;
+    }
+
+    return findRoot(
+        wbt => calculateHumidityRatio(dbt, wbt, pressure) - humidityRatio,
+        MIN_SATURATION_TEMP,
+        upper
+    );
+}
+
+/**
+ * Calculate wet bulb temperature from dry bulb temperature and relative humidity
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} rh - Relative humidity in percent
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Wet bulb temperature in Celsius
+ */
+function calculateWetBulbFromDBTRH(dbt, rh, pressure) {
+    const hr_from_rh = calculateHumidityRatioFromDBTRH(dbt, rh, pressure);
+    return calculateWetBulb(dbt, hr_from_rh, pressure);
+}
+
+/**
+ * Calculate humidity ratio from dry bulb temperature and relative humidity
+ * 
+ * W = MW_ratio × (RH/100) × P_ws / (P - (RH/100) × P_ws)
+ * 
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} rh - Relative humidity in percent (0-100)
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Humidity ratio in kg_water/kg_dry_air
+ * @throws {Error} If the vapor pressure exceeds atmospheric pressure
+ */
+function calculateHumidityRatioFromDBTRH(dbt, rh, pressure) {
+    const p_ws = saturatedVaporPressure(dbt); // Saturation pressure at DBT
+    const p_w = (rh / 100) * p_ws; // Partial pressure of water vapor
+    if (p_w >= pressure) {
+        throw new Error('Vapor pressure exceeds atmospheric pressure; reduce relative humidity or temperature');
+    }
+    return (MW_RATIO * p_w) / (pressure - p_w);
+}
+
+/**
+ * Calculate wet bulb temperature from dry bulb temperature and dew point
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} dpt - Dew point temperature in Celsius
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Wet bulb temperature in Celsius
+ */
+function calculateWetBulbFromDBTDewPoint(dbt, dpt, pressure) {
+    const hr_from_dpt = calculateHumidityRatioFromDewPoint(dpt, pressure);
+    return calculateWetBulb(dbt, hr_from_dpt, pressure);
+}
+
+/**
+ * Calculate humidity ratio from dew point temperature
+ * @param {number} dpt - Dew point temperature in Celsius
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Humidity ratio in kg/kg
+ * @throws {Error} If the vapor pressure at dew point exceeds atmospheric pressure
+ */
+function calculateHumidityRatioFromDewPoint(dpt, pressure) {
+    const p_w = saturatedVaporPressure(dpt); // Vapor pressure at dew point
+    if (p_w >= pressure) {
+        throw new Error('Vapor pressure exceeds atmospheric pressure; dew point is above the boiling point');
+    }
+    return (MW_RATIO * p_w) / (pressure - p_w);
+}
+
+/**
+ * Calculate relative humidity from dry bulb temperature and dew point
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} dpt - Dew point temperature in Celsius
+ * @returns {number} Relative humidity in percent
+ */
+function calculateRelativeHumidityFromDewPoint(dbt, dpt) {
+    const p_ws = saturatedVaporPressure(dbt); // Saturation pressure at DBT
+    const p_w = saturatedVaporPressure(dpt);   // Vapor pressure at DPT
+    return Math.min(100, Math.max(0, (p_w / p_ws) * 100)); // Limit to 0-100%
+}
+
+/**
+ * Solve for Dry Bulb Temperature from Wet Bulb Temperature and Relative Humidity
+ * 
+ * Finds the DBT at which the relative humidity implied by the wet-bulb relation
+ * equals the target. At DBT = WBT the air is saturated (100% RH), and RH falls
+ * as DBT rises, so the root is bracketed between WBT and the model maximum.
+ * 
+ * @param {number} wbt - Wet bulb temperature in Celsius
+ * @param {number} rh - Relative humidity in percent (0-100)
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Dry bulb temperature in Celsius
+ */
+function solveDBTFromWBTRH(wbt, rh, pressure) {
+    // Saturated air: dry bulb equals wet bulb
+    if (rh >= 100) {
+        return wbt;
+    }
+
+    return findRoot(dbt => {
+        const hr = calculateHumidityRatio(dbt, wbt, pressure);
+        const p_w = (hr * pressure) / (MW_RATIO + hr);
+        return (p_w / saturatedVaporPressure(dbt)) * 100 - rh;
+    }, wbt, MAX_SATURATION_TEMP);
+}
+
+/**
+ * Solve for Dry Bulb Temperature from Wet Bulb Temperature and Humidity Ratio
+ * 
+ * The humidity ratio implied by the wet-bulb relation falls as DBT rises from
+ * saturation at DBT = WBT, so the root is bracketed between WBT and the model
+ * maximum.
+ * 
+ * @param {number} wbt - Wet bulb temperature in Celsius
+ * @param {number} humidityRatio - Humidity ratio in kg/kg
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Dry bulb temperature in Celsius
+ */
+function solveDBTFromWBTHumidityRatio(wbt, humidityRatio, pressure) {
+    // Saturated air: dry bulb equals wet bulb
+    if (humidityRatio >= calculateHumidityRatioFromDewPoint(wbt, pressure)) {
+        return wbt;
+    }
+
+    return findRoot(
+        dbt => calculateHumidityRatio(dbt, wbt, pressure) - humidityRatio,
+        wbt,
+        MAX_SATURATION_TEMP
+    );
+}
+
+/**
+ * Solve for Dry Bulb Temperature from Relative Humidity and Humidity Ratio
+ * 
+ * The humidity ratio fixes the vapor pressure, so the DBT is the temperature
+ * whose saturation pressure is p_w / RH.
+ * 
+ * @param {number} rh - Relative humidity in percent (0-100)
+ * @param {number} humidityRatio - Humidity ratio in kg/kg
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Dry bulb temperature in Celsius
+ */
+function solveDBTFromRHHumidityRatio(rh, humidityRatio, pressure) {
+    // Saturated air: dry bulb equals dew point
+    if (rh >= 100) {
+        return calculateDewPoint(humidityRatio, pressure);
+    }
+    if (rh <= 0) {
+        throw new Error('Relative humidity must be greater than zero to determine the dry bulb temperature');
+    }
+
+    const p_w = (humidityRatio * pressure) / (MW_RATIO + humidityRatio);
+    return findRoot(
+        dbt => saturatedVaporPressure(dbt) - p_w / (rh / 100),
+        MIN_SATURATION_TEMP,
+        MAX_SATURATION_TEMP
+    );
+}
+
+/**
+ * Solve for Dry Bulb Temperature from Enthalpy and Relative Humidity
+ * 
+ * Enthalpy at constant RH rises with DBT. The upper bracket is the model
+ * maximum, or the temperature at which the vapor pressure at this RH reaches
+ * the atmospheric pressure if that is lower.
+ * 
+ * @param {number} enthalpy - Enthalpy in kJ/kg_dry_air
+ * @param {number} rh - Relative humidity in percent (0-100)
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {number} Dry bulb temperature in Celsius
+ */
+function solveDBTFromEnthalpyRH(enthalpy, rh, pressure) {
+    let upper = MAX_SATURATION_TEMP;
+    if (saturatedVaporPressure(upper) * rh / 100 >= pressure) {
+        upper = findRoot(t => saturatedVaporPressure(t) * rh / 100 - pressure, MIN_SATURATION_TEMP, upper) - ROOT_TOLERANCE;
+    }
+
+    return findRoot(
+        dbt => calculateEnthalpy(dbt, calculateHumidityRatioFromDBTRH(dbt, rh, pressure)) - enthalpy,
+        MIN_SATURATION_TEMP,
+        upper
+    );
+}
+
+/**
+ * Format number to specified decimal places
+ * @param {number} num - Number to format
+ * @param {number} decimals - Number of decimal places
+ * @returns {string} Formatted number string
+ */
+function formatNumber(num, decimals) {
+    return parseFloat(num.toFixed(decimals)).toString();
+}
+
+/**
+ * Calculate dry bulb temperature from enthalpy and humidity ratio
+ * 
+ * Inverse of calculateEnthalpy: T = (h - W × h_fg) / (c_pa + W × c_pv)
+ * 
+ * @param {number} enthalpy - Enthalpy in kJ/kg_dry_air
+ * @param {number} humidityRatio - Humidity ratio in kg_water/kg_dry_air
+ * @returns {number} Dry bulb temperature in Celsius
+ */
+function calculateDryBulbFromEnthalpy(enthalpy, humidityRatio) {
+    const hvap_kj = HVAP * JOULE_TO_KILOJOULE;
+    return (enthalpy - humidityRatio * hvap_kj) / (CP_AIR * JOULE_TO_KILOJOULE + humidityRatio * CP_VAPOR);
+}
+
+/**
+ * Solve the full psychrometric state from dry bulb temperature and humidity ratio
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} humidityRatio - Humidity ratio in kg/kg
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {Object} Unrounded state properties in SI units
+ * @throws {Error} If the humidity ratio exceeds saturation at the dry bulb temperature
+ */
+function calculateStateFromHumidityRatio(dbt, humidityRatio, pressure) {
+    const p_ws = saturatedVaporPressure(dbt);
+    if (p_ws < pressure && humidityRatio > calculateHumidityRatioFromDewPoint(dbt, pressure) * 1.0001) {
+        throw new Error('Humidity ratio exceeds saturation at the dry bulb temperature');
+    }
+
+    return {
+        dbt,
+        wbt: calculateWetBulb(dbt, humidityRatio, pressure),
+        rh: calculateRelativeHumidity(dbt, humidityRatio, pressure),
+        dpt: calculateDewPoint(humidityRatio, pressure),
+        humidityRatio,
+        enthalpy: calculateEnthalpy(dbt, humidityRatio),
+        specificVolume: calculateSpecificVolume(dbt, humidityRatio, pressure),
+        vaporPressure: (humidityRatio * pressure) / (MW_RATIO + humidityRatio),
+        pressure
+    };
+}
+
+/**
+ * Properties accepted as calculator inputs, with their display name, quantity
+ * and the key of the matching property in a solved state
+ */
+const INPUT_PROPERTIES = {
+    dbt: { name: 'Dry Bulb Temperature', quantity: 'temperature', stateKey: 'dbt' },
+    wbt: { name: 'Wet Bulb Temperature', quantity: 'temperature', stateKey: 'wbt' },
+    rh: { name: 'Relative Humidity', quantity: 'relativeHumidity', stateKey: 'rh' },
+    dpt: { name: 'Dew Point Temperature', quantity: 'temperature', stateKey: 'dpt' },
+    w: { name: 'Humidity Ratio', quantity: 'humidityRatio', stateKey: 'humidityRatio' },
+    h: { name: 'Enthalpy', quantity: 'enthalpy', stateKey: 'enthalpy' }
+};
+
+/**
+ * Input pairs that do not fix a state: dew point and humidity ratio both
+ * describe only the moisture content, and wet bulb lines nearly coincide with
+ * enthalpy lines, so the intersection is ill-conditioned
+ */
+const DEPENDENT_INPUT_PAIRS = [
+    ['dpt', 'w'],
+    ['wbt', 'h']
+];
+
+/**
+ * Split an input type into its two property keys
+ * @param {string} inputType - Input combination such as 'dbt_wbt' or 'h_rh' (either order)
+ * @returns {Array<string>} The two property keys, in input order
+ * @throws {Error} If the input type is not a pair of supported, independent properties
+ */
+function parseInputType(inputType) {
+    const keys = String(inputType).split('_');
+    const supported = Object.keys(INPUT_PROPERTIES);
+
+    if (keys.length !== 2 || !keys.every(key => supported.includes(key))) {
+        throw new Error(`Unsupported input type '${inputType}'. Use two of: ${supported.join(', ')} (e.g. dbt_wbt)`);
+    }
+    if (keys[0] === keys[1]) {
+        throw new Error(`Input type '${inputType}' uses the same property twice`);
+    }
+    if (DEPENDENT_INPUT_PAIRS.some(pair => pair.includes(keys[0]) && pair.includes(keys[1]))) {
+        throw new Error(`Input type '${inputType}' combines dependent properties (${INPUT_PROPERTIES[keys[0]].name} and ${INPUT_PROPERTIES[keys[1]].name}) that do not fix a state`);
+    }
+
+    return keys;
+}
+
+/**
+ * Get the name and quantity of each input value of an input type
+ * @param {string} inputType - Input combination (either order)
+ * @returns {Array<Object>} Definitions of the first and second input value
+ * @throws {Error} If the input type is not supported
+ */
+function getInputDefinitions(inputType) {
+    return parseInputType(inputType).map(key => INPUT_PROPERTIES[key]);
+}
+
+/**
+ * Supported input combinations with the name and quantity of each input value,
+ * keyed in canonical property order
+ */
+const INPUT_TYPES = {};
+Object.keys(INPUT_PROPERTIES).forEach((first, index, keys) => {
+    keys.slice(index + 1).forEach(second => {
+        const isDependent = DEPENDENT_INPUT_PAIRS.some(pair => pair.includes(first) && pair.includes(second));
+        if (!isDependent) {
+            INPUT_TYPES[`${first}_${second}`] = [INPUT_PROPERTIES[first], INPUT_PROPERTIES[second]];
+        }
+    });
+});
+
+/**
+ * List the supported input combinations
+ * @returns {Array<string>} Input types in canonical property order, e.g. 'dbt_wbt'
+ */
+function getInputTypes() {
+    return Object.keys(INPUT_TYPES);
+}
+
+/**
+ * Solve dry bulb temperature and humidity ratio from any two independent inputs
+ * @param {Object} values - Input values in SI units keyed by property (dbt, wbt, rh, dpt, w, h)
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {Object} Dry bulb temperature (°C) and humidity ratio (kg/kg)
+ */
+function solveDryBulbAndHumidityRatio(values, pressure) {
+    const { dbt, wbt, rh, dpt, w, h } = values;
+
+    if (dbt !== undefined) {
+        let humidityRatio;
+        if (wbt !== undefined) {
+            humidityRatio = calculateHumidityRatio(dbt, wbt, pressure);
+        } else if (rh !== undefined) {
+            humidityRatio = calculateHumidityRatioFromDBTRH(dbt, rh, pressure);
+        } else if (dpt !== undefined) {
+            humidityRatio = calculateHumidityRatioFromDewPoint(dpt, pressure);
+        } else if (w !== undefined) {
+            humidityRatio = w;
+        } else {
+            humidityRatio = calculateHumidityRatioFromEnthalpy(dbt, h);
+        }
+        return { dbt, humidityRatio };
+    }
+
+    if (wbt !== undefined && rh !== undefined) {
+        const solvedDbt = solveDBTFromWBTRH(wbt, rh, pressure);
+        return { dbt: solvedDbt, humidityRatio: calculateHumidityRatio(solvedDbt, wbt, pressure) };
+    }
+
+    if (rh !== undefined && h !== undefined) {
+        const solvedDbt = solveDBTFromEnthalpyRH(h, rh, pressure);
+        return { dbt: solvedDbt, humidityRatio: calculateHumidityRatioFromDBTRH(solvedDbt, rh, pressure) };
+    }
+
+    // The remaining pairs fix the moisture content through dew point or humidity ratio
+    const humidityRatio = w !== undefined ? w : calculateHumidityRatioFromDewPoint(dpt, pressure);
+    if (h !== undefined) {
+        return { dbt: calculateDryBulbFromEnthalpy(h, humidityRatio), humidityRatio };
+    }
+    if (wbt !== undefined) {
+        return { dbt: solveDBTFromWBTHumidityRatio(wbt, humidityRatio, pressure), humidityRatio };
+    }
+    return { dbt: solveDBTFromRHHumidityRatio(rh, humidityRatio, pressure), humidityRatio };
+}
+
+/**
+ * Solve the full psychrometric state from an input combination in SI units
+ * @param {string} inputType - Type of input combination ('dbt_wbt', 'dbt_rh', 'h_rh', etc.)
+ * @param {number} value1 - First input value in SI units
+ * @param {number} value2 - Second input value in SI units
+ * @param {number} pressure - Atmospheric pressure in kPa
+ * @returns {Object} Unrounded state properties in SI units
+ * @throws {Error} If the input type is unsupported or the inputs do not describe a valid state
+ */
+function calculatePsychrometricState(inputType, value1, value2, pressure) {
+    const [key1, key2] = parseInputType(inputType);
+    const values = { [key1]: value1, [key2]: value2 };
+
+    const { dbt, humidityRatio } = solveDryBulbAndHumidityRatio(values, pressure);
+    if (humidityRatio < 0) {
+        throw new Error('Input values give a negative humidity ratio');
+    }
+
+    const state = calculateStateFromHumidityRatio(dbt, humidityRatio, pressure);
+
+    // Report the given inputs exactly rather than their round-trip solutions
+    state[INPUT_PROPERTIES[key1].stateKey] = value1;
+    state[INPUT_PROPERTIES[key2].stateKey] = value2;
+
+    return state;
+}
+
+/**
+ * Derived properties reported alongside the state, with their display name,
+ * quantity and CSV column
+ */
+const DERIVED_PROPERTIES = {
+    density: { name: 'Moist Air Density', quantity: 'density', column: 'Density' },
+    absoluteHumidity: { name: 'Absolute Humidity', quantity: 'absoluteHumidity', column: 'AbsoluteHumidity' },
+    degreeOfSaturation: { name: 'Degree of Saturation', quantity: 'ratio', column: 'DegreeOfSaturation' },
+    saturationHumidityRatio: { name: 'Saturation Humidity Ratio', quantity: 'humidityRatio', column: 'SaturationHumidityRatio' },
+    humidSpecificHeat: { name: 'Humid Specific Heat', quantity: 'specificHeat', column: 'HumidSpecificHeat' },
+    vaporMassFraction: { name: 'Vapor Mass Fraction', quantity: 'humidityRatio', column: 'VaporMassFraction' },
+    heatIndex: { name: 'Heat Index', quantity: 'temperature', column: 'HeatIndex' },
+    humidex: { name: 'Humidex', quantity: 'temperature', column: 'Humidex' },
+    wbgtIndoor: { name: 'WBGT (Indoor)', quantity: 'temperature', column: 'WBGTIndoor' }
+};
+
+/**
+ * Get the definitions of the derived properties, in display order
+ * @returns {Array<Object>} Definitions with key, name, quantity and CSV column
+ */
+function getDerivedPropertyDefinitions() {
+    return Object.entries(DERIVED_PROPERTIES).map(([key, definition]) => ({ key, ...definition }));
+}
+
+/**
+ * Lowest dry bulb temperature for which the heat index is reported (°C);
+ * the NWS applies it from 80°F
+ */
+const MIN_HEAT_INDEX_TEMP = (80 - 32) / 1.8;
+
+/**
+ * Highest dry bulb temperature for which the heat index is reported (°C);
+ * the NWS regression is fitted to about 45°C and diverges beyond
+ */
+const MAX_HEAT_INDEX_TEMP = 50;
+
+/**
+ * Lowest dry bulb temperature for which the humidex is reported (°C), as
+ * in Environment and Climate Change Canada observations
+ */
+const MIN_HUMIDEX_TEMP = 20;
+
+/**
+ * Highest dry bulb temperature for which the humidex is reported (°C); as
+ * for the heat index, hotter air is outside the weather it describes
+ */
+const MAX_HUMIDEX_TEMP = 50;
+
+/**
+ * Calculate the heat index (apparent temperature) with the US National
+ * Weather Service algorithm
+ *
+ * Steadman's simple formula is used when it gives less than 80°F; otherwise
+ * the Rothfusz regression with the NWS low- and high-humidity adjustments.
+ * The index is only defined for warm conditions, so there is none below
+ * MIN_HEAT_INDEX_TEMP (80°F) or above MAX_HEAT_INDEX_TEMP.
+ *
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} rh - Relative humidity in percent
+ * @returns {number|null} Heat index in Celsius, or null outside the range of the index
+ */
+function calculateHeatIndex(dbt, rh) {
+    if (dbt < MIN_HEAT_INDEX_TEMP || dbt > MAX_HEAT_INDEX_TEMP) {
+        return null;
+    }
+
+    // The NWS equations are fitted in Fahrenheit
+    const t = dbt * 1.8 + 32;
+    const simple = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+    if ((simple + t) / 2 < 80) {
+        return (simple - 32) / 1.8;
+    }
+
+    let index = -42.379 + 2.04901523 * t + 10.14333127 * rh
+        - 0.22475541 * t * rh - 0.00683783 * t * t - 0.05481717 * rh * rh
+        + 0.00122874 * t * t * rh + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+    if (rh < 13 && t >= 80 && t <= 112) {
+        index -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+        index += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+
+    return (index - 32) / 1.8;
+}
+
+/**
+ * Calculate the humidex (Environment and Climate Change Canada)
+ *
+ * H = T + 5/9 × (e - 10), with e the vapor pressure in hPa. Like the heat
+ * index it describes warm weather, so there is none below MIN_HUMIDEX_TEMP
+ * or above MAX_HUMIDEX_TEMP.
+ *
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} vaporPressure - Partial pressure of water vapor in kPa
+ * @returns {number|null} Humidex in Celsius-equivalent degrees, or null outside
+ *     MIN_HUMIDEX_TEMP to MAX_HUMIDEX_TEMP
+ */
+function calculateHumidex(dbt, vaporPressure) {
+    if (dbt < MIN_HUMIDEX_TEMP || dbt > MAX_HUMIDEX_TEMP) {
+        return null;
+    }
+    return dbt + (5 / 9) * (vaporPressure * 10 - 10);
+}
+
+/**
+ * Approximate the indoor wet bulb globe temperature (ISO 7243, no solar load)
+ *
+ * WBGT = 0.7 × T_nwb + 0.3 × T_g, taking the natural wet bulb as the
+ * thermodynamic wet bulb and the globe temperature as the air temperature,
+ * which holds for still air without radiant sources.
+ *
+ * @param {number} dbt - Dry bulb temperature in Celsius
+ * @param {number} wbt - Wet bulb temperature in Celsius
+ * @returns {number} WBGT in Celsius
+ */
+function calculateWBGTIndoor(dbt, wbt) {
+    return 0.7 * wbt + 0.3 * dbt;
+}
+
+/**
+ * Calculate the derived properties of a state
+ *
+ * Saturation humidity ratio and degree of saturation are null when the dry
+ * bulb temperature is at or above the boiling point at the state pressure,
+ * and the heat index and humidex outside the temperatures they are defined
+ * for (see calculateHeatIndex and calculateHumidex).
+ *
+ * @param {Object} state - State from calculatePsychrometricState or calculateStateFromHumidityRatio
+ * @returns {Object} Derived properties in SI units, keyed as DERIVED_PROPERTIES
+ */
+function calculateDerivedProperties(state) {
+    const { dbt, wbt, rh, humidityRatio, specificVolume, vaporPressure, pressure } = state;
+    const saturationHumidityRatio = saturatedVaporPressure(dbt) < pressure
+        ? calculateHumidityRatioFromDewPoint(dbt, pressure)
+        : null;
+
+    return {
+        density: (1 + humidityRatio) / specificVolume,
+        absoluteHumidity: (humidityRatio / specificVolume) * 1000, // g/m³
+        degreeOfSaturation: saturationHumidityRatio !== null ? humidityRatio / saturationHumidityRatio : null,
+        saturationHumidityRatio,
+        humidSpecificHeat: CP_AIR * JOULE_TO_KILOJOULE + CP_VAPOR * humidityRatio,
+        vaporMassFraction: humidityRatio / (1 + humidityRatio),
+        heatIndex: calculateHeatIndex(dbt, rh),
+        humidex: calculateHumidex(dbt, vaporPressure),
+        wbgtIndoor: calculateWBGTIndoor(dbt, wbt)
+    };
+}
+
+/**
+ * Format a limit range of a quantity in the given unit system
+ * @param {string} quantity - Quantity name
+ * @param {number} min - Lower limit in SI units
+ * @param {number} max - Upper limit in SI units
+ * @param {string} unitSystem - 'SI' or 'IP'
+ * @returns {string} Text such as '-100°C and 200°C'
+ */
+function formatRange(quantity, min, max, unitSystem) {
+    const unit = unitLabel(quantity, unitSystem);
+    const separator = quantity === 'temperature' || quantity === 'relativeHumidity' ? '' : ' ';
+    return `${formatQuantity(quantity, min, unitSystem)}${separator}${unit} and ${formatQuantity(quantity, max, unitSystem)}${separator}${unit}`;
+}
+
+/**
+ * Check input values against the supported range of each property and
+ * against each other (wet bulb and dew point cannot exceed dry bulb, dew
+ * point cannot exceed wet bulb)
+ *
+ * Completely dry air (a relative humidity or humidity ratio of zero) is
+ * rejected, as it has no dew point.
+ * @param {string} inputType - Type of input combination
+ * @param {number} value1 - First input value in SI units
+ * @param {number} value2 - Second input value in SI units
+ * @param {string} unitSystem - Unit system used in the messages ('SI' or 'IP')
+ * @param {number} [tolerance=0] - Allowed excess of a bounded temperature, in °C
+ * @returns {Array<string>} Error messages, empty if the inputs are valid
+ */
+function validatePsychrometricInputs(inputType, value1, value2, unitSystem, tolerance = 0) {
+    const keys = parseInputType(inputType);
+    const values = { [keys[0]]: value1, [keys[1]]: value2 };
+    const sentenceName = key => INPUT_PROPERTIES[key].name.charAt(0) + INPUT_PROPERTIES[key].name.slice(1).toLowerCase();
+    const temperatureRange = formatRange('temperature', MIN_SATURATION_TEMP, MAX_SATURATION_TEMP, unitSystem);
+    const errors = [];
+
+    keys.forEach(key => {
+        const value = values[key];
+        const quantity = INPUT_PROPERTIES[key].quantity;
+
+        if (quantity === 'temperature' && (value < MIN_SATURATION_TEMP || value > MAX_SATURATION_TEMP)) {
+            errors.push(`${sentenceName(key)} must be between ${temperatureRange}`);
+        } else if (quantity === 'relativeHumidity' && (value <= 0 || value > 100)) {
+            errors.push('Relative humidity must be greater than 0% and at most 100% (dry air has no dew point)');
+        } else if (quantity === 'humidityRatio' && value <= 0) {
+            errors.push('Humidity ratio must be greater than zero (dry air has no dew point)');
+        }
+    });
+
+    [['wbt', 'dbt'], ['dpt', 'dbt'], ['dpt', 'wbt']].forEach(([lower, upper]) => {
+        if (values[lower] !== undefined && values[upper] !== undefined && values[lower] > values[upper] + tolerance) {
+            const lowerText = `${formatQuantity('temperature', values[lower], unitSystem)}${unitLabel('temperature', unitSystem)}`;
+            const upperText = `${formatQuantity('temperature', values[upper], unitSystem)}${unitLabel('temperature', unitSystem)}`;
+            errors.push(`${sentenceName(lower)} (${lowerText}) cannot be greater than ${sentenceName(upper).toLowerCase()} (${upperText})`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Perform all psychrometric calculations based on input type
+ * @param {string} inputType - Type of input combination ('dbt_wbt', 'dbt_rh', 'h_rh', etc.)
+ * @param {number} value1 - First input value (e.g., DBT)
+ * @param {number} value2 - Second input value (e.g., WBT or RH or DPT)
+ * @param {number} altitude - Altitude in meters (feet for IP units)
+ * @param {Object} [options] - Calculation options
+ * @param {string} [options.units='SI'] - Unit system of inputs and results ('SI' or 'IP')
+ * @param {number} [options.pressure] - Measured barometric pressure; takes priority over altitude
+ * @param {string} [options.pressureUnit] - Unit of options.pressure (kPa, hPa, inHg or psia); defaults to kPa for SI and inHg for IP
+ * @param {number} [options.localTemperature] - Local air temperature for the altitude model (°C, or °F for IP units)
+ * @returns {Object} Object containing all calculated and derived properties, formatted in the chosen unit system
+ * @throws {Error} If the input type is unsupported or the inputs do not describe a valid state
+ */
+function calculatePsychrometricProperties(inputType, value1, value2, altitude, options = {}) {
+    const unitSystem = normalizeUnitSystem(options.units);
+    const inputs = getInputDefinitions(inputType);
+
+    // Convert inputs to SI for calculation
+    value1 = convertToSI(inputs[0].quantity, value1, unitSystem);
+    value2 = convertToSI(inputs[1].quantity, value2, unitSystem);
+    altitude = convertToSI('altitude', altitude, unitSystem);
+
+    // Atmospheric pressure from the measured value, or from altitude
+    const hasPressure = options.pressure !== undefined && options.pressure !== null;
+    const hasLocalTemperature = options.localTemperature !== undefined && options.localTemperature !== null;
+    const pressure = calculateSitePressure({
+        altitude,
+        pressure: hasPressure ? convertPressureToKPa(options.pressure, options.pressureUnit || unitLabel('pressure', unitSystem)) : undefined,
+        localTemperature: hasLocalTemperature ? convertToSI('temperature', options.localTemperature, unitSystem) : undefined
+    });
+    const state = calculatePsychrometricState(inputType, value1, value2, pressure);
+    const derived = calculateDerivedProperties(state);
+
+    const results = {
+        dbt: formatQuantity('temperature', state.dbt, unitSystem),
+        wbt: formatQuantity('temperature', state.wbt, unitSystem),
+        rh: formatQuantity('relativeHumidity', state.rh, unitSystem),
+        dpt: formatQuantity('temperature', state.dpt, unitSystem),
+        humidityRatio: formatQuantity('humidityRatio', state.humidityRatio, unitSystem),
+        enthalpy: formatQuantity('enthalpy', state.enthalpy, unitSystem),
+        specificVolume: formatQuantity('specificVolume', state.specificVolume, unitSystem),
+        vaporPressure: formatQuantity('pressure', state.vaporPressure, unitSystem),
+        pressure: formatQuantity('pressure', pressure, unitSystem),
+        saturationModel: saturationModelName(state.dbt),
+        isFrostPoint: state.dpt < 0,
+        units: unitSystem
+    };
+
+    // Derived properties that do not exist for the state are left empty
+    Object.entries(DERIVED_PROPERTIES).forEach(([key, { quantity }]) => {
+        results[key] = derived[key] !== null ? formatQuantity(quantity, derived[key], unitSystem) : '';
+    });
+
+    return results;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        R_AIR,
+        R_WATER,
+        CP_AIR,
+        HVAP,
+        HW_ICE,
+        HW_WATER,
+        MIN_SATURATION_TEMP,
+        MAX_SATURATION_TEMP,
+        MW_RATIO,
+        STANDARD_PRESSURE,
+        LAPSE_RATE,
+        STANDARD_TEMP_K,
+        PRESSURE_EXPONENT,
+        MIN_ALTITUDE,
+        MAX_ALTITUDE,
+        MIN_PRESSURE,
+        MAX_PRESSURE,
+        MIN_LOCAL_TEMP,
+        MAX_LOCAL_TEMP,
+        CP_VAPOR,
+        JOULE_TO_KILOJOULE,
+        PA_TO_KPA,
+        KELVIN_OFFSET,
+        ROOT_TOLERANCE,
+        ROOT_MAX_ITERATIONS,
+        INPUT_PROPERTIES,
+        DEPENDENT_INPUT_PAIRS,
+        INPUT_TYPES,
+        findRoot,
+        saturatedVaporPressure,
+        saturationModelName,
+        barometricPressure,
+        calculateSitePressure,
+        validateSiteInputs,
+        calculateHumidityRatio,
+        calculateRelativeHumidity,
+        calculateDewPoint,
+        calculateEnthalpy,
+        calculateSpecificVolume,
+        calculateHumidityRatioFromEnthalpy,
+        calculateHumidityRatioFromSpecificVolume,
+        calculateWetBulb,
+        calculateWetBulbFromDBTRH,
+        calculateHumidityRatioFromDBTRH,
+        calculateWetBulbFromDBTDewPoint,
+        calculateHumidityRatioFromDewPoint,
+        calculateRelativeHumidityFromDewPoint,
+        solveDBTFromWBTRH,
+        solveDBTFromWBTHumidityRatio,
+        solveDBTFromRHHumidityRatio,
+        solveDBTFromEnthalpyRH,
+        formatNumber,
+        calculateDryBulbFromEnthalpy,
+        calculateStateFromHumidityRatio,
+        parseInputType,
+        getInputDefinitions,
+        getInputTypes,
+        solveDryBulbAndHumidityRatio,
+        calculatePsychrometricState,
+        DERIVED_PROPERTIES,
+        MIN_HEAT_INDEX_TEMP,
+        MAX_HEAT_INDEX_TEMP,
+        MIN_HUMIDEX_TEMP,
+        MAX_HUMIDEX_TEMP,
+        getDerivedPropertyDefinitions,
+        calculateHeatIndex,
+        calculateHumidex,
+        calculateWBGTIndoor,
+        calculateDerivedProperties,
+        formatRange,
+        validatePsychrometricInputs,
+        calculatePsychrometricProperties
+    };
+}
@@ -0,0 +1,172 @@
+/**
+ * Psychrometric Calculator - ASHRAE Reference Data
+ *
+ * Published values from ASHRAE Handbook—Fundamentals (SI edition, 2017),
+ * Chapter 1 "Psychrometrics", used by the verification runner to check the
+ * calculator against the handbook. Values are copied as printed, so they
+ * carry the handbook's rounding.
+ *
+ * Table 2 is computed by ASHRAE from the real-gas formulation (Herrmann,
+ * Kretzschmar and Gatley), which includes the enhancement factor; the
+ * calculator uses the ideal-gas equations of the chapter without it, so its
+ * saturation humidity ratios read 0.4% to 0.6% below the table.
+ *
+ * @author HVAC Calculator Team
+ */
+
+const ASHRAE_REFERENCE_DATA = {
+    source: 'ASHRAE Handbook—Fundamentals (SI), 2017, Chapter 1: Psychrometrics',
+
+    /**
+     * Table 1: Standard atmospheric data for altitudes to 10 000 m
+     */
+    standardAtmosphere: {
+        table: 'Table 1, Standard Atmospheric Data',
+        points: [
+            { altitude: -500, pressure: 107.478 },
+            { altitude: 0, pressure: 101.325 },
+            { altitude: 500, pressure: 95.461 },
+            { altitude: 1000, pressure: 89.875 },
+            { altitude: 1500, pressure: 84.556 },
+            { altitude: 2000, pressure: 79.495 },
+            { altitude: 3000, pressure: 70.109 }
+        ]
+    },
+
+    /**
+     * Table 3: Saturation pressure of water vapor over ice (below 0°C) and
+     * over liquid water (0°C and above), in kPa
+     */
+    saturationPressure: {
+        table: 'Table 3, Thermodynamic Properties of Water at Saturation',
+        points: [
+            { temperature: -40, pressure: 0.01285 },
+            { temperature: -20, pressure: 0.10326 },
+            { temperature: -10, pressure: 0.25991 },
+            { temperature: 0, pressure: 0.61121 },
+            { temperature: 10, pressure: 1.2282 },
+            { temperature: 20, pressure: 2.3393 },
+            { temperature: 25, pressure: 3.1699 },
+            { temperature: 30, pressure: 4.2470 },
+            { temperature: 40, pressure: 7.3849 },
+            { temperature: 50, pressure: 12.352 },
+            { temperature: 60, pressure: 19.946 },
+            { temperature: 80, pressure: 47.414 },
+            { temperature: 100, pressure: 101.42 },
+            { temperature: 150, pressure: 476.16 },
+            { temperature: 200, pressure: 1554.9 }
+        ]
+    },
+
+    /**
+     * Table 2: Humidity ratio and enthalpy of saturated moist air at
+     * 101.325 kPa
+     */
+    saturatedAir: {
+        table: 'Table 2, Thermodynamic Properties of Moist Air at 101.325 kPa',
+        pressure: 101.325,
+        points: [
+            { temperature: -20, humidityRatio: 0.0006373 },
+            { temperature: -10, humidityRatio: 0.0016062 },
+            { temperature: 0, humidityRatio: 0.003789, enthalpy: 9.475 },
+            { temperature: 10, humidityRatio: 0.007661, enthalpy: 29.344 },
+            { temperature: 20, humidityRatio: 0.014758, enthalpy: 57.544 },
+            { temperature: 30, humidityRatio: 0.027329, enthalpy: 100.004 },
+            { temperature: 40, humidityRatio: 0.049141 },
+            { temperature: 50, humidityRatio: 0.086858 }
+        ]
+    },
+
+    /**
+     * Worked examples: states solved or read from the chart in the chapter
+     * text, with the properties it gives. The states of Examples 4 to 6 are
+     * chart readings at 101.325 kPa; saturated states have the dew point and
+     * wet bulb at the dry bulb and 100% relative humidity. Their humidity
+     * ratio and enthalpy are real-gas values (see Table 2), above the
+     * calculator's saturation, so they are only checked (checkOnly) and not
+     * used as solver inputs.
+     */
+    workedExamples: [
+        {
+            name: 'Example 2: 40°C dry bulb, 20°C wet bulb',
+            pressure: 101.325,
+            state: {
+                dbt: 40,
+                wbt: 20,
+                rh: 14,
+                dpt: 7.4,
+                humidityRatio: 0.0064,
+                enthalpy: 56.7,
+                specificVolume: 0.896
+            }
+        },
+        {
+            name: 'Example 4: air saturated at 2°C entering a heating coil',
+            pressure: 101.325,
+            checkOnly: ['humidityRatio', 'enthalpy'],
+            state: {
+                dbt: 2,
+                wbt: 2,
+                rh: 100,
+                dpt: 2,
+                humidityRatio: 0.00438,
+                enthalpy: 13.0,
+                specificVolume: 0.785
+            }
+        },
+        {
+            name: 'Example 4: air heated to 40°C',
+            pressure: 101.325,
+            state: {
+                dbt: 40,
+                humidityRatio: 0.00438,
+                enthalpy: 51.5
+            }
+        },
+        {
+            name: 'Example 5: 30°C, 50% relative humidity entering a cooling coil',
+            pressure: 101.325,
+            state: {
+                dbt: 30,
+                rh: 50,
+                humidityRatio: 0.0133,
+                enthalpy: 64.0,
+                specificVolume: 0.877
+            }
+        },
+        {
+            name: 'Example 6: outdoor air at 4°C dry bulb, 2°C wet bulb',
+            pressure: 101.325,
+            state: {
+                dbt: 4,
+                wbt: 2,
+                specificVolume: 0.789
+            }
+        },
+        {
+            name: 'Example 6: recirculated air at 25°C, 50% relative humidity',
+            pressure: 101.325,
+            state: {
+                dbt: 25,
+                rh: 50,
+                specificVolume: 0.858
+            }
+        }
+    ]
+};
+
+/**
+ * Get the bundled ASHRAE reference dataset
+ * @returns {Object} Reference data (see ASHRAE_REFERENCE_DATA)
+ */
+function getAshraeReferenceData() {
+    return ASHRAE_REFERENCE_DATA;
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ASHRAE_REFERENCE_DATA,
+        getAshraeReferenceData
+    };
+}
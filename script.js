@@ -1,768 +1,2167 @@
 /**
- * Psychrometric Calculator - Core Functions
+ * Psychrometric Calculator - User Interface
  * 
- * This file contains psychrometric calculation functions for HVAC applications.
- * Based on ASHRAE Handbook - Fundamentals and standard thermodynamic equations.
+ * Connects the calculator page to the psychrometric engine (psychrometrics.js),
+ * the air-conditioning processes, airflow loads, cooling tower, condensation
+ * and insulation, thermal comfort, the chart, CSV batch processing and hourly
+ * weather file analysis.
  * 
  * @version 2.0.0
  * @author HVAC Calculator Team
  */
 
-// ============================================================================
-// PHYSICAL CONSTANTS
-// ============================================================================
+// DOM elements
+const inputTypeSelect = document.getElementById('input-type');
+const value1Input = document.getElementById('value1');
+const value2Input = document.getElementById('value2');
+const altitudeInput = document.getElementById('altitude');
+const calculateBtn = document.getElementById('calculate-btn');
+const stationSearchInput = document.getElementById('station-search');
+const stationSelect = document.getElementById('station-select');
+const designConditionSelect = document.getElementById('design-condition');
+const stationInfo = document.getElementById('station-info');
+const stationFileInput = document.getElementById('station-file-input');
+const siteNameInput = document.getElementById('site-name');
+const siteConditionNameInput = document.getElementById('site-condition-name');
+const siteSaveBtn = document.getElementById('site-save-btn');
+const siteDeleteConditionBtn = document.getElementById('site-delete-condition-btn');
+const siteDeleteBtn = document.getElementById('site-delete-btn');
+const siteExportBtn = document.getElementById('site-export-btn');
+const siteImportInput = document.getElementById('site-import-input');
+const siteLibraryStatus = document.getElementById('site-library-status');
+const unitSystemSelect = document.getElementById('unit-system');
+const altitudeLabel = document.getElementById('altitude-label');
+const pressureModeSelect = document.getElementById('pressure-mode');
+const altitudeInputs = document.getElementById('altitude-inputs');
+const pressureInputs = document.getElementById('pressure-inputs');
+const localTemperatureInput = document.getElementById('local-temperature');
+const localTemperatureLabel = document.getElementById('local-temperature-label');
+const pressureInput = document.getElementById('pressure');
+const pressureUnitSelect = document.getElementById('pressure-unit');
+
+// Active unit system, remembered between sessions
+let currentUnitSystem = loadUnitSystem();
+
+// CSV Processing DOM elements
+const csvUploadArea = document.getElementById('csv-upload-area');
+const csvFileInput = document.getElementById('csv-file-input');
+const csvControls = document.getElementById('csv-controls');
+const fileName = document.getElementById('file-name');
+const removeFileBtn = document.getElementById('remove-file-btn');
+const csvDelimiterSelect = document.getElementById('csv-delimiter');
+const csvDecimalSeparatorSelect = document.getElementById('csv-decimal-separator');
+const csvLenientInput = document.getElementById('csv-lenient');
+const downloadSampleBtn = document.getElementById('download-sample-btn');
+const processCsvBtn = document.getElementById('process-csv-btn');
+const csvProgress = document.getElementById('csv-progress');
+const progressTitle = document.getElementById('progress-title');
+const progressFill = document.getElementById('progress-fill');
+const progressText = document.getElementById('progress-text');
+const progressDetail = document.getElementById('progress-detail');
+const pauseCsvBtn = document.getElementById('pause-csv-btn');
+const cancelCsvBtn = document.getElementById('cancel-csv-btn');
+const csvResults = document.getElementById('csv-results');
+const totalRows = document.getElementById('total-rows');
+const successfulRows = document.getElementById('successful-rows');
+const errorRows = document.getElementById('error-rows');
+const downloadResultsBtn = document.getElementById('download-results-btn');
+const downloadXlsxBtn = document.getElementById('download-xlsx-btn');
+const downloadJsonBtn = document.getElementById('download-json-btn');
+const downloadReportBtn = document.getElementById('download-report-btn');
+const errorDetails = document.getElementById('error-details');
+const errorList = document.getElementById('error-list');
+const exportColumnsList = document.getElementById('export-columns-list');
+const exportColumnsAllBtn = document.getElementById('export-columns-all');
+const exportColumnsNoneBtn = document.getElementById('export-columns-none');
+const csvMappingDetails = document.getElementById('csv-mapping');
+const csvMappingEnabledInput = document.getElementById('csv-mapping-enabled');
+const csvMappingFields = document.getElementById('csv-mapping-fields');
+const csvMappingApplyBtn = document.getElementById('csv-mapping-apply-btn');
+const csvMappingTemplateSelect = document.getElementById('csv-mapping-template');
+const csvMappingTemplateNameInput = document.getElementById('csv-mapping-template-name');
+const csvMappingSaveBtn = document.getElementById('csv-mapping-save-btn');
+const csvMappingDeleteBtn = document.getElementById('csv-mapping-delete-btn');
+const csvMappingStatus = document.getElementById('csv-mapping-status');
+
+/**
+ * Storage key under which the chosen CSV export columns are remembered
+ */
+const EXPORT_COLUMNS_STORAGE_KEY = 'psychrometricExportColumns';
+
+// Initialize CSV processor
+const csvProcessor = new CSVProcessor();
+csvProcessor.unitSystem = currentUnitSystem;
+let currentCSVFile = null;
+let currentCSVCheck = null; // Summary of the check of the loaded file; null until it passes
+let currentBatch = null; // Output parts, chart points and summary of the last run
+let mappingTemplates = []; // Saved column mappings
+let csvMappingColumns = []; // Headers of the loaded file, offered in the column mapping
+
+// Batches run in a Web Worker (batch-worker.js) where the page can start one,
+// otherwise on the page; both take the requests of createBatchRunner
+let sendBatchRequest = null;
+let batchRequest = null; // Check or process request in progress
+
+// Hourly weather file DOM elements
+const weatherFileInput = document.getElementById('weather-file-input');
+const weatherProgress = document.getElementById('weather-progress');
+const weatherProgressFill = document.getElementById('weather-progress-fill');
+const weatherProgressText = document.getElementById('weather-progress-text');
+const weatherBinInputs = {
+    dbt: document.getElementById('weather-bin-dbt'),
+    enthalpy: document.getElementById('weather-bin-enthalpy'),
+    humidityRatio: document.getElementById('weather-bin-humidity-ratio')
+};
+const weatherThresholdInputs = {
+    dbt: document.getElementById('weather-threshold-dbt'),
+    wbt: document.getElementById('weather-threshold-wbt'),
+    dpt: document.getElementById('weather-threshold-dpt'),
+    enthalpy: document.getElementById('weather-threshold-enthalpy'),
+    humidityRatio: document.getElementById('weather-threshold-humidity-ratio')
+};
+const weatherAnalyzeBtn = document.getElementById('weather-analyze-btn');
+const weatherResults = document.getElementById('weather-results');
+const weatherTitle = document.getElementById('weather-title');
+const weatherSummary = document.getElementById('weather-summary');
+const weatherTables = document.getElementById('weather-tables');
+const weatherReportBtn = document.getElementById('weather-report-btn');
+const weatherHoursBtn = document.getElementById('weather-hours-btn');
+
+// Weather file processor, kept apart from the CSV batch so both can be shown
+const weatherProcessor = new CSVProcessor();
+let currentWeather = null;
+
+// Result elements
+const dbtResultEl = document.getElementById('dbt-result');
+const wbtResultEl = document.getElementById('wbt-result');
+const rhResultEl = document.getElementById('rh-result');
+const dptResultEl = document.getElementById('dpt-result');
+const humidityRatioEl = document.getElementById('humidity-ratio');
+const enthalpyEl = document.getElementById('enthalpy');
+const specificVolumeEl = document.getElementById('specific-volume');
+const vaporPressureEl = document.getElementById('vapor-pressure');
+const dptLabelEl = document.getElementById('dpt-label');
+const saturationModelEl = document.getElementById('saturation-model');
+const pressureResultEl = document.getElementById('pressure-result');
+const derivedResultEls = {
+    density: document.getElementById('density-result'),
+    absoluteHumidity: document.getElementById('absolute-humidity-result'),
+    degreeOfSaturation: document.getElementById('degree-of-saturation-result'),
+    saturationHumidityRatio: document.getElementById('saturation-humidity-ratio-result'),
+    humidSpecificHeat: document.getElementById('humid-specific-heat-result'),
+    vaporMassFraction: document.getElementById('vapor-mass-fraction-result'),
+    heatIndex: document.getElementById('heat-index-result'),
+    humidex: document.getElementById('humidex-result'),
+    wbgtIndoor: document.getElementById('wbgt-indoor-result')
+};
+
+// Calculation history DOM elements
+const historyList = document.getElementById('history-list');
+const historyClearBtn = document.getElementById('history-clear-btn');
+const historyExportBtn = document.getElementById('history-export-btn');
+const historyComparison = document.getElementById('history-comparison');
+const historyReferenceSelect = document.getElementById('history-reference');
+const historyComparisonTable = document.getElementById('history-comparison-table');
+
+// Psychrometric chart
+const chartShowBatch = document.getElementById('chart-show-batch');
+const chartShowWeather = document.getElementById('chart-show-weather');
+const chartExportSvgBtn = document.getElementById('chart-export-svg');
+const chartExportPngBtn = document.getElementById('chart-export-png');
+const psychroChart = new PsychrometricChart(document.getElementById('psychro-chart'));
+
+// Air-conditioning process DOM elements
+const processTypeSelect = document.getElementById('process-type');
+const processLeavingDbtInput = document.getElementById('process-leaving-dbt');
+const processAdpInput = document.getElementById('process-adp');
+const processBypassFactorInput = document.getElementById('process-bypass-factor');
+const processOutdoorTypeSelect = document.getElementById('process-outdoor-type');
+const processOutdoorValue1Input = document.getElementById('process-outdoor-value1');
+const processOutdoorValue2Input = document.getElementById('process-outdoor-value2');
+const processOutdoorFractionInput = document.getElementById('process-outdoor-fraction');
+const processDirectEffectivenessInput = document.getElementById('process-direct-effectiveness');
+const processIndirectEffectivenessInput = document.getElementById('process-indirect-effectiveness');
+const processIndirectSecondaryWbtInput = document.getElementById('process-indirect-secondary-wbt');
+const processTwoStageIndirectEffectivenessInput = document.getElementById('process-two-stage-indirect-effectiveness');
+const processTwoStageDirectEffectivenessInput = document.getElementById('process-two-stage-direct-effectiveness');
+const processTwoStageSecondaryWbtInput = document.getElementById('process-two-stage-secondary-wbt');
+const processSteamRhInput = document.getElementById('process-steam-rh');
+const processAdiabaticRhInput = document.getElementById('process-adiabatic-rh');
+const processAirflowInput = document.getElementById('process-airflow');
+const processCalculateBtn = document.getElementById('process-calculate-btn');
+const processResults = document.getElementById('process-results');
+const processTitle = document.getElementById('process-title');
+const processTable = document.getElementById('process-table');
+const processLoads = document.getElementById('process-loads');
+
+// Airflow load DOM elements
+const loadLeavingTypeSelect = document.getElementById('load-leaving-type');
+const loadLeavingValue1Input = document.getElementById('load-leaving-value1');
+const loadLeavingValue2Input = document.getElementById('load-leaving-value2');
+const loadAirflowTypeSelect = document.getElementById('load-airflow-type');
+const loadAirflowInput = document.getElementById('load-airflow');
+const loadAirflowAtSelect = document.getElementById('load-airflow-at');
+const loadConventionSelect = document.getElementById('load-convention');
+const loadCalculateBtn = document.getElementById('load-calculate-btn');
+const loadResults = document.getElementById('load-results');
+const loadSummary = document.getElementById('load-summary');
+const loadConventionNote = document.getElementById('load-convention-note');
+
+// Cooling tower DOM elements
+const towerHotWaterInput = document.getElementById('tower-hot-water');
+const towerColdWaterInput = document.getElementById('tower-cold-water');
+const towerWaterFlowInput = document.getElementById('tower-water-flow');
+const towerLgInput = document.getElementById('tower-lg');
+const towerCyclesInput = document.getElementById('tower-cycles');
+const towerOffDesignWbtInput = document.getElementById('tower-off-design-wbt');
+const towerCalculateBtn = document.getElementById('tower-calculate-btn');
+const towerResults = document.getElementById('tower-results');
+const towerSummary = document.getElementById('tower-summary');
+const towerOffDesign = document.getElementById('tower-off-design');
+const towerOffDesignTitle = document.getElementById('tower-off-design-title');
+const towerOffDesignSummary = document.getElementById('tower-off-design-summary');
+
+// Condensation and insulation DOM elements
+const insulationTypeSelect = document.getElementById('insulation-type');
+const insulationDiameterInput = document.getElementById('insulation-diameter');
+const insulationWidthInput = document.getElementById('insulation-width');
+const insulationHeightInput = document.getElementById('insulation-height');
+const insulationFluidTemperatureInput = document.getElementById('insulation-fluid-temperature');
+const insulationConductivityInput = document.getElementById('insulation-conductivity');
+const insulationSurfaceCoefficientInput = document.getElementById('insulation-surface-coefficient');
+const insulationSafetyMarginInput = document.getElementById('insulation-safety-margin');
+const insulationThicknessInput = document.getElementById('insulation-thickness');
+const insulationCalculateBtn = document.getElementById('insulation-calculate-btn');
+const insulationResults = document.getElementById('insulation-results');
+const insulationSummary = document.getElementById('insulation-summary');
+const insulationLineListInput = document.getElementById('insulation-line-list-input');
+const insulationSampleBtn = document.getElementById('insulation-sample-btn');
+const insulationLineListStatus = document.getElementById('insulation-line-list-status');
+
+// Thermal comfort DOM elements
+const comfortMrtInput = document.getElementById('comfort-mrt');
+const comfortAirSpeedInput = document.getElementById('comfort-air-speed');
+const comfortMetInput = document.getElementById('comfort-met');
+const comfortCloInput = document.getElementById('comfort-clo');
+const comfortCalculateBtn = document.getElementById('comfort-calculate-btn');
+const comfortResults = document.getElementById('comfort-results');
+const comfortTitle = document.getElementById('comfort-title');
+const comfortSummary = document.getElementById('comfort-summary');
+const comfortWarnings = document.getElementById('comfort-warnings');
+
+// Current calculator state (SI) and the process drawn on the chart
+let currentState = null;
+let currentProcess = null;
+let currentLoads = null;
+let currentTower = null;
+let currentInsulation = null;
+let currentComfort = null;
+
+// Calculated states of this session, oldest first
+let calculationHistory = [];
+let nextHistoryId = 1;
+
+/**
+ * Number of unpinned states kept in the calculation history
+ */
+const MAX_CALCULATION_HISTORY = 50;
+
+/**
+ * Calculations closer together than this (typing) replace the latest
+ * unpinned history entry instead of adding one
+ */
+const CALCULATION_HISTORY_INTERVAL = 1000;
+
+// Calculate button event listener
+calculateBtn.addEventListener('click', function() {
+    const inputType = inputTypeSelect.value;
+    const value1 = parseFloat(value1Input.value);
+    const value2 = parseFloat(value2Input.value);
+    const altitude = parseFloat(altitudeInput.value);
+    const site = readSiteInputs();
+
+    // Validate inputs
+    if (isNaN(value1) || isNaN(value2) || isNaN(site.pressure !== undefined ? site.pressure : site.altitude)) {
+        showError('Please enter valid numbers for all fields.');
+        return;
+    }
+
+    const errorMsg = validateInputs(inputType, value1, value2, site, currentUnitSystem);
+    if (errorMsg) {
+        showError(errorMsg);
+        return;
+    }
+
+    try {
+        // Perform calculations
+        const pressure = calculateSitePressure(site);
+        const results = calculatePsychrometricProperties(inputType, value1, value2, altitude, {
+            units: currentUnitSystem,
+            pressure,
+            pressureUnit: 'kPa'
+        });
+        const temperatureUnit = unitLabel('temperature', currentUnitSystem);
+
+        // Update the UI with results
+        dbtResultEl.textContent = `${results.dbt}${temperatureUnit}`;
+        wbtResultEl.textContent = `${results.wbt}${temperatureUnit}`;
+        rhResultEl.textContent = `${results.rh}%`;
+        dptResultEl.textContent = `${results.dpt}${temperatureUnit}`;
+        humidityRatioEl.textContent = `${results.humidityRatio} ${unitLabel('humidityRatio', currentUnitSystem)}`;
+        enthalpyEl.textContent = `${results.enthalpy} ${unitLabel('enthalpy', currentUnitSystem)}`;
+        specificVolumeEl.textContent = `${results.specificVolume} ${unitLabel('specificVolume', currentUnitSystem)}`;
+        vaporPressureEl.textContent = `${results.vaporPressure} ${unitLabel('pressure', currentUnitSystem)}`;
+        pressureResultEl.textContent = `${results.pressure} ${unitLabel('pressure', currentUnitSystem)}`;
+        dptLabelEl.textContent = results.isFrostPoint ? 'Frost Point Temperature:' : 'Dew Point Temperature:';
+        saturationModelEl.textContent = results.saturationModel;
+        getDerivedPropertyDefinitions().forEach(({ key, quantity }) => {
+            derivedResultEls[key].textContent = formatResultValue(results[key], quantity);
+        });
+
+        // Plot the state on the chart
+        const inputs = INPUT_TYPES[inputType];
+        currentState = calculatePsychrometricState(
+            inputType,
+            convertToSI(inputs[0].quantity, value1, currentUnitSystem),
+            convertToSI(inputs[1].quantity, value2, currentUnitSystem),
+            pressure
+        );
+        psychroChart.setPressure(pressure);
+        psychroChart.setState(currentState);
+        recordCalculation(currentState, {
+            inputType,
+            value1,
+            value2,
+            altitude: site.pressure !== undefined ? '' : altitude,
+            ...results
+        });
+
+        // Keep displayed loads, tower, insulation, comfort results and process in step with the state
+        if (currentLoads) {
+            calculateLoads();
+        }
+        if (currentTower) {
+            calculateTower();
+        }
+        if (currentInsulation) {
+            calculateSurfaceCondensation();
+        }
+        if (currentComfort) {
+            calculateThermalComfort();
+        }
+        if (currentProcess) {
+            calculateProcess();
+        } else {
+            renderChart();
+        }
+
+        // Clear any previous error messages
+        hideError();
+        updatePermalink();
+    } catch (error) {
+        showError(`An error occurred during calculations: ${error.message}`);
+    }
+});
+
+/**
+ * Format a calculated value with its unit for the results grid
+ * @param {string} value - Formatted value, empty if the property does not exist for the state
+ * @param {string} quantity - Quantity name
+ * @returns {string} Value with unit, or a dash for an empty value
+ */
+function formatResultValue(value, quantity) {
+    if (value === '') {
+        return '—';
+    }
+    const unit = unitLabel(quantity, currentUnitSystem);
+    const separator = quantity === 'temperature' || quantity === 'relativeHumidity' || unit === '' ? '' : ' ';
+    return `${value}${separator}${unit}`;
+}
+
+/**
+ * Validate calculator inputs against the supported ranges
+ * @param {string} inputType - Type of input combination
+ * @param {number} value1 - First input value in the given unit system
+ * @param {number} value2 - Second input value in the given unit system
+ * @param {Object} site - Site conditions in SI units (from readSiteInputs)
+ * @param {string} unitSystem - 'SI' or 'IP'
+ * @returns {string} Error message, or an empty string if the inputs are valid
+ */
+function validateInputs(inputType, value1, value2, site, unitSystem) {
+    const inputs = getInputDefinitions(inputType);
+    const errors = validatePsychrometricInputs(
+        inputType,
+        convertToSI(inputs[0].quantity, value1, unitSystem),
+        convertToSI(inputs[1].quantity, value2, unitSystem),
+        unitSystem
+    );
+
+    errors.push(...validateSiteInputs(site, unitSystem));
+
+    return errors.length > 0 ? `${errors[0]}.` : '';
+}
+
+/**
+ * Read the site conditions from the calculator inputs
+ * @returns {Object} Site in SI units: the measured pressure (kPa) in pressure
+ *   mode, otherwise the altitude (m) and optional local air temperature (°C)
+ */
+function readSiteInputs() {
+    if (pressureModeSelect.value === 'pressure') {
+        return { pressure: convertPressureToKPa(parseFloat(pressureInput.value), pressureUnitSelect.value) };
+    }
+
+    const localTemperature = parseFloat(localTemperatureInput.value);
+    return {
+        altitude: convertToSI('altitude', parseFloat(altitudeInput.value), currentUnitSystem),
+        localTemperature: isNaN(localTemperature) ? undefined : convertToSI('temperature', localTemperature, currentUnitSystem)
+    };
+}
+
+/**
+ * Show the altitude or the barometric pressure inputs for the selected pressure mode
+ */
+function updatePressureMode() {
+    const usePressure = pressureModeSelect.value === 'pressure';
+    altitudeInputs.style.display = usePressure ? 'none' : 'block';
+    pressureInputs.style.display = usePressure ? 'block' : 'none';
+}
+
+// Calculation History Functions
+function initializeHistory() {
+    historyList.addEventListener('change', (e) => {
+        const entry = calculationHistory.find(item => item.id === Number(e.target.closest('tr').dataset.id));
+        if (e.target.type === 'checkbox') {
+            entry.pinned = e.target.checked;
+            renderHistory();
+        } else {
+            entry.label = e.target.value.trim();
+            renderComparison();
+        }
+    });
+    historyList.addEventListener('click', (e) => {
+        if (e.target.classList.contains('history-delete-btn')) {
+            const id = Number(e.target.closest('tr').dataset.id);
+            calculationHistory = calculationHistory.filter(item => item.id !== id);
+            renderHistory();
+        }
+    });
+    historyReferenceSelect.addEventListener('change', renderComparison);
+    historyClearBtn.addEventListener('click', () => {
+        calculationHistory = calculationHistory.filter(item => item.pinned);
+        renderHistory();
+    });
+    historyExportBtn.addEventListener('click', () => {
+        const pinned = calculationHistory.filter(item => item.pinned);
+        const rows = pinned.map((item, index) => ({ ...item.row, rowNumber: index + 1 }));
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        csvProcessor.downloadCSV(csvProcessor.generateOutputCSV(rows), `psychrometric_pinned_states_${timestamp}.csv`);
+    });
+
+    renderHistory();
+}
+
+/**
+ * Add a calculated state to the history
+ *
+ * A state equal to the latest one (e.g. after a unit change) is not added
+ * again, and a calculation that quickly follows the previous one replaces it
+ * unless that one has been pinned.
+ *
+ * @param {Object} state - Calculated state in SI units
+ * @param {Object} row - Inputs and formatted results in the CSV result layout
+ */
+function recordCalculation(state, row) {
+    const latest = calculationHistory[calculationHistory.length - 1];
+    const now = Date.now();
+    if (latest && ['dbt', 'humidityRatio', 'pressure'].every(key => Math.abs(latest.state[key] - state[key]) < 1e-9)) {
+        return;
+    }
+
+    if (latest && !latest.pinned && now - latest.time.getTime() < CALCULATION_HISTORY_INTERVAL) {
+        Object.assign(latest, { time: new Date(now), state, row });
+    } else {
+        calculationHistory.push({ id: nextHistoryId++, label: '', pinned: false, time: new Date(now), state, row });
+    }
+
+    // Drop the oldest unpinned states beyond the limit
+    let excess = calculationHistory.filter(item => !item.pinned).length - MAX_CALCULATION_HISTORY;
+    calculationHistory = calculationHistory.filter(item => item.pinned || excess-- <= 0);
+
+    renderHistory();
+}
+
+/**
+ * Escape text typed by the user for use in markup
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+    return text.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Name of a history entry in the comparison
+ * @param {Object} entry - History entry
+ * @returns {string} Its label, or a numbered name
+ */
+function historyEntryName(entry) {
+    return entry.label || `State ${entry.id}`;
+}
+
+/**
+ * Show the history, newest first, in the current units
+ */
+function renderHistory() {
+    const format = (quantity, value) => formatQuantity(quantity, value, currentUnitSystem);
+    document.getElementById('history-dbt-header').textContent = `DBT (${unitLabel('temperature', currentUnitSystem)})`;
+    document.getElementById('history-wbt-header').textContent = `WBT (${unitLabel('temperature', currentUnitSystem)})`;
+    document.getElementById('history-humidity-ratio-header').textContent = `W (${unitLabel('humidityRatio', currentUnitSystem)})`;
+    document.getElementById('history-enthalpy-header').textContent = `h (${unitLabel('enthalpy', currentUnitSystem)})`;
+    document.getElementById('history-pressure-header').textContent = `Pressure (${unitLabel('pressure', currentUnitSystem)})`;
+
+    historyList.innerHTML = calculationHistory.slice().reverse().map(entry => `
+        <tr data-id="${entry.id}"${entry.pinned ? ' class="pinned"' : ''}>
+            <td><input type="checkbox" title="Pin"${entry.pinned ? ' checked' : ''}></td>
+            <td><input type="text" value="${escapeHTML(entry.label)}" placeholder="State ${entry.id}"></td>
+            <td>${entry.time.toLocaleTimeString()}</td>
+            <td>${format('temperature', entry.state.dbt)}</td>
+            <td>${format('temperature', entry.state.wbt)}</td>
+            <td>${format('relativeHumidity', entry.state.rh)}</td>
+            <td>${format('humidityRatio', entry.state.humidityRatio)}</td>
+            <td>${format('enthalpy', entry.state.enthalpy)}</td>
+            <td>${format('pressure', entry.state.pressure)}</td>
+            <td><button type="button" class="history-delete-btn" title="Delete">✕</button></td>
+        </tr>
+    `).join('');
+
+    historyClearBtn.disabled = !calculationHistory.some(item => !item.pinned);
+    historyExportBtn.disabled = !calculationHistory.some(item => item.pinned);
+    renderComparison();
+}
+
+/**
+ * Show the pinned states side by side with their differences from the reference state
+ */
+function renderComparison() {
+    const pinned = calculationHistory.filter(item => item.pinned);
+    historyComparison.style.display = pinned.length > 0 ? 'block' : 'none';
+    if (pinned.length === 0) {
+        return;
+    }
+
+    const selected = historyReferenceSelect.value;
+    historyReferenceSelect.innerHTML = '';
+    pinned.forEach(entry => {
+        historyReferenceSelect.appendChild(new Option(historyEntryName(entry), String(entry.id)));
+    });
+    if (pinned.some(entry => String(entry.id) === selected)) {
+        historyReferenceSelect.value = selected;
+    }
+    const reference = pinned.find(entry => String(entry.id) === historyReferenceSelect.value);
+
+    const format = (quantity, value) => formatResultValue(formatQuantity(quantity, value, currentUnitSystem), quantity);
+    const difference = (quantity, key) => entry => {
+        if (entry === reference) {
+            return '—';
+        }
+        const delta = entry.state[key] - reference.state[key];
+        return `${delta >= 0 ? '+' : '−'}${format(quantity, Math.abs(delta))}`;
+    };
+    const rows = [
+        ['Dry Bulb', entry => format('temperature', entry.state.dbt)],
+        ['Wet Bulb', entry => format('temperature', entry.state.wbt)],
+        ['Dew Point', entry => format('temperature', entry.state.dpt)],
+        ['Relative Humidity', entry => format('relativeHumidity', entry.state.rh)],
+        ['Humidity Ratio', entry => format('humidityRatio', entry.state.humidityRatio)],
+        ['Enthalpy', entry => format('enthalpy', entry.state.enthalpy)],
+        ['Specific Volume', entry => format('specificVolume', entry.state.specificVolume)],
+        ['Pressure', entry => format('pressure', entry.state.pressure)],
+        ['ΔT (Dry Bulb)', difference('temperatureDifference', 'dbt')],
+        ['ΔW', difference('humidityRatio', 'humidityRatio')],
+        ['Δh', difference('enthalpyDifference', 'enthalpy')]
+    ];
+
+    historyComparisonTable.innerHTML = resultsTableMarkup(
+        ['Property', ...pinned.map(entry => escapeHTML(historyEntryName(entry)))],
+        rows.map(([label, value]) => [label, ...pinned.map(value)])
+    );
+}
+
+// Permalink Functions
+function initializePermalink() {
+    applyPermalink(new URLSearchParams(location.search));
+    permalinkReady = true;
+    writePermalink(getPermalinkURL(), false);
+
+    window.addEventListener('popstate', () => {
+        permalinkReady = false;
+        applyPermalink(new URLSearchParams(location.search));
+        permalinkReady = true;
+    });
+}
+
+/**
+ * Build the URL of the current calculator inputs
+ *
+ * Values are written as shown, in the unit system given by the units
+ * parameter, with either the altitude (and local air temperature) or the
+ * barometric pressure and its unit.
+ *
+ * @returns {string} Page URL with the inputs as query parameters
+ */
+function getPermalinkURL() {
+    const params = new URLSearchParams();
+    params.set('units', currentUnitSystem);
+    params.set('input', inputTypeSelect.value);
+    params.set('v1', value1Input.value);
+    params.set('v2', value2Input.value);
+    if (pressureModeSelect.value === 'pressure') {
+        params.set('p', pressureInput.value);
+        params.set('punit', pressureUnitSelect.value);
+    } else {
+        params.set('alt', altitudeInput.value);
+        if (localTemperatureInput.value !== '') {
+            params.set('lt', localTemperatureInput.value);
+        }
+    }
+    return `${location.pathname}?${params}${location.hash}`;
+}
+
+/**
+ * Set the calculator inputs from permalink parameters and recalculate;
+ * parameters that are missing or not recognised keep the current input.
+ * The link's unit system is not stored as the viewer's preference.
+ * @param {URLSearchParams} params - Permalink parameters
+ */
+function applyPermalink(params) {
+    if (!params.has('input')) {
+        return;
+    }
+
+    if (UNIT_SYSTEMS.includes(params.get('units'))) {
+        unitSystemSelect.value = params.get('units');
+        setUnitSystem(unitSystemSelect.value);
+    }
+    if (INPUT_TYPES[params.get('input')]) {
+        inputTypeSelect.value = params.get('input');
+        updateInputLabels();
+    }
+    value1Input.value = params.get('v1') || '';
+    value2Input.value = params.get('v2') || '';
+
+    if (params.has('p')) {
+        pressureModeSelect.value = 'pressure';
+        pressureInput.value = params.get('p');
+        if (PRESSURE_UNITS[params.get('punit')]) {
+            pressureUnitSelect.value = params.get('punit');
+        }
+    } else {
+        pressureModeSelect.value = 'altitude';
+        altitudeInput.value = params.get('alt') || formatQuantity('altitude', 0, currentUnitSystem);
+        localTemperatureInput.value = params.get('lt') || '';
+    }
+    updatePressureMode();
+
+    calculateBtn.click();
+}
+
+/**
+ * Write the current inputs to the URL
+ *
+ * A change adds a browser history entry, so Back returns to the previous
+ * state, unless it follows the last one within PERMALINK_HISTORY_INTERVAL.
+ */
+function updatePermalink() {
+    if (!permalinkReady) {
+        return;
+    }
+    const url = getPermalinkURL();
+    if (url === `${location.pathname}${location.search}${location.hash}`) {
+        return;
+    }
+
+    const now = Date.now();
+    writePermalink(url, now - lastPermalinkPush >= PERMALINK_HISTORY_INTERVAL);
+    lastPermalinkPush = now;
+}
+
+/**
+ * Show a permalink in the address bar
+ * @param {string} url - Permalink URL
+ * @param {boolean} push - Whether to add a history entry rather than replace the current one
+ */
+function writePermalink(url, push) {
+    try {
+        if (push) {
+            history.pushState(null, '', url);
+        } else {
+            history.replaceState(null, '', url);
+        }
+    } catch (error) {
+        // Some browsers refuse history updates on file:// pages
+    }
+}
+
+// Error handling functions
+function showError(message) {
+    // Create or update error element
+    let errorElement = document.getElementById('error-message');
+    if (!errorElement) {
+        errorElement = document.createElement('div');
+        errorElement.id = 'error-message';
+        errorElement.className = 'error-message';
+        document.querySelector('.calculator-section').appendChild(errorElement);
+    }
+    
+    errorElement.textContent = message;
+    errorElement.style.display = 'block';
+}
+
+function hideError() {
+    const errorElement = document.getElementById('error-message');
+    if (errorElement) {
+        errorElement.style.display = 'none';
+    }
+}
+
+// Stations of the climatic design conditions database, once loaded
+let climateStations = [];
+
+// User-defined project sites, kept in browser storage
+let siteLibrary = [];
+
+// Changes closer together than this (typing) replace the latest history
+// entry instead of adding one
+const PERMALINK_HISTORY_INTERVAL = 1000;
+
+// The URL is only written once a permalink the page was opened with has been read
+let permalinkReady = false;
+let lastPermalinkPush = 0;
+
+// Initialize with default values
+document.addEventListener('DOMContentLoaded', function() {
+    // Set default values (converted to the remembered unit system)
+    unitSystemSelect.value = currentUnitSystem;
+    inputTypeSelect.value = 'dbt_wbt';
+    value1Input.value = formatQuantity('temperature', 25, currentUnitSystem);  // DBT
+    value2Input.value = formatQuantity('temperature', 20, currentUnitSystem);  // WBT
+    altitudeInput.value = formatQuantity('altitude', 0, currentUnitSystem);    // Altitude
+    
+    calculateBtn.click(); // Trigger initial calculation
+
+    // Unit system toggle converts the current inputs and remembers the choice
+    unitSystemSelect.addEventListener('change', function() {
+        setUnitSystem(unitSystemSelect.value);
+        saveUnitSystem(currentUnitSystem);
+    });
+
+    // Add event listeners for automatic calculation on input change
+    inputTypeSelect.addEventListener('change', function() {
+        updateInputLabels();
+        // Carry the current state over to the new input combination
+        if (currentState) {
+            setInputsFromState(currentState);
+        } else {
+            calculateBtn.click();
+        }
+    });
+    
+    value1Input.addEventListener('input', function() {
+        calculateBtn.click();
+    });
+
+    value2Input.addEventListener('input', function() {
+        calculateBtn.click();
+    });
+
+    altitudeInput.addEventListener('input', function() {
+        calculateBtn.click();
+    });
+
+    // Pressure source: altitude model or measured barometric pressure
+    pressureModeSelect.addEventListener('change', function() {
+        updatePressureMode();
+        calculateBtn.click();
+    });
+
+    [localTemperatureInput, pressureInput].forEach(input => {
+        input.addEventListener('input', function() {
+            calculateBtn.click();
+        });
+    });
+
+    pressureUnitSelect.addEventListener('change', function() {
+        calculateBtn.click();
+    });
+    
+    // Climate station and project site picker
+    initializeClimateStations();
+    initializeSiteLibrary();
+    
+    // Set initial labels
+    updateInputLabels();
+    updatePressureMode();
+    
+    // Initialize CSV functionality
+    initializeCSVProcessing();
+    initializeBatchRunner();
+    initializeExportColumns();
+    initializeColumnMapping();
+
+    // Initialize weather file import
+    initializeWeather();
+
+    // Initialize chart controls
+    initializeChart();
+
+    // Initialize air-conditioning processes
+    initializeProcesses();
+
+    // Initialize airflow loads
+    initializeLoads();
+
+    // Initialize cooling tower
+    initializeTower();
+
+    // Initialize condensation and insulation
+    initializeInsulation();
+
+    // Initialize thermal comfort
+    initializeComfort();
+
+    // Initialize calculation history
+    initializeHistory();
+
+    // Restore the inputs of a permalink and keep the URL in step from now on
+    initializePermalink();
+});
+
+// Function to update input labels and limits based on selected input type and unit system
+function updateInputLabels() {
+    const inputs = INPUT_TYPES[inputTypeSelect.value];
+    const fields = [
+        { label: document.querySelector('#value1-label'), input: value1Input, definition: inputs[0] },
+        { label: document.querySelector('#value2-label'), input: value2Input, definition: inputs[1] }
+    ];
+    
+    fields.forEach(({ label, input, definition }) => {
+        if (!label) return;
+        label.textContent = `${definition.name} (${unitLabel(definition.quantity, currentUnitSystem)}):`;
+        
+        if (definition.quantity === 'temperature') {
+            input.min = formatQuantity('temperature', MIN_SATURATION_TEMP, currentUnitSystem);
+            input.max = formatQuantity('temperature', MAX_SATURATION_TEMP, currentUnitSystem);
+        } else if (definition.quantity === 'relativeHumidity') {
+            input.min = '0';
+            input.max = '100';
+        } else if (definition.quantity === 'humidityRatio') {
+            input.min = '0';
+            input.removeAttribute('max');
+        } else {
+            input.removeAttribute('min');
+            input.removeAttribute('max');
+        }
+    });
+    
+    altitudeLabel.textContent = `Altitude (${unitLabel('altitude', currentUnitSystem)}):`;
+    altitudeInput.min = formatQuantity('altitude', MIN_ALTITUDE, currentUnitSystem);
+    altitudeInput.max = formatQuantity('altitude', MAX_ALTITUDE, currentUnitSystem);
+    
+    localTemperatureLabel.textContent = `Local Air Temperature (${unitLabel('temperature', currentUnitSystem)}, optional):`;
+    localTemperatureInput.min = formatQuantity('temperature', MIN_LOCAL_TEMP, currentUnitSystem);
+    localTemperatureInput.max = formatQuantity('temperature', MAX_LOCAL_TEMP, currentUnitSystem);
+}
 
 /**
- * Gas constant for dry air (J/(kg·K))
- * Standard value from CODATA 2018
+ * Switch the active unit system, converting the current input values
+ *
+ * The stored preference is left unchanged, so a unit system opened from a
+ * permalink applies to this page load only.
+ *
+ * @param {string} unitSystem - 'SI' or 'IP'
  */
-const R_AIR = 287.055;
+function setUnitSystem(unitSystem) {
+    const previous = currentUnitSystem;
+    currentUnitSystem = normalizeUnitSystem(unitSystem);
+    csvProcessor.unitSystem = currentUnitSystem;
+    
+    if (previous !== currentUnitSystem) {
+        const inputs = INPUT_TYPES[inputTypeSelect.value];
+        const outdoorInputs = INPUT_TYPES[processOutdoorTypeSelect.value];
+        const leavingInputs = INPUT_TYPES[loadLeavingTypeSelect.value];
+        [
+            [value1Input, inputs[0].quantity],
+            [value2Input, inputs[1].quantity],
+            [altitudeInput, 'altitude'],
+            [localTemperatureInput, 'temperature'],
+            [processLeavingDbtInput, 'temperature'],
+            [processAdpInput, 'temperature'],
+            [processOutdoorValue1Input, outdoorInputs[0].quantity],
+            [processOutdoorValue2Input, outdoorInputs[1].quantity],
+            [processAirflowInput, 'airflow'],
+            [processIndirectSecondaryWbtInput, 'temperature'],
+            [processTwoStageSecondaryWbtInput, 'temperature'],
+            [loadLeavingValue1Input, leavingInputs[0].quantity],
+            [loadLeavingValue2Input, leavingInputs[1].quantity],
+            [loadAirflowInput, loadAirflowQuantity()],
+            [towerHotWaterInput, 'temperature'],
+            [towerColdWaterInput, 'temperature'],
+            [towerWaterFlowInput, 'waterFlow'],
+            [towerOffDesignWbtInput, 'temperature'],
+            [insulationDiameterInput, 'length'],
+            [insulationWidthInput, 'length'],
+            [insulationHeightInput, 'length'],
+            [insulationFluidTemperatureInput, 'temperature'],
+            [insulationConductivityInput, 'conductivity'],
+            [insulationSurfaceCoefficientInput, 'heatTransferCoefficient'],
+            [insulationSafetyMarginInput, 'temperatureDifference'],
+            [insulationThicknessInput, 'length'],
+            [comfortMrtInput, 'temperature'],
+            [comfortAirSpeedInput, 'airSpeed'],
+            ...Object.entries(weatherThresholdInputs).map(([property, input]) => [input, WEATHER_THRESHOLD_PROPERTIES[property].quantity])
+        ].forEach(([input, quantity]) => {
+            const value = parseFloat(input.value);
+            if (!isNaN(value)) {
+                input.value = formatQuantity(quantity, convertToSI(quantity, value, previous), currentUnitSystem);
+            }
+        });
+    }
+    
+    updateInputLabels();
+    updateProcessInputs();
+    updateLoadInputs();
+    updateTowerInputs();
+    updateInsulationInputs();
+    updateComfortInputs();
+    updateWeatherInputs(previous !== currentUnitSystem);
+    renderHistory();
+    calculateBtn.click();
+}
+
+// Chart Functions
+function renderChart() {
+    psychroChart.setUnitSystem(currentUnitSystem);
+    psychroChart.setPoints([
+        ...(chartShowBatch.checked ? getBatchChartPoints() : []),
+        ...(chartShowWeather.checked && currentWeather ? currentWeather.hours : [])
+    ]);
+    psychroChart.setProcesses(currentProcess ? [currentProcess] : []);
+    psychroChart.render();
+}
 
 /**
- * Gas constant for water vapor (J/(kg·K))
- * Standard value from CODATA 2018
+ * Get the SI chart points of the last CSV batch, sampled by the batch runner
+ * @returns {Array<Object>} Points with dbt (°C) and humidityRatio (kg/kg)
  */
-const R_WATER = 461.523;
+function getBatchChartPoints() {
+    return currentBatch ? currentBatch.points : [];
+}
 
 /**
- * Specific heat capacity of dry air at constant pressure (J/(kg·K))
- * Approximate value at 20°C, 1 atm
+ * Set the calculator inputs from a state, e.g. one picked on the chart,
+ * keeping the current input combination
+ * @param {Object} state - State with dbt (°C) and humidityRatio (kg/kg)
  */
-const CP_AIR = 1006;
+function setInputsFromState({ dbt, humidityRatio }) {
+    const pressure = psychroChart.pressure;
+    const values = {
+        dbt,
+        rh: calculateRelativeHumidity(dbt, humidityRatio, pressure),
+        dpt: calculateDewPoint(humidityRatio, pressure),
+        wbt: calculateWetBulb(dbt, humidityRatio, pressure),
+        w: humidityRatio,
+        h: calculateEnthalpy(dbt, humidityRatio)
+    };
+    const keys = parseInputType(inputTypeSelect.value);
+    const inputs = INPUT_TYPES[inputTypeSelect.value];
+
+    value1Input.value = formatQuantity(inputs[0].quantity, values[keys[0]], currentUnitSystem);
+    value2Input.value = formatQuantity(inputs[1].quantity, values[keys[1]], currentUnitSystem);
+    calculateBtn.click();
+}
+
+function initializeChart() {
+    psychroChart.onSelect = setInputsFromState;
+
+    chartShowBatch.addEventListener('change', renderChart);
+    chartShowWeather.addEventListener('change', renderChart);
+
+    chartExportSvgBtn.addEventListener('click', () => {
+        psychroChart.downloadSVG();
+    });
+
+    chartExportPngBtn.addEventListener('click', () => {
+        psychroChart.downloadPNG().catch(error => showError(error.message));
+    });
+}
+
+// Climate Station Functions
+function initializeClimateStations() {
+    stationSearchInput.addEventListener('input', updateStationOptions);
+    stationSelect.addEventListener('change', () => {
+        updateConditionOptions();
+        applyLocation();
+    });
+    designConditionSelect.addEventListener('change', applyLocation);
+    stationFileInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    setClimateDatabase(parseClimateDatabase(event.target.result));
+                } catch (error) {
+                    stationInfo.textContent = `Invalid station database: ${error.message}`;
+                }
+            };
+            reader.readAsText(e.target.files[0]);
+        }
+    });
+
+    // No station data is bundled; design values come from a database file
+    // of a published dataset chosen by the user
+    stationInfo.textContent = 'Choose a station database file to list climate stations.';
+}
+
+/**
+ * Use a loaded station database in the picker
+ * @param {Object} database - Database from loadClimateDatabase or parseClimateDatabase
+ */
+function setClimateDatabase(database) {
+    climateStations = database.stations;
+    stationInfo.textContent = database.source || `${database.stations.length} stations loaded.`;
+    updateStationOptions();
+}
+
+/**
+ * List the project sites and stations matching the search text, keeping the
+ * selected entry if it still matches
+ */
+function updateStationOptions() {
+    const selected = stationSelect.value;
+    const siteMatches = searchClimateStations(siteLibrary, stationSearchInput.value);
+    const matches = searchClimateStations(climateStations, stationSearchInput.value);
+    const count = siteMatches.length + matches.length;
+
+    stationSelect.innerHTML = '';
+    stationSelect.appendChild(new Option(count > 0 ? `-- Select a Site or Station (${count}) --` : '-- No matching sites or stations --', ''));
+    if (siteMatches.length > 0) {
+        const group = document.createElement('optgroup');
+        group.label = 'My Sites';
+        siteMatches.forEach(site => {
+            group.appendChild(new Option(site.name, `site:${siteLibrary.indexOf(site)}`));
+        });
+        stationSelect.appendChild(group);
+    }
+    if (matches.length > 0) {
+        const group = document.createElement('optgroup');
+        group.label = 'Climate Stations';
+        matches.forEach(station => {
+            const label = `${station.name}${station.country ? `, ${station.country}` : ''}${station.id ? ` (${station.id})` : ''}`;
+            group.appendChild(new Option(label, String(climateStations.indexOf(station))));
+        });
+        stationSelect.appendChild(group);
+    }
+    stationSelect.value = Array.from(stationSelect.options).some(option => option.value === selected) ? selected : '';
+    updateConditionOptions();
+}
 
 /**
- * Latent heat of vaporization of water at 0°C (J/kg)
- * Reference value for psychrometric calculations
+ * List the conditions of the selected entry: the named conditions of a
+ * project site or the design conditions of a station, keeping the selected
+ * condition if the new list has it
  */
-const HVAP = 2501000;
+function updateConditionOptions() {
+    const selected = designConditionSelect.value;
+    const site = getSelectedSite();
+    const options = site
+        ? site.conditions.map((condition, index) => [condition.name, String(index)])
+        : Object.entries(CLIMATE_DESIGN_CONDITIONS).map(([key, condition]) => [condition.label, key]);
+
+    designConditionSelect.innerHTML = '';
+    options.forEach(([label, value]) => {
+        designConditionSelect.appendChild(new Option(label, value));
+    });
+    if (options.some(([, value]) => value === selected)) {
+        designConditionSelect.value = selected;
+    }
+}
 
-// ============================================================================
-// ANTOINE EQUATION COEFFICIENTS
-// ============================================================================
+/**
+ * Get the project site selected in the picker
+ * @returns {Object|null} Site, or null if a station or nothing is selected
+ */
+function getSelectedSite() {
+    return stationSelect.value.startsWith('site:') ? siteLibrary[stationSelect.value.slice(5)] || null : null;
+}
 
 /**
- * Antoine equation coefficient A for water vapor pressure
- * Valid for temperature range 1°C to 100°C
+ * Load the selected project site or station at the selected condition
  */
-const ANTOINE_A = 8.07131;
+function applyLocation() {
+    if (getSelectedSite()) {
+        applySiteCondition();
+    } else {
+        applyClimateStation();
+    }
+}
 
 /**
- * Antoine equation coefficient B for water vapor pressure
- * Valid for temperature range 1°C to 100°C
+ * Load the selected station at the selected design condition into the calculator inputs
  */
-const ANTOINE_B = 1730.63;
+function applyClimateStation() {
+    const station = climateStations[stationSelect.value];
+    if (stationSelect.value === '' || !station) {
+        return;
+    }
+
+    const design = getClimateDesignInputs(station, designConditionSelect.value);
+    inputTypeSelect.value = design.inputType;
+    updateInputLabels();
+
+    // Design conditions are given with the station elevation
+    pressureModeSelect.value = 'altitude';
+    updatePressureMode();
+
+    const inputs = INPUT_TYPES[design.inputType];
+    value1Input.value = formatQuantity(inputs[0].quantity, design.value1, currentUnitSystem);
+    value2Input.value = formatQuantity(inputs[1].quantity, design.value2, currentUnitSystem);
+    altitudeInput.value = formatQuantity('altitude', design.altitude, currentUnitSystem);
+    stationInfo.textContent = `${station.name}: ${design.label}, elevation ${altitudeInput.value} ${unitLabel('altitude', currentUnitSystem)} (source: ${station.source})`;
+
+    calculateBtn.click();
+}
+
+// Site Library Functions
+function initializeSiteLibrary() {
+    siteLibrary = loadSiteLibrary();
+    siteSaveBtn.addEventListener('click', saveCurrentSiteCondition);
+    siteDeleteConditionBtn.addEventListener('click', () => deleteSelectedSite(true));
+    siteDeleteBtn.addEventListener('click', () => deleteSelectedSite(false));
+    siteExportBtn.addEventListener('click', () => {
+        const blob = new Blob([serializeSiteLibrary(siteLibrary)], { type: 'application/json;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.setAttribute('href', url);
+        link.setAttribute('download', `psychrometric_sites_${new Date().toISOString().slice(0, 10)}.json`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    });
+    siteImportInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                try {
+                    const { sites, added, replaced } = mergeSiteLibraries(siteLibrary, parseSiteLibrary(event.target.result));
+                    setSiteLibrary(sites, `Imported ${added} new and ${replaced} updated site${added + replaced === 1 ? '' : 's'}.`);
+                } catch (error) {
+                    siteLibraryStatus.textContent = `Invalid site library: ${error.message}`;
+                }
+                siteImportInput.value = '';
+            };
+            reader.readAsText(e.target.files[0]);
+        }
+    });
+
+    updateStationOptions();
+}
+
+/**
+ * Use and store an updated site library
+ * @param {Array<Object>} sites - Sites
+ * @param {string} message - Status message
+ */
+function setSiteLibrary(sites, message) {
+    siteLibrary = sites;
+    const stored = saveSiteLibrary(siteLibrary);
+    siteLibraryStatus.textContent = stored ? message : `${message} Browser storage is unavailable, so export the sites to keep them.`;
+    updateStationOptions();
+}
+
+/**
+ * Save the current calculator inputs as a named condition of a project site
+ */
+function saveCurrentSiteCondition() {
+    const name = siteNameInput.value.trim();
+    const conditionName = siteConditionNameInput.value.trim();
+    if (name === '' || conditionName === '') {
+        siteLibraryStatus.textContent = 'Enter a site name and a condition name.';
+        return;
+    }
+
+    const inputType = inputTypeSelect.value;
+    const inputs = INPUT_TYPES[inputType];
+    try {
+        const sites = saveSiteCondition(siteLibrary, { name, ...readSiteInputs() }, {
+            name: conditionName,
+            inputType,
+            value1: convertToSI(inputs[0].quantity, parseFloat(value1Input.value), currentUnitSystem),
+            value2: convertToSI(inputs[1].quantity, parseFloat(value2Input.value), currentUnitSystem)
+        });
+        setSiteLibrary(sites, `Saved ${conditionName} to ${name}.`);
+
+        const site = siteLibrary.find(item => item.name.toLowerCase() === name.toLowerCase());
+        stationSelect.value = `site:${siteLibrary.indexOf(site)}`;
+        updateConditionOptions();
+        designConditionSelect.value = String(site.conditions.findIndex(condition => condition.name.toLowerCase() === conditionName.toLowerCase()));
+    } catch (error) {
+        siteLibraryStatus.textContent = `Could not save: ${error.message}`;
+    }
+}
+
+/**
+ * Delete the project site selected in the picker, or only its selected condition
+ * @param {boolean} conditionOnly - Whether to delete only the selected condition
+ */
+function deleteSelectedSite(conditionOnly) {
+    const site = getSelectedSite();
+    if (!site) {
+        siteLibraryStatus.textContent = 'Select one of your sites in the picker first.';
+        return;
+    }
+
+    const condition = site.conditions[designConditionSelect.value];
+    if (conditionOnly && !condition) {
+        siteLibraryStatus.textContent = `${site.name} has no conditions.`;
+        return;
+    }
+    const message = conditionOnly ? `Deleted ${condition.name} from ${site.name}.` : `Deleted ${site.name}.`;
+    if (!confirm(conditionOnly ? `Delete ${condition.name} from ${site.name}?` : `Delete ${site.name} and all its conditions?`)) {
+        return;
+    }
+    setSiteLibrary(deleteSiteCondition(siteLibrary, site.name, conditionOnly ? condition.name : undefined), message);
+}
+
+/**
+ * Load the selected project site at the selected condition into the calculator inputs
+ */
+function applySiteCondition() {
+    const site = getSelectedSite();
+    const condition = site && site.conditions[designConditionSelect.value];
+    siteNameInput.value = site ? site.name : '';
+    siteConditionNameInput.value = condition ? condition.name : '';
+    if (!condition) {
+        stationInfo.textContent = site ? `${site.name} has no saved conditions.` : '';
+        return;
+    }
+
+    // Hand-edited files may give the input pair in either order
+    const [first, second] = parseInputType(condition.inputType);
+    const swapped = !INPUT_TYPES[`${first}_${second}`];
+    const inputType = swapped ? `${second}_${first}` : `${first}_${second}`;
+    const [value1, value2] = swapped ? [condition.value2, condition.value1] : [condition.value1, condition.value2];
+    inputTypeSelect.value = inputType;
+    updateInputLabels();
+
+    pressureModeSelect.value = site.pressure !== undefined ? 'pressure' : 'altitude';
+    updatePressureMode();
+    let location;
+    if (site.pressure !== undefined) {
+        pressureUnitSelect.value = currentUnitSystem === 'IP' ? 'inHg' : 'kPa';
+        pressureInput.value = formatQuantity('pressure', site.pressure, currentUnitSystem);
+        location = `pressure ${pressureInput.value} ${pressureUnitSelect.value}`;
+    } else {
+        altitudeInput.value = formatQuantity('altitude', site.altitude, currentUnitSystem);
+        localTemperatureInput.value = site.localTemperature !== undefined ? formatQuantity('temperature', site.localTemperature, currentUnitSystem) : '';
+        location = `altitude ${altitudeInput.value} ${unitLabel('altitude', currentUnitSystem)}`;
+    }
+
+    const inputs = INPUT_TYPES[inputType];
+    value1Input.value = formatQuantity(inputs[0].quantity, value1, currentUnitSystem);
+    value2Input.value = formatQuantity(inputs[1].quantity, value2, currentUnitSystem);
+    stationInfo.textContent = `${site.name}: ${condition.name}, ${location}`;
+
+    calculateBtn.click();
+}
+
+// Air-Conditioning Process Functions
+function initializeProcesses() {
+    processTypeSelect.addEventListener('change', updateProcessInputs);
+    processOutdoorTypeSelect.addEventListener('change', updateProcessInputs);
+    processCalculateBtn.addEventListener('click', calculateProcess);
+
+    updateProcessInputs();
+}
+
+/**
+ * Show the inputs of the selected process and label them in the current units
+ */
+function updateProcessInputs() {
+    const processType = processTypeSelect.value;
+    ['sensible', 'coolingCoil', 'mixing', 'directEvaporative', 'indirectEvaporative', 'twoStageEvaporative', 'steamHumidifier', 'adiabaticHumidifier'].forEach(type => {
+        document.getElementById(`process-${type}-inputs`).style.display = type === processType ? 'block' : 'none';
+    });
+
+    const temperatureUnit = unitLabel('temperature', currentUnitSystem);
+    document.getElementById('process-leaving-dbt-label').textContent = `Leaving Dry Bulb Temperature (${temperatureUnit}):`;
+    document.getElementById('process-adp-label').textContent = `Apparatus Dew Point (${temperatureUnit}):`;
+    document.getElementById('process-indirect-secondary-wbt-label').textContent = `Secondary Air Wet Bulb (${temperatureUnit}, optional):`;
+    document.getElementById('process-two-stage-secondary-wbt-label').textContent = `Secondary Air Wet Bulb (${temperatureUnit}, optional):`;
+    document.getElementById('process-airflow-label').textContent = `Airflow at Entering Conditions (${unitLabel('airflow', currentUnitSystem)}):`;
+
+    const outdoorInputs = INPUT_TYPES[processOutdoorTypeSelect.value];
+    document.getElementById('process-outdoor-value1-label').textContent = `Outdoor ${outdoorInputs[0].name} (${unitLabel(outdoorInputs[0].quantity, currentUnitSystem)}):`;
+    document.getElementById('process-outdoor-value2-label').textContent = `Outdoor ${outdoorInputs[1].name} (${unitLabel(outdoorInputs[1].quantity, currentUnitSystem)}):`;
+}
+
+/**
+ * Build the selected process from the calculator state and the process inputs
+ * @param {Object} entering - Entering (or return) air state in SI
+ * @returns {Object} Process with the entering and leaving states used for loads
+ */
+function buildProcess(entering) {
+    switch (processTypeSelect.value) {
+        case 'sensible': {
+            const process = sensibleProcess(entering, convertToSI('temperature', parseFloat(processLeavingDbtInput.value), currentUnitSystem));
+            return { ...process, loadStates: process.states };
+        }
+
+        case 'coolingCoil': {
+            const process = coolingCoilProcess(
+                entering,
+                convertToSI('temperature', parseFloat(processAdpInput.value), currentUnitSystem),
+                parseFloat(processBypassFactorInput.value)
+            );
+            return { ...process, loadStates: process.states };
+        }
+
+        case 'mixing': {
+            const outdoorType = processOutdoorTypeSelect.value;
+            const outdoorInputs = INPUT_TYPES[outdoorType];
+            const outdoor = calculatePsychrometricState(
+                outdoorType,
+                convertToSI(outdoorInputs[0].quantity, parseFloat(processOutdoorValue1Input.value), currentUnitSystem),
+                convertToSI(outdoorInputs[1].quantity, parseFloat(processOutdoorValue2Input.value), currentUnitSystem),
+                entering.pressure
+            );
+            const outdoorFraction = parseFloat(processOutdoorFractionInput.value) / 100;
+            const process = mixingProcess([
+                { state: entering, massFraction: 1 - outdoorFraction },
+                { state: outdoor, massFraction: outdoorFraction }
+            ]);
+            return { ...process, loadStates: [entering, process.mixed] };
+        }
+
+        case 'directEvaporative': {
+            const process = directEvaporativeProcess(entering, parseFloat(processDirectEffectivenessInput.value));
+            return { ...process, loadStates: process.states };
+        }
+
+        case 'indirectEvaporative': {
+            const process = indirectEvaporativeProcess(
+                entering,
+                parseFloat(processIndirectEffectivenessInput.value),
+                readSecondaryWbt(processIndirectSecondaryWbtInput, entering)
+            );
+            return { ...process, loadStates: process.states };
+        }
+
+        case 'twoStageEvaporative': {
+            const process = twoStageEvaporativeProcess(
+                entering,
+                parseFloat(processTwoStageIndirectEffectivenessInput.value),
+                parseFloat(processTwoStageDirectEffectivenessInput.value),
+                readSecondaryWbt(processTwoStageSecondaryWbtInput, entering)
+            );
+            return { ...process, loadStates: [process.states[0], process.states[2]] };
+        }
+
+        case 'steamHumidifier': {
+            const process = steamHumidifierProcess(entering, parseFloat(processSteamRhInput.value));
+            return { ...process, loadStates: process.states };
+        }
+
+        case 'adiabaticHumidifier': {
+            const process = adiabaticHumidifierProcess(entering, parseFloat(processAdiabaticRhInput.value));
+            return { ...process, loadStates: process.states };
+        }
+
+        default:
+            throw new Error(`Unsupported process: ${processTypeSelect.value}`);
+    }
+}
+
+/**
+ * Read an optional secondary air wet bulb input in SI
+ * @param {HTMLInputElement} input - Secondary wet bulb input
+ * @param {Object} entering - Entering air state, whose wet bulb is the default
+ * @returns {number} Secondary air wet bulb temperature in Celsius
+ */
+function readSecondaryWbt(input, entering) {
+    return input.value.trim() === ''
+        ? entering.wbt
+        : convertToSI('temperature', parseFloat(input.value), currentUnitSystem);
+}
+
+/**
+ * Calculate the selected process, show its states and loads, and draw it on the chart
+ */
+function calculateProcess() {
+    const airflow = convertToSI('airflow', parseFloat(processAirflowInput.value), currentUnitSystem);
+    const processError = document.getElementById('process-error');
+
+    try {
+        if (!currentState) {
+            throw new Error('Calculate the input conditions first.');
+        }
+        if (isNaN(airflow) || airflow <= 0) {
+            throw new Error('Airflow must be greater than zero.');
+        }
+
+        currentProcess = buildProcess(currentState);
+        const [entering, leaving] = currentProcess.loadStates;
+        displayProcess(currentProcess, calculateProcessLoads(entering, leaving, airflow));
+
+        if (processError) {
+            processError.style.display = 'none';
+        }
+    } catch (error) {
+        currentProcess = null;
+        processResults.style.display = 'none';
+        showProcessError(error.message);
+    }
+
+    renderChart();
+}
+
+/**
+ * Show the state table and load summary of a process in the current units
+ * @param {Object} process - Process from buildProcess
+ * @param {Object} loads - Loads from calculateProcessLoads
+ */
+function displayProcess(process, loads) {
+    let rows;
+    if (process.type === 'mixing') {
+        rows = [['Return Air', process.states[0]], ['Outdoor Air', process.states[1]], ['Mixed Air', process.mixed]];
+    } else if (process.type === 'twoStageEvaporative') {
+        rows = [['Entering Air', process.states[0]], ['After Indirect Stage', process.states[1]], ['Leaving Air', process.states[2]]];
+    } else {
+        rows = [['Entering Air', process.states[0]], ['Leaving Air', process.states[1]]];
+    }
+    if (process.adp) {
+        rows.push(['Apparatus Dew Point', process.adp]);
+    }
+
+    const columns = [
+        ['Dry Bulb', 'temperature', 'dbt'],
+        ['Wet Bulb', 'temperature', 'wbt'],
+        ['RH', 'relativeHumidity', 'rh'],
+        ['Dew Point', 'temperature', 'dpt'],
+        ['Humidity Ratio', 'humidityRatio', 'humidityRatio'],
+        ['Enthalpy', 'enthalpy', 'enthalpy']
+    ];
+
+    const header = columns.map(([name, quantity]) => `<th>${name} (${unitLabel(quantity, currentUnitSystem)})</th>`).join('');
+    const body = rows.map(([name, state]) => {
+        const cells = columns.map(([, quantity, key]) => `<td>${formatQuantity(quantity, state[key], currentUnitSystem)}</td>`).join('');
+        return `<tr><td>${name}</td>${cells}</tr>`;
+    }).join('');
+
+    processTitle.textContent = process.bypassFactor !== undefined
+        ? `${process.label} (contact factor ${process.contactFactor.toFixed(2)})`
+        : process.label;
+    processTable.innerHTML = `<thead><tr><th>State</th>${header}</tr></thead><tbody>${body}</tbody>`;
+
+    const summary = [
+        ['Sensible Load', formatQuantity('power', loads.sensible, currentUnitSystem), unitLabel('power', currentUnitSystem)],
+        ['Latent Load', formatQuantity('power', loads.latent, currentUnitSystem), unitLabel('power', currentUnitSystem)],
+        ['Total Load', formatQuantity('power', loads.total, currentUnitSystem), unitLabel('power', currentUnitSystem)],
+        ['Sensible Heat Ratio', formatQuantity('ratio', loads.shr, currentUnitSystem), ''],
+        ['Condensate', formatQuantity('massFlow', loads.condensate, currentUnitSystem), unitLabel('massFlow', currentUnitSystem)]
+    ];
+
+    // Evaporative coolers and humidifiers report their water use instead of
+    // condensate and SHR, which is meaningless at a near-zero total load
+    if (process.waterPerKgAir !== undefined) {
+        summary.splice(3, 2);
+        summary.push(
+            [process.type === 'steamHumidifier' ? 'Steam Consumption' : 'Water Consumption', formatQuantity('massFlow', calculateWaterConsumption(process, loads.massFlow), currentUnitSystem), unitLabel('massFlow', currentUnitSystem)],
+            ['Achievable Supply Temperature', formatQuantity('temperature', process.achievableSupplyTemperature, currentUnitSystem), unitLabel('temperature', currentUnitSystem)]
+        );
+    }
+    if (process.type === 'adiabaticHumidifier') {
+        summary.push(['Required Effectiveness', formatQuantity('ratio', process.effectiveness, currentUnitSystem), '']);
+    }
+
+    processLoads.innerHTML = summary.map(([label, value, unit]) => `
+        <div class="summary-item">
+            <span class="summary-label">${label}:</span>
+            <span class="summary-value">${value}${unit ? ` ${unit}` : ''}</span>
+        </div>
+    `).join('');
+
+    processResults.style.display = 'block';
+}
 
-/**
- * Antoine equation coefficient C for water vapor pressure
- * Valid for temperature range 1°C to 100°C
- */
-const ANTOINE_C = 233.426;
+function showProcessError(message) {
+    let errorElement = document.getElementById('process-error');
+    if (!errorElement) {
+        errorElement = document.createElement('div');
+        errorElement.id = 'process-error';
+        errorElement.className = 'error-message';
+        document.querySelector('.process-section').appendChild(errorElement);
+    }
 
-// ============================================================================
-// CALCULATION CONSTANTS
-// ============================================================================
+    errorElement.textContent = message;
+    errorElement.style.display = 'block';
+}
 
-/**
- * Conversion factor from mmHg to kPa
- */
-const MMHG_TO_KPA = 0.133322;
+// Airflow Load Functions
+function initializeLoads() {
+    [loadLeavingTypeSelect, loadAirflowTypeSelect, loadConventionSelect].forEach(select => {
+        select.addEventListener('change', updateLoadInputs);
+    });
+    loadCalculateBtn.addEventListener('click', calculateLoads);
 
-/**
- * Molecular weight ratio of water to dry air
- * Used in humidity ratio calculations
- */
-const MW_RATIO = 0.621945;
+    updateLoadInputs();
+}
 
 /**
- * Standard atmospheric pressure at sea level (kPa)
+ * Quantity of the airflow input for the selected airflow type
+ * @returns {string} 'airflow' for volumetric airflow or 'massFlow'
  */
-const STANDARD_PRESSURE = 101.325;
+function loadAirflowQuantity() {
+    return loadAirflowTypeSelect.value === 'mass' ? 'massFlow' : 'airflow';
+}
 
 /**
- * Temperature lapse rate in troposphere (K/m)
+ * Label the load inputs in the current units and show only the ones that apply
  */
-const LAPSE_RATE = 0.0065;
+function updateLoadInputs() {
+    const leavingInputs = INPUT_TYPES[loadLeavingTypeSelect.value];
+    document.getElementById('load-leaving-value1-label').textContent = `Leaving ${leavingInputs[0].name} (${unitLabel(leavingInputs[0].quantity, currentUnitSystem)}):`;
+    document.getElementById('load-leaving-value2-label').textContent = `Leaving ${leavingInputs[1].name} (${unitLabel(leavingInputs[1].quantity, currentUnitSystem)}):`;
 
-/**
- * Standard temperature at sea level (K)
- */
-const STANDARD_TEMP_K = 288.15;
+    const airflowName = loadAirflowTypeSelect.value === 'mass' ? 'Dry-Air Mass Flow' : 'Volumetric Airflow';
+    document.getElementById('load-airflow-label').textContent = `${airflowName} (${unitLabel(loadAirflowQuantity(), currentUnitSystem)}):`;
 
-/**
- * Pressure exponent for altitude correction
- * Standard atmospheric value
- */
-const PRESSURE_EXPONENT = 5.255;
+    // The measuring point only sets the specific volume of an actual volumetric airflow
+    const usesSpecificVolume = loadAirflowTypeSelect.value === 'volumetric' && loadConventionSelect.value === 'actual';
+    document.getElementById('load-airflow-at-group').style.display = usesSpecificVolume ? 'block' : 'none';
+}
 
 /**
- * Specific heat of water vapor (kJ/(kg·K))
- * Used in enthalpy calculations
+ * Calculate the loads between the calculator state and the leaving state and show them
  */
-const CP_VAPOR = 1.86;
+function calculateLoads() {
+    const loadError = document.getElementById('load-error');
 
-/**
- * Conversion factor for specific volume calculations (J to kJ)
- */
-const JOULE_TO_KILOJOULE = 0.001;
+    try {
+        if (!currentState) {
+            throw new Error('Calculate the input conditions first.');
+        }
 
-/**
- * Calculate saturated vapor pressure at given temperature using Antoine equation
- * 
- * Antoine equation: log₁₀(P) = A - B/(C + T)
- * Valid for temperature range 1°C to 100°C
- * 
- * @param {number} temp - Temperature in Celsius
- * @returns {number} Saturated vapor pressure in kPa
- */
-function saturatedVaporPressure(temp) {
-    // Calculate vapor pressure in mmHg using Antoine equation
-    const logP = ANTOINE_A - (ANTOINE_B / (ANTOINE_C + temp));
-    const p_mmHg = Math.pow(10, logP);
-    
-    // Convert mmHg to kPa
-    return p_mmHg * MMHG_TO_KPA;
+        const leavingType = loadLeavingTypeSelect.value;
+        const leavingInputs = INPUT_TYPES[leavingType];
+        const leaving = calculatePsychrometricState(
+            leavingType,
+            convertToSI(leavingInputs[0].quantity, parseFloat(loadLeavingValue1Input.value), currentUnitSystem),
+            convertToSI(leavingInputs[1].quantity, parseFloat(loadLeavingValue2Input.value), currentUnitSystem),
+            currentState.pressure
+        );
+
+        // Mass flow is entered per hour and used per second
+        const flow = convertToSI(loadAirflowQuantity(), parseFloat(loadAirflowInput.value), currentUnitSystem);
+        const airflow = loadAirflowTypeSelect.value === 'mass' ? { mass: flow / 3600 } : { volumetric: flow };
+
+        currentLoads = calculateAirflowLoads(currentState, leaving, airflow, {
+            convention: loadConventionSelect.value,
+            airflowAt: loadAirflowAtSelect.value
+        });
+        displayLoads(currentLoads);
+
+        if (loadError) {
+            loadError.style.display = 'none';
+        }
+    } catch (error) {
+        currentLoads = null;
+        loadResults.style.display = 'none';
+        showLoadError(error.message);
+    }
 }
 
 /**
- * Calculate atmospheric pressure at given altitude using hypsometric equation
- * 
- * Based on standard atmosphere model:
- * P = P₀ × (1 - L×h/T₀)^(g×M/(R×L))
- * Simplified for standard atmosphere conditions
- * 
- * @param {number} altitude - Altitude in meters
- * @returns {number} Atmospheric pressure in kPa
+ * Show airflow loads in the current units
+ * @param {Object} loads - Result of calculateAirflowLoads
  */
-function barometricPressure(altitude) {
-    // Standard atmosphere hypsometric equation
-    return STANDARD_PRESSURE * Math.pow(1 - (LAPSE_RATE * altitude) / STANDARD_TEMP_K, PRESSURE_EXPONENT);
-}
+function displayLoads(loads) {
+    const powerUnit = unitLabel('power', currentUnitSystem);
+    const tons = value => `${value.toFixed(2)} tons`;
+    const summary = [
+        ['Dry-Air Mass Flow', `${formatQuantity('massFlow', loads.massFlow * 3600, currentUnitSystem)} ${unitLabel('massFlow', currentUnitSystem)}`],
+        ['Volumetric Airflow', `${formatQuantity('airflow', loads.volumetricFlow, currentUnitSystem)} ${unitLabel('airflow', currentUnitSystem)}`],
+        ['Sensible Load', `${formatQuantity('power', loads.sensible, currentUnitSystem)} ${powerUnit} (${tons(loads.sensibleTons)})`],
+        ['Latent Load', `${formatQuantity('power', loads.latent, currentUnitSystem)} ${powerUnit} (${tons(loads.latentTons)})`],
+        ['Total Load', `${formatQuantity('power', loads.total, currentUnitSystem)} ${powerUnit} (${tons(loads.totalTons)})`],
+        ['Moisture Removal', `${formatQuantity('massFlow', loads.moistureRemoval, currentUnitSystem)} ${unitLabel('massFlow', currentUnitSystem)}`],
+        ['Sensible Heat Ratio', formatQuantity('ratio', loads.shr, currentUnitSystem)]
+    ];
+
+    loadSummary.innerHTML = summary.map(([label, value]) => `
+        <div class="summary-item">
+            <span class="summary-label">${label}:</span>
+            <span class="summary-value">${value}</span>
+        </div>
+    `).join('');
+    loadConventionNote.textContent = `${loads.conventionDescription}. Negative loads are heat removed from the air.`;
 
-/**
- * Calculate humidity ratio from dry bulb and wet bulb temperatures
- * 
- * Uses the psychrometric relationship between dry bulb, wet bulb, and humidity ratio.
- * Based on the approximation from ASHRAE Handbook.
- * 
- * @param {number} dbt - Dry bulb temperature in Celsius
- * @param {number} wbt - Wet bulb temperature in Celsius
- * @param {number} pressure - Atmospheric pressure in kPa
- * @returns {number} Humidity ratio in kg_water/kg_dry_air
- */
-function calculateHumidityRatio(dbt, wbt, pressure) {
-    // Calculate saturated humidity ratio at wet bulb temperature
-    const p_ws_wbt = saturatedVaporPressure(wbt);
-    const w_ws_wbt = (MW_RATIO * p_ws_wbt) / (pressure - p_ws_wbt);
-    
-    // Psychrometric approximation formula (ASHRAE Handbook)
-    // W = [(1093 - 0.556 × WBT) × W_wbt - 0.240 × (DBT - WBT)] / [1093 + 0.444 × DBT - WBT]
-    const numerator = ((1093 - 0.556 * wbt) * w_ws_wbt - 0.240 * (dbt - wbt));
-    const denominator = (1093 + 0.444 * dbt - wbt);
-    
-    return numerator / denominator;
+    loadResults.style.display = 'block';
 }
 
-/**
- * Calculate relative humidity from dry bulb temperature and humidity ratio
- * 
- * RH = (P_w / P_ws) × 100%
- * where P_w is partial pressure of water vapor and P_ws is saturation pressure
- * 
- * @param {number} dbt - Dry bulb temperature in Celsius
- * @param {number} humidityRatio - Humidity ratio in kg_water/kg_dry_air
- * @param {number} pressure - Atmospheric pressure in kPa
- * @returns {number} Relative humidity in percent (0-100)
- */
-function calculateRelativeHumidity(dbt, humidityRatio, pressure) {
-    const p_ws = saturatedVaporPressure(dbt); // Saturation pressure at DBT
-    const p_w = (humidityRatio * pressure) / (MW_RATIO + humidityRatio); // Partial pressure of water vapor
-    
-    // Calculate relative humidity and constrain to physical limits
-    return Math.min(100, Math.max(0, (p_w / p_ws) * 100));
-}
+function showLoadError(message) {
+    let errorElement = document.getElementById('load-error');
+    if (!errorElement) {
+        errorElement = document.createElement('div');
+        errorElement.id = 'load-error';
+        errorElement.className = 'error-message';
+        document.querySelector('.load-section').appendChild(errorElement);
+    }
 
-/**
- * Calculate dew point temperature from humidity ratio
- * @param {number} humidityRatio - Humidity ratio in kg/kg
- * @param {number} pressure - Atmospheric pressure in kPa
- * @returns {number} Dew point temperature in Celsius
- */
-function calculateDewPoint(humidityRatio, pressure) {
-    // Calculate partial pressure of water vapor
-    const p_w = (humidityRatio * pressure) / (0.621945 + humidityRatio);
-    
-    // Calculate dew point using inverse of saturation vapor pressure equation
-    // From Antoine equation: T = B/(A-log10(P)) - C
-    const logP = Math.log10(p_w / 0.133322); // Convert kPa to mmHg
-    return ANTOINE_B / (ANTOINE_A - logP) - ANTOINE_C;
+    errorElement.textContent = message;
+    errorElement.style.display = 'block';
 }
 
-/**
- * Calculate specific enthalpy of moist air
- * 
- * h = c_pa × T + W × (h_fg + c_pv × T)
- * where c_pa is specific heat of dry air, c_pv is specific heat of water vapor
- * 
- * @param {number} dbt - Dry bulb temperature in Celsius
- * @param {number} humidityRatio - Humidity ratio in kg_water/kg_dry_air
- * @returns {number} Enthalpy in kJ/kg_dry_air
- */
-function calculateEnthalpy(dbt, humidityRatio) {
-    // Enthalpy equation: h = c_pa × T + W × (h_fg/1000 + c_pv × T)
-    // HVAP is in J/kg, need to convert to kJ/kg
-    const hvap_kj = HVAP * JOULE_TO_KILOJOULE;
-    
-    return (CP_AIR * JOULE_TO_KILOJOULE) * dbt + humidityRatio * (hvap_kj + CP_VAPOR * dbt);
+// Cooling Tower Functions
+function initializeTower() {
+    towerCalculateBtn.addEventListener('click', calculateTower);
+
+    updateTowerInputs();
 }
 
 /**
- * Calculate specific volume of moist air
- * @param {number} dbt - Dry bulb temperature in Celsius
- * @param {number} humidityRatio - Humidity ratio in kg/kg
- * @param {number} pressure - Atmospheric pressure in kPa
- * @returns {number} Specific volume in m³/kg
+ * Label the cooling tower inputs in the current units
  */
-function calculateSpecificVolume(dbt, humidityRatio, pressure) {
-    // v = R_air * T / p_a = R_air * T / (p - p_w)
-    const tempK = dbt + 273.15; // Convert to Kelvin
-    const p_w = (humidityRatio * pressure) / (0.621945 + humidityRatio); // Vapor pressure
-    const p_dry = pressure - p_w; // Dry air pressure
-    
-    return (R_AIR * tempK) / (p_dry * 1000); // Convert kPa to Pa
+function updateTowerInputs() {
+    const temperatureUnit = unitLabel('temperature', currentUnitSystem);
+    document.getElementById('tower-hot-water-label').textContent = `Hot Water Temperature (${temperatureUnit}):`;
+    document.getElementById('tower-cold-water-label').textContent = `Cold Water Temperature (${temperatureUnit}):`;
+    document.getElementById('tower-water-flow-label').textContent = `Water Flow (${unitLabel('waterFlow', currentUnitSystem)}):`;
+    document.getElementById('tower-off-design-wbt-label').textContent = `Off-Design Wet Bulb (${temperatureUnit}, optional):`;
 }
 
 /**
- * Calculate wet bulb temperature from dry bulb temperature and relative humidity
- * @param {number} dbt - Dry bulb temperature in Celsius
- * @param {number} rh - Relative humidity in percent
- * @param {number} pressure - Atmospheric pressure in kPa
- * @returns {number} Wet bulb temperature in Celsius
+ * Calculate the cooling tower at the calculator state, and at the off-design
+ * wet bulb if one is given, and show the results
  */
-function calculateWetBulbFromDBTRH(dbt, rh, pressure) {
-    // This is an iterative calculation
-    // Start with an initial guess for WBT
-    let wbt = dbt; // Start with DBT as initial guess
-    const tolerance = 0.01;
-    const maxIterations = 50;
-    
-    // Get humidity ratio from DBT and RH
-    const hr_from_rh = calculateHumidityRatioFromDBTRH(dbt, rh, pressure);
-    
-    for (let i = 0; i < maxIterations; i++) {
-        const hr_from_wbt = calculateHumidityRatio(dbt, wbt, pressure);
-        const difference = hr_from_rh - hr_from_wbt;
-        
-        if (Math.abs(difference) < tolerance) {
-            break;
+function calculateTower() {
+    const towerError = document.getElementById('tower-error');
+    const toSI = (quantity, input) => convertToSI(quantity, parseFloat(input.value), currentUnitSystem);
+
+    try {
+        if (!currentState) {
+            throw new Error('Calculate the input conditions first.');
         }
-        
-        // Adjust WBT based on the difference
-        wbt += difference * 10; // Adjust the factor as needed
-        
-        // Constrain WBT to be less than or equal to DBT
-        if (wbt > dbt) {
-            wbt = dbt;
-        } else if (wbt < -50) {
-            wbt = -50; // Lower bound
+
+        const design = {
+            wbt: currentState.wbt,
+            dbt: currentState.dbt,
+            hotWater: toSI('temperature', towerHotWaterInput),
+            coldWater: toSI('temperature', towerColdWaterInput),
+            waterFlow: toSI('waterFlow', towerWaterFlowInput),
+            lg: parseFloat(towerLgInput.value),
+            cycles: parseFloat(towerCyclesInput.value),
+            pressure: currentState.pressure
+        };
+        const offDesignWbt = towerOffDesignWbtInput.value.trim() === '' ? null : toSI('temperature', towerOffDesignWbtInput);
+
+        currentTower = {
+            design: calculateCoolingTower(design),
+            offDesign: offDesignWbt !== null ? calculateCoolingTowerOffDesign(design, offDesignWbt) : null,
+            offDesignWbt
+        };
+        displayTower(currentTower);
+
+        if (towerError) {
+            towerError.style.display = 'none';
         }
+    } catch (error) {
+        currentTower = null;
+        towerResults.style.display = 'none';
+        showTowerError(error.message);
     }
-    
-    return wbt;
 }
 
 /**
- * Calculate humidity ratio from dry bulb temperature and relative humidity
- * 
- * W = MW_ratio × (RH/100) × P_ws / (P - (RH/100) × P_ws)
- * 
- * @param {number} dbt - Dry bulb temperature in Celsius
- * @param {number} rh - Relative humidity in percent (0-100)
- * @param {number} pressure - Atmospheric pressure in kPa
- * @returns {number} Humidity ratio in kg_water/kg_dry_air
+ * Build the summary items of a cooling tower result
+ * @param {Array<Array>} items - [label, value] pairs
+ * @returns {string} Summary markup
  */
-function calculateHumidityRatioFromDBTRH(dbt, rh, pressure) {
-    const p_ws = saturatedVaporPressure(dbt); // Saturation pressure at DBT
-    const p_w = (rh / 100) * p_ws; // Partial pressure of water vapor
-    return (MW_RATIO * p_w) / (pressure - p_w);
+function towerSummaryMarkup(items) {
+    return items.map(([label, value]) => `
+        <div class="summary-item">
+            <span class="summary-label">${label}:</span>
+            <span class="summary-value">${value}</span>
+        </div>
+    `).join('');
 }
 
 /**
- * Calculate wet bulb temperature from dry bulb temperature and dew point
- * @param {number} dbt - Dry bulb temperature in Celsius
- * @param {number} dpt - Dew point temperature in Celsius
- * @param {number} pressure - Atmospheric pressure in kPa
- * @returns {number} Wet bulb temperature in Celsius
+ * Show cooling tower results in the current units
+ * @param {Object} tower - Design and optional off-design results
  */
-function calculateWetBulbFromDBTDewPoint(dbt, dpt, pressure) {
-    // Get humidity ratio from dew point
-    const hr_from_dpt = calculateHumidityRatioFromDewPoint(dpt, pressure);
-    
-    // Now solve for WBT using the humidity ratio equation backwards
-    // This requires an iterative approach
-    let wbt = (dbt + dpt) / 2; // Initial guess
-    const tolerance = 0.01;
-    const maxIterations = 50;
-    
-    for (let i = 0; i < maxIterations; i++) {
-        const estimated_hr = calculateHumidityRatio(dbt, wbt, pressure);
-        const difference = hr_from_dpt - estimated_hr;
-        
-        if (Math.abs(difference) < tolerance) {
-            break;
-        }
-        
-        // Adjust WBT based on the difference
-        wbt -= difference * 5; // Adjust the factor as needed
-        
-        // Constrain WBT to be between DPT and DBT
-        if (wbt > dbt) {
-            wbt = dbt;
-        } else if (wbt < dpt) {
-            wbt = dpt;
-        }
+function displayTower({ design, offDesign, offDesignWbt }) {
+    const temperature = value => formatResultValue(formatQuantity('temperature', value, currentUnitSystem), 'temperature');
+    const difference = value => formatResultValue(formatQuantity('temperatureDifference', value, currentUnitSystem), 'temperatureDifference');
+    const waterFlow = value => formatResultValue(formatQuantity('waterFlow', value, currentUnitSystem), 'waterFlow');
+
+    towerSummary.innerHTML = towerSummaryMarkup([
+        ['Range', difference(design.range)],
+        ['Approach', difference(design.approach)],
+        ['L/G', design.lg.toFixed(2)],
+        ['Merkel Number (KaV/L)', design.merkelNumber.toFixed(3)],
+        ['Heat Rejected', formatResultValue(formatQuantity('power', design.heatRejected, currentUnitSystem), 'power')],
+        ['Dry-Air Mass Flow', formatResultValue(formatQuantity('massFlow', design.airFlow * 3600, currentUnitSystem), 'massFlow')],
+        ['Leaving Air Temperature', temperature(design.leavingAirTemperature)],
+        ['Evaporation', waterFlow(design.evaporation)],
+        ['Drift', waterFlow(design.drift)],
+        ['Blowdown', waterFlow(design.blowdown)],
+        ['Make-up Water', waterFlow(design.makeup)]
+    ]);
+
+    if (offDesign) {
+        towerOffDesignTitle.textContent = `Off-Design Performance at ${temperature(offDesignWbt)} Wet Bulb`;
+        towerOffDesignSummary.innerHTML = towerSummaryMarkup([
+            ['Cold Water Temperature', temperature(offDesign.coldWater)],
+            ['Hot Water Temperature', temperature(offDesign.hotWater)],
+            ['Approach', difference(offDesign.approach)],
+            ['Evaporation', waterFlow(offDesign.evaporation)],
+            ['Make-up Water', waterFlow(offDesign.makeup)]
+        ]);
     }
-    
-    return wbt;
+    towerOffDesign.style.display = offDesign ? 'block' : 'none';
+
+    towerResults.style.display = 'block';
 }
 
-/**
- * Calculate humidity ratio from dew point temperature
- * @param {number} dpt - Dew point temperature in Celsius
- * @param {number} pressure - Atmospheric pressure in kPa
- * @returns {number} Humidity ratio in kg/kg
- */
-function calculateHumidityRatioFromDewPoint(dpt, pressure) {
-    const p_w = saturatedVaporPressure(dpt); // Vapor pressure at dew point
-    return (0.621945 * p_w) / (pressure - p_w);
+function showTowerError(message) {
+    let errorElement = document.getElementById('tower-error');
+    if (!errorElement) {
+        errorElement = document.createElement('div');
+        errorElement.id = 'tower-error';
+        errorElement.className = 'error-message';
+        document.querySelector('.tower-section').appendChild(errorElement);
+    }
+
+    errorElement.textContent = message;
+    errorElement.style.display = 'block';
+}
+
+// Condensation and Insulation Functions
+function initializeInsulation() {
+    insulationTypeSelect.addEventListener('change', updateInsulationInputs);
+    insulationCalculateBtn.addEventListener('click', calculateSurfaceCondensation);
+    insulationSampleBtn.addEventListener('click', () => {
+        csvProcessor.downloadCSV(generateSampleLineListCSV(), 'sample_insulation_line_list.csv');
+    });
+    insulationLineListInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            processLineListFile(e.target.files[0]);
+        }
+    });
+
+    updateInsulationInputs();
 }
 
 /**
- * Calculate relative humidity from dry bulb temperature and dew point
- * @param {number} dbt - Dry bulb temperature in Celsius
- * @param {number} dpt - Dew point temperature in Celsius
- * @returns {number} Relative humidity in percent
+ * Show the dimension inputs of the selected line type and label the
+ * insulation inputs in the current units
  */
-function calculateRelativeHumidityFromDewPoint(dbt, dpt) {
-    const p_ws = saturatedVaporPressure(dbt); // Saturation pressure at DBT
-    const p_w = saturatedVaporPressure(dpt);   // Vapor pressure at DPT
-    return Math.min(100, Math.max(0, (p_w / p_ws) * 100)); // Limit to 0-100%
+function updateInsulationInputs() {
+    const rectangular = insulationTypeSelect.value === 'rectangularDuct';
+    document.getElementById('insulation-diameter-group').style.display = rectangular ? 'none' : 'block';
+    document.getElementById('insulation-width-group').style.display = rectangular ? 'block' : 'none';
+    document.getElementById('insulation-height-group').style.display = rectangular ? 'block' : 'none';
+
+    const lengthUnit = unitLabel('length', currentUnitSystem);
+    document.getElementById('insulation-diameter-label').textContent = `Outside Diameter (${lengthUnit}):`;
+    document.getElementById('insulation-width-label').textContent = `Duct Width (${lengthUnit}):`;
+    document.getElementById('insulation-height-label').textContent = `Duct Height (${lengthUnit}):`;
+    document.getElementById('insulation-fluid-temperature-label').textContent = `Fluid Temperature (${unitLabel('temperature', currentUnitSystem)}):`;
+    document.getElementById('insulation-conductivity-label').textContent = `Insulation Conductivity (${unitLabel('conductivity', currentUnitSystem)}):`;
+    document.getElementById('insulation-surface-coefficient-label').textContent = `Surface Heat Transfer Coefficient (${unitLabel('heatTransferCoefficient', currentUnitSystem)}):`;
+    document.getElementById('insulation-safety-margin-label').textContent = `Safety Margin Above Dew Point (${unitLabel('temperatureDifference', currentUnitSystem)}):`;
+    document.getElementById('insulation-thickness-label').textContent = `Installed Insulation Thickness (${lengthUnit}, optional):`;
 }
 
 /**
- * Solve for Dry Bulb Temperature from Wet Bulb Temperature and Relative Humidity
- * Uses Newton-Raphson method to find DBT that satisfies the psychrometric relationship
- * @param {number} wbt - Wet bulb temperature in Celsius
- * @param {number} rh - Relative humidity in percent (0-100)
- * @param {number} pressure - Atmospheric pressure in kPa
- * @returns {number} Dry bulb temperature in Celsius
+ * Calculate the surface temperature and minimum insulation thickness of the
+ * line at the calculator state and show the results
  */
-function solveDBTFromWBTRH(wbt, rh, pressure) {
-    const tolerance = 0.001;
-    const maxIterations = 100;
-    
-    // Initial guess: DBT is typically higher than WBT
-    let dbt = wbt + (100 - rh) / 4; // Better initial approximation
-    
-    // Get target humidity ratio from WBT and RH
-    const targetHR = (0.621945 * (rh/100) * saturatedVaporPressure(wbt)) / (pressure - (rh/100) * saturatedVaporPressure(wbt));
-    
-    for (let i = 0; i < maxIterations; i++) {
-        // Calculate current humidity ratio using current DBT estimate
-        const currentHR = calculateHumidityRatio(dbt, wbt, pressure);
-        
-        // Calculate error
-        const error = currentHR - targetHR;
-        
-        // Check convergence
-        if (Math.abs(error) < tolerance) {
-            break;
+function calculateSurfaceCondensation() {
+    const insulationError = document.getElementById('insulation-error');
+    const toSI = (quantity, input) => convertToSI(quantity, parseFloat(input.value), currentUnitSystem);
+
+    try {
+        if (!currentState) {
+            throw new Error('Calculate the input conditions first.');
         }
-        
-        // Calculate derivative numerically
-        const delta = 0.001;
-        const dbtPlus = dbt + delta;
-        const hrPlus = calculateHumidityRatio(dbtPlus, wbt, pressure);
-        const derivative = (hrPlus - currentHR) / delta;
-        
-        // Newton-Raphson update
-        if (Math.abs(derivative) > 1e-10) {
-            dbt = dbt - error / derivative;
+
+        const type = insulationTypeSelect.value;
+        const line = {
+            type,
+            fluidTemperature: toSI('temperature', insulationFluidTemperatureInput),
+            conductivity: toSI('conductivity', insulationConductivityInput),
+            surfaceCoefficient: toSI('heatTransferCoefficient', insulationSurfaceCoefficientInput),
+            safetyMargin: toSI('temperatureDifference', insulationSafetyMarginInput),
+            thickness: insulationThicknessInput.value.trim() === '' ? undefined : toSI('length', insulationThicknessInput)
+        };
+        if (type === 'rectangularDuct') {
+            line.width = toSI('length', insulationWidthInput);
+            line.height = toSI('length', insulationHeightInput);
         } else {
-            // Fallback to simple bisection if derivative is too small
-            dbt = (dbt + wbt) / 2;
+            line.diameter = toSI('length', insulationDiameterInput);
         }
-        
-        // Apply constraints
-        if (dbt < wbt - 10) {
-            dbt = wbt - 10;
-        } else if (dbt > wbt + 50) {
-            dbt = wbt + 50;
+
+        currentInsulation = calculateInsulation(currentState, line);
+        displayInsulation(currentInsulation, line.thickness !== undefined);
+
+        if (insulationError) {
+            insulationError.style.display = 'none';
         }
+    } catch (error) {
+        currentInsulation = null;
+        insulationResults.style.display = 'none';
+        showInsulationError(error.message);
     }
-    
-    // Final validation
-    const finalHR = calculateHumidityRatio(dbt, wbt, pressure);
-    const finalError = Math.abs(finalHR - targetHR) / targetHR;
-    
-    // If solution is poor, use fallback approximation
-    if (finalError > 0.05) {
-        dbt = wbt + (100 - rh) / 3; // Conservative fallback
-    }
-    
-    return dbt;
 }
 
 /**
- * Format number to specified decimal places
- * @param {number} num - Number to format
- * @param {number} decimals - Number of decimal places
- * @returns {string} Formatted number string
+ * Show insulation results in the current units
+ * @param {Object} insulation - Results from calculateInsulation
+ * @param {boolean} installed - Whether an installed thickness was checked
  */
-function formatNumber(num, decimals) {
-    return parseFloat(num.toFixed(decimals)).toString();
+function displayInsulation(insulation, installed) {
+    const temperature = value => formatResultValue(formatQuantity('temperature', value, currentUnitSystem), 'temperature');
+    const length = value => formatResultValue(formatQuantity('length', value, currentUnitSystem), 'length');
+    const thicknessLabel = installed ? 'Installed Thickness' : 'Minimum Thickness';
+
+    const items = [
+        ['Dew Point', temperature(insulation.dewPoint)],
+        ['Required Surface Temperature', temperature(insulation.requiredSurfaceTemperature)],
+        ['Minimum Insulation Thickness', length(insulation.minimumThickness)],
+        [`Surface Temperature at ${thicknessLabel}`, temperature(insulation.surfaceTemperature)],
+        [`Heat Gain at ${thicknessLabel}`, formatResultValue(formatQuantity('heatGainPerLength', insulation.heatGain, currentUnitSystem), 'heatGainPerLength')]
+    ];
+    if (installed) {
+        items.push(['Condensation', insulation.condensation ? 'Yes – surface below dew point' : 'No']);
+        items.push(['Installed Thickness Adequate', insulation.adequate ? 'Yes' : 'No']);
+    }
+    insulationSummary.innerHTML = towerSummaryMarkup(items);
+
+    insulationResults.style.display = 'block';
 }
 
 /**
- * Perform all psychrometric calculations based on input type
- * @param {string} inputType - Type of input combination ('dbt_wbt', 'dbt_rh', 'dbt_dpt', etc.)
- * @param {number} value1 - First input value (e.g., DBT)
- * @param {number} value2 - Second input value (e.g., WBT or RH or DPT)
- * @param {number} altitude - Altitude in meters
- * @returns {Object} Object containing all calculated properties
+ * Calculate every line of a line list CSV file and download the results
+ * @param {File} file - Line list CSV file
  */
-function calculatePsychrometricProperties(inputType, value1, value2, altitude) {
-    // Calculate atmospheric pressure based on altitude
-    const pressure = barometricPressure(altitude);
-    
-    let dbt, wbt, rh, dpt, hr;
-    
-    switch(inputType) {
-        case 'dbt_wbt':
-            dbt = value1;
-            wbt = value2;
-            hr = calculateHumidityRatio(dbt, wbt, pressure);
-            rh = calculateRelativeHumidity(dbt, hr, pressure);
-            dpt = calculateDewPoint(hr, pressure);
-            break;
-            
-        case 'dbt_rh':
-            dbt = value1;
-            rh = value2;
-            hr = calculateHumidityRatioFromDBTRH(dbt, rh, pressure);
-            wbt = calculateWetBulbFromDBTRH(dbt, rh, pressure);
-            dpt = calculateDewPoint(hr, pressure);
-            break;
-            
-        case 'dbt_dpt':
-            dbt = value1;
-            dpt = value2;
-            rh = calculateRelativeHumidityFromDewPoint(dbt, dpt);
-            hr = calculateHumidityRatioFromDewPoint(dpt, pressure);
-            wbt = calculateWetBulbFromDBTDewPoint(dbt, dpt, pressure);
-            break;
-            
-        case 'wbt_rh':
-            wbt = value1;
-            rh = value2;
-            // Solve iteratively for DBT using Newton-Raphson method
-            dbt = solveDBTFromWBTRH(wbt, rh, pressure);
-            hr = calculateHumidityRatio(dbt, wbt, pressure);
-            dpt = calculateDewPoint(hr, pressure);
-            break;
-            
-        default:
-            // Default to DBT and WBT
-            dbt = value1;
-            wbt = value2;
-            hr = calculateHumidityRatio(dbt, wbt, pressure);
-            rh = calculateRelativeHumidity(dbt, hr, pressure);
-            dpt = calculateDewPoint(hr, pressure);
-    }
-
-    // Ensure humidity ratio is physically meaningful
-    if (hr < 0) hr = 0;
-
-    // Calculate remaining properties
-    const enthalpy = calculateEnthalpy(dbt, hr);
-    const specificVolume = calculateSpecificVolume(dbt, hr, pressure);
-    const vaporPressure = (hr * pressure) / (0.621945 + hr);
+function processLineListFile(file) {
+    const reader = new FileReader();
+    reader.onload = (e) => {
+        try {
+            const processor = new CSVProcessor();
+            const rows = processor.parseCSV(e.target.result);
+            const { results, errors } = processInsulationLineList(rows, currentState, currentUnitSystem,
+                (row, index) => processor.getRowNumber(row, index), text => processor.parseNumber(text));
+            if (results.length > 0) {
+                const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+                csvProcessor.downloadCSV(generateInsulationLineListCSV(results), `insulation_line_list_${timestamp}.csv`);
+            }
 
-    return {
-        dbt: formatNumber(dbt, 1),
-        wbt: formatNumber(wbt, 1),
-        rh: formatNumber(rh, 1),
-        dpt: formatNumber(dpt, 1),
-        humidityRatio: formatNumber(hr, 4),
-        enthalpy: formatNumber(enthalpy, 1),
-        specificVolume: formatNumber(specificVolume, 3),
-        vaporPressure: formatNumber(vaporPressure, 2)
+            // File names, warnings and row errors quote text from the file
+            insulationLineListStatus.innerHTML = `<p>Calculated ${results.length} of ${rows.length} lines from ${escapeHTML(file.name)}.</p>` +
+                processor.parseWarnings.map(warning => `<div class="error-item">${escapeHTML(warning)}</div>`).join('') +
+                errors.map(error => `<div class="error-item"><strong>Row ${error.row}:</strong> ${escapeHTML(error.error)}</div>`).join('');
+        } catch (error) {
+            insulationLineListStatus.innerHTML = `<div class="error-item">Error reading line list: ${escapeHTML(error.message)}</div>`;
+        }
+        insulationLineListInput.value = '';
+    };
+    reader.onerror = () => {
+        insulationLineListStatus.innerHTML = '<div class="error-item">Error reading file. Please try again.</div>';
     };
+    reader.readAsText(file);
 }
 
-// DOM elements
-const inputTypeSelect = document.getElementById('input-type');
-const value1Input = document.getElementById('value1');
-const value2Input = document.getElementById('value2');
-const altitudeInput = document.getElementById('altitude');
-const calculateBtn = document.getElementById('calculate-btn');
-const citySelect = document.getElementById('city-select');
-
-// CSV Processing DOM elements
-const csvUploadArea = document.getElementById('csv-upload-area');
-const csvFileInput = document.getElementById('csv-file-input');
-const csvControls = document.getElementById('csv-controls');
-const fileName = document.getElementById('file-name');
-const removeFileBtn = document.getElementById('remove-file-btn');
-const downloadSampleBtn = document.getElementById('download-sample-btn');
-const processCsvBtn = document.getElementById('process-csv-btn');
-const csvProgress = document.getElementById('csv-progress');
-const progressFill = document.getElementById('progress-fill');
-const progressText = document.getElementById('progress-text');
-const csvResults = document.getElementById('csv-results');
-const totalRows = document.getElementById('total-rows');
-const successfulRows = document.getElementById('successful-rows');
-const errorRows = document.getElementById('error-rows');
-const downloadResultsBtn = document.getElementById('download-results-btn');
-const errorDetails = document.getElementById('error-details');
-const errorList = document.getElementById('error-list');
-
-// Initialize CSV processor
-const csvProcessor = new CSVProcessor();
-let currentCSVData = null;
-
-// Result elements
-const dbtResultEl = document.getElementById('dbt-result');
-const wbtResultEl = document.getElementById('wbt-result');
-const rhResultEl = document.getElementById('rh-result');
-const dptResultEl = document.getElementById('dpt-result');
-const humidityRatioEl = document.getElementById('humidity-ratio');
-const enthalpyEl = document.getElementById('enthalpy');
-const specificVolumeEl = document.getElementById('specific-volume');
-const vaporPressureEl = document.getElementById('vapor-pressure');
+function showInsulationError(message) {
+    let errorElement = document.getElementById('insulation-error');
+    if (!errorElement) {
+        errorElement = document.createElement('div');
+        errorElement.id = 'insulation-error';
+        errorElement.className = 'error-message';
+        document.querySelector('.insulation-section').appendChild(errorElement);
+    }
 
-// Calculate button event listener
-calculateBtn.addEventListener('click', function() {
-    const inputType = inputTypeSelect.value;
-    const value1 = parseFloat(value1Input.value);
-    const value2 = parseFloat(value2Input.value);
-    const altitude = parseFloat(altitudeInput.value);
+    errorElement.textContent = message;
+    errorElement.style.display = 'block';
+}
 
-    // Validate inputs
-    if (isNaN(value1) || isNaN(value2) || isNaN(altitude)) {
-        showError('Please enter valid numbers for all fields.');
-        return;
-    }
+// Thermal Comfort Functions
+function initializeComfort() {
+    comfortCalculateBtn.addEventListener('click', calculateThermalComfort);
 
-    // Input-specific validations
-    let isValid = true;
-    let errorMsg = '';
-    
-    switch(inputType) {
-        case 'dbt_wbt':
-            if (value2 > value1) {
-                errorMsg = 'Wet bulb temperature cannot be greater than dry bulb temperature.';
-                isValid = false;
-            }
-            if (value1 < -100 || value1 > 100) {
-                errorMsg = 'Dry bulb temperature must be between -100°C and 100°C.';
-                isValid = false;
-            }
-            if (value2 < -100 || value2 > 100) {
-                errorMsg = 'Wet bulb temperature must be between -100°C and 100°C.';
-                isValid = false;
-            }
-            break;
-            
-        case 'dbt_rh':
-            if (value2 < 0 || value2 > 100) {
-                errorMsg = 'Relative humidity must be between 0% and 100%.';
-                isValid = false;
-            }
-            if (value1 < -100 || value1 > 100) {
-                errorMsg = 'Dry bulb temperature must be between -100°C and 100°C.';
-                isValid = false;
-            }
-            break;
-            
-        case 'dbt_dpt':
-            if (value2 > value1) {
-                errorMsg = 'Dew point temperature cannot be greater than dry bulb temperature.';
-                isValid = false;
-            }
-            if (value1 < -100 || value1 > 100) {
-                errorMsg = 'Dry bulb temperature must be between -100°C and 100°C.';
-                isValid = false;
-            }
-            if (value2 < -100 || value2 > 100) {
-                errorMsg = 'Dew point temperature must be between -100°C and 100°C.';
-                isValid = false;
-            }
-            break;
-            
-        case 'wbt_rh':
-            if (value2 < 0 || value2 > 100) {
-                errorMsg = 'Relative humidity must be between 0% and 100%.';
-                isValid = false;
-            }
-            if (value1 < -100 || value1 > 100) {
-                errorMsg = 'Wet bulb temperature must be between -100°C and 100°C.';
-                isValid = false;
-            }
-            break;
-    }
+    updateComfortInputs();
+}
 
-    if (!isValid) {
-        showError(errorMsg);
-        return;
-    }
+/**
+ * Label the comfort inputs in the current units
+ */
+function updateComfortInputs() {
+    document.getElementById('comfort-mrt-label').textContent = `Mean Radiant Temperature (${unitLabel('temperature', currentUnitSystem)}, optional):`;
+    document.getElementById('comfort-air-speed-label').textContent = `Air Speed (${unitLabel('airSpeed', currentUnitSystem)}):`;
+    comfortAirSpeedInput.step = currentUnitSystem === 'IP' ? '10' : '0.05';
+}
 
-    if (altitude < 0 || altitude > 10000) {
-        showError('Altitude must be between 0m and 10,000m.');
-        return;
-    }
+/**
+ * Calculate the comfort indices of the calculator state and show them
+ */
+function calculateThermalComfort() {
+    const mrt = comfortMrtInput.value.trim() === ''
+        ? undefined
+        : convertToSI('temperature', parseFloat(comfortMrtInput.value), currentUnitSystem);
+    const comfortError = document.getElementById('comfort-error');
 
     try {
-        // Perform calculations
-        const results = calculatePsychrometricProperties(inputType, value1, value2, altitude);
+        if (!currentState) {
+            throw new Error('Calculate the input conditions first.');
+        }
 
-        // Update the UI with results
-        dbtResultEl.textContent = `${results.dbt}°C`;
-        wbtResultEl.textContent = `${results.wbt}°C`;
-        rhResultEl.textContent = `${results.rh}%`;
-        dptResultEl.textContent = `${results.dpt}°C`;
-        humidityRatioEl.textContent = `${results.humidityRatio} kg/kg`;
-        enthalpyEl.textContent = `${results.enthalpy} kJ/kg`;
-        specificVolumeEl.textContent = `${results.specificVolume} m³/kg`;
-        vaporPressureEl.textContent = `${results.vaporPressure} kPa`;
+        currentComfort = calculateComfort(currentState, {
+            mrt,
+            airSpeed: convertToSI('airSpeed', parseFloat(comfortAirSpeedInput.value), currentUnitSystem),
+            met: parseFloat(comfortMetInput.value),
+            clo: parseFloat(comfortCloInput.value)
+        });
+        displayComfort(currentComfort);
 
-        // Clear any previous error messages
-        hideError();
+        if (comfortError) {
+            comfortError.style.display = 'none';
+        }
     } catch (error) {
-        showError(`An error occurred during calculations: ${error.message}`);
+        currentComfort = null;
+        comfortResults.style.display = 'none';
+        showComfortError(error.message);
     }
-});
+}
 
-// Error handling functions
-function showError(message) {
-    // Create or update error element
-    let errorElement = document.getElementById('error-message');
+/**
+ * Show the comfort indices in the current units
+ * @param {Object} comfort - Result of calculateComfort
+ */
+function displayComfort(comfort) {
+    const temperatureUnit = unitLabel('temperature', currentUnitSystem);
+    const summary = [
+        ['PMV', comfort.pmv.toFixed(2), ''],
+        ['PPD', comfort.ppd.toFixed(1), '%'],
+        ['Operative Temperature', formatQuantity('temperature', comfort.operativeTemperature, currentUnitSystem), temperatureUnit],
+        ['SET', formatQuantity('temperature', comfort.set, currentUnitSystem), temperatureUnit],
+        ['Cooling Effect', formatQuantity('temperatureDifference', comfort.coolingEffect, currentUnitSystem), ` ${unitLabel('temperatureDifference', currentUnitSystem)}`],
+        ['ASHRAE 55 PMV', comfort.ashrae55Pmv.toFixed(2), ''],
+        ['ASHRAE 55 Comfort Zone', comfort.inComfortZone ? 'Inside' : 'Outside', '', comfort.inComfortZone ? 'success' : 'error']
+    ];
+
+    comfortTitle.textContent = comfort.inComfortZone
+        ? 'Inside the ASHRAE 55 comfort zone'
+        : 'Outside the ASHRAE 55 comfort zone';
+    comfortSummary.innerHTML = summary.map(([label, value, unit, className]) => `
+        <div class="summary-item">
+            <span class="summary-label">${label}:</span>
+            <span class="summary-value${className ? ` ${className}` : ''}">${value}${unit}</span>
+        </div>
+    `).join('');
+    comfortWarnings.innerHTML = comfort.warnings.map(message => `<li>${message}</li>`).join('');
+
+    comfortResults.style.display = 'block';
+}
+
+function showComfortError(message) {
+    let errorElement = document.getElementById('comfort-error');
     if (!errorElement) {
         errorElement = document.createElement('div');
-        errorElement.id = 'error-message';
+        errorElement.id = 'comfort-error';
         errorElement.className = 'error-message';
-        document.querySelector('.calculator-section').appendChild(errorElement);
+        document.querySelector('.comfort-section').appendChild(errorElement);
     }
-    
+
     errorElement.textContent = message;
     errorElement.style.display = 'block';
 }
 
-function hideError() {
-    const errorElement = document.getElementById('error-message');
-    if (errorElement) {
-        errorElement.style.display = 'none';
+// Hourly Weather File Functions
+function initializeWeather() {
+    weatherFileInput.addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            processWeatherFile(e.target.files[0]);
+        }
+    });
+    weatherAnalyzeBtn.addEventListener('click', analyzeWeather);
+    weatherReportBtn.addEventListener('click', () => {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        csvProcessor.downloadCSV(generateWeatherReportCSV(currentWeather.analysis, currentWeather.location), `weather_analysis_${timestamp}.csv`);
+    });
+    weatherHoursBtn.addEventListener('click', () => {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+        csvProcessor.downloadCSV(generateWeatherHoursCSV(weatherProcessor, currentWeather.data), `weather_hours_${timestamp}.csv`);
+    });
+
+    updateWeatherInputs(true);
+}
+
+/**
+ * Label the weather inputs in the current units
+ * @param {boolean} resetBins - Whether to reset the bin widths to the defaults of the unit system
+ */
+function updateWeatherInputs(resetBins) {
+    Object.entries(weatherBinInputs).forEach(([property, input]) => {
+        const { label, quantity } = WEATHER_BIN_PROPERTIES[property];
+        document.getElementById(`${input.id}-label`).textContent = `${label} Bin Width (${unitLabel(quantity, currentUnitSystem)}):`;
+        if (resetBins) {
+            input.value = DEFAULT_WEATHER_BIN_SIZES[currentUnitSystem][property];
+        }
+    });
+    Object.entries(weatherThresholdInputs).forEach(([property, input]) => {
+        const { label, quantity } = WEATHER_THRESHOLD_PROPERTIES[property];
+        document.getElementById(`${input.id}-label`).textContent = `${label} Threshold (${unitLabel(quantity, currentUnitSystem)}, optional):`;
+    });
+
+    if (currentWeather) {
+        analyzeWeather();
     }
 }
 
-// City weather data - representative conditions for major cities
-const cityWeatherData = {
-    'New York': { dbt: 22, wbt: 18, rh: 65, dpt: 15, altitude: 10 },
-    'London': { dbt: 15, wbt: 12, rh: 75, dpt: 10, altitude: 35 },
-    'Tokyo': { dbt: 28, wbt: 24, rh: 70, dpt: 21, altitude: 40 },
-    'Sydney': { dbt: 25, wbt: 18, rh: 55, dpt: 12, altitude: 50 },
-    'Dubai': { dbt: 40, wbt: 25, rh: 25, dpt: 15, altitude: 30 },
-    'Singapore': { dbt: 30, wbt: 26, rh: 80, dpt: 25, altitude: 15 },
-    'Mumbai': { dbt: 32, wbt: 27, rh: 75, dpt: 24, altitude: 12 },
-    'Delhi': { dbt: 35, wbt: 22, rh: 40, dpt: 15, altitude: 220 },
-    'Moscow': { dbt: 10, wbt: 6, rh: 70, dpt: 4, altitude: 156 },
-    'Rio de Janeiro': { dbt: 30, wbt: 24, rh: 65, dpt: 20, altitude: 3 },
-    'Los Angeles': { dbt: 25, wbt: 15, rh: 40, dpt: 8, altitude: 90 },
-    'Paris': { dbt: 18, wbt: 14, rh: 70, dpt: 11, altitude: 35 },
-    'Beijing': { dbt: 26, wbt: 19, rh: 55, dpt: 14, altitude: 50 },
-    'Cairo': { dbt: 35, wbt: 20, rh: 30, dpt: 12, altitude: 23 },
-    'Bangkok': { dbt: 32, wbt: 27, rh: 75, dpt: 24, altitude: 10 }
-};
-
+/**
+ * Run every hour of a weather file through the CSV batch machinery and analyse the results
+ * @param {File} file - EPW or TMY3 CSV file
+ */
+function processWeatherFile(file) {
+    const reader = new FileReader();
+    reader.onload = async (e) => {
+        try {
+            const { location, data } = weatherProcessor.parseWeatherFile(e.target.result);
+
+            weatherProgress.style.display = 'block';
+            weatherResults.style.display = 'none';
+            weatherProcessor.reset();
+            await weatherProcessor.processData(data, (progress) => {
+                weatherProgressFill.style.width = `${progress}%`;
+                weatherProgressText.textContent = `${Math.round(progress)}%`;
+            });
+
+            currentWeather = {
+                fileName: file.name,
+                location,
+                data,
+                hours: getWeatherHours(data, weatherProcessor.results)
+            };
+            analyzeWeather();
+            renderChart();
+        } catch (error) {
+            showCSVError('Error reading weather file:', [error.message]);
+        }
+        weatherProgress.style.display = 'none';
+        weatherFileInput.value = '';
+    };
+    reader.onerror = () => {
+        showCSVError('Error reading file. Please try again.');
+    };
+    reader.readAsText(file);
+}
 
-// Initialize with default values
-document.addEventListener('DOMContentLoaded', function() {
-    // Set default values
-    inputTypeSelect.value = 'dbt_wbt';
-    value1Input.value = '25';  // DBT
-    value2Input.value = '20';  // WBT
-    altitudeInput.value = '0'; // Altitude
-    
-    calculateBtn.click(); // Trigger initial calculation
+/**
+ * Analyse the loaded weather hours with the current bin widths and thresholds and show the results
+ */
+function analyzeWeather() {
+    if (!currentWeather) {
+        return;
+    }
 
-    // Add event listeners for automatic calculation on input change
-    inputTypeSelect.addEventListener('change', function() {
-        updateInputLabels();
-        calculateBtn.click();
+    const binSizes = {};
+    Object.entries(weatherBinInputs).forEach(([property, input]) => {
+        binSizes[property] = parseFloat(input.value);
     });
-    
-    value1Input.addEventListener('input', function() {
-        calculateBtn.click();
+    const thresholds = {};
+    Object.entries(weatherThresholdInputs).forEach(([property, input]) => {
+        if (input.value.trim() !== '') {
+            thresholds[property] = convertToSI(WEATHER_THRESHOLD_PROPERTIES[property].quantity, parseFloat(input.value), currentUnitSystem);
+        }
     });
 
-    value2Input.addEventListener('input', function() {
-        calculateBtn.click();
-    });
+    try {
+        currentWeather.analysis = analyzeWeatherHours(currentWeather.hours, { units: currentUnitSystem, binSizes, thresholds });
+        displayWeather(currentWeather);
+    } catch (error) {
+        showCSVError('Error analysing weather file:', [error.message]);
+    }
+}
 
-    altitudeInput.addEventListener('input', function() {
-        calculateBtn.click();
-    });
-    
-    // City selection event listener
-    citySelect.addEventListener('change', function() {
-        console.log('City selection changed:', citySelect.value);
-        const cityName = citySelect.value;
-        console.log('City name:', cityName);
-        if (cityName && cityWeatherData[cityName]) {
-            const cityData = cityWeatherData[cityName];
-            console.log('City data found:', cityData);
-            
-            // Set the input type to DBT+WBT by default when selecting a city
-            inputTypeSelect.value = 'dbt_wbt';
-            updateInputLabels(); // Update the labels based on the new input type
-            
-            // Populate the input fields with city data
-            value1Input.value = cityData.dbt.toString();   // DBT
-            value2Input.value = cityData.wbt.toString();   // WBT
-            altitudeInput.value = cityData.altitude.toString(); // Altitude
-            
-            console.log('Values set - DBT:', cityData.dbt, 'WBT:', cityData.wbt, 'Altitude:', cityData.altitude);
-            
-            // Trigger calculation
-            calculateBtn.click();
-        } else {
-            console.log('No city data found for:', cityName);
-        }
+/**
+ * Build a results table
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array>} rows - Cell values
+ * @returns {string} Table markup
+ */
+function resultsTableMarkup(headers, rows) {
+    return `
+        <div class="process-table-wrapper">
+            <table class="process-table">
+                <thead><tr>${headers.map(header => `<th>${header}</th>`).join('')}</tr></thead>
+                <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Show a weather file analysis in the current units
+ * @param {Object} weather - Loaded weather file with its analysis
+ */
+function displayWeather({ fileName, location, hours, analysis }) {
+    const format = (quantity, value) => formatQuantity(quantity, value, currentUnitSystem);
+    const temperatureUnit = unitLabel('temperature', currentUnitSystem);
+    const errors = weatherProcessor.errors.length;
+
+    weatherTitle.textContent = `${location.name}${location.country ? `, ${location.country}` : ''} (${fileName})`;
+    weatherSummary.innerHTML = towerSummaryMarkup([
+        ['Hours Processed', hours.length],
+        ['Hours Skipped', errors],
+        ['Elevation', formatResultValue(format('altitude', location.elevation), 'altitude')],
+        ['Latitude / Longitude', `${location.latitude} / ${location.longitude}`]
+    ]);
+
+    const tables = Object.entries(WEATHER_BIN_PROPERTIES).map(([property, definition]) => {
+        const unit = unitLabel(definition.quantity, currentUnitSystem);
+        const decimals = Math.max(0, -Math.floor(Math.log10(analysis.binSizes[property])));
+        return `<h3>${definition.label} Bins</h3>` + resultsTableMarkup(
+            [`${definition.label} (${unit})`, 'Hours', `${definition.coincidentLabel} (${temperatureUnit})`],
+            analysis.bins[property].map(bin => [`${bin.lower.toFixed(decimals)} – ${bin.upper.toFixed(decimals)}`, bin.hours, bin.meanCoincident.toFixed(1)])
+        );
     });
-    
-    // Set initial labels
-    updateInputLabels();
-    
-    // Initialize CSV functionality
-    initializeCSVProcessing();
-});
 
-// Function to update input labels based on selected input type
-function updateInputLabels() {
-    const inputType = inputTypeSelect.value;
-    const labels = {
-        'dbt_wbt': { label1: 'Dry Bulb Temperature (°C)', label2: 'Wet Bulb Temperature (°C)' },
-        'dbt_rh': { label1: 'Dry Bulb Temperature (°C)', label2: 'Relative Humidity (%)' },
-        'dbt_dpt': { label1: 'Dry Bulb Temperature (°C)', label2: 'Dew Point Temperature (°C)' },
-        'wbt_rh': { label1: 'Wet Bulb Temperature (°C)', label2: 'Relative Humidity (%)' }
-    };
-    
-    const label1 = document.querySelector('#value1-label');
-    const label2 = document.querySelector('#value2-label');
-    
-    if (label1 && label2) {
-        label1.textContent = labels[inputType].label1 + ':';
-        label2.textContent = labels[inputType].label2 + ':';
+    tables.push('<h3>Monthly Summary</h3>' + resultsTableMarkup(
+        ['Month', 'Hours', `Mean DBT (${temperatureUnit})`, `Max DBT (${temperatureUnit})`, `Min DBT (${temperatureUnit})`,
+            `Mean WBT (${temperatureUnit})`, `Max WBT (${temperatureUnit})`, `Mean DPT (${temperatureUnit})`,
+            `Mean W (${unitLabel('humidityRatio', currentUnitSystem)})`, `Mean h (${unitLabel('enthalpy', currentUnitSystem)})`],
+        analysis.months.map(month => [month.name, month.hours, format('temperature', month.meanDbt), format('temperature', month.maxDbt),
+            format('temperature', month.minDbt), format('temperature', month.meanWbt), format('temperature', month.maxWbt),
+            format('temperature', month.meanDpt), format('humidityRatio', month.meanHumidityRatio), format('enthalpy', month.meanEnthalpy)])
+    ));
+
+    if (analysis.exceedances.length > 0) {
+        tables.push('<h3>Hours Above Thresholds</h3>' + resultsTableMarkup(
+            ['Property', 'Threshold', 'Hours', ...analysis.months.map(month => month.name)],
+            analysis.exceedances.map(exceedance => {
+                const { label, quantity } = WEATHER_THRESHOLD_PROPERTIES[exceedance.property];
+                return [label, formatResultValue(format(quantity, exceedance.threshold), quantity), exceedance.hours,
+                    ...analysis.months.map(month => exceedance.monthly[month.month - 1])];
+            })
+        ));
     }
+
+    weatherTables.innerHTML = tables.join('');
+    weatherResults.style.display = 'block';
 }
 
 // CSV Processing Functions
@@ -782,7 +2181,7 @@ function initializeCSVProcessing() {
         csvUploadArea.classList.remove('drag-over');
         
         const files = e.dataTransfer.files;
-        if (files.length > 0 && files[0].type === 'text/csv') {
+        if (files.length > 0) {
             handleFileSelect(files[0]);
         } else {
             showCSVError('Please upload a valid CSV file.');
@@ -801,6 +2200,15 @@ function initializeCSVProcessing() {
         resetCSVUpload();
     });
 
+    // Delimiter, decimal separator and lenient mode; the loaded file is checked again
+    [csvDelimiterSelect, csvDecimalSeparatorSelect, csvLenientInput].forEach(input => {
+        input.addEventListener('change', () => {
+            if (currentCSVFile) {
+                checkCSVFile();
+            }
+        });
+    });
+
     // Download sample CSV
     downloadSampleBtn.addEventListener('click', () => {
         const sampleCSV = csvProcessor.generateSampleCSV();
@@ -812,112 +2220,582 @@ function initializeCSVProcessing() {
         processCSVFile();
     });
 
-    // Download results
-    downloadResultsBtn.addEventListener('click', () => {
-        const results = csvProcessor.getStatus();
-        if (results.resultsCount > 0) {
-            const csvContent = csvProcessor.generateOutputCSV(csvProcessor.results);
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
-            csvProcessor.downloadCSV(csvContent, `psychrometric_results_${timestamp}.csv`);
-        }
+    // Pause, resume and cancel the running batch
+    pauseCsvBtn.addEventListener('click', () => {
+        const paused = pauseCsvBtn.dataset.paused === 'true';
+        sendBatchRequest({ type: paused ? 'resume' : 'pause' });
+        setBatchPaused(!paused);
     });
+    cancelCsvBtn.addEventListener('click', () => {
+        cancelBatch();
+    });
+
+    // Download results, joined from the parts streamed while processing
+    downloadResultsBtn.addEventListener('click', () => downloadBatchResults('csv'));
+    downloadXlsxBtn.addEventListener('click', () => downloadBatchResults('xlsx'));
+    downloadJsonBtn.addEventListener('click', () => downloadBatchResults('json'));
+    downloadReportBtn.addEventListener('click', () => downloadBatchResults('report'));
 }
 
-function handleFileSelect(file) {
-    if (!file.name.endsWith('.csv')) {
-        showCSVError('Please select a CSV file.');
+/**
+ * Start the batch runner: a Web Worker, or the page itself where no worker
+ * can be started. A worker that fails to load (some browsers block workers
+ * on pages opened from disk) hands over to the page, which repeats the
+ * request in progress.
+ */
+function initializeBatchRunner() {
+    const runOnPage = () => {
+        const run = createBatchRunner(new CSVProcessor(), handleBatchMessage);
+        sendBatchRequest = request => run(request);
+    };
+
+    if (typeof Worker === 'undefined') {
+        runOnPage();
         return;
     }
+    try {
+        const worker = new Worker('batch-worker.js');
+        worker.addEventListener('message', event => handleBatchMessage(event.data));
+        worker.addEventListener('error', event => {
+            event.preventDefault();
+            worker.terminate();
+            runOnPage();
+            if (batchRequest) {
+                sendBatchRequest(batchRequest);
+            }
+        });
+        sendBatchRequest = request => worker.postMessage(request);
+    } catch (error) {
+        runOnPage();
+    }
+}
 
-    fileName.textContent = file.name;
+/**
+ * Settings of the CSV processor passed with every batch request
+ * @returns {Object} unitSystem, delimiter, decimalSeparator, outputColumns, lenient and columnMapping
+ */
+function getBatchSettings() {
+    return {
+        unitSystem: csvProcessor.unitSystem,
+        delimiter: csvProcessor.delimiter,
+        decimalSeparator: csvProcessor.decimalSeparator,
+        outputColumns: csvProcessor.outputColumns,
+        lenient: csvLenientInput.checked,
+        columnMapping: csvProcessor.columnMapping
+    };
+}
+
+/**
+ * Send a check or process request and show its progress
+ * @param {Object} request - Batch request
+ * @param {string} title - Progress heading
+ */
+function startBatch(request, title) {
+    batchRequest = request;
+    progressTitle.textContent = title;
+    progressFill.style.width = '0%';
+    progressText.textContent = '0%';
+    progressDetail.textContent = '';
+    setBatchPaused(false);
+    csvControls.style.display = 'none';
+    csvProgress.style.display = 'block';
+    csvResults.style.display = 'none';
+    sendBatchRequest(request);
+}
+
+/**
+ * Show the batch as paused or running on the pause button
+ * @param {boolean} paused - Whether the batch is paused
+ */
+function setBatchPaused(paused) {
+    pauseCsvBtn.dataset.paused = String(paused);
+    pauseCsvBtn.textContent = paused ? '▶ Resume' : '⏸ Pause';
+}
+
+/**
+ * Cancel the running batch: a cancelled check unloads the file, a cancelled
+ * run returns to the loaded file
+ */
+function cancelBatch() {
+    const request = batchRequest;
+    sendBatchRequest({ type: 'cancel' });
+    batchRequest = null;
+    if (request && request.type === 'validate') {
+        resetCSVUpload();
+        return;
+    }
+    currentBatch = null;
+    csvProgress.style.display = 'none';
     csvControls.style.display = 'block';
-    csvUploadArea.style.display = 'none';
+    renderChart();
+}
 
-    // Read file content
-    const reader = new FileReader();
-    reader.onload = (e) => {
+/**
+ * Handle a message of the batch runner
+ * @param {Object} message - Message from createBatchRunner
+ */
+function handleBatchMessage(message) {
+    // Messages of a cancelled run are ignored
+    if (!batchRequest || message.cancelled) {
+        return;
+    }
+
+    switch (message.type) {
+    case 'progress': {
+        const percent = message.totalBytes > 0 ? message.bytesRead / message.totalBytes * 100 : 100;
+        progressFill.style.width = `${percent}%`;
+        progressText.textContent = `${Math.round(percent)}%`;
+        progressDetail.textContent = `${message.rows.toLocaleString()} rows · ${message.rowsPerSecond.toLocaleString()} rows/s` +
+            (message.errorCount > 0 ? ` · ${message.errorCount.toLocaleString()} errors` : '');
+        break;
+    }
+    case 'output':
+        currentBatch.output.push(message.text);
+        break;
+    case 'points':
+        currentBatch.points.push(...message.points);
+        break;
+    case 'validated':
+        batchRequest = null;
+        showCSVCheck(message);
+        break;
+    case 'processed':
+        batchRequest = null;
+        currentBatch.summary = message;
+        showResults();
+        renderChart();
+        break;
+    case 'error':
+        batchRequest = null;
+        showCSVError('Error processing CSV:', [message.message]);
+        csvProgress.style.display = 'none';
+        csvControls.style.display = 'block';
+        break;
+    }
+}
+
+/**
+ * Messages of a batch, with a note of how many more there were than were kept
+ * @param {Array<string>} messages - Messages kept
+ * @param {number} count - Number of messages
+ * @param {string} noun - What the messages are, e.g. 'errors'
+ * @returns {Array<string>} Messages
+ */
+function batchMessages(messages, count, noun) {
+    return count > messages.length ? [...messages, `... and ${(count - messages.length).toLocaleString()} more ${noun}`] : messages;
+}
+
+/**
+ * Build the export column checkboxes from the CSV processor's columns and
+ * restore the remembered selection
+ */
+function initializeExportColumns() {
+    let remembered = null;
+    try {
+        remembered = JSON.parse(localStorage.getItem(EXPORT_COLUMNS_STORAGE_KEY));
+    } catch (error) {
+        // Storage may be unavailable (private browsing, file:// URLs)
+    }
+
+    csvProcessor.getOutputColumns().forEach(({ header }) => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = header;
+        checkbox.checked = !Array.isArray(remembered) || remembered.includes(header);
+        checkbox.addEventListener('change', updateExportColumns);
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(header));
+        exportColumnsList.appendChild(label);
+    });
+
+    const setAll = checked => {
+        exportColumnsList.querySelectorAll('input').forEach(checkbox => {
+            checkbox.checked = checked;
+        });
+        updateExportColumns();
+    };
+    exportColumnsAllBtn.addEventListener('click', () => setAll(true));
+    exportColumnsNoneBtn.addEventListener('click', () => setAll(false));
+
+    updateExportColumns();
+}
+
+/**
+ * Apply the checked export columns to the CSV processor and remember them
+ */
+function updateExportColumns() {
+    const checkboxes = Array.from(exportColumnsList.querySelectorAll('input'));
+    const selected = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value);
+
+    if (selected.length > 0) {
+        csvProcessor.setOutputColumns(selected.length === checkboxes.length ? null : selected);
+    }
+    processCsvBtn.disabled = selected.length === 0;
+
+    try {
+        localStorage.setItem(EXPORT_COLUMNS_STORAGE_KEY, JSON.stringify(selected));
+    } catch (error) {
+        // Storage may be unavailable (private browsing, file:// URLs)
+    }
+}
+
+/**
+ * Build the column mapping form and its saved templates
+ */
+function initializeColumnMapping() {
+    mappingTemplates = loadMappingTemplates();
+    renderColumnMappingFields({});
+    updateMappingTemplateOptions();
+
+    csvMappingEnabledInput.addEventListener('change', applyColumnMappingForm);
+    csvMappingApplyBtn.addEventListener('click', () => {
+        csvMappingEnabledInput.checked = true;
+        applyColumnMappingForm();
+    });
+    csvMappingTemplateSelect.addEventListener('change', () => {
+        const template = mappingTemplates[csvMappingTemplateSelect.value];
+        if (template) {
+            csvMappingTemplateNameInput.value = template.name;
+            renderColumnMappingFields(template.mapping);
+            csvMappingEnabledInput.checked = true;
+            applyColumnMappingForm();
+        }
+    });
+    csvMappingSaveBtn.addEventListener('click', () => {
+        const name = csvMappingTemplateNameInput.value.trim();
+        if (name === '') {
+            csvMappingStatus.textContent = 'Enter a template name.';
+            return;
+        }
         try {
-            const csvContent = e.target.result;
-            const data = csvProcessor.parseCSV(csvContent);
-            const validation = csvProcessor.validateCSVData(data);
-            
-            if (!validation.isValid) {
-                showCSVError('CSV validation failed:', validation.errors);
-            } else {
-                currentCSVData = data;
-                showCSVSuccess(`Successfully loaded ${data.length} rows for processing.`);
-            }
+            setMappingTemplates(saveMappingTemplate(mappingTemplates, name, readColumnMappingForm()), `Saved ${name}.`);
+            csvMappingTemplateSelect.value = String(mappingTemplates.findIndex(template => template.name.toLowerCase() === name.toLowerCase()));
         } catch (error) {
-            showCSVError('Error reading CSV file:', error.message);
+            csvMappingStatus.textContent = `Could not save: ${error.message}`;
         }
+    });
+    csvMappingDeleteBtn.addEventListener('click', () => {
+        const template = mappingTemplates[csvMappingTemplateSelect.value];
+        if (!template) {
+            csvMappingStatus.textContent = 'Choose a saved mapping first.';
+            return;
+        }
+        if (confirm(`Delete the ${template.name} mapping?`)) {
+            setMappingTemplates(deleteMappingTemplate(mappingTemplates, template.name), `Deleted ${template.name}.`);
+        }
+    });
+}
+
+/**
+ * Use and store updated mapping templates
+ * @param {Array<Object>} templates - Templates
+ * @param {string} message - Status message
+ */
+function setMappingTemplates(templates, message) {
+    mappingTemplates = templates;
+    const stored = saveMappingTemplates(mappingTemplates);
+    csvMappingStatus.textContent = stored ? message : `${message} Browser storage is unavailable, so templates are kept only until the page is closed.`;
+    updateMappingTemplateOptions();
+}
+
+/**
+ * List the saved mapping templates in the template picker
+ */
+function updateMappingTemplateOptions() {
+    csvMappingTemplateSelect.innerHTML = '<option value="">Choose a saved mapping...</option>' +
+        mappingTemplates.map((template, index) => `<option value="${index}">${escapeHTML(template.name)}</option>`).join('');
+}
+
+/**
+ * Build a select for each mapping field, offering the loaded file's columns
+ * and, where the field allows it, one value for the whole file
+ * @param {Object} mapping - Mapping to show, keyed by the fields of CSV_MAPPING_FIELDS
+ */
+function renderColumnMappingFields(mapping) {
+    const constants = {
+        inputType: getInputTypes().map(type => ({ value: type, label: INPUT_TYPES[type].map(input => input.name).join(' / ') })),
+        units: [{ value: 'SI', label: 'SI' }, { value: 'IP', label: 'IP' }],
+        pressureUnit: Object.keys(PRESSURE_UNITS).map(unit => ({ value: unit, label: unit }))
     };
-    reader.onerror = () => {
-        showCSVError('Error reading file. Please try again.');
-    };
-    reader.readAsText(file);
+    csvMappingFields.innerHTML = '';
+
+    Object.entries(CSV_MAPPING_FIELDS).forEach(([key, field]) => {
+        const source = mapping[key] || {};
+        // Columns of a template that the loaded file does not have are kept, so the check reports them
+        const columns = source.column && !csvMappingColumns.includes(source.column)
+            ? [...csvMappingColumns, source.column]
+            : csvMappingColumns;
+
+        const group = document.createElement('div');
+        group.className = 'input-group';
+        const select = document.createElement('select');
+        select.id = `csv-mapping-${key}`;
+        select.dataset.field = key;
+        const columnOptions = columns.map(column =>
+            `<option value="column:${escapeHTML(column)}">${escapeHTML(column)}${csvMappingColumns.includes(column) ? '' : ' (not in file)'}</option>`
+        ).join('');
+        let valueOptions = '';
+        if (field.value === 'number') {
+            valueOptions = '<option value="value:">Fixed value...</option>';
+        } else if (field.value) {
+            valueOptions = constants[field.value].map(option =>
+                `<option value="value:${option.value}">${escapeHTML(option.label)}</option>`
+            ).join('');
+        }
+        select.innerHTML = `<option value="">${field.required ? 'Choose...' : 'Not used'}</option>` +
+            `<optgroup label="File column">${columnOptions}</optgroup>` +
+            (valueOptions ? `<optgroup label="Same for every row">${valueOptions}</optgroup>` : '');
+
+        const label = document.createElement('label');
+        label.htmlFor = select.id;
+        label.textContent = `${field.label}:`;
+        group.appendChild(label);
+        group.appendChild(select);
+
+        if (source.column) {
+            select.value = `column:${source.column}`;
+        } else if (source.value !== undefined) {
+            select.value = field.value === 'number' ? 'value:' : `value:${source.value}`;
+        }
+        if (field.value === 'number') {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.step = 'any';
+            input.placeholder = 'In the units of the file';
+            input.value = source.value !== undefined ? source.value : '';
+            input.style.display = select.value === 'value:' ? 'block' : 'none';
+            select.addEventListener('change', () => {
+                input.style.display = select.value === 'value:' ? 'block' : 'none';
+            });
+            group.appendChild(input);
+        }
+        csvMappingFields.appendChild(group);
+    });
+
+    csvMappingFields.querySelector('[data-field="inputType"]').addEventListener('change', updateMappingValueLabels);
+    updateMappingValueLabels();
 }
 
-async function processCSVFile() {
-    if (!currentCSVData) {
-        showCSVError('No CSV data available for processing.');
+/**
+ * Name the two value fields after the properties of a fixed input pair
+ */
+function updateMappingValueLabels() {
+    const selected = csvMappingFields.querySelector('[data-field="inputType"]').value;
+    const inputs = selected.startsWith('value:') ? INPUT_TYPES[selected.slice('value:'.length)] : null;
+    ['value1', 'value2'].forEach((key, index) => {
+        csvMappingFields.querySelector(`label[for="csv-mapping-${key}"]`).textContent =
+            `${CSV_MAPPING_FIELDS[key].label}${inputs ? ` (${inputs[index].name})` : ''}:`;
+    });
+}
+
+/**
+ * Read the column mapping form
+ * @returns {Object} Mapping keyed by the fields of CSV_MAPPING_FIELDS, not yet checked
+ */
+function readColumnMappingForm() {
+    const mapping = {};
+    csvMappingFields.querySelectorAll('select').forEach(select => {
+        const key = select.dataset.field;
+        if (select.value.startsWith('column:')) {
+            mapping[key] = { column: select.value.slice('column:'.length) };
+        } else if (select.value.startsWith('value:')) {
+            const value = select.value.slice('value:'.length);
+            mapping[key] = { value: CSV_MAPPING_FIELDS[key].value === 'number' ? select.parentElement.querySelector('input').value : value };
+        }
+    });
+    return mapping;
+}
+
+/**
+ * Use the column mapping form (or the standard columns, if mapping is off)
+ * for the loaded file and check the file again
+ */
+function applyColumnMappingForm() {
+    try {
+        csvProcessor.setColumnMapping(csvMappingEnabledInput.checked ? readColumnMappingForm() : null);
+        csvMappingStatus.textContent = '';
+    } catch (error) {
+        // The mapping the file was last checked with stays in use
+        csvMappingEnabledInput.checked = csvProcessor.columnMapping !== null;
+        csvMappingStatus.textContent = `Invalid mapping: ${error.message}`;
         return;
     }
+    if (currentCSVFile) {
+        checkCSVFile();
+    }
+}
 
-    // Show progress
-    csvControls.style.display = 'none';
-    csvProgress.style.display = 'block';
-    csvResults.style.display = 'none';
+function handleFileSelect(file) {
+    if (!/\.(csv|tsv|txt)$/i.test(file.name)) {
+        showCSVError('Please select a CSV file.');
+        return;
+    }
+
+    currentCSVFile = file;
+    fileName.textContent = file.name;
+    csvUploadArea.style.display = 'none';
+    checkCSVFile();
+}
 
+/**
+ * Check the loaded file in the chosen delimiter and decimal separator before
+ * it can be processed
+ */
+function checkCSVFile() {
+    currentCSVCheck = null;
     try {
-        // Process data with progress callback
-        await csvProcessor.processData(currentCSVData, (progress) => {
-            progressFill.style.width = `${progress}%`;
-            progressText.textContent = `${Math.round(progress)}%`;
+        csvProcessor.setInputFormat({
+            delimiter: csvDelimiterSelect.value,
+            decimalSeparator: csvDecimalSeparatorSelect.value
         });
+    } catch (error) {
+        showCSVError('Error reading CSV file:', [error.message]);
+        return;
+    }
+    startBatch({ type: 'validate', file: currentCSVFile, settings: getBatchSettings() }, 'Checking file...');
+}
 
-        // Show results
-        showResults();
+/**
+ * Report the check of the loaded file, with the format used and any rows skipped
+ * @param {Object} check - Summary from validateCSVBatch
+ */
+function showCSVCheck(check) {
+    const delimiterNames = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+    csvProgress.style.display = 'none';
+    csvControls.style.display = 'block';
 
-    } catch (error) {
-        showCSVError('Error processing CSV:', error.message);
-        resetCSVUpload();
+    // Offer the file's columns in the mapping, keeping what is chosen; a file
+    // without the standard columns gets a suggested mapping to start from
+    // unless the mapping chosen already reads some of its columns
+    const missingColumns = !csvProcessor.columnMapping && check.errors.some(error => error.startsWith('Missing required column'));
+    const chosen = readColumnMappingForm();
+    const suggest = missingColumns && !Object.values(chosen).some(source => check.columns.includes(source.column));
+    csvMappingColumns = check.columns;
+    renderColumnMappingFields(suggest ? suggestColumnMapping(check.columns) : chosen);
+    if (missingColumns) {
+        csvMappingDetails.open = true;
+        csvMappingStatus.textContent = 'The file does not have the standard columns. Check the suggested mapping, or choose a saved one, and apply it.';
+    }
+
+    if (!check.isValid) {
+        showCSVError('CSV validation failed:', batchMessages(check.errors, check.errorCount, 'errors'));
+        return;
+    }
+
+    currentCSVCheck = check;
+    const { delimiter, decimalSeparator } = check.format;
+    const format = `${delimiterNames[delimiter]} delimiter, decimal ${decimalSeparator === ',' ? 'comma' : 'point'}`;
+    const failedRows = check.rowErrorCount > 0
+        ? [`${check.rowErrorCount.toLocaleString()} rows have errors and will be written as failed rows:`, ...batchMessages(check.errors, check.errorCount, 'errors')]
+        : [];
+    showCSVSuccess([
+        `Successfully loaded ${check.rows.toLocaleString()} rows for processing (${format}).`,
+        ...failedRows,
+        ...batchMessages(check.warnings, check.warningCount, 'warnings')
+    ].join('\n'));
+}
+
+function processCSVFile() {
+    if (!currentCSVCheck) {
+        showCSVError('No CSV data available for processing.');
+        return;
     }
+
+    currentBatch = { output: [], points: [], summary: null };
+    renderChart();
+    startBatch({
+        type: 'process',
+        file: currentCSVFile,
+        settings: getBatchSettings(),
+        rows: currentCSVCheck.rows,
+        hasComfort: currentCSVCheck.hasComfort
+    }, 'Processing...');
 }
 
 function showResults() {
-    const status = csvProcessor.getStatus();
+    const status = currentBatch.summary;
     
-    totalRows.textContent = status.resultsCount + status.errorsCount;
-    successfulRows.textContent = status.resultsCount;
-    errorRows.textContent = status.errorsCount;
+    totalRows.textContent = (status.results + status.errorCount).toLocaleString();
+    successfulRows.textContent = status.results.toLocaleString();
+    errorRows.textContent = status.errorCount.toLocaleString();
 
     csvProgress.style.display = 'none';
+    csvControls.style.display = 'block';
     csvResults.style.display = 'block';
 
-    // Show error details if any
-    if (status.errorsCount > 0) {
+    // Show error details if any; only the first errors of a large batch are kept
+    if (status.errorCount > 0) {
+        const hiddenErrors = status.errorCount - status.errors.length;
         errorDetails.style.display = 'block';
         errorList.innerHTML = status.errors.map(error => 
             `<div class="error-item">
                 <strong>Row ${error.row}:</strong> ${error.error}
             </div>`
-        ).join('');
+        ).join('') + (hiddenErrors > 0 ? `<div class="error-item">... and ${hiddenErrors.toLocaleString()} more errors</div>` : '');
     } else {
         errorDetails.style.display = 'none';
     }
 
-    // Enable download only if there are successful results
-    downloadResultsBtn.disabled = status.resultsCount === 0;
+    // Enable download only if rows were written (failed rows too in lenient mode)
+    [downloadResultsBtn, downloadXlsxBtn, downloadJsonBtn, downloadReportBtn].forEach(button => {
+        button.disabled = status.written === 0;
+    });
+}
+
+/**
+ * Download the results of the last batch as CSV, an Excel workbook, JSON or
+ * an HTML report; all but the CSV are built from the CSV read back
+ * @param {string} format - 'csv', 'xlsx', 'json' or 'report'
+ */
+function downloadBatchResults(format) {
+    if (!currentBatch || currentBatch.summary.written === 0) {
+        return;
+    }
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, -5);
+    const fileName = `psychrometric_results_${timestamp}`;
+    if (format === 'csv') {
+        csvProcessor.downloadCSV(currentBatch.output, `${fileName}.csv`);
+        return;
+    }
+
+    const summary = currentBatch.summary;
+    const table = readBatchTable(currentBatch.output, csvProcessor);
+    try {
+        if (format === 'xlsx') {
+            const columns = describeBatchColumns(table.headers, csvProcessor, summary.unitSystems.length === 1 ? summary.unitSystems[0] : null);
+            csvProcessor.downloadCSV(generateBatchXLSX(table, columns, summary), `${fileName}.xlsx`,
+                'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        } else if (format === 'json') {
+            csvProcessor.downloadCSV(generateBatchJSON(table), `${fileName}.json`, 'application/json;charset=utf-8;');
+        } else {
+            const report = generateBatchReport(table, csvProcessor, {
+                fileName: currentCSVFile ? currentCSVFile.name : '',
+                unitSystems: summary.unitSystems,
+                summary
+            });
+            csvProcessor.downloadCSV(report, `psychrometric_report_${timestamp}.html`, 'text/html;charset=utf-8;');
+        }
+    } catch (error) {
+        showCSVError('Error exporting results:', [error.message]);
+    }
 }
 
 function resetCSVUpload() {
+    if (batchRequest) {
+        sendBatchRequest({ type: 'cancel' });
+        batchRequest = null;
+    }
     csvFileInput.value = '';
-    currentCSVData = null;
+    currentCSVFile = null;
+    currentCSVCheck = null;
+    currentBatch = null;
     csvControls.style.display = 'none';
     csvProgress.style.display = 'none';
     csvResults.style.display = 'none';
     csvUploadArea.style.display = 'block';
     csvProcessor.reset();
+    renderChart();
 }
 
 function showCSVError(title, errors = []) {
@@ -0,0 +1,288 @@
+/**
+ * Psychrometric Calculator - Site Library
+ *
+ * User-defined project sites, each with a name, an altitude (with an optional
+ * local air temperature) or a measured barometric pressure, and any number of
+ * named conditions such as summer design, winter design or indoor. Sites are
+ * kept in browser storage and exchanged between users as JSON files. All
+ * values are in SI units.
+ *
+ * @author HVAC Calculator Team
+ */
+
+// In Node.js the engine comes from psychrometrics.js; in the browser its
+// functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    var {
+        calculatePsychrometricState,
+        calculateSitePressure,
+        parseInputType,
+        validateSiteInputs
+    } = require('./psychrometrics.js');
+}
+
+/**
+ * Browser storage key of the site library
+ */
+const SITE_LIBRARY_STORAGE_KEY = 'psychrometricSiteLibrary';
+
+/**
+ * Format name written to exported site library files
+ */
+const SITE_LIBRARY_FORMAT = 'psychrometric-site-library';
+
+/**
+ * Version of the site library file format
+ */
+const SITE_LIBRARY_VERSION = 1;
+
+/**
+ * Check a site and return it in the stored form
+ *
+ * A site has either a pressure or an altitude (with an optional local air
+ * temperature); each condition must fix a state at the site pressure, so a
+ * hand-edited file fails here rather than when the condition is loaded.
+ *
+ * @param {Object} site - Site with name, altitude or pressure, localTemperature and conditions
+ * @returns {Object} Site with name, altitude, localTemperature, pressure and conditions
+ * @throws {Error} If the site is not valid
+ */
+function normalizeSite(site) {
+    if (!site || typeof site.name !== 'string' || site.name.trim() === '') {
+        throw new Error('Every site needs a name');
+    }
+    const name = site.name.trim();
+    const isNumber = value => typeof value === 'number' && !isNaN(value);
+    const isSet = value => value !== undefined && value !== null;
+
+    ['altitude', 'pressure', 'localTemperature'].forEach(key => {
+        if (isSet(site[key]) && !isNumber(site[key])) {
+            throw new Error(`${name}: ${key} must be a number`);
+        }
+    });
+    if (isSet(site.pressure) && isSet(site.altitude)) {
+        throw new Error(`${name}: give either the altitude or the pressure, not both`);
+    }
+
+    const normalized = isSet(site.pressure)
+        ? { name, pressure: site.pressure }
+        : { name, altitude: isSet(site.altitude) ? site.altitude : 0, localTemperature: isSet(site.localTemperature) ? site.localTemperature : undefined };
+    const siteErrors = validateSiteInputs(normalized, 'SI');
+    if (siteErrors.length > 0) {
+        throw new Error(`${name}: ${siteErrors.join('; ')}`);
+    }
+
+    if (!Array.isArray(site.conditions)) {
+        throw new Error(`${name}: conditions must be an array`);
+    }
+    const pressure = calculateSitePressure(normalized);
+    const conditionNames = new Set();
+    normalized.conditions = site.conditions.map((condition, index) => {
+        const label = condition && typeof condition.name === 'string' && condition.name.trim() !== '' ? condition.name.trim() : '';
+        if (label === '') {
+            throw new Error(`${name}: condition ${index + 1} needs a name`);
+        }
+        if (conditionNames.has(label.toLowerCase())) {
+            throw new Error(`${name}: duplicate condition '${label}'`);
+        }
+        conditionNames.add(label.toLowerCase());
+        try {
+            parseInputType(condition.inputType);
+        } catch (error) {
+            throw new Error(`${name} / ${label}: ${error.message}`);
+        }
+        if (!isNumber(condition.value1) || !isNumber(condition.value2)) {
+            throw new Error(`${name} / ${label}: value1 and value2 must be numbers`);
+        }
+        try {
+            calculatePsychrometricState(condition.inputType, condition.value1, condition.value2, pressure);
+        } catch (error) {
+            throw new Error(`${name} / ${label}: ${error.message}`);
+        }
+        return {
+            name: label,
+            inputType: condition.inputType,
+            value1: condition.value1,
+            value2: condition.value2
+        };
+    });
+
+    return normalized;
+}
+
+/**
+ * Check a site library and return its sites
+ *
+ * Accepts an exported library file or a bare array of sites. Site names are
+ * compared case-insensitively and must be unique.
+ *
+ * @param {Object|Array|string} data - Parsed library or its JSON text
+ * @returns {Array<Object>} Sites, sorted by name
+ * @throws {Error} If the library is not valid
+ */
+function parseSiteLibrary(data) {
+    const library = typeof data === 'string' ? JSON.parse(data) : data;
+    const sites = Array.isArray(library) ? library : library && library.sites;
+    if (!Array.isArray(sites)) {
+        throw new Error('Site library must have a "sites" array');
+    }
+    if (library.format !== undefined && library.format !== SITE_LIBRARY_FORMAT) {
+        throw new Error(`Not a site library file (format '${library.format}')`);
+    }
+    if (library.version > SITE_LIBRARY_VERSION) {
+        throw new Error(`Site library version ${library.version} is newer than this calculator supports (${SITE_LIBRARY_VERSION})`);
+    }
+
+    const names = new Set();
+    return sites.map((site, index) => {
+        let normalized;
+        try {
+            normalized = normalizeSite(site);
+        } catch (error) {
+            throw new Error(`Site ${index + 1}: ${error.message}`);
+        }
+        if (names.has(normalized.name.toLowerCase())) {
+            throw new Error(`Duplicate site '${normalized.name}'`);
+        }
+        names.add(normalized.name.toLowerCase());
+        return normalized;
+    }).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Write sites as a site library file
+ * @param {Array<Object>} sites - Sites
+ * @returns {string} JSON text
+ */
+function serializeSiteLibrary(sites) {
+    return JSON.stringify({
+        format: SITE_LIBRARY_FORMAT,
+        version: SITE_LIBRARY_VERSION,
+        sites
+    }, null, 2);
+}
+
+/**
+ * Merge imported sites into a library
+ *
+ * Sites are matched by name (case-insensitive); an imported site replaces
+ * the site of the same name, so a shared file is the reference for the sites
+ * it contains while sites only held locally are kept.
+ *
+ * @param {Array<Object>} sites - Current sites
+ * @param {Array<Object>} imported - Imported sites
+ * @returns {Object} sites (merged, sorted by name), added and replaced counts
+ */
+function mergeSiteLibraries(sites, imported) {
+    const merged = new Map(sites.map(site => [site.name.toLowerCase(), site]));
+    let added = 0;
+    let replaced = 0;
+
+    imported.forEach(site => {
+        const key = site.name.toLowerCase();
+        if (merged.has(key)) {
+            replaced++;
+        } else {
+            added++;
+        }
+        merged.set(key, site);
+    });
+
+    return {
+        sites: Array.from(merged.values()).sort((a, b) => a.name.localeCompare(b.name)),
+        added,
+        replaced
+    };
+}
+
+/**
+ * Add or replace a condition of a site, creating the site if needed
+ *
+ * The site's altitude or pressure is set from the given site conditions, so
+ * saving a condition also updates where the site is.
+ *
+ * @param {Array<Object>} sites - Current sites
+ * @param {Object} site - Site name with altitude and localTemperature or pressure, in SI units
+ * @param {Object} condition - Condition name, inputType, value1 and value2 in SI units
+ * @returns {Array<Object>} Updated sites, sorted by name
+ * @throws {Error} If the site or condition is not valid
+ */
+function saveSiteCondition(sites, site, condition) {
+    const key = String(site.name || '').trim().toLowerCase();
+    const existing = sites.find(item => item.name.toLowerCase() === key);
+    const conditionKey = String(condition.name || '').trim().toLowerCase();
+    const conditions = (existing ? existing.conditions : []).filter(item => item.name.toLowerCase() !== conditionKey);
+
+    const updated = normalizeSite({
+        ...site,
+        name: existing ? existing.name : site.name,
+        conditions: [...conditions, condition]
+    });
+    return mergeSiteLibraries(sites, [updated]).sites;
+}
+
+/**
+ * Remove a site, or one condition of it
+ * @param {Array<Object>} sites - Current sites
+ * @param {string} siteName - Site name
+ * @param {string} [conditionName] - Condition to remove; the whole site if omitted
+ * @returns {Array<Object>} Updated sites
+ */
+function deleteSiteCondition(sites, siteName, conditionName) {
+    const key = siteName.toLowerCase();
+    if (conditionName === undefined) {
+        return sites.filter(site => site.name.toLowerCase() !== key);
+    }
+    return sites.map(site => site.name.toLowerCase() !== key ? site : {
+        ...site,
+        conditions: site.conditions.filter(condition => condition.name.toLowerCase() !== conditionName.toLowerCase())
+    });
+}
+
+/**
+ * Load the site library from browser storage
+ *
+ * A stored library that is no longer valid is ignored rather than stopping
+ * the page from loading.
+ *
+ * @returns {Array<Object>} Stored sites, empty if there are none
+ */
+function loadSiteLibrary() {
+    try {
+        const stored = localStorage.getItem(SITE_LIBRARY_STORAGE_KEY);
+        return stored ? parseSiteLibrary(stored) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Store the site library in browser storage
+ * @param {Array<Object>} sites - Sites
+ * @returns {boolean} Whether the library could be stored
+ */
+function saveSiteLibrary(sites) {
+    try {
+        localStorage.setItem(SITE_LIBRARY_STORAGE_KEY, serializeSiteLibrary(sites));
+        return true;
+    } catch (error) {
+        // Storage may be unavailable (private browsing, file:// URLs)
+        return false;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SITE_LIBRARY_FORMAT,
+        SITE_LIBRARY_VERSION,
+        normalizeSite,
+        parseSiteLibrary,
+        serializeSiteLibrary,
+        mergeSiteLibraries,
+        saveSiteCondition,
+        deleteSiteCondition,
+        loadSiteLibrary,
+        saveSiteLibrary
+    };
+}
@@ -0,0 +1,245 @@
+// Tests for the batch export formats: XLSX (ZIP container), JSON and the HTML report
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CSVProcessor,
+    crc32,
+    readBatchTable,
+    describeBatchColumns,
+    parseBatchValue,
+    generateBatchJSON,
+    summarizeBatchTable,
+    generateBatchXLSX,
+    generateBatchReport
+} = require('..');
+
+/**
+ * Join the parts of a generated file into one buffer
+ * @param {Array<Uint8Array>} parts - Parts of the file
+ * @returns {Buffer} File contents
+ */
+function joinParts(parts) {
+    return Buffer.concat(parts.map(part => Buffer.from(part)));
+}
+
+/**
+ * Read a stored (uncompressed) ZIP archive through its central directory,
+ * checking each local header against its directory entry
+ * @param {Buffer} zip - Archive
+ * @returns {Map<string, Buffer>} Contents of each entry by name
+ */
+function readZip(zip) {
+    const end = zip.length - 22;
+    assert.equal(zip.readUInt32LE(end), 0x06054B50, 'end of central directory signature');
+    const count = zip.readUInt16LE(end + 10);
+    assert.equal(zip.readUInt16LE(end + 8), count);
+    const directorySize = zip.readUInt32LE(end + 12);
+    const directoryOffset = zip.readUInt32LE(end + 16);
+    assert.equal(directoryOffset + directorySize, end, 'central directory ends where the end record starts');
+
+    const entries = new Map();
+    let position = directoryOffset;
+    for (let index = 0; index < count; index++) {
+        assert.equal(zip.readUInt32LE(position), 0x02014B50, 'central directory entry signature');
+        const flags = zip.readUInt16LE(position + 8);
+        const method = zip.readUInt16LE(position + 10);
+        const crc = zip.readUInt32LE(position + 16);
+        const compressedSize = zip.readUInt32LE(position + 20);
+        const size = zip.readUInt32LE(position + 24);
+        const nameLength = zip.readUInt16LE(position + 28);
+        const extraLength = zip.readUInt16LE(position + 30);
+        const commentLength = zip.readUInt16LE(position + 32);
+        const localOffset = zip.readUInt32LE(position + 42);
+        const name = zip.toString('utf8', position + 46, position + 46 + nameLength);
+
+        assert.equal(flags, 0x0800, `${name} has a UTF-8 name`);
+        assert.equal(method, 0, `${name} is stored`);
+        assert.equal(compressedSize, size, `${name} sizes`);
+        assert.equal(zip.readUInt32LE(localOffset), 0x04034B50, `${name} local header signature`);
+        assert.equal(zip.readUInt32LE(localOffset + 14), crc, `${name} local CRC`);
+        assert.equal(zip.readUInt32LE(localOffset + 22), size, `${name} local size`);
+        const localNameLength = zip.readUInt16LE(localOffset + 26);
+        const localExtraLength = zip.readUInt16LE(localOffset + 28);
+        assert.equal(zip.toString('utf8', localOffset + 30, localOffset + 30 + localNameLength), name);
+
+        const start = localOffset + 30 + localNameLength + localExtraLength;
+        const data = zip.subarray(start, start + size);
+        assert.equal(crc32(data), crc, `${name} CRC matches its data`);
+        entries.set(name, data);
+        position += 46 + nameLength + extraLength + commentLength;
+    }
+    assert.equal(position, end);
+    return entries;
+}
+
+/**
+ * Read the cells of a worksheet
+ * @param {Buffer} xml - Worksheet XML
+ * @returns {Object} Values keyed by cell reference: numbers for numeric cells, text for inline strings
+ */
+function readCells(xml) {
+    const unescape = text => text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&');
+    const cells = {};
+    const pattern = /<c r="([A-Z]+\d+)"[^>]*>(?:<v>([^<]*)<\/v>|<is><t[^>]*>([^<]*)<\/t><\/is>)<\/c>/g;
+    for (const [, reference, number, text] of xml.toString('utf8').matchAll(pattern)) {
+        cells[reference] = number !== undefined ? Number(number) : unescape(text);
+    }
+    return cells;
+}
+
+const table = {
+    headers: ['RowNumber', 'Note', 'DBT', 'RH', 'Status'],
+    rows: [
+        ['2', 'a < b & "c" > d', '20.5', '50.0', 'OK'],
+        ['3', '007', '22', '45.25', 'OK'],
+        ['4', 'Zürich', '', '', 'Error'],
+        ['5', '', '25.25', '60.5', 'OK']
+    ]
+};
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+    assert.equal(crc32(new Uint8Array(0)), 0);
+    assert.equal(crc32(Buffer.from('56789'), crc32(Buffer.from('1234'))), 0xCBF43926);
+});
+
+test('generateBatchXLSX writes a ZIP whose central directory lists every part', () => {
+    const columns = describeBatchColumns(table.headers, new CSVProcessor(), 'SI');
+    const entries = readZip(joinParts(generateBatchXLSX(table, columns, { errors: [], errorCount: 0, warnings: [], warningCount: 0 })));
+
+    assert.deepEqual([...entries.keys()], [
+        '[Content_Types].xml',
+        '_rels/.rels',
+        'xl/workbook.xml',
+        'xl/_rels/workbook.xml.rels',
+        'xl/styles.xml',
+        'xl/worksheets/sheet1.xml',
+        'xl/worksheets/sheet2.xml'
+    ]);
+    assert.match(entries.get('xl/workbook.xml').toString(), /<sheet name="Results" sheetId="1" r:id="rId1"\/><sheet name="Errors" sheetId="2" r:id="rId2"\/>/);
+});
+
+test('generateBatchXLSX writes numbers as numeric cells and text as escaped inline strings', () => {
+    const columns = describeBatchColumns(table.headers, new CSVProcessor(), 'SI');
+    const entries = readZip(joinParts(generateBatchXLSX(table, columns, { errors: [], errorCount: 0, warnings: [], warningCount: 0 })));
+    const cells = readCells(entries.get('xl/worksheets/sheet1.xml'));
+
+    assert.deepEqual(
+        ['A1', 'B1', 'C1', 'D1', 'E1'].map(reference => cells[reference]),
+        ['RowNumber', 'Note', 'DBT (°C)', 'RH (%)', 'Status']
+    );
+    assert.equal(cells.A2, 2);
+    assert.equal(cells.B2, 'a < b & "c" > d');
+    assert.equal(cells.C2, 20.5);
+    assert.equal(cells.D3, 45.25);
+    assert.equal(cells.B3, '007');
+    assert.equal(cells.B4, 'Zürich');
+    assert.equal('C4' in cells, false);
+    assert.equal('B5' in cells, false);
+    assert.match(entries.get('xl/worksheets/sheet1.xml').toString(), /<c r="A1" s="1" t="inlineStr">/);
+    assert.match(entries.get('xl/worksheets/sheet1.xml').toString(), /<t xml:space="preserve">a &lt; b &amp; &quot;c&quot; &gt; d<\/t>/);
+});
+
+test('generateBatchXLSX lists errors and warnings on the Errors sheet', () => {
+    const columns = describeBatchColumns(table.headers, new CSVProcessor(), 'SI');
+    const messages = {
+        errors: [{ row: 4, error: 'Invalid Value1 - must be a number & <more>' }],
+        errorCount: 3,
+        warnings: ['Row 2: Value1 is extremely high', 'Extra columns found and will be ignored: Note'],
+        warningCount: 2
+    };
+    const cells = readCells(readZip(joinParts(generateBatchXLSX(table, columns, messages))).get('xl/worksheets/sheet2.xml'));
+
+    assert.deepEqual([cells.A1, cells.B1, cells.C1], ['Type', 'Row', 'Message']);
+    assert.deepEqual([cells.A2, cells.B2, cells.C2], ['Error', 4, 'Invalid Value1 - must be a number & <more>']);
+    assert.deepEqual([cells.A3, cells.B3, cells.C3], ['Error', undefined, '... and 2 more errors']);
+    assert.deepEqual([cells.A4, cells.B4, cells.C4], ['Warning', 2, 'Value1 is extremely high']);
+    assert.deepEqual([cells.A5, cells.B5, cells.C5], ['Warning', undefined, 'Extra columns found and will be ignored: Note']);
+});
+
+test('generateBatchXLSX refuses more rows than a worksheet holds', () => {
+    const rows = new Array(1048576);
+    assert.throws(() => generateBatchXLSX({ headers: [], rows }, [], {}), /at most 1,048,575 rows/);
+});
+
+test('parseBatchValue reads numbers and keeps other values as text', () => {
+    assert.equal(parseBatchValue('20.5'), 20.5);
+    assert.equal(parseBatchValue('-0.25'), -0.25);
+    assert.equal(parseBatchValue('+3'), 3);
+    assert.equal(parseBatchValue('1.5e-3'), 0.0015);
+    assert.equal(parseBatchValue('0'), 0);
+    assert.equal(parseBatchValue(''), null);
+    assert.equal(parseBatchValue('007'), '007');
+    assert.equal(parseBatchValue('1.'), '1.');
+    assert.equal(parseBatchValue('20,5'), '20,5');
+    assert.equal(parseBatchValue('Infinity'), 'Infinity');
+    assert.equal(parseBatchValue('OK'), 'OK');
+});
+
+test('generateBatchJSON writes an array of objects with numbers as numbers', () => {
+    const items = JSON.parse(generateBatchJSON(table).join(''));
+
+    assert.equal(items.length, 4);
+    assert.deepEqual(items[0], { RowNumber: 2, Note: 'a < b & "c" > d', DBT: 20.5, RH: 50, Status: 'OK' });
+    assert.deepEqual(items[1], { RowNumber: 3, Note: '007', DBT: 22, RH: 45.25, Status: 'OK' });
+    assert.deepEqual(items[2], { RowNumber: 4, Note: 'Zürich', DBT: null, RH: null, Status: 'Error' });
+    assert.deepEqual(JSON.parse(generateBatchJSON({ headers: ['DBT'], rows: [] }).join('')), []);
+});
+
+test('readBatchTable reads the results CSV from its parts', () => {
+    const processor = new CSVProcessor();
+    const read = readBatchTable(['RowNumber,Note\n"2","a, ""b""', '"\n"3","c"'], processor);
+
+    assert.deepEqual(read, { headers: ['RowNumber', 'Note'], rows: [['2', 'a, "b"'], ['3', 'c']] });
+});
+
+test('summarizeBatchTable gives the minimum, maximum and mean of the calculated rows', () => {
+    const columns = describeBatchColumns(table.headers, new CSVProcessor(), 'SI');
+    const stats = summarizeBatchTable(table, columns, row => row[4] === 'OK');
+
+    assert.deepEqual(stats.map(stat => stat.header), ['DBT', 'RH']);
+    const [dbt, rh] = stats;
+    assert.deepEqual({ ...dbt, mean: undefined }, { header: 'DBT', unit: '°C', count: 3, min: 20.5, max: 25.25, decimals: 2, mean: undefined });
+    assert.ok(Math.abs(dbt.mean - 67.75 / 3) < 1e-12);
+    assert.equal(rh.count, 3);
+    assert.equal(rh.min, 45.25);
+    assert.equal(rh.max, 60.5);
+    assert.ok(Math.abs(rh.mean - 155.75 / 3) < 1e-12);
+});
+
+test('generateBatchReport gives the statistics of the rows calculated', () => {
+    const html = generateBatchReport(
+        { ...table, rows: [...table.rows, ['6', '', '99', '99', 'Error']] },
+        new CSVProcessor(),
+        {
+            fileName: 'logger <1>.csv',
+            unitSystems: ['SI'],
+            summary: { rows: 5, results: 3, errors: [{ row: 4, error: 'Invalid <Value1>' }], errorCount: 2, warnings: [], warningCount: 0 }
+        }
+    ).replace(/\s+/g, ' ');
+
+    assert.match(html, /<td>DBT<\/td> <td>°C<\/td> <td class="number">3<\/td> <td class="number">20\.50<\/td> <td class="number">25\.25<\/td> <td class="number">22\.58<\/td>/);
+    assert.match(html, /<td>RH<\/td> <td>%<\/td> <td class="number">3<\/td> <td class="number">45\.25<\/td> <td class="number">60\.50<\/td> <td class="number">51\.92<\/td>/);
+    assert.match(html, /<title>Psychrometric Batch Report - logger &lt;1&gt;\.csv<\/title>/);
+    assert.match(html, /<li>Row 4: Invalid &lt;Value1&gt;<\/li><li>\.\.\. and 1 more errors<\/li>/);
+    assert.match(html, /<p>No warnings\.<\/p>/);
+});
+
+test('generateBatchReport splits the statistics by unit system when rows mix them', () => {
+    const mixed = {
+        headers: ['Units', 'DBT'],
+        rows: [['SI', '20'], ['IP', '68'], ['SI', '30']]
+    };
+    const html = generateBatchReport(mixed, new CSVProcessor(), {
+        unitSystems: ['SI', 'IP'],
+        summary: { rows: 3, results: 3, errors: [], errorCount: 0, warnings: [], warningCount: 0 }
+    }).replace(/\s+/g, ' ');
+
+    assert.match(html, /<h3>SI rows<\/h3>.*<td>DBT<\/td> <td>°C<\/td> <td class="number">2<\/td> <td class="number">20<\/td> <td class="number">30<\/td> <td class="number">25<\/td>/);
+    assert.match(html, /<h3>IP rows<\/h3>.*<td>DBT<\/td> <td>°F<\/td> <td class="number">1<\/td> <td class="number">68<\/td>/);
+});
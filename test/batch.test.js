@@ -0,0 +1,241 @@
+// Tests for the chunked batch engine: reading, pause, resume, cancel and the runner
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CSVProcessor,
+    createBatchControl,
+    readBatchRows,
+    validateCSVBatch,
+    runCSVBatch,
+    createBatchRunner
+} = require('..');
+
+/**
+ * Build a CSV file whose Note column has quoted delimiters, line breaks and
+ * doubled quotes, so that small chunks split rows inside quoted fields
+ * @param {number} rows - Data rows
+ * @returns {string} CSV text
+ */
+function createBatchCSV(rows) {
+    const lines = ['InputType,Value1,Value2,Altitude,Note'];
+    for (let index = 0; index < rows; index++) {
+        lines.push(`dbt_rh,${20 + index % 10},${40 + index % 30},${index % 3 * 100},"row ${index}, ""quoted""\r\nsecond line"`);
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Read every row of a file with readBatchRows
+ * @param {Blob} file - CSV file
+ * @param {number} chunkSize - Bytes per chunk
+ * @returns {Promise<Object>} rows, their file lines, the indexes passed with each chunk and completed
+ */
+async function readAllRows(file, chunkSize) {
+    const processor = new CSVProcessor();
+    const rows = [];
+    const indexes = [];
+    const completed = await readBatchRows(file, processor, createBatchControl(), (chunkRows, index) => {
+        indexes.push(index);
+        rows.push(...chunkRows);
+    }, chunkSize);
+    return { rows, lines: rows.map((row, index) => processor.getRowNumber(row, index)), indexes, completed };
+}
+
+/**
+ * Wait for pending timers and promises
+ * @param {number} [ms=20] - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function wait(ms = 20) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('readBatchRows gives the same rows for chunks that split quoted fields', async () => {
+    // Larger than the sample the row parser holds back to detect the format
+    const text = createBatchCSV(2000);
+    const expected = new CSVProcessor().parseCSV(text);
+    const file = new Blob([text]);
+
+    for (const chunkSize of [997, 4099, 70001, 1024 * 1024]) {
+        const { rows, lines, indexes, completed } = await readAllRows(file, chunkSize);
+        assert.equal(completed, true);
+        assert.deepEqual(rows, expected, `chunks of ${chunkSize}`);
+        assert.deepEqual(lines, expected.map((row, index) => 2 + index * 2), `chunks of ${chunkSize}`);
+        assert.equal(indexes[0], 0);
+    }
+    assert.equal(expected[3].Note, 'row 3, "quoted"\nsecond line');
+});
+
+test('readBatchRows keeps characters split between chunks whole', async () => {
+    const text = 'InputType,Value1,Value2,Altitude,Note\ndbt_rh,20,50,0,"Zürich °C ✓"\n';
+    const { rows } = await readAllRows(new Blob([text]), 1);
+
+    assert.equal(rows[0].Note, 'Zürich °C ✓');
+});
+
+test('runCSVBatch output in small chunks matches generateOutputCSV', async () => {
+    const text = createBatchCSV(2000);
+    const reference = new CSVProcessor();
+    const expected = reference.generateOutputCSV(reference.parseCSV(text).map((row, index) => reference.processRow(row, reference.getRowNumber(row, index))));
+
+    const processor = new CSVProcessor();
+    const parts = [];
+    const progress = [];
+    const summary = await runCSVBatch(new Blob([text]), processor, {
+        rows: 2000,
+        chunkSize: 4099,
+        onOutput: part => parts.push(part),
+        onProgress: update => progress.push(update)
+    });
+
+    assert.equal(parts.join(''), expected);
+    assert.ok(parts.length > 1);
+    assert.equal(summary.rows, 2000);
+    assert.equal(summary.results, 2000);
+    assert.equal(summary.written, 2000);
+    assert.equal(summary.cancelled, false);
+    assert.deepEqual(summary.unitSystems, ['SI']);
+    assert.equal(progress[progress.length - 1].bytesRead, text.length);
+});
+
+test('validateCSVBatch reports row errors by file line whatever the chunk size', async () => {
+    const text = 'InputType,Value1,Value2,Altitude,Note\n'
+        + 'dbt_rh,20,50,0,"a\nb"\n'
+        + 'dbt_rh,abc,50,0,c\n'
+        + 'dbt_rh,20,50,0\n'
+        + 'dbt_rh,25,60,0,d\n';
+
+    for (const chunkSize of [3, 1024]) {
+        const summary = await validateCSVBatch(new Blob([text]), new CSVProcessor(), { chunkSize });
+        assert.equal(summary.isValid, false);
+        assert.equal(summary.rows, 3);
+        assert.deepEqual(summary.errors, ['Row 4: Invalid Value1 - must be a number']);
+        assert.ok(summary.warnings.includes('Row 5: Expected 5 columns but found 4. Row skipped.'));
+        assert.deepEqual(summary.columns, ['InputType', 'Value1', 'Value2', 'Altitude', 'Note']);
+    }
+});
+
+test('a paused run waits until it is resumed', async () => {
+    const control = createBatchControl();
+    const chunks = [];
+    control.pause();
+    const run = runCSVBatch(new Blob([createBatchCSV(20)]), new CSVProcessor(), {
+        control,
+        chunkSize: 100,
+        onProgress: update => chunks.push(update)
+    });
+
+    await wait();
+    // The first chunk is read before the run reaches a checkpoint
+    assert.equal(chunks.length, 1);
+    await wait();
+    assert.equal(chunks.length, 1);
+
+    control.resume();
+    const summary = await run;
+    assert.equal(summary.cancelled, false);
+    assert.equal(summary.rows, 20);
+    assert.ok(chunks.length > 1);
+    assert.ok(control.pausedTime > 0);
+});
+
+test('a cancelled run stops between chunks', async () => {
+    const control = createBatchControl();
+    const parts = [];
+    const summary = await runCSVBatch(new Blob([createBatchCSV(2000)]), new CSVProcessor(), {
+        control,
+        chunkSize: 4099,
+        onOutput: part => parts.push(part),
+        onProgress: update => {
+            if (update.rows > 0) {
+                control.cancel();
+            }
+        }
+    });
+
+    assert.equal(summary.cancelled, true);
+    assert.ok(summary.rows > 0 && summary.rows < 2000);
+    assert.equal(parts.length, 1);
+});
+
+test('a paused run can be cancelled', async () => {
+    const control = createBatchControl();
+    control.pause();
+    const run = validateCSVBatch(new Blob([createBatchCSV(20)]), new CSVProcessor(), { control, chunkSize: 100 });
+
+    await wait();
+    control.cancel();
+    const summary = await run;
+    assert.equal(summary.cancelled, true);
+    assert.ok(summary.rows < 20);
+});
+
+test('a new request cancels the run in progress', async () => {
+    const messages = [];
+    const runner = createBatchRunner(new CSVProcessor(), message => messages.push(message));
+    const settings = { unitSystem: 'SI', delimiter: 'auto', decimalSeparator: 'auto', outputColumns: null, lenient: false, columnMapping: null };
+    const file = new Blob([createBatchCSV(20)]);
+
+    const first = runner({ type: 'validate', file, settings });
+    const second = runner({ type: 'validate', file, settings });
+    await Promise.all([first, second]);
+
+    const validated = messages.filter(message => message.type === 'validated');
+    assert.equal(validated.length, 2);
+    assert.equal(validated[0].cancelled, true);
+    assert.equal(validated[1].cancelled, false);
+    assert.equal(validated[1].rows, 20);
+    assert.equal(validated[1].isValid, true);
+});
+
+test('the runner restarts with the settings of the new request', async () => {
+    const messages = [];
+    const runner = createBatchRunner(new CSVProcessor(), message => messages.push(message));
+    const settings = { unitSystem: 'SI', delimiter: 'auto', decimalSeparator: 'auto', outputColumns: null, lenient: false, columnMapping: null };
+    const file = new Blob([createBatchCSV(5)]);
+
+    const cancelled = runner({ type: 'process', file, settings, rows: 5 });
+    const restarted = runner({ type: 'process', file, settings: { ...settings, outputColumns: ['RowNumber', 'DBT'] }, rows: 5 });
+    await Promise.all([cancelled, restarted]);
+
+    const processed = messages.filter(message => message.type === 'processed');
+    assert.deepEqual(processed.map(message => message.cancelled), [true, false]);
+    const output = messages.filter(message => message.type === 'output').map(message => message.text).join('');
+    assert.equal(output.split('\n')[0], 'RowNumber,DBT');
+    assert.equal(output.split('\n').length, 6);
+});
+
+test('pause, resume and cancel requests reach the run in progress', async () => {
+    const messages = [];
+    const runner = createBatchRunner(new CSVProcessor(), message => messages.push(message));
+    const settings = { unitSystem: 'SI', delimiter: 'auto', decimalSeparator: 'auto', outputColumns: null, lenient: false, columnMapping: null };
+    const text = createBatchCSV(16000);
+
+    const run = runner({ type: 'validate', file: new Blob([text]), settings });
+    await runner({ type: 'pause' });
+    await wait(50);
+    const progressWhilePaused = messages.filter(message => message.type === 'progress').length;
+    await wait(50);
+    assert.equal(messages.filter(message => message.type === 'progress').length, progressWhilePaused);
+    assert.equal(messages.some(message => message.type === 'validated'), false);
+
+    await runner({ type: 'resume' });
+    await runner({ type: 'cancel' });
+    await run;
+    const [validated] = messages.filter(message => message.type === 'validated');
+    assert.equal(validated.cancelled, true);
+});
+
+test('the runner reports unknown requests and invalid settings as errors', async () => {
+    const messages = [];
+    const runner = createBatchRunner(new CSVProcessor(), message => messages.push(message));
+
+    await runner({ type: 'start' });
+    await runner({ type: 'validate', file: new Blob(['']), settings: { unitSystem: 'SI', delimiter: ',', decimalSeparator: ',' } });
+
+    assert.deepEqual(messages, [
+        { type: 'error', message: "Unknown batch request 'start'" },
+        { type: 'error', message: 'A decimal comma needs a delimiter other than comma' }
+    ]);
+});
@@ -0,0 +1,69 @@
+// Tests for batch processing with the command-line tool
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { CSVProcessor } = require('..');
+
+const CLI = path.join(__dirname, '..', 'bin', 'hvac-psychro.js');
+
+/**
+ * Write CSV text to a temporary file
+ * @param {string} text - CSV text
+ * @returns {string} File path
+ */
+function writeTemporaryCSV(text) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'hvac-psychro-test-'));
+    const file = path.join(directory, 'input.csv');
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+/**
+ * Build a CSV file larger than one chunk of the batch engine
+ * @param {number} rows - Data rows
+ * @returns {string} CSV text
+ */
+function createLargeCSV(rows) {
+    const lines = ['InputType,Value1,Value2,Altitude'];
+    for (let index = 0; index < rows; index++) {
+        lines.push(`dbt_rh,${10 + index % 25},${20 + index % 60},${index % 500}`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+test('a file larger than one chunk gives the output of generateOutputCSV', async () => {
+    const text = createLargeCSV(80000);
+    const file = writeTemporaryCSV(text);
+    const processor = new CSVProcessor();
+    const expected = processor.generateOutputCSV(await processor.processData(processor.parseCSV(text)));
+
+    try {
+        assert.ok(fs.statSync(file).size > 1024 * 1024);
+        assert.equal(execFileSync(process.execPath, [CLI, '--csv', file], { encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 }), `${expected}\n`);
+        assert.equal(execFileSync(process.execPath, [CLI, '--csv', '-'], { input: text, encoding: 'utf8', maxBuffer: 64 * 1024 * 1024 }), `${expected}\n`);
+    } finally {
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+});
+
+test('a file with row errors writes no output unless lenient', () => {
+    const file = writeTemporaryCSV('InputType,Value1,Value2,Altitude\ndbt_rh,20,50,0\ndbt_rh,abc,50,0\n');
+
+    try {
+        const strict = spawnSync(process.execPath, [CLI, '--csv', file], { encoding: 'utf8' });
+        assert.equal(strict.status, 1);
+        assert.equal(strict.stdout, '');
+        assert.equal(strict.stderr, 'Error: Row 3: Invalid Value1 - must be a number\n');
+
+        const lenient = spawnSync(process.execPath, [CLI, '--csv', file, '--lenient'], { encoding: 'utf8' });
+        assert.equal(lenient.status, 1);
+        assert.equal(lenient.stdout.trimEnd().split('\n').length, 3);
+        assert.equal(lenient.stderr, 'Error: Row 3: Invalid Value1 - must be a number\n');
+    } finally {
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,54 @@
+// Tests for the climatic design conditions station database
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseClimateDatabase, getClimateDesignInputs } = require('..');
+
+/**
+ * Build a station with every design condition
+ * @param {Object} [fields] - Fields replacing the defaults
+ * @returns {Object} Station
+ */
+function createStation(fields = {}) {
+    const levels = (make) => ({ '0.4': make(0), '1.0': make(1), '2.0': make(2) });
+    return {
+        id: '000000',
+        name: 'Test Station',
+        elevation: 100,
+        source: 'Test data set, station 000000',
+        heating: { '99.6': -10, '99.0': -8 },
+        humidification: { '99.6': { dp: -20, hr: 0.6, mcdb: -6 } },
+        cooling: levels(step => ({ db: 33 - step, mcwb: 23 - step / 2 })),
+        evaporation: levels(step => ({ wb: 25 - step / 2, mcdb: 30 - step })),
+        dehumidification: levels(step => ({ dp: 22 - step / 2, hr: 17 - step / 2, mcdb: 27 - step / 2 })),
+        ...fields
+    };
+}
+
+test('a station database needs the source of every station', () => {
+    const database = parseClimateDatabase(JSON.stringify({ stations: [createStation()] }));
+    assert.equal(database.stations[0].source, 'Test data set, station 000000');
+
+    assert.throws(() => parseClimateDatabase({ stations: [createStation({ source: undefined })] }),
+        /Test Station: missing source of the design values/);
+    assert.throws(() => parseClimateDatabase({ stations: [createStation({ source: ' ' })] }),
+        /Test Station: missing source of the design values/);
+});
+
+test('a station database needs every design condition', () => {
+    assert.throws(() => parseClimateDatabase({ stations: [createStation({ cooling: {} })] }),
+        /Test Station: missing or invalid Cooling 0.4% DB \/ MCWB/);
+    assert.throws(() => parseClimateDatabase({ stations: [] }), /non-empty "stations" array/);
+});
+
+test('design conditions give the calculator inputs at the station elevation', () => {
+    assert.deepEqual(getClimateDesignInputs(createStation(), 'cooling-1.0'), {
+        label: 'Cooling 1% DB / MCWB',
+        inputType: 'dbt_wbt',
+        value1: 32,
+        value2: 22.5,
+        altitude: 100
+    });
+    assert.equal(getClimateDesignInputs(createStation(), 'heating-99.6').value2, -20);
+    assert.throws(() => getClimateDesignInputs(createStation(), 'cooling-5'), /Unknown design condition/);
+});
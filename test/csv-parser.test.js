@@ -0,0 +1,172 @@
+// Tests for the streaming CSV parser of the CSV processor
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CSVProcessor } = require('..');
+
+/**
+ * Parse CSV text in chunks of the given size
+ * @param {CSVProcessor} processor - Processor whose row parser is used
+ * @param {string} text - CSV text
+ * @param {number} chunkSize - Characters per chunk
+ * @returns {Array<Object>} Parsed rows
+ */
+function parseInChunks(processor, text, chunkSize) {
+    const parser = processor.createRowParser();
+    const rows = [];
+    for (let offset = 0; offset < text.length; offset += chunkSize) {
+        rows.push(...parser.write(text.slice(offset, offset + chunkSize)));
+    }
+    rows.push(...parser.end());
+    return rows;
+}
+
+test('record parser keeps delimiters and line breaks inside quoted fields', () => {
+    const processor = new CSVProcessor();
+    const parser = processor.createRecordParser(',');
+    const records = [...parser.write('a,"b,c","line 1\nline 2"\nd,e,f\n'), ...parser.end()];
+
+    assert.deepEqual(records, [
+        { fields: ['a', 'b,c', 'line 1\nline 2'], line: 1 },
+        { fields: ['d', 'e', 'f'], line: 3 }
+    ]);
+});
+
+test('record parser reads doubled quotes as one quote', () => {
+    const processor = new CSVProcessor();
+    assert.deepEqual(processor.parseCSVLine('"say ""hi""",""""'), ['say "hi"', '"']);
+});
+
+test('record parser ends records at CRLF, LF and CR and returns quoted line breaks as LF', () => {
+    const processor = new CSVProcessor();
+    const parser = processor.createRecordParser(',');
+    const records = [...parser.write('a,b\r\nc,"d\r\ne"\rf,g\nh,i'), ...parser.end()];
+
+    assert.deepEqual(records.map(record => record.fields), [['a', 'b'], ['c', 'd\ne'], ['f', 'g'], ['h', 'i']]);
+    assert.deepEqual(records.map(record => record.line), [1, 2, 4, 5]);
+});
+
+test('record parser handles a CRLF split between chunks', () => {
+    const processor = new CSVProcessor();
+    const parser = processor.createRecordParser(',');
+    const records = [...parser.write('a,b\r'), ...parser.write('\nc,d\r'), ...parser.write('\n'), ...parser.end()];
+
+    assert.deepEqual(records, [
+        { fields: ['a', 'b'], line: 1 },
+        { fields: ['c', 'd'], line: 2 }
+    ]);
+});
+
+test('record parser flags a quoted field left open at the end of the file', () => {
+    const processor = new CSVProcessor();
+    const parser = processor.createRecordParser(',');
+    const records = [...parser.write('a,"b\nc'), ...parser.end()];
+
+    assert.deepEqual(records, [{ fields: ['a', 'b\nc'], line: 1, unterminated: true }]);
+});
+
+test('row parser drops a byte order mark before the first header', () => {
+    const processor = new CSVProcessor();
+    const rows = processor.parseCSV('﻿InputType,Value1,Value2,Altitude\ndbt_rh,20,50,0\n');
+
+    assert.deepEqual(Object.keys(rows[0]), ['InputType', 'Value1', 'Value2', 'Altitude']);
+    assert.equal(rows[0].InputType, 'dbt_rh');
+});
+
+test('row parser detects a semicolon delimiter with a decimal comma', async () => {
+    const processor = new CSVProcessor();
+    const rows = processor.parseCSV('InputType;Value1;Value2;Altitude\ndbt_rh;20,5;50;0\ndbt_rh;25;60,25;100\n');
+
+    assert.deepEqual(processor.format, { delimiter: ';', decimalSeparator: ',' });
+    const results = await processor.processData(rows);
+    assert.equal(results[0].value1, 20.5);
+    assert.equal(results[0].value2, 50);
+    assert.equal(results[1].value2, 60.25);
+});
+
+test('lenient output passes decimal-comma fields through as written', () => {
+    const processor = new CSVProcessor();
+    processor.lenient = true;
+    const rows = processor.parseCSV('InputType;Value1;Value2;Altitude;Note\ndbt_rh;20,5;50;0;1,5 m\n');
+    const result = processor.processRowWithStatus(rows[0], processor.getRowNumber(rows[0], 0));
+
+    assert.equal(rows[0].Value1, '20,5');
+    assert.equal(result.status, 'OK');
+    assert.equal(result.value1, 20.5);
+    const [header, line] = processor.generateOutputCSV([result]).split('\n');
+    assert.match(header, /^InputType,Value1,Value2,Altitude,Note,Status,/);
+    assert.match(line, /^"dbt_rh","20,5","50","0","1,5 m","OK",/);
+});
+
+test('row parser keeps a decimal point when a semicolon file has point numbers', () => {
+    const processor = new CSVProcessor();
+    processor.parseCSV('InputType;Value1;Value2;Altitude\ndbt_rh;20.5;50;0\n');
+
+    assert.deepEqual(processor.format, { delimiter: ';', decimalSeparator: '.' });
+});
+
+test('row parser uses the delimiter and decimal separator set on the processor', async () => {
+    const processor = new CSVProcessor();
+    processor.setInputFormat({ delimiter: 'tab', decimalSeparator: ',' });
+    const rows = processor.parseCSV('InputType\tValue1\tValue2\tAltitude\ndbt_rh\t21,5\t40\t0\n');
+
+    assert.deepEqual(processor.format, { delimiter: '\t', decimalSeparator: ',' });
+    const [result] = await processor.processData(rows);
+    assert.equal(result.value1, 21.5);
+    assert.throws(() => processor.setInputFormat({ delimiter: ',', decimalSeparator: ',' }), /delimiter other than comma/);
+});
+
+test('rows keep the file line they start on', () => {
+    const processor = new CSVProcessor();
+    const text = [
+        'InputType,Value1,Value2,Altitude,Note',
+        'dbt_rh,20,50,0,"two',
+        'lines"',
+        '',
+        'dbt_rh,21,50,0',
+        'dbt_rh,22,50,0,"say ""hi"""',
+        'dbt_rh,23,50,0,last'
+    ].join('\r\n');
+    const rows = processor.parseCSV(text);
+
+    assert.deepEqual(rows.map((row, index) => processor.getRowNumber(row, index)), [2, 6, 7]);
+    assert.equal(rows[0].Note, 'two\nlines');
+    assert.equal(rows[1].Note, 'say "hi"');
+    assert.deepEqual(processor.parseWarnings, ['Row 5: Expected 5 columns but found 4. Row skipped.']);
+});
+
+test('rows not read from a file are numbered from their index', () => {
+    const processor = new CSVProcessor();
+    assert.equal(processor.getRowNumber({ InputType: 'dbt_rh' }, 3), 5);
+});
+
+test('lenient mode keeps a row with the wrong number of fields as a failed row', () => {
+    const processor = new CSVProcessor();
+    processor.lenient = true;
+    const rows = processor.parseCSV('InputType,Value1,Value2,Altitude\ndbt_rh,20,50\n');
+
+    assert.equal(rows.length, 1);
+    assert.deepEqual(processor.validateCSVRow(rows[0], processor.getRowNumber(rows[0], 0)), [
+        'Row 2: Expected 4 columns but found 3'
+    ]);
+});
+
+test('row parser gives the same rows whatever the chunk size', () => {
+    const text = '﻿InputType;Value1;Value2;Altitude;Note\r\n'
+        + 'dbt_rh;20,5;50;0;"a;\r\nb"\r\n'
+        + 'dbt_wbt;30;20;0;"say ""hi"""\r\n'
+        + '\r\n'
+        + 'dbt_dpt;25;10;150;plain\r\n';
+    const whole = new CSVProcessor();
+    const expected = whole.parseCSV(text);
+    const lines = expected.map((row, index) => whole.getRowNumber(row, index));
+
+    [1, 2, 3, 7, 16].forEach(chunkSize => {
+        const processor = new CSVProcessor();
+        const rows = parseInChunks(processor, text, chunkSize);
+        assert.deepEqual(rows, expected, `chunks of ${chunkSize}`);
+        assert.deepEqual(rows.map((row, index) => processor.getRowNumber(row, index)), lines, `chunks of ${chunkSize}`);
+        assert.deepEqual(processor.format, whole.format, `chunks of ${chunkSize}`);
+    });
+    assert.deepEqual(lines, [2, 4, 6]);
+});
@@ -0,0 +1,39 @@
+// Tests for the CommonJS (index.js) and ES module (index.mjs) entry points
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+import * as engine from '../index.mjs';
+
+const require = createRequire(import.meta.url);
+const commonjs = require('../index.js');
+
+test('the ES module entry point has a named export for every CommonJS export', () => {
+    const missing = Object.keys(commonjs).filter(name => !(name in engine));
+    assert.deepEqual(missing, []);
+    Object.keys(commonjs).forEach(name => {
+        assert.equal(engine[name], commonjs[name], name);
+    });
+});
+
+test('the ES module entry point exports nothing the CommonJS one does not', () => {
+    const extra = Object.keys(engine).filter(name => name !== 'default' && !(name in commonjs));
+    assert.deepEqual(extra, []);
+    assert.equal(engine.default, commonjs);
+});
+
+test('both entry points calculate the same properties', () => {
+    const options = { units: 'SI', pressure: 95, pressureUnit: 'kPa' };
+    assert.deepEqual(
+        engine.calculatePsychrometricProperties('dbt_wbt', 30, 22, 0, options),
+        commonjs.calculatePsychrometricProperties('dbt_wbt', 30, 22, 0, options)
+    );
+});
+
+test('the CSV processor is exported as a class', async () => {
+    const processor = new engine.CSVProcessor();
+    const [result] = await processor.processData(processor.parseCSV('InputType,Value1,Value2,Altitude\ndbt_rh,25,50,0\n'));
+
+    assert.equal(result.rowNumber, 2);
+    assert.equal(result.rh, '50');
+});
@@ -0,0 +1,37 @@
+// Tests for the insulation line list
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CSVProcessor, processInsulationLineList } = require('..');
+
+/**
+ * Calculate a line list CSV file as the calculator page does
+ * @param {string} text - Line list CSV text
+ * @returns {Object} results and errors of processInsulationLineList
+ */
+function processLineList(text) {
+    const processor = new CSVProcessor();
+    const rows = processor.parseCSV(text);
+    return processInsulationLineList(rows, null, 'SI',
+        (row, index) => processor.getRowNumber(row, index), value => processor.parseNumber(value));
+}
+
+test('a line list with a decimal comma reads the fractional part', () => {
+    const comma = processLineList('Tag;Type;Diameter;FluidTemperature;Thickness;AmbientDBT;AmbientRH\n' +
+        'P-1;pipe;0,0603;6,5;0,0125;30,5;70\n');
+    const point = processLineList('Tag,Type,Diameter,FluidTemperature,Thickness,AmbientDBT,AmbientRH\n' +
+        'P-1,pipe,0.0603,6.5,0.0125,30.5,70\n');
+
+    assert.deepEqual(comma.errors, []);
+    assert.equal(comma.results.length, 1);
+    assert.equal(comma.results[0].fluidTemperature, 6.5);
+    assert.equal(comma.results[0].ambientDbt, 30.5);
+    assert.deepEqual(comma.results, point.results);
+});
+
+test('a line list number that is not a number is a row error', () => {
+    const { results, errors } = processLineList('Tag,Type,Diameter,FluidTemperature,AmbientDBT,AmbientRH\n' +
+        'P-1,pipe,big,6.5,30,70\n');
+    assert.equal(results.length, 0);
+    assert.deepEqual(errors, [{ row: 2, error: 'Invalid Diameter - must be a number' }]);
+});
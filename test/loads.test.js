@@ -0,0 +1,43 @@
+// Tests for the airflow load calculator
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateAirflowLoads, calculateProcessLoads, calculatePsychrometricState } = require('..');
+
+const entering = calculatePsychrometricState('dbt_rh', 30, 50, 101.325);
+const leaving = calculatePsychrometricState('dbt_rh', 13, 95, 101.325);
+
+test('actual-air loads are the process loads for the same airflow', () => {
+    const loads = calculateAirflowLoads(entering, leaving, { volumetric: 2 });
+    const process = calculateProcessLoads(entering, leaving, 2);
+
+    for (const key of ['massFlow', 'sensible', 'latent', 'total', 'shr']) {
+        assert.ok(Math.abs(loads[key] - process[key]) < 1e-9, key);
+    }
+    assert.ok(Math.abs(loads.moistureRemoval - process.condensate) < 1e-9);
+    assert.ok(Math.abs(loads.sensible + loads.latent - loads.total) < 1e-9);
+});
+
+test('a mass airflow or one measured at leaving conditions gives the same split', () => {
+    const byMass = calculateAirflowLoads(entering, leaving, { mass: 2 });
+    assert.ok(Math.abs(byMass.massFlow - 2) < 1e-12);
+    assert.ok(Math.abs(byMass.volumetricFlow - 2 * entering.specificVolume) < 1e-12);
+
+    const atLeaving = calculateAirflowLoads(entering, leaving, { volumetric: 2 }, { airflowAt: 'leaving' });
+    assert.ok(Math.abs(atLeaving.massFlow - 2 / leaving.specificVolume) < 1e-12);
+    assert.ok(Math.abs(atLeaving.shr - byMass.shr) < 1e-12);
+});
+
+test('standard-air loads use the standard-air factors', () => {
+    const loads = calculateAirflowLoads(entering, leaving, { volumetric: 2 }, { convention: 'standard' });
+    assert.equal(loads.massFlow, 2.4);
+    assert.ok(Math.abs(loads.sensible - 1.23 * 2 * (leaving.dbt - entering.dbt)) < 1e-9);
+    assert.ok(Math.abs(loads.total - 1.2 * 2 * (leaving.enthalpy - entering.enthalpy)) < 1e-9);
+    assert.ok(loads.moistureRemoval > 0);
+});
+
+test('humidifying air removes no moisture', () => {
+    const loads = calculateAirflowLoads(leaving, entering, { volumetric: 2 });
+    assert.equal(loads.moistureRemoval, 0);
+    assert.ok(loads.latent > 0);
+});
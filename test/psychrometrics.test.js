@@ -0,0 +1,110 @@
+// Tests for the psychrometric engine: the root finder and the state solver
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    ROOT_TOLERANCE,
+    STANDARD_PRESSURE,
+    findRoot,
+    parseInputType,
+    INPUT_PROPERTIES,
+    INPUT_TYPES,
+    calculatePsychrometricState,
+    calculatePsychrometricProperties,
+    validatePsychrometricInputs,
+    calculateHeatIndex,
+    calculateHumidex,
+    CSVProcessor
+} = require('..');
+
+test('findRoot finds a root within the tolerance', () => {
+    assert.ok(Math.abs(findRoot(x => x * x - 2, 0, 2) - Math.SQRT2) <= ROOT_TOLERANCE);
+    assert.ok(Math.abs(findRoot(x => Math.cos(x) - x, 0, 1, 1e-12) - 0.7390851332151607) <= 1e-12);
+});
+
+test('findRoot returns a bound that is a root', () => {
+    assert.equal(findRoot(x => x - 1, 1, 5), 1);
+    assert.equal(findRoot(x => x - 5, 1, 5), 5);
+});
+
+test('findRoot rejects an interval without a sign change', () => {
+    assert.throws(() => findRoot(x => x * x + 1, -1, 1), /No solution found between -1 and 1/);
+});
+
+test('every input pair solves back to the state it was taken from', () => {
+    const reference = calculatePsychrometricState('dbt_rh', 25, 50, STANDARD_PRESSURE);
+
+    Object.keys(INPUT_TYPES).forEach(inputType => {
+        const keys = parseInputType(inputType);
+        const [value1, value2] = keys.map(key => reference[INPUT_PROPERTIES[key].stateKey]);
+        const state = calculatePsychrometricState(inputType, value1, value2, STANDARD_PRESSURE);
+
+        assert.ok(Math.abs(state.dbt - reference.dbt) < 0.01, `${inputType} dry bulb ${state.dbt}`);
+        assert.ok(Math.abs(state.humidityRatio - reference.humidityRatio) < 1e-5, `${inputType} humidity ratio ${state.humidityRatio}`);
+    });
+});
+
+test('input pairs are accepted in either order', () => {
+    const forward = calculatePsychrometricState('dbt_wbt', 30, 20, STANDARD_PRESSURE);
+    const reverse = calculatePsychrometricState('wbt_dbt', 20, 30, STANDARD_PRESSURE);
+
+    assert.deepEqual(reverse, forward);
+});
+
+test('dependent input pairs are rejected', () => {
+    assert.throws(() => parseInputType('dpt_w'), /dependent properties/);
+    assert.throws(() => parseInputType('h_wbt'), /dependent properties/);
+});
+
+test('results are given in the chosen unit system', () => {
+    const si = calculatePsychrometricProperties('dbt_rh', 25, 50, 0);
+    const ip = calculatePsychrometricProperties('dbt_rh', 77, 50, 0, { units: 'IP' });
+
+    assert.equal(si.units, 'SI');
+    assert.equal(ip.units, 'IP');
+    assert.equal(si.dpt, '13.9');
+    assert.equal(ip.dpt, '57');
+});
+
+test('completely dry air is rejected as an input', () => {
+    assert.deepEqual(validatePsychrometricInputs('dbt_rh', 20, 0, 'SI'), [
+        'Relative humidity must be greater than 0% and at most 100% (dry air has no dew point)'
+    ]);
+    assert.deepEqual(validatePsychrometricInputs('dbt_w', 20, 0, 'SI'), [
+        'Humidity ratio must be greater than zero (dry air has no dew point)'
+    ]);
+    assert.deepEqual(validatePsychrometricInputs('dbt_rh', 20, 0.1, 'SI'), []);
+    assert.deepEqual(validatePsychrometricInputs('dbt_w', 20, 0.00001, 'SI'), []);
+});
+
+test('a CSV row of completely dry air is a row error with the validation message', () => {
+    const processor = new CSVProcessor();
+    const rows = processor.parseCSV('InputType,Value1,Value2,Altitude\ndbt_rh,20,0,0\ndbt_rh,20,50,0\n');
+    const validation = processor.validateCSVData(rows);
+
+    assert.deepEqual(validation.errors, [
+        'Row 2: Relative humidity must be greater than 0% and at most 100% (dry air has no dew point)'
+    ]);
+});
+
+test('heat index and humidex are only given for warm conditions', () => {
+    assert.equal(calculateHeatIndex(-20, 50), null);
+    assert.equal(calculateHeatIndex(26.6, 50), null);
+    assert.equal(calculateHeatIndex(51, 20), null);
+    assert.ok(Math.abs(calculateHeatIndex(32, 60) - 37.5) < 0.5);
+    assert.equal(calculateHumidex(-20, 0.05), null);
+    assert.equal(calculateHumidex(19.9, 1.5), null);
+    assert.ok(Math.abs(calculateHumidex(30, 2.1) - 36.1) < 0.05);
+    assert.equal(calculateHumidex(50.1, 5), null);
+    assert.notEqual(calculateHumidex(50, 5), null);
+
+    const cold = calculatePsychrometricProperties('dbt_rh', -20, 50, 0);
+    assert.equal(cold.heatIndex, '');
+    assert.equal(cold.humidex, '');
+    const warm = calculatePsychrometricProperties('dbt_rh', 30, 50, 0);
+    assert.notEqual(warm.heatIndex, '');
+    assert.notEqual(warm.humidex, '');
+    const hot = calculatePsychrometricProperties('dbt_rh', 150, 5, 0);
+    assert.equal(hot.heatIndex, '');
+    assert.equal(hot.humidex, '');
+});
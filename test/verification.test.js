@@ -0,0 +1,57 @@
+// Tests for the verification runner against the bundled ASHRAE reference data
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    runVerification,
+    formatVerificationReport,
+    getAshraeReferenceData,
+    calculateHumidityRatioFromDewPoint,
+    calculateEnthalpy
+} = require('..');
+
+test('the bundled reference data passes verification', () => {
+    const report = runVerification();
+    assert.deepEqual(report.errors, []);
+    assert.equal(report.passed, true);
+});
+
+test('saturated air is checked with the humidity ratio the calculator returns', () => {
+    const { saturatedAir } = getAshraeReferenceData();
+    const report = runVerification();
+
+    saturatedAir.points.forEach(({ temperature }) => {
+        const computed = calculateHumidityRatioFromDewPoint(temperature, saturatedAir.pressure);
+        const ratio = report.checks.find(check => check.property === 'saturationHumidityRatio' && check.case === `${temperature}°C`);
+        assert.equal(ratio.computed, computed);
+        const enthalpy = report.checks.find(check => check.property === 'saturationEnthalpy' && check.case === `${temperature}°C`);
+        if (enthalpy) {
+            assert.equal(enthalpy.computed, calculateEnthalpy(temperature, computed));
+        }
+    });
+});
+
+test('the report explains the saturation humidity ratio tolerance', () => {
+    const report = runVerification();
+    const summary = report.properties.find(property => property.property === 'saturationHumidityRatio');
+
+    assert.ok(summary.maxRelativeDeviation > 0.004 && summary.maxRelativeDeviation < summary.tolerance);
+    assert.match(summary.note, /without the enhancement factor/);
+    assert.match(formatVerificationReport(report), /Notes:\n {2}Saturation Humidity Ratio: /);
+});
+
+test('worked examples are only solved from the inputs they give', () => {
+    const report = runVerification({
+        ...getAshraeReferenceData(),
+        workedExamples: [{
+            name: 'Saturated',
+            pressure: 101.325,
+            checkOnly: ['humidityRatio'],
+            state: { dbt: 2, rh: 100, humidityRatio: 0.00438 }
+        }]
+    });
+    const cases = report.checks.filter(check => check.case.startsWith('Saturated')).map(check => check.case);
+
+    assert.deepEqual(report.errors, []);
+    assert.deepEqual([...new Set(cases)], ['Saturated (from dbt + rh)']);
+});
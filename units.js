@@ -0,0 +1,424 @@
+/**
+ * Psychrometric Calculator - Unit Systems
+ *
+ * Conversion between SI and IP (inch-pound) units for every quantity the
+ * calculator reads or reports. All calculations are performed in SI; values
+ * are converted at the input and output boundaries only.
+ *
+ * @author HVAC Calculator Team
+ */
+
+// ============================================================================
+// CONVERSION CONSTANTS
+// ============================================================================
+
+/**
+ * Grains per pound
+ */
+const GRAINS_PER_POUND = 7000;
+
+/**
+ * kJ/kg per Btu/lb
+ */
+const KJ_PER_KG_PER_BTU_PER_LB = 2.326;
+
+/**
+ * Enthalpy of dry air at 0°C on the IP scale (Btu/lb)
+ * IP psychrometric tables take dry air at 0°F as the enthalpy reference,
+ * while SI tables use 0°C: h = 0.240 × 32°F
+ */
+const IP_ENTHALPY_OFFSET = 7.68;
+
+/**
+ * ft³/lb per m³/kg
+ */
+const FT3_PER_LB_PER_M3_PER_KG = 16.0185;
+
+/**
+ * inHg per kPa (at 32°F)
+ */
+const INHG_PER_KPA = 0.2953;
+
+/**
+ * psi per kPa
+ */
+const PSI_PER_KPA = 0.145038;
+
+/**
+ * Feet per metre
+ */
+const FEET_PER_METRE = 3.28084;
+
+/**
+ * Btu/h per kW
+ */
+const BTUH_PER_KW = 3412.14;
+
+/**
+ * cfm per m³/s
+ */
+const CFM_PER_M3_PER_S = 2118.88;
+
+/**
+ * Pounds per kilogram
+ */
+const POUNDS_PER_KG = 2.20462;
+
+/**
+ * lb/ft³ per kg/m³
+ */
+const LB_PER_FT3_PER_KG_PER_M3 = 0.062428;
+
+/**
+ * gr/ft³ per g/m³
+ */
+const GR_PER_FT3_PER_G_PER_M3 = 0.436996;
+
+/**
+ * Btu/(lb·°F) per kJ/(kg·K)
+ */
+const BTU_PER_LB_F_PER_KJ_PER_KG_K = 0.238846;
+
+/**
+ * US gpm per L/s
+ */
+const GPM_PER_L_PER_S = 15.850323;
+
+/**
+ * fpm per m/s
+ */
+const FPM_PER_M_PER_S = 196.85;
+
+/**
+ * Inches per millimetre
+ */
+const INCHES_PER_MM = 1 / 25.4;
+
+/**
+ * Btu·in/(h·ft²·°F) per W/(m·K)
+ */
+const BTU_IN_PER_W_PER_M_K = 6.933472;
+
+/**
+ * Btu/(h·ft²·°F) per W/(m²·K)
+ */
+const BTU_PER_W_PER_M2_K = 0.17611;
+
+/**
+ * Btu/(h·ft) per W/m
+ */
+const BTUH_PER_FT_PER_W_PER_M = 1.04002;
+
+/**
+ * Storage key under which the chosen unit system is remembered
+ */
+const UNIT_SYSTEM_STORAGE_KEY = 'psychrometricUnitSystem';
+
+// ============================================================================
+// UNIT DEFINITIONS
+// ============================================================================
+
+/**
+ * Supported unit systems
+ */
+const UNIT_SYSTEMS = ['SI', 'IP'];
+
+/**
+ * Quantity definitions: unit labels, display precision and conversion from SI
+ * to IP. Linear quantities convert by factor; others supply explicit functions.
+ */
+const QUANTITIES = {
+    temperature: {
+        SI: { unit: '°C', decimals: 1 },
+        IP: { unit: '°F', decimals: 1 },
+        fromSI: value => value * 1.8 + 32,
+        toSI: value => (value - 32) / 1.8
+    },
+    temperatureDifference: {
+        SI: { unit: 'K', decimals: 1 },
+        IP: { unit: '°F', decimals: 1 },
+        factor: 1.8
+    },
+    relativeHumidity: {
+        SI: { unit: '%', decimals: 1 },
+        IP: { unit: '%', decimals: 1 },
+        factor: 1
+    },
+    humidityRatio: {
+        SI: { unit: 'kg/kg', decimals: 4 },
+        IP: { unit: 'gr/lb', decimals: 1 },
+        factor: GRAINS_PER_POUND
+    },
+    enthalpy: {
+        SI: { unit: 'kJ/kg', decimals: 1 },
+        IP: { unit: 'Btu/lb', decimals: 2 },
+        fromSI: value => value / KJ_PER_KG_PER_BTU_PER_LB + IP_ENTHALPY_OFFSET,
+        toSI: value => (value - IP_ENTHALPY_OFFSET) * KJ_PER_KG_PER_BTU_PER_LB
+    },
+    enthalpyDifference: {
+        SI: { unit: 'kJ/kg', decimals: 1 },
+        IP: { unit: 'Btu/lb', decimals: 2 },
+        factor: 1 / KJ_PER_KG_PER_BTU_PER_LB
+    },
+    specificVolume: {
+        SI: { unit: 'm³/kg', decimals: 3 },
+        IP: { unit: 'ft³/lb', decimals: 2 },
+        factor: FT3_PER_LB_PER_M3_PER_KG
+    },
+    pressure: {
+        SI: { unit: 'kPa', decimals: 2 },
+        IP: { unit: 'inHg', decimals: 3 },
+        factor: INHG_PER_KPA
+    },
+    altitude: {
+        SI: { unit: 'm', decimals: 0 },
+        IP: { unit: 'ft', decimals: 0 },
+        factor: FEET_PER_METRE
+    },
+    power: {
+        SI: { unit: 'kW', decimals: 2 },
+        IP: { unit: 'Btu/h', decimals: 0 },
+        factor: BTUH_PER_KW
+    },
+    airflow: {
+        SI: { unit: 'm³/s', decimals: 3 },
+        IP: { unit: 'cfm', decimals: 0 },
+        factor: CFM_PER_M3_PER_S
+    },
+    airSpeed: {
+        SI: { unit: 'm/s', decimals: 2 },
+        IP: { unit: 'fpm', decimals: 0 },
+        factor: FPM_PER_M_PER_S
+    },
+    waterFlow: {
+        SI: { unit: 'L/s', decimals: 3 },
+        IP: { unit: 'gpm', decimals: 2 },
+        factor: GPM_PER_L_PER_S
+    },
+    length: {
+        SI: { unit: 'mm', decimals: 1 },
+        IP: { unit: 'in', decimals: 2 },
+        factor: INCHES_PER_MM
+    },
+    conductivity: {
+        SI: { unit: 'W/(m·K)', decimals: 4 },
+        IP: { unit: 'Btu·in/(h·ft²·°F)', decimals: 3 },
+        factor: BTU_IN_PER_W_PER_M_K
+    },
+    heatTransferCoefficient: {
+        SI: { unit: 'W/(m²·K)', decimals: 2 },
+        IP: { unit: 'Btu/(h·ft²·°F)', decimals: 3 },
+        factor: BTU_PER_W_PER_M2_K
+    },
+    heatGainPerLength: {
+        SI: { unit: 'W/m', decimals: 1 },
+        IP: { unit: 'Btu/(h·ft)', decimals: 1 },
+        factor: BTUH_PER_FT_PER_W_PER_M
+    },
+    massFlow: {
+        SI: { unit: 'kg/h', decimals: 1 },
+        IP: { unit: 'lb/h', decimals: 1 },
+        factor: POUNDS_PER_KG
+    },
+    density: {
+        SI: { unit: 'kg/m³', decimals: 3 },
+        IP: { unit: 'lb/ft³', decimals: 4 },
+        factor: LB_PER_FT3_PER_KG_PER_M3
+    },
+    absoluteHumidity: {
+        SI: { unit: 'g/m³', decimals: 2 },
+        IP: { unit: 'gr/ft³', decimals: 2 },
+        factor: GR_PER_FT3_PER_G_PER_M3
+    },
+    specificHeat: {
+        SI: { unit: 'kJ/(kg·K)', decimals: 4 },
+        IP: { unit: 'Btu/(lb·°F)', decimals: 4 },
+        factor: BTU_PER_LB_F_PER_KJ_PER_KG_K
+    },
+    ratio: {
+        SI: { unit: '', decimals: 3 },
+        IP: { unit: '', decimals: 3 },
+        factor: 1
+    }
+};
+
+/**
+ * Units accepted for barometric pressure input, as the number of units per kPa
+ */
+const PRESSURE_UNITS = {
+    kPa: 1,
+    hPa: 10,
+    inHg: INHG_PER_KPA,
+    psia: PSI_PER_KPA
+};
+
+/**
+ * Look up a quantity definition
+ * @param {string} quantity - Quantity name (key of QUANTITIES)
+ * @returns {Object} Quantity definition
+ * @throws {Error} If the quantity is unknown
+ */
+function getQuantity(quantity) {
+    const definition = QUANTITIES[quantity];
+    if (!definition) {
+        throw new Error(`Unknown quantity: ${quantity}`);
+    }
+    return definition;
+}
+
+/**
+ * Normalise a unit system name, defaulting to SI
+ * @param {string} unitSystem - Unit system name (case-insensitive)
+ * @returns {string} 'SI' or 'IP'
+ * @throws {Error} If the unit system is not supported
+ */
+function normalizeUnitSystem(unitSystem) {
+    if (unitSystem === undefined || unitSystem === null || unitSystem === '') {
+        return 'SI';
+    }
+    const normalized = String(unitSystem).trim().toUpperCase();
+    if (!UNIT_SYSTEMS.includes(normalized)) {
+        throw new Error(`Unsupported unit system '${unitSystem}'. Must be one of: ${UNIT_SYSTEMS.join(', ')}`);
+    }
+    return normalized;
+}
+
+/**
+ * Convert a value from the given unit system to SI
+ * @param {string} quantity - Quantity name
+ * @param {number} value - Value in the given unit system
+ * @param {string} unitSystem - 'SI' or 'IP'
+ * @returns {number} Value in SI units
+ */
+function convertToSI(quantity, value, unitSystem) {
+    const definition = getQuantity(quantity);
+    if (normalizeUnitSystem(unitSystem) === 'SI') {
+        return value;
+    }
+    return definition.toSI ? definition.toSI(value) : value / definition.factor;
+}
+
+/**
+ * Convert a value from SI to the given unit system
+ * @param {string} quantity - Quantity name
+ * @param {number} value - Value in SI units
+ * @param {string} unitSystem - 'SI' or 'IP'
+ * @returns {number} Value in the given unit system
+ */
+function convertFromSI(quantity, value, unitSystem) {
+    const definition = getQuantity(quantity);
+    if (normalizeUnitSystem(unitSystem) === 'SI') {
+        return value;
+    }
+    return definition.fromSI ? definition.fromSI(value) : value * definition.factor;
+}
+
+/**
+ * Get the unit label of a quantity
+ * @param {string} quantity - Quantity name
+ * @param {string} unitSystem - 'SI' or 'IP'
+ * @returns {string} Unit label, e.g. '°C' or 'Btu/lb'
+ */
+function unitLabel(quantity, unitSystem) {
+    return getQuantity(quantity)[normalizeUnitSystem(unitSystem)].unit;
+}
+
+/**
+ * Get the display precision of a quantity
+ * @param {string} quantity - Quantity name
+ * @param {string} unitSystem - 'SI' or 'IP'
+ * @returns {number} Number of decimal places
+ */
+function unitDecimals(quantity, unitSystem) {
+    return getQuantity(quantity)[normalizeUnitSystem(unitSystem)].decimals;
+}
+
+/**
+ * Format an SI value as text in the given unit system, without unit label
+ * @param {string} quantity - Quantity name
+ * @param {number} value - Value in SI units
+ * @param {string} unitSystem - 'SI' or 'IP'
+ * @returns {string} Converted value rounded to the display precision
+ */
+function formatQuantity(quantity, value, unitSystem) {
+    const converted = convertFromSI(quantity, value, unitSystem);
+    return parseFloat(converted.toFixed(unitDecimals(quantity, unitSystem))).toString();
+}
+
+/**
+ * Normalise a pressure unit name
+ * @param {string} unit - Pressure unit (case-insensitive): kPa, hPa, inHg or psia
+ * @returns {string} Pressure unit as a key of PRESSURE_UNITS
+ * @throws {Error} If the pressure unit is not supported
+ */
+function normalizePressureUnit(unit) {
+    const match = Object.keys(PRESSURE_UNITS).find(key => key.toLowerCase() === String(unit).trim().toLowerCase());
+    if (!match) {
+        throw new Error(`Unsupported pressure unit '${unit}'. Must be one of: ${Object.keys(PRESSURE_UNITS).join(', ')}`);
+    }
+    return match;
+}
+
+/**
+ * Convert a barometric pressure to kPa
+ * @param {number} value - Pressure in the given unit
+ * @param {string} unit - Pressure unit: kPa, hPa, inHg or psia
+ * @returns {number} Pressure in kPa
+ */
+function convertPressureToKPa(value, unit) {
+    return value / PRESSURE_UNITS[normalizePressureUnit(unit)];
+}
+
+/**
+ * Convert a barometric pressure from kPa
+ * @param {number} value - Pressure in kPa
+ * @param {string} unit - Pressure unit: kPa, hPa, inHg or psia
+ * @returns {number} Pressure in the given unit
+ */
+function convertPressureFromKPa(value, unit) {
+    return value * PRESSURE_UNITS[normalizePressureUnit(unit)];
+}
+
+/**
+ * Load the remembered unit system from browser storage
+ * @returns {string} 'SI' or 'IP'
+ */
+function loadUnitSystem() {
+    try {
+        return normalizeUnitSystem(localStorage.getItem(UNIT_SYSTEM_STORAGE_KEY));
+    } catch (error) {
+        return 'SI';
+    }
+}
+
+/**
+ * Remember the chosen unit system in browser storage
+ * @param {string} unitSystem - 'SI' or 'IP'
+ */
+function saveUnitSystem(unitSystem) {
+    try {
+        localStorage.setItem(UNIT_SYSTEM_STORAGE_KEY, normalizeUnitSystem(unitSystem));
+    } catch (error) {
+        // Storage may be unavailable (private browsing, file:// URLs)
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        UNIT_SYSTEMS,
+        QUANTITIES,
+        PRESSURE_UNITS,
+        normalizeUnitSystem,
+        normalizePressureUnit,
+        convertPressureToKPa,
+        convertPressureFromKPa,
+        convertToSI,
+        convertFromSI,
+        unitLabel,
+        unitDecimals,
+        formatQuantity,
+        loadUnitSystem,
+        saveUnitSystem
+    };
+}
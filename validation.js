@@ -0,0 +1,191 @@
+/**
+ * Psychrometric Calculator - Validation Report Page
+ *
+ * Runs the reference verification (verification.js) in the browser and
+ * renders the per-property deviations and the individual checks.
+ *
+ * @author HVAC Calculator Team
+ */
+
+// DOM elements
+const validationSummary = document.getElementById('validation-summary');
+const validationSource = document.getElementById('validation-source');
+const validationProperties = document.getElementById('validation-properties');
+const validationChecks = document.getElementById('validation-checks');
+const validationDetailsSummary = document.getElementById('validation-details-summary');
+const validationTables = document.getElementById('validation-tables');
+
+let currentReport = null;
+
+/**
+ * Format a value for the report with a fixed number of significant digits
+ * @param {number} value - Value to format
+ * @param {number} [digits=3] - Significant digits
+ * @returns {string} Formatted value
+ */
+function formatSignificant(value, digits = 3) {
+    if (!isFinite(value)) {
+        return '—';
+    }
+    return value === 0 ? '0' : Number(value.toPrecision(digits)).toString();
+}
+
+/**
+ * Create a table cell
+ * @param {string} text - Cell text
+ * @param {string} [className] - Optional class name
+ * @returns {HTMLTableCellElement} Table cell
+ */
+function createCell(text, className) {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (className) {
+        cell.className = className;
+    }
+    return cell;
+}
+
+/**
+ * Create a pass/fail result cell
+ * @param {boolean} passed - Whether the check or property passed
+ * @returns {HTMLTableCellElement} Table cell
+ */
+function createResultCell(passed) {
+    return createCell(passed ? '✓ Pass' : '✗ Fail', `validation-result ${passed ? 'pass' : 'fail'}`);
+}
+
+/**
+ * Render the summary cards
+ * @param {Object} report - Report from runVerification
+ */
+function renderSummary(report) {
+    const failed = report.checks.filter(check => !check.passed).length;
+    const items = [
+        ['Result', report.passed ? 'PASSED' : 'FAILED', report.passed ? 'success' : 'error'],
+        ['Checks', report.checks.length, ''],
+        ['Within Tolerance', report.checks.length - failed, 'success'],
+        ['Outside Tolerance', failed, failed > 0 ? 'error' : ''],
+        ['Solver Errors', report.errors.length, report.errors.length > 0 ? 'error' : '']
+    ];
+
+    validationSummary.innerHTML = '';
+    items.forEach(([label, value, className]) => {
+        const item = document.createElement('div');
+        item.className = 'summary-item';
+        item.innerHTML = `<span class="summary-label">${label}</span><span class="summary-value ${className}">${value}</span>`;
+        validationSummary.appendChild(item);
+    });
+
+    validationSource.textContent = `Reference: ${report.source}. Generated ${new Date().toLocaleString()}.`;
+}
+
+/**
+ * Render the per-property deviation table
+ * @param {Object} report - Report from runVerification
+ */
+function renderProperties(report) {
+    validationProperties.innerHTML = '';
+    report.properties.forEach(summary => {
+        const row = document.createElement('tr');
+        row.appendChild(createCell(summary.label));
+        row.appendChild(createCell(summary.unit));
+        row.appendChild(createCell(String(summary.count), 'numeric'));
+        row.appendChild(createCell(formatSignificant(summary.maxDeviation), 'numeric'));
+        row.appendChild(createCell(formatSignificant(summary.meanDeviation), 'numeric'));
+        row.appendChild(createCell(`${formatSignificant(summary.maxRelativeDeviation * 100)}%`, 'numeric'));
+        row.appendChild(createCell(summary.relative ? `${formatSignificant(summary.tolerance * 100)}%` : formatSignificant(summary.tolerance), 'numeric'));
+        row.appendChild(createResultCell(summary.passed));
+        validationProperties.appendChild(row);
+    });
+}
+
+/**
+ * Render every individual check, followed by any solver errors
+ * @param {Object} report - Report from runVerification
+ */
+function renderChecks(report) {
+    validationChecks.innerHTML = '';
+    report.checks.forEach(check => {
+        const { label, unit } = VERIFICATION_PROPERTIES[check.property];
+        const row = document.createElement('tr');
+        row.appendChild(createCell(`${label} (${unit})`));
+        row.appendChild(createCell(check.case));
+        row.appendChild(createCell(String(check.reference), 'numeric'));
+        row.appendChild(createCell(formatSignificant(check.computed, 6), 'numeric'));
+        row.appendChild(createCell(formatSignificant(check.deviation), 'numeric'));
+        row.appendChild(createResultCell(check.passed));
+        validationChecks.appendChild(row);
+    });
+
+    report.errors.forEach(error => {
+        const row = document.createElement('tr');
+        row.appendChild(createCell('Solver error'));
+        row.appendChild(createCell(error.case));
+        const message = createCell(error.message);
+        message.colSpan = 3;
+        row.appendChild(message);
+        row.appendChild(createResultCell(false));
+        validationChecks.appendChild(row);
+    });
+
+    validationDetailsSummary.textContent = `Show all ${report.checks.length} checks`;
+}
+
+/**
+ * List the reference tables the report is based on
+ */
+function renderReferenceTables() {
+    const data = getAshraeReferenceData();
+    const tables = [
+        [data.standardAtmosphere.table, data.standardAtmosphere.points.length],
+        [data.saturatedAir.table, data.saturatedAir.points.length],
+        [data.saturationPressure.table, data.saturationPressure.points.length]
+    ];
+
+    validationTables.innerHTML = '';
+    tables.forEach(([table, count]) => {
+        const item = document.createElement('li');
+        item.textContent = `${table} (${count} points)`;
+        validationTables.appendChild(item);
+    });
+    data.workedExamples.forEach(example => {
+        const item = document.createElement('li');
+        item.textContent = `${example.name} at ${example.pressure} kPa`;
+        validationTables.appendChild(item);
+    });
+}
+
+/**
+ * Run the verification and render the report
+ */
+function runReport() {
+    currentReport = runVerification();
+    renderSummary(currentReport);
+    renderProperties(currentReport);
+    renderChecks(currentReport);
+}
+
+/**
+ * Download the current report as JSON
+ */
+function downloadReport() {
+    const blob = new Blob([JSON.stringify(currentReport, null, 2)], { type: 'application/json;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', `psychrometric_validation_${new Date().toISOString().slice(0, 10)}.json`);
+    link.style.visibility = 'hidden';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('run-verification-btn').addEventListener('click', runReport);
+    document.getElementById('print-report-btn').addEventListener('click', () => window.print());
+    document.getElementById('download-report-btn').addEventListener('click', downloadReport);
+
+    renderReferenceTables();
+    runReport();
+});
@@ -0,0 +1,248 @@
+/**
+ * Psychrometric Calculator - Reference Verification
+ *
+ * Compares the calculator against the bundled ASHRAE reference data: the
+ * saturation pressure model, the standard atmosphere, saturated air and
+ * every input pair of the state solver on the worked examples. Reports the
+ * maximum and mean deviation per property. Runs in the browser (Validation
+ * report page) and in Node.js (hvac-psychro --verify).
+ *
+ * @author HVAC Calculator Team
+ */
+
+// In Node.js the engine and data come from their modules; in the browser their
+// functions are globals
+if (typeof module !== 'undefined' && module.exports) {
+    var {
+        saturatedVaporPressure,
+        barometricPressure,
+        calculateEnthalpy,
+        calculateHumidityRatioFromDewPoint,
+        calculatePsychrometricState,
+        parseInputType,
+        getInputDefinitions,
+        getInputTypes
+    } = require('./psychrometrics.js');
+    var { getAshraeReferenceData } = require('./reference-data.js');
+}
+
+/**
+ * Verified properties with their unit and allowed deviation. Relative
+ * tolerances are fractions of the reference value; absolute tolerances are
+ * in the property's unit and cover the rounding of the printed values. A
+ * note explains a tolerance wider than the rounding.
+ */
+const VERIFICATION_PROPERTIES = {
+    saturationPressure: { label: 'Saturation Pressure', unit: 'kPa', tolerance: 0.001, relative: true },
+    standardPressure: { label: 'Standard Atmospheric Pressure', unit: 'kPa', tolerance: 0.01, relative: true },
+    saturationHumidityRatio: {
+        label: 'Saturation Humidity Ratio',
+        unit: 'kg/kg',
+        tolerance: 0.007,
+        relative: true,
+        note: 'The calculator uses ideal-gas equations without the enhancement factor, so its saturation humidity ratios read 0.4% to 0.6% below the real-gas values of ASHRAE Table 2'
+    },
+    saturationEnthalpy: { label: 'Saturation Enthalpy', unit: 'kJ/kg', tolerance: 0.5 },
+    dbt: { label: 'Dry Bulb Temperature', unit: '°C', tolerance: 0.2 },
+    wbt: { label: 'Wet Bulb Temperature', unit: '°C', tolerance: 0.2 },
+    rh: { label: 'Relative Humidity', unit: '%', tolerance: 0.5 },
+    dpt: { label: 'Dew Point Temperature', unit: '°C', tolerance: 0.2 },
+    humidityRatio: { label: 'Humidity Ratio', unit: 'kg/kg', tolerance: 0.0001 },
+    enthalpy: { label: 'Enthalpy', unit: 'kJ/kg', tolerance: 0.3 },
+    specificVolume: { label: 'Specific Volume', unit: 'm³/kg', tolerance: 0.002 }
+};
+
+/**
+ * Create a single check of a computed value against a reference value
+ * @param {string} property - Key of VERIFICATION_PROPERTIES
+ * @param {string} caseName - Description of the reference point
+ * @param {number} reference - Reference value
+ * @param {number} computed - Value computed by the calculator
+ * @returns {Object} Check with deviation, relative deviation and pass flag
+ */
+function createCheck(property, caseName, reference, computed) {
+    const { tolerance, relative } = VERIFICATION_PROPERTIES[property];
+    const deviation = computed - reference;
+    const relativeDeviation = reference !== 0 ? deviation / Math.abs(reference) : 0;
+    const measured = relative ? Math.abs(relativeDeviation) : Math.abs(deviation);
+
+    return {
+        property,
+        case: caseName,
+        reference,
+        computed,
+        deviation,
+        relativeDeviation,
+        passed: isFinite(computed) && measured <= tolerance
+    };
+}
+
+/**
+ * Summarise the checks of one property
+ * @param {string} property - Key of VERIFICATION_PROPERTIES
+ * @param {Array<Object>} checks - Checks of this property
+ * @returns {Object} Count, max and mean absolute deviation, max relative deviation, worst check
+ *     and the note on the tolerance
+ */
+function summariseProperty(property, checks) {
+    const definition = VERIFICATION_PROPERTIES[property];
+    const measure = check => Math.abs(definition.relative ? check.relativeDeviation : check.deviation);
+    const worst = checks.reduce((a, b) => (measure(b) > measure(a) ? b : a));
+
+    return {
+        property,
+        label: definition.label,
+        unit: definition.unit,
+        tolerance: definition.tolerance,
+        relative: Boolean(definition.relative),
+        note: definition.note || '',
+        count: checks.length,
+        maxDeviation: Math.max(...checks.map(check => Math.abs(check.deviation))),
+        meanDeviation: checks.reduce((sum, check) => sum + Math.abs(check.deviation), 0) / checks.length,
+        maxRelativeDeviation: Math.max(...checks.map(check => Math.abs(check.relativeDeviation))),
+        worst,
+        passed: checks.every(check => check.passed)
+    };
+}
+
+/**
+ * Verify the calculator against reference data
+ *
+ * Worked examples are solved from every supported input pair whose inputs
+ * the example gives (except its checkOnly properties), and every other
+ * property of the example is compared with the solution.
+ *
+ * @param {Object} [referenceData] - Reference dataset; defaults to the bundled ASHRAE data
+ * @returns {Object} Report with per-property summaries, all checks, solver errors and overall result
+ */
+function runVerification(referenceData = getAshraeReferenceData()) {
+    const checks = [];
+    const errors = [];
+
+    referenceData.saturationPressure.points.forEach(({ temperature, pressure }) => {
+        checks.push(createCheck('saturationPressure', `${temperature}°C`, pressure, saturatedVaporPressure(temperature)));
+    });
+
+    referenceData.standardAtmosphere.points.forEach(({ altitude, pressure }) => {
+        checks.push(createCheck('standardPressure', `${altitude} m`, pressure, barometricPressure(altitude)));
+    });
+
+    const saturatedPressure = referenceData.saturatedAir.pressure;
+    referenceData.saturatedAir.points.forEach(({ temperature, humidityRatio, enthalpy }) => {
+        const computedRatio = calculateHumidityRatioFromDewPoint(temperature, saturatedPressure);
+        checks.push(createCheck('saturationHumidityRatio', `${temperature}°C`, humidityRatio, computedRatio));
+        if (enthalpy !== undefined) {
+            checks.push(createCheck('saturationEnthalpy', `${temperature}°C`, enthalpy, calculateEnthalpy(temperature, computedRatio)));
+        }
+    });
+
+    referenceData.workedExamples.forEach(example => {
+        getInputTypes().forEach(inputType => {
+            const inputKeys = getInputDefinitions(inputType).map(input => input.stateKey);
+            const checkOnly = example.checkOnly || [];
+            if (inputKeys.some(key => example.state[key] === undefined || checkOnly.includes(key))) {
+                return;
+            }
+            const keys = parseInputType(inputType);
+            const [value1, value2] = inputKeys.map(key => example.state[key]);
+            const caseName = `${example.name} (from ${keys.join(' + ')})`;
+
+            let state;
+            try {
+                state = calculatePsychrometricState(inputType, value1, value2, example.pressure);
+            } catch (error) {
+                errors.push({ case: caseName, message: error.message });
+                return;
+            }
+
+            Object.keys(example.state)
+                .filter(property => !inputKeys.includes(property))
+                .forEach(property => {
+                    checks.push(createCheck(property, caseName, example.state[property], state[property]));
+                });
+        });
+    });
+
+    const properties = Object.keys(VERIFICATION_PROPERTIES)
+        .map(property => checks.filter(check => check.property === property))
+        .filter(propertyChecks => propertyChecks.length > 0)
+        .map(propertyChecks => summariseProperty(propertyChecks[0].property, propertyChecks));
+
+    return {
+        source: referenceData.source,
+        properties,
+        checks,
+        errors,
+        passed: errors.length === 0 && properties.every(summary => summary.passed)
+    };
+}
+
+/**
+ * Format a deviation for display with enough significant digits
+ * @param {number} value - Deviation
+ * @returns {string} Formatted deviation
+ */
+function formatDeviation(value) {
+    return value === 0 ? '0' : Number(value.toPrecision(3)).toString();
+}
+
+/**
+ * Format a verification report as plain text
+ * @param {Object} report - Report from runVerification
+ * @returns {string} Text table of per-property deviations followed by notes, failures and errors
+ */
+function formatVerificationReport(report) {
+    const rows = report.properties.map(summary => [
+        summary.label,
+        summary.unit,
+        String(summary.count),
+        formatDeviation(summary.maxDeviation),
+        formatDeviation(summary.meanDeviation),
+        `${formatDeviation(summary.maxRelativeDeviation * 100)}%`,
+        summary.relative ? `${formatDeviation(summary.tolerance * 100)}%` : formatDeviation(summary.tolerance),
+        summary.passed ? 'PASS' : 'FAIL'
+    ]);
+    const header = ['Property', 'Unit', 'Checks', 'Max dev', 'Mean dev', 'Max rel', 'Tolerance', 'Result'];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+    const lines = [
+        `Verification against ${report.source}`,
+        '',
+        formatRow(header),
+        formatRow(widths.map(width => '-'.repeat(width))),
+        ...rows.map(formatRow)
+    ];
+
+    const notes = report.properties.filter(summary => summary.note);
+    if (notes.length > 0) {
+        lines.push('', 'Notes:');
+        notes.forEach(summary => lines.push(`  ${summary.label}: ${summary.note}`));
+    }
+
+    const failures = report.checks.filter(check => !check.passed);
+    if (failures.length > 0) {
+        lines.push('', 'Failed checks:');
+        failures.forEach(check => {
+            const { label, unit } = VERIFICATION_PROPERTIES[check.property];
+            lines.push(`  ${label}, ${check.case}: reference ${check.reference} ${unit}, computed ${Number(check.computed.toPrecision(6))} ${unit}`);
+        });
+    }
+    if (report.errors.length > 0) {
+        lines.push('', 'Solver errors:');
+        report.errors.forEach(error => lines.push(`  ${error.case}: ${error.message}`));
+    }
+
+    const total = report.checks.length;
+    lines.push('', `${report.passed ? 'PASSED' : 'FAILED'}: ${total - failures.length} of ${total} checks within tolerance, ${report.errors.length} solver errors`);
+    return lines.join('\n');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        VERIFICATION_PROPERTIES,
+        runVerification,
+        formatVerificationReport
+    };
+}
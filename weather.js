@@ -0,0 +1,292 @@
+/**
+ * Psychrometric Calculator - Hourly Weather Analysis
+ *
+ * Annual analysis of an hourly weather file (EnergyPlus EPW or TMY3) whose
+ * hours have been run through CSVProcessor.processData: bin tables of dry
+ * bulb with mean coincident wet bulb, enthalpy and humidity ratio, monthly
+ * summaries and hours exceeding thresholds. Hours are held in SI units; bins
+ * are formed in the requested unit system so their edges are round numbers
+ * in that system.
+ *
+ * @author HVAC Calculator Team
+ */
+
+// In Node.js the unit conversions come from units.js; in the browser they are
+// globals
+if (typeof module !== 'undefined' && module.exports) {
+    var { convertFromSI, convertToSI, formatQuantity, unitLabel } = require('./units.js');
+}
+
+/**
+ * Binned properties with the quantity they are in and the coincident
+ * temperature averaged over the hours of each bin
+ */
+const WEATHER_BIN_PROPERTIES = {
+    dbt: { label: 'Dry Bulb', quantity: 'temperature', coincident: 'wbt', coincidentLabel: 'MCWB' },
+    enthalpy: { label: 'Enthalpy', quantity: 'enthalpy', coincident: 'dbt', coincidentLabel: 'MCDB' },
+    humidityRatio: { label: 'Humidity Ratio', quantity: 'humidityRatio', coincident: 'dbt', coincidentLabel: 'MCDB' }
+};
+
+/**
+ * Default bin widths per unit system
+ */
+const DEFAULT_WEATHER_BIN_SIZES = {
+    SI: { dbt: 2, enthalpy: 5, humidityRatio: 0.002 },
+    IP: { dbt: 5, enthalpy: 2, humidityRatio: 10 }
+};
+
+/**
+ * Properties that can be checked against a threshold
+ */
+const WEATHER_THRESHOLD_PROPERTIES = {
+    dbt: { label: 'Dry Bulb', quantity: 'temperature' },
+    wbt: { label: 'Wet Bulb', quantity: 'temperature' },
+    dpt: { label: 'Dew Point', quantity: 'temperature' },
+    enthalpy: { label: 'Enthalpy', quantity: 'enthalpy' },
+    humidityRatio: { label: 'Humidity Ratio', quantity: 'humidityRatio' }
+};
+
+/**
+ * Month names for summaries
+ */
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Pair the processed results of a weather file with their hours
+ * @param {Array<Object>} data - Rows from CSVProcessor.parseWeatherFile
+ * @param {Array<Object>} results - Results of CSVProcessor.processData for those rows
+ * @returns {Array<Object>} Hours with month, day, hour and dbt, wbt, dpt, rh, humidityRatio and enthalpy in SI
+ */
+function getWeatherHours(data, results) {
+    return results.map(result => {
+        const row = data[result.rowNumber - 2];
+        const value = (quantity, key) => convertToSI(quantity, parseFloat(result[key]), result.units);
+        return {
+            month: row.Month,
+            day: row.Day,
+            hour: row.Hour,
+            dbt: value('temperature', 'dbt'),
+            wbt: value('temperature', 'wbt'),
+            dpt: value('temperature', 'dpt'),
+            rh: parseFloat(result.rh),
+            humidityRatio: value('humidityRatio', 'humidityRatio'),
+            enthalpy: value('enthalpy', 'enthalpy')
+        };
+    });
+}
+
+/**
+ * Bin the hours of a weather file by a property
+ *
+ * Bins are binSize wide, aligned to multiples of binSize in the given unit
+ * system, and listed from the highest down, as in the ASHRAE bin tables.
+ *
+ * @param {Array<Object>} hours - Hours from getWeatherHours
+ * @param {string} property - Key of WEATHER_BIN_PROPERTIES
+ * @param {number} binSize - Bin width in the given unit system
+ * @param {string} [units='SI'] - Unit system of the bins
+ * @returns {Array<Object>} Bins with lower and upper edges, hours and the mean coincident value, in the given units
+ * @throws {Error} If the property is unknown or the bin width is not positive
+ */
+function calculateWeatherBins(hours, property, binSize, units = 'SI') {
+    const definition = WEATHER_BIN_PROPERTIES[property];
+    if (!definition) {
+        throw new Error(`Unknown bin property '${property}'. Must be one of: ${Object.keys(WEATHER_BIN_PROPERTIES).join(', ')}`);
+    }
+    if (!(binSize > 0)) {
+        throw new Error('Bin width must be greater than zero');
+    }
+
+    const bins = new Map();
+    hours.forEach(hour => {
+        const value = convertFromSI(definition.quantity, hour[property], units);
+        if (!isFinite(value)) {
+            return;
+        }
+        // Round the index so values on a bin edge are not split by floating-point error
+        const index = Math.floor(Number((value / binSize).toFixed(9)));
+        const bin = bins.get(index) || { hours: 0, coincidentSum: 0 };
+        bin.hours++;
+        bin.coincidentSum += convertFromSI('temperature', hour[definition.coincident], units);
+        bins.set(index, bin);
+    });
+
+    return Array.from(bins.entries())
+        .sort(([a], [b]) => b - a)
+        .map(([index, bin]) => ({
+            lower: Number((index * binSize).toPrecision(12)),
+            upper: Number(((index + 1) * binSize).toPrecision(12)),
+            hours: bin.hours,
+            meanCoincident: bin.coincidentSum / bin.hours
+        }));
+}
+
+/**
+ * Summarise the hours of a weather file month by month
+ * @param {Array<Object>} hours - Hours from getWeatherHours
+ * @returns {Array<Object>} Months with hours, mean/max/min dry bulb, mean/max wet bulb and mean dew point,
+ *     humidity ratio and enthalpy, in SI units; months without hours are left out
+ */
+function summarizeWeatherByMonth(hours) {
+    return MONTH_NAMES.map((name, index) => {
+        const monthHours = hours.filter(hour => hour.month === index + 1);
+        if (monthHours.length === 0) {
+            return null;
+        }
+        const values = key => monthHours.map(hour => hour[key]);
+        const mean = key => values(key).reduce((sum, value) => sum + value, 0) / monthHours.length;
+        return {
+            month: index + 1,
+            name,
+            hours: monthHours.length,
+            meanDbt: mean('dbt'),
+            maxDbt: Math.max(...values('dbt')),
+            minDbt: Math.min(...values('dbt')),
+            meanWbt: mean('wbt'),
+            maxWbt: Math.max(...values('wbt')),
+            meanDpt: mean('dpt'),
+            meanHumidityRatio: mean('humidityRatio'),
+            meanEnthalpy: mean('enthalpy')
+        };
+    }).filter(month => month !== null);
+}
+
+/**
+ * Count the hours above thresholds
+ * @param {Array<Object>} hours - Hours from getWeatherHours
+ * @param {Object} thresholds - Thresholds in SI units keyed by WEATHER_THRESHOLD_PROPERTIES; others are ignored
+ * @returns {Array<Object>} property, threshold, hours above and monthly (hours above in each month, January first)
+ */
+function countHoursAboveThresholds(hours, thresholds) {
+    return Object.keys(WEATHER_THRESHOLD_PROPERTIES)
+        .filter(property => typeof thresholds[property] === 'number' && !isNaN(thresholds[property]))
+        .map(property => {
+            const monthly = new Array(12).fill(0);
+            hours.forEach(hour => {
+                if (hour[property] > thresholds[property]) {
+                    monthly[hour.month - 1]++;
+                }
+            });
+            return {
+                property,
+                threshold: thresholds[property],
+                hours: monthly.reduce((sum, count) => sum + count, 0),
+                monthly
+            };
+        });
+}
+
+/**
+ * Analyse the hours of a weather file
+ * @param {Array<Object>} hours - Hours from getWeatherHours
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.units='SI'] - Unit system of the bins
+ * @param {Object} [options.binSizes] - Bin widths by property in that unit system; defaults per unit system
+ * @param {Object} [options.thresholds={}] - Thresholds in SI units (see countHoursAboveThresholds)
+ * @returns {Object} units, bins by property, months and exceedances
+ */
+function analyzeWeatherHours(hours, options = {}) {
+    const units = options.units || 'SI';
+    const binSizes = { ...DEFAULT_WEATHER_BIN_SIZES[units], ...options.binSizes };
+    const bins = {};
+    Object.keys(WEATHER_BIN_PROPERTIES).forEach(property => {
+        bins[property] = calculateWeatherBins(hours, property, binSizes[property], units);
+    });
+
+    return {
+        units,
+        binSizes,
+        bins,
+        months: summarizeWeatherByMonth(hours),
+        exceedances: countHoursAboveThresholds(hours, options.thresholds || {})
+    };
+}
+
+/**
+ * Generate a CSV report of a weather analysis, one section per table
+ * @param {Object} analysis - Analysis from analyzeWeatherHours
+ * @param {Object} [location] - Location from CSVProcessor.parseWeatherFile
+ * @returns {string} CSV content
+ */
+function generateWeatherReportCSV(analysis, location) {
+    const { units } = analysis;
+    const format = (quantity, value) => formatQuantity(quantity, value, units);
+    const row = values => values.map(value => `"${value}"`).join(',');
+    const lines = [];
+
+    if (location) {
+        lines.push(row(['Location', location.name, location.country, location.id]));
+        lines.push(row(['Elevation', `${format('altitude', location.elevation)} ${unitLabel('altitude', units)}`]));
+        lines.push('');
+    }
+
+    Object.entries(WEATHER_BIN_PROPERTIES).forEach(([property, definition]) => {
+        const unit = unitLabel(definition.quantity, units);
+        const coincidentUnit = unitLabel('temperature', units);
+        lines.push(row([`${definition.label} Bins (${unit})`]));
+        lines.push(row(['Lower', 'Upper', 'Hours', `${definition.coincidentLabel} (${coincidentUnit})`]));
+        analysis.bins[property].forEach(bin => {
+            const decimals = Math.max(0, -Math.floor(Math.log10(analysis.binSizes[property])));
+            lines.push(row([bin.lower.toFixed(decimals), bin.upper.toFixed(decimals), bin.hours, bin.meanCoincident.toFixed(1)]));
+        });
+        lines.push('');
+    });
+
+    const temperatureUnit = unitLabel('temperature', units);
+    lines.push(row(['Monthly Summary']));
+    lines.push(row(['Month', 'Hours', `Mean DBT (${temperatureUnit})`, `Max DBT (${temperatureUnit})`, `Min DBT (${temperatureUnit})`,
+        `Mean WBT (${temperatureUnit})`, `Max WBT (${temperatureUnit})`, `Mean DPT (${temperatureUnit})`,
+        `Mean Humidity Ratio (${unitLabel('humidityRatio', units)})`, `Mean Enthalpy (${unitLabel('enthalpy', units)})`]));
+    analysis.months.forEach(month => {
+        lines.push(row([month.name, month.hours, format('temperature', month.meanDbt), format('temperature', month.maxDbt),
+            format('temperature', month.minDbt), format('temperature', month.meanWbt), format('temperature', month.maxWbt),
+            format('temperature', month.meanDpt), format('humidityRatio', month.meanHumidityRatio), format('enthalpy', month.meanEnthalpy)]));
+    });
+
+    if (analysis.exceedances.length > 0) {
+        lines.push('');
+        lines.push(row(['Hours Above Thresholds']));
+        lines.push(row(['Property', 'Threshold', 'Hours', ...MONTH_NAMES]));
+        analysis.exceedances.forEach(exceedance => {
+            const definition = WEATHER_THRESHOLD_PROPERTIES[exceedance.property];
+            lines.push(row([definition.label, `${format(definition.quantity, exceedance.threshold)} ${unitLabel(definition.quantity, units)}`,
+                exceedance.hours, ...exceedance.monthly]));
+        });
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Generate the hourly results CSV of a weather file, with the month, day and
+ * hour of each row ahead of the processor's output columns
+ * @param {CSVProcessor} processor - Processor that ran the hours through processData
+ * @param {Array<Object>} data - Rows from CSVProcessor.parseWeatherFile
+ * @returns {string} CSV content
+ */
+function generateWeatherHoursCSV(processor, data) {
+    const lines = processor.generateOutputCSV(processor.results).split('\n');
+    return lines.map((line, index) => {
+        if (index === 0) {
+            return `Month,Day,Hour,${line}`;
+        }
+        const row = data[processor.results[index - 1].rowNumber - 2];
+        return `"${row.Month}","${row.Day}","${row.Hour}",${line}`;
+    }).join('\n');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        WEATHER_BIN_PROPERTIES,
+        DEFAULT_WEATHER_BIN_SIZES,
+        WEATHER_THRESHOLD_PROPERTIES,
+        getWeatherHours,
+        calculateWeatherBins,
+        summarizeWeatherByMonth,
+        countHoursAboveThresholds,
+        analyzeWeatherHours,
+        generateWeatherReportCSV,
+        generateWeatherHoursCSV
+    };
+}